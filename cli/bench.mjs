@@ -0,0 +1,175 @@
+import path from 'node:path';
+import process from 'node:process';
+import { performance } from 'node:perf_hooks';
+import { pathToFileURL } from 'node:url';
+import { compileCanvasAll } from './src/compiler.mjs';
+
+/**
+ * Compile benchmark on generated canvases.
+ *
+ *   node cli/bench.mjs [--sizes 1000,5000,20000] [--flow-sort] [--runs 3]
+ *                      [--baseline <path-to-other/cli/src/compiler.mjs>]
+ *
+ * With --baseline, the same canvases are also compiled by another checkout's compiler
+ * (e.g. a `git worktree` of an older commit); outputs must match byte for byte and the
+ * speedup is reported.
+ */
+
+/**
+ * Deterministic PRNG (mulberry32) so every run benchmarks the same canvas
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a canvas shaped like an imported JSONL file plus hand-drawn flows:
+ * a grid of groups (some nested) holding stacked cards, loose root cards,
+ * arrow chains inside groups, cross-group links, bidirectional and undirected edges.
+ */
+export function generateCanvas(nodeCount, seed = 1) {
+  const random = createRandom(seed);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const colors = ['', '1', '2', '3', '4', '5', '6', '#ff8800', '#0088ff'];
+
+  const nodes = [];
+  const edges = [];
+  let nextId = 0;
+  const id = (prefix) => `${prefix}-${(nextId++).toString(16).padStart(8, '0')}`;
+
+  const cardsPerGroup = 8;
+  const groupCount = Math.max(1, Math.floor(nodeCount / (cardsPerGroup + 1.5)));
+  const cols = Math.max(1, Math.ceil(Math.sqrt(groupCount)));
+  const cards = [];
+
+  for (let g = 0; g < groupCount; g++) {
+    const x = (g % cols) * 520;
+    const y = Math.floor(g / cols) * 900;
+    const group = { id: id('group'), type: 'group', label: `Group ${g}`, x, y, width: 480, height: 860 };
+    nodes.push(group);
+
+    // Every fourth group holds a nested sub-group around its lower cards
+    if (g % 4 === 0) {
+      nodes.push({ id: id('group'), type: 'group', label: `Nested ${g}`, x: x + 10, y: y + 440, width: 460, height: 410 });
+    }
+
+    let previous = null;
+    for (let c = 0; c < cardsPerGroup; c++) {
+      const card = {
+        id: id('card'),
+        type: random() < 0.1 ? 'link' : 'text',
+        x: x + 20 + Math.floor(random() * 3),
+        y: y + 60 + c * 100 + Math.floor(random() * 5),
+        width: 400,
+        height: 80,
+      };
+      if (card.type === 'link') card.url = `https://example.com/${g}/${c}`;
+      else card.text = `Card ${Math.floor(random() * 1000)} of group ${g}`;
+      const color = pick(colors);
+      if (color) card.color = color;
+      nodes.push(card);
+      cards.push(card);
+
+      if (previous && random() < 0.6) {
+        const edge = { id: id('edge'), fromNode: previous.id, toNode: card.id };
+        const style = random();
+        if (style < 0.1) edge.fromEnd = 'arrow';
+        else if (style < 0.2) edge.toEnd = 'none';
+        else if (style < 0.25) edge.label = 'next';
+        edges.push(edge);
+      }
+      previous = card;
+    }
+  }
+
+  while (nodes.length < nodeCount) {
+    const card = {
+      id: id('loose'),
+      type: 'text',
+      text: `Loose ${nodes.length}`,
+      x: -600 - Math.floor(random() * 400),
+      y: Math.floor(random() * groupCount * 120),
+      width: 300,
+      height: 60,
+    };
+    nodes.push(card);
+    cards.push(card);
+  }
+
+  // Cross links, including some that close feedback loops
+  for (let i = 0; i < Math.floor(cards.length / 20); i++) {
+    edges.push({ id: id('edge'), fromNode: pick(cards).id, toNode: pick(cards).id });
+  }
+
+  // Obsidian writes nodes in arbitrary order
+  for (let i = nodes.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [nodes[i], nodes[j]] = [nodes[j], nodes[i]];
+  }
+
+  return { nodes, edges };
+}
+
+function parseArgs(argv) {
+  const args = { sizes: [1000, 5000, 20000], flowSort: false, runs: 3, baseline: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--sizes') args.sizes = String(argv[++i]).split(',').map(Number).filter(n => n > 0);
+    else if (a === '--flow-sort') args.flowSort = true;
+    else if (a === '--runs') args.runs = Math.max(1, Number(argv[++i]) || 1);
+    else if (a === '--baseline') args.baseline = argv[++i];
+    else throw new Error(`unknown arg: ${a}`);
+  }
+  return args;
+}
+
+function timeCompile(compile, input, settings, runs) {
+  const times = [];
+  let output;
+  for (let r = 0; r < runs; r++) {
+    const copy = structuredClone(input);
+    const start = performance.now();
+    output = compile({ input: copy, settings });
+    times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+  return { ms: times[Math.floor(times.length / 2)], output };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const settings = { flowSortNodes: args.flowSort, colorSortNodes: true, colorSortEdges: true };
+  const baseline = args.baseline
+    ? (await import(pathToFileURL(path.resolve(args.baseline)).href)).compileCanvasAll
+    : null;
+
+  process.stdout.write(`settings: ${JSON.stringify(settings)}, median of ${args.runs} run(s)\n`);
+  for (const size of args.sizes) {
+    const input = generateCanvas(size);
+    const current = timeCompile(compileCanvasAll, input, settings, args.runs);
+    let line = `${String(size).padStart(7)} nodes ${String(input.edges.length).padStart(6)} edges  ${current.ms.toFixed(1).padStart(9)} ms`;
+
+    if (baseline) {
+      const base = timeCompile(baseline, input, settings, args.runs);
+      const same = JSON.stringify(base.output) === JSON.stringify(current.output);
+      line += `  baseline ${base.ms.toFixed(1).padStart(9)} ms  speedup ${(base.ms / current.ms).toFixed(1)}x`;
+      line += same ? '  output identical' : '  OUTPUT DIFFERS';
+    }
+
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  void main().catch((e) => {
+    process.stderr.write(`${e?.message ?? String(e)}\n`);
+    process.exit(1);
+  });
+}
@@ -1,8 +1,24 @@
 import path from 'node:path';
 import process from 'node:process';
 import { pathToFileURL } from 'node:url';
-import { compileCanvasFile } from './src/compiler.mjs';
+import { compileCanvasFile, OUTPUT_EXTENSIONS } from './src/compiler.mjs';
 import { importFile } from './src/importer.mjs';
+import { generateSchemaFile } from './src/schema.mjs';
+import { formatDiagnostics } from './src/validator.mjs';
+import {
+  collationLocaleProblem,
+  parseBaseIri,
+  parseColorMeanings,
+  parseColorOrder,
+  parseEdgeSortSpec,
+  parseNodeSortSpec,
+  parseOrigin,
+  parseTypePriority,
+  readJson,
+  readProvenanceSettings,
+} from './src/shared.mjs';
+
+const { version: VERSION } = readJson(new URL('../package.json', import.meta.url));
 
 function usage(message) {
   if (message) process.stderr.write(`${message}\n\n`);
@@ -11,29 +27,84 @@ function usage(message) {
       'Usage:',
       '  node cli/index.mjs --in <path-to-.canvas> [--out <path-to-.json>] [options]',
       '  node cli/index.mjs --import <path-to-file> [--out <path-to-.canvas>]',
+      '  node cli/index.mjs --schema <path-to-file> [--out <path-to-.schema.json>]',
       '',
       'Options:',
       '  --import              Auto-detect and import JSON/JSONL to Canvas (unified command)',
+      '  --import-depth <n>    With --import, lay out nested objects and arrays of objects as sub-cards <n> levels deep,',
+      '                        deeper values as ```json blocks (default: 3, 0 for no sub-cards, at most 6)',
+      '  --schema              Infer a JSON Schema from a .pure.json export or a JSON/JSONL data file',
+      '  --format <format>     Output format: json (default), markdown (outline: groups as headings, edges as bullets),',
+      '                        mermaid (flowchart) or dot (Graphviz); groups become subgraphs/clusters,',
+      '                        jsonld or ntriples (RDF: nodes as subjects, edge labels as predicates, groups as partOf)',
+      '  --base-iri <iri>      Base IRI for jsonld/ntriples (default: https://example.org/canvas/)',
+      '  --reading-order <order>           Spatial reading order: row-ltr (default), row-rtl, column-ttb, column-btt',
+      '  --align-tolerance <px>            Treat nodes within <px> of each other as one row/column (default: 0)',
+      '  --node-sort <spec>    Node sort keys in order, e.g. color,type,content or flow,position:desc',
+      '                        Keys: flow, position, type, color, content (default: all, in that order)',
+      '  --edge-sort <spec>    Edge sort keys in order, e.g. flow,position,direction,label,sides,color',
+      '                        Keys: flow, position, direction, label, sides, color, id (default: flow,position,color,id)',
+      '  --type-priority <map> Type order for the type key, e.g. file=0,text=1,link=2 (default: link=1)',
+      '  --locale <tag>        Collation locale for text, colors and edge ids (default: en)',
+      '  --natural-sort        Compare numbers in text by value ("Step 2" before "Step 10")',
+      '  --case-first <case>   upper or lower: which case sorts first when text otherwise matches',
+      '  --ignore-case         Compare text case-insensitively (code point order breaks ties)',
+      '  --ignore-diacritics   Compare text ignoring accents (code point order breaks ties)',
       '  --color-nodes         Enable color-based node sorting (default: true)',
       '  --no-color-nodes      Disable color-based node sorting',
       '  --color-edges         Enable color-based edge sorting (default: true)',
       '  --no-color-edges      Disable color-based edge sorting',
+      '  --color-order <list>  Rank colors for color sorting, e.g. red,orange,yellow,#336699,none',
       '  --flow-sort           Enable directional flow topology sorting (default: false)',
       '  --no-flow-sort        Disable flow topology sorting',
+      '  --mark-cycles         With --flow-sort, tag nodes in a flow cycle with flowCycle: <entry node id>',
       '  --strip-metadata      Strip Canvas metadata to export pure data structure',
       '  --strip-edges-when-flow-sorted    Strip edges from pure JSON when flow-sorted (default: true)',
       '  --no-strip-edges-when-flow-sorted Preserve edges even when flow-sorted',
+      '  --edge-folding <mode> With --strip-metadata, where edges go: labeled (default: labeled edges into node from/to),',
+      '                        keep (all in edges), all (all into from/to), outgoing (all into the source\'s to only),',
+      '                        adjacency (an adjacency map keyed by source node id); arrowheads decide the direction',
+      '  --embed-canvases <depth>          With --strip-metadata, inline linked .canvas files as children up to <depth> levels',
+      '  --inline-notes        With --strip-metadata, inline the notes file nodes point at: frontmatter and content',
+      '  --note-char-limit <n> With --inline-notes, cut note content after <n> characters, 0 for no limit (default: 4000)',
+      '  --whole-notes         With --inline-notes, inline whole notes even for #heading/#^block subpaths',
+      '  --vault-root <dir>    Resolve file nodes for --embed-canvases/--inline-notes here (default: the input\'s folder)',
+      '  --structured-text     With --strip-metadata, parse **key**: value lines, ```json blocks and lists in text',
+      '                        nodes into data; groups of key/value cards become one record',
+      '  --nested              With --strip-metadata, nest group members under their group as children',
+      '  --flow-sequences      With --nested, wrap flow chains inside a group as { sequence: [...] }',
+      '  --group-parents       With --strip-metadata but not --nested, give groups inside groups their parent\'s id',
+      '  --preset-colors <mode>            With --strip-metadata, colors 1-6: drop (default), name, meaning',
+      '  --color-meanings <map>            Color taxonomy for --preset-colors meaning, e.g. red=urgent,green=done',
       '  --group-orphan-nodes              Group orphan nodes at top and sort semantically (default: false)',
       '  --no-group-orphan-nodes           Sort orphan nodes spatially (default behavior)',
+      '  --containment <mode>  Group containment: strict (default), center, overlap',
+      '  --containment-overlap <ratio>     Minimum overlap ratio for --containment overlap (default: 0.5)',
+      '  --containment-tie-break <rule>    Overlapping groups: smallest-area (default), largest-overlap, nearest-center',
+      '  --grid <px>           Snap node positions to a <px> grid (skipped if it would change groups)',
+      '  --snap-sizes          With --grid, snap node widths and heights too',
+      '  --rebase-origin       Move the canvas so its top-left corner sits at 0,0',
+      '  --origin <x,y>        Rebase to this point instead of 0,0 (implies --rebase-origin)',
+      '  --provenance          Start JSON output with a provenance block: version, effective settings, source path and hash',
+      '  --settings-from <file>            Compile with the settings recorded in an earlier output\'s provenance block',
+      '  --check               Write nothing; exit 1 unless the output is what compiling now would write. Uses the',
+      '                        settings recorded in the output\'s provenance block when it has one',
+      '  --canonical-keys      Write node/edge keys in canonical order (id, type, content, x, y, width, height, color, rest A-Z)',
+      '  --repair              Repair invalid input: generate missing ids, rename duplicates, fill in missing node types,',
+      '                        drop dangling edges',
+      '  --no-repair           Report every problem and fail without writing output (default)',
       '',
       'Behavior:',
       '  - Reads a JSON Canvas 1.0 file (.canvas), JSON file (.json), or JSONL file (.jsonl)',
       '  - With --import: auto-detects file type and creates Canvas with enhanced coloring',
+      '  - With --import on a .pure.json export: rebuilds the original nodes, ids and labeled edges',
+      '  - With --schema: writes <input-stem>.schema.json (node shapes, edge refs, enums, examples, required keys)',
       '  - Without import flags: compiles to semantic JSON via visuospatial encoding',
       '  - Encodes 4 visual dimensions: position, containment, color, directionality',
-      '  - Outputs to specified path or <input-stem>.json/.canvas in same directory',
+      '  - Outputs to specified path or <input-stem>.json/.md/.mmd/.dot/.jsonld/.nt/.canvas in same directory',
       '  - With --strip-metadata: removes spatial/visual fields, exports pure data artifact',
       '  - With --flow-sort + --strip-edges-when-flow-sorted: edges compiled into sequence order and stripped',
+      '  - Invalid input is reported in full (code, severity, node/edge) on stderr; --repair fixes it instead',
       '',
       'Enhanced Features:',
       '  - Rainbow gradient coloring for JSONL grid layouts',
@@ -50,14 +121,53 @@ function usage(message) {
   );
 }
 
+function oneOf(flag, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new Error(`${flag} expects one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+function parseSpec(flag, value, parse) {
+  try {
+    return parse(String(value ?? ''));
+  } catch (e) {
+    throw new Error(`${flag}: ${e.message}`);
+  }
+}
+
 function parseArgs(argv) {
   const args = {
     colorNodes: true,
     colorEdges: true,
     flowSort: false,
+    markCycles: false,
     stripMetadata: false,
     stripEdgesWhenFlowSorted: true,
     groupOrphanNodes: false,
+    repair: false,
+    canonicalKeys: false,
+    provenance: false,
+    check: false,
+    nested: false,
+    flowSequences: false,
+    groupParents: false,
+    snapSizes: false,
+    rebaseOrigin: false,
+    containment: 'strict',
+    containmentOverlap: 0.5,
+    containmentTieBreak: 'smallest-area',
+    readingOrder: 'row-ltr',
+    alignmentTolerance: 0,
+    collation: {},
+    presetColors: 'drop',
+    edgeFolding: 'labeled',
+    inlineNotes: false,
+    noteCharLimit: 4000,
+    noteSections: true,
+    structuredText: false,
+    importDepth: 3,
+    format: 'json',
   };
 
   for (let i = 0; i < argv.length; i++) {
@@ -70,10 +180,28 @@ function parseArgs(argv) {
       args.import = argv[++i];
       continue;
     }
+    if (a === '--import-depth') {
+      const depth = Number(argv[++i]);
+      if (!Number.isInteger(depth) || depth < 0 || depth > 6) throw new Error(`${a} expects a whole number of levels from 0 to 6`);
+      args.importDepth = depth;
+      continue;
+    }
+    if (a === '--schema') {
+      args.schema = argv[++i];
+      continue;
+    }
     if (a === '--out') {
       args.out = argv[++i];
       continue;
     }
+    if (a === '--base-iri') {
+      args.baseIri = parseSpec(a, argv[++i], parseBaseIri);
+      continue;
+    }
+    if (a === '--format') {
+      args.format = oneOf(a, argv[++i], Object.keys(OUTPUT_EXTENSIONS));
+      continue;
+    }
     if (a === '--color-nodes') {
       args.colorNodes = true;
       continue;
@@ -98,6 +226,66 @@ function parseArgs(argv) {
       args.flowSort = false;
       continue;
     }
+    if (a === '--mark-cycles') {
+      args.markCycles = true;
+      continue;
+    }
+    if (a === '--color-order') {
+      args.colorOrder = parseSpec(a, argv[++i], parseColorOrder);
+      continue;
+    }
+    if (a === '--edge-folding') {
+      args.edgeFolding = oneOf(a, argv[++i], ['labeled', 'keep', 'all', 'outgoing', 'adjacency']);
+      continue;
+    }
+    if (a === '--embed-canvases') {
+      const depth = Number(argv[++i]);
+      if (!Number.isInteger(depth) || depth < 1) throw new Error(`${a} expects a positive whole number of levels`);
+      args.embedCanvasDepth = depth;
+      continue;
+    }
+    if (a === '--inline-notes') {
+      args.inlineNotes = true;
+      continue;
+    }
+    if (a === '--note-char-limit') {
+      const chars = Number(argv[++i]);
+      if (!Number.isInteger(chars) || chars < 0) throw new Error(`${a} expects a whole number of characters (0 for no limit)`);
+      args.noteCharLimit = chars;
+      continue;
+    }
+    if (a === '--whole-notes') {
+      args.noteSections = false;
+      continue;
+    }
+    if (a === '--vault-root') {
+      args.vaultRoot = argv[++i];
+      continue;
+    }
+    if (a === '--structured-text') {
+      args.structuredText = true;
+      continue;
+    }
+    if (a === '--nested') {
+      args.nested = true;
+      continue;
+    }
+    if (a === '--flow-sequences') {
+      args.flowSequences = true;
+      continue;
+    }
+    if (a === '--group-parents') {
+      args.groupParents = true;
+      continue;
+    }
+    if (a === '--preset-colors') {
+      args.presetColors = oneOf(a, argv[++i], ['drop', 'name', 'meaning']);
+      continue;
+    }
+    if (a === '--color-meanings') {
+      args.colorMeanings = parseSpec(a, argv[++i], parseColorMeanings);
+      continue;
+    }
     if (a === '--strip-metadata') {
       args.stripMetadata = true;
       continue;
@@ -118,6 +306,109 @@ function parseArgs(argv) {
       args.groupOrphanNodes = false;
       continue;
     }
+    if (a === '--containment') {
+      args.containment = oneOf(a, argv[++i], ['strict', 'center', 'overlap']);
+      continue;
+    }
+    if (a === '--containment-overlap') {
+      const ratio = Number(argv[++i]);
+      if (!(ratio > 0 && ratio <= 1)) throw new Error(`${a} expects a ratio in (0, 1]`);
+      args.containmentOverlap = ratio;
+      continue;
+    }
+    if (a === '--containment-tie-break') {
+      args.containmentTieBreak = oneOf(a, argv[++i], ['smallest-area', 'largest-overlap', 'nearest-center']);
+      continue;
+    }
+    if (a === '--reading-order') {
+      args.readingOrder = oneOf(a, argv[++i], ['row-ltr', 'row-rtl', 'column-ttb', 'column-btt']);
+      continue;
+    }
+    if (a === '--align-tolerance') {
+      const px = Number(argv[++i]);
+      if (!(px >= 0)) throw new Error(`${a} expects a non-negative number of pixels`);
+      args.alignmentTolerance = px;
+      continue;
+    }
+    if (a === '--node-sort') {
+      args.nodeSort = parseSpec(a, argv[++i], parseNodeSortSpec);
+      continue;
+    }
+    if (a === '--edge-sort') {
+      args.edgeSort = parseSpec(a, argv[++i], parseEdgeSortSpec);
+      continue;
+    }
+    if (a === '--type-priority') {
+      args.typePriority = parseSpec(a, argv[++i], parseTypePriority);
+      continue;
+    }
+    if (a === '--locale') {
+      args.collation.locale = parseSpec(a, argv[++i], (locale) => {
+        const problem = collationLocaleProblem(locale);
+        if (problem) throw new Error(problem);
+        return locale;
+      });
+      continue;
+    }
+    if (a === '--natural-sort') {
+      args.collation.numeric = true;
+      continue;
+    }
+    if (a === '--case-first') {
+      args.collation.caseFirst = oneOf(a, argv[++i], ['upper', 'lower']);
+      continue;
+    }
+    if (a === '--ignore-case') {
+      args.collation.ignoreCase = true;
+      continue;
+    }
+    if (a === '--ignore-diacritics') {
+      args.collation.ignoreDiacritics = true;
+      continue;
+    }
+    if (a === '--grid') {
+      const px = Number(argv[++i]);
+      if (!(px > 0)) throw new Error(`${a} expects a positive number of pixels`);
+      args.gridSize = px;
+      continue;
+    }
+    if (a === '--snap-sizes') {
+      args.snapSizes = true;
+      continue;
+    }
+    if (a === '--rebase-origin') {
+      args.rebaseOrigin = true;
+      continue;
+    }
+    if (a === '--origin') {
+      args.origin = parseSpec(a, argv[++i], parseOrigin);
+      args.rebaseOrigin = true;
+      continue;
+    }
+    if (a === '--provenance') {
+      args.provenance = true;
+      continue;
+    }
+    if (a === '--settings-from') {
+      args.settingsFrom = argv[++i];
+      continue;
+    }
+    if (a === '--check') {
+      args.check = true;
+      continue;
+    }
+    if (a === '--canonical-keys') {
+      args.canonicalKeys = true;
+      continue;
+    }
+    if (a === '--repair') {
+      args.repair = true;
+      continue;
+    }
+    if (a === '--no-repair') {
+      args.repair = false;
+      continue;
+    }
     if (a === '--help' || a === '-h') {
       args.help = true;
       continue;
@@ -150,7 +441,7 @@ async function main() {
       return;
     }
     try {
-      const res = importFile({ inPath: importPath, outPath: args.out });
+      const res = importFile({ inPath: importPath, outPath: args.out, maxDepth: args.importDepth });
       process.stdout.write(JSON.stringify(res, null, 2) + '\n');
       return;
     } catch (error) {
@@ -160,27 +451,99 @@ async function main() {
     }
   }
 
+  // Schema mode: --schema
+  if (args.schema !== undefined) {
+    const schemaPath = String(args.schema ?? '').trim();
+    if (!schemaPath) {
+      usage('missing value for --schema');
+      process.exit(2);
+      return;
+    }
+    try {
+      const res = generateSchemaFile({ inPath: schemaPath, outPath: args.out });
+      process.stdout.write(JSON.stringify(res, null, 2) + '\n');
+      return;
+    } catch (error) {
+      process.stderr.write(`Schema generation failed: ${error.message}\n`);
+      process.exit(1);
+      return;
+    }
+  }
+
   // Compile mode: --in
   const inPath = String(args.in ?? '').trim();
   if (!inPath) {
-    usage('missing required --in or --import');
+    usage('missing required --in, --import or --schema');
     process.exit(2);
     return;
   }
 
-  const settings = {
+  let settings = {
     colorSortNodes: args.colorNodes,
     colorSortEdges: args.colorEdges,
     flowSortNodes: args.flowSort,
+    markFlowCycles: args.markCycles,
     stripMetadata: args.stripMetadata,
     flowSort: args.flowSort,
     stripEdgesWhenFlowSorted: args.stripEdgesWhenFlowSorted,
     semanticSortOrphans: args.groupOrphanNodes,
+    repair: args.repair,
+    canonicalKeyOrder: args.canonicalKeys,
+    provenance: args.provenance,
+    gridSize: args.gridSize,
+    snapSizes: args.snapSizes,
+    rebaseOrigin: args.rebaseOrigin,
+    origin: args.origin,
+    containment: args.containment,
+    containmentOverlap: args.containmentOverlap,
+    containmentTieBreak: args.containmentTieBreak,
+    readingOrder: args.readingOrder,
+    alignmentTolerance: args.alignmentTolerance,
+    nodeSort: args.nodeSort,
+    edgeSort: args.edgeSort,
+    typePriority: args.typePriority,
+    collation: args.collation,
+    colorOrder: args.colorOrder,
+    presetColors: args.presetColors,
+    edgeFolding: args.edgeFolding,
+    embedCanvasDepth: args.embedCanvasDepth,
+    inlineNotes: args.inlineNotes,
+    noteCharLimit: args.noteCharLimit,
+    noteSections: args.noteSections,
+    structuredText: args.structuredText,
+    nestedExport: args.nested,
+    flowSequences: args.flowSequences,
+    groupParents: args.groupParents,
+    colorMeanings: args.colorMeanings,
+    baseIri: args.baseIri,
   };
 
   try {
-    const res = compileCanvasFile({ inPath, outPath: args.out, settings });
+    // Reproduce an earlier output: its recorded settings replace the options above
+    if (args.settingsFrom !== undefined) {
+      const settingsPath = String(args.settingsFrom ?? '').trim();
+      const recorded = settingsPath ? readProvenanceSettings(readJson(path.resolve(settingsPath))) : null;
+      if (!recorded) throw new Error(`no provenance settings in ${settingsPath || '(missing path)'}`);
+      settings = recorded;
+    }
+
+    const res = compileCanvasFile({
+      inPath,
+      outPath: args.out,
+      settings,
+      format: args.format,
+      vaultRoot: args.vaultRoot,
+      version: VERSION,
+      check: args.check,
+    });
+    if (res.diagnostics) {
+      process.stderr.write(`${formatDiagnostics(res.diagnostics)}\n`);
+    }
     process.stdout.write(JSON.stringify(res, null, 2) + '\n');
+    if (args.check && !res.upToDate) {
+      process.stderr.write(`Out of date: ${res.outPath}\n`);
+      process.exit(1);
+    }
   } catch (error) {
     process.stderr.write(`Compilation failed: ${error.message}\n`);
     process.exit(1);
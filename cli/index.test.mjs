@@ -5,14 +5,16 @@ import fs from 'node:fs';
 import os from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { hashToHex } from './src/shared.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const REPO_ROOT = path.join(__dirname, '..');
 
-function runCLI(args) {
+function runCLI(args, env = {}) {
   const result = spawnSync('node', ['cli/index.mjs', ...args], {
     encoding: 'utf8',
     cwd: REPO_ROOT,
+    env: { ...process.env, ...env },
   });
   return {
     stdout: result.stdout || '',
@@ -128,3 +130,731 @@ test('CLI: export (strip-metadata) matches golden', () => {
   }
 });
 
+test('CLI: compile reports every problem, --repair writes a repaired canvas', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'broken.canvas');
+  const outPath = path.join(tempDir, 'out.json');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'a', type: 'text', text: 'a', x: 0, y: 0, width: 100, height: 60 },
+          { id: 'a', type: 'text', text: 'b', x: 0, y: 80, width: 100, height: 60 },
+        ],
+        edges: [{ id: 'e1', fromNode: 'a', toNode: 'ghost' }],
+      }),
+    );
+
+    const failed = runCLI(['--in', inPath, '--out', outPath]);
+    assert.equal(failed.exitCode, 1);
+    assert.ok(failed.stderr.includes('[duplicate-node-id]'), failed.stderr);
+    assert.ok(failed.stderr.includes('[dangling-to-node]'), failed.stderr);
+    assert.ok(!fs.existsSync(outPath));
+
+    const repaired = runCLI(['--in', inPath, '--out', outPath, '--repair']);
+    assert.equal(repaired.exitCode, 0, repaired.stderr);
+    assert.ok(repaired.stderr.includes('repaired: renamed to a-2'), repaired.stderr);
+    const out = JSON.parse(readUtf8(outPath));
+    assert.deepEqual(out.nodes.map((n) => n.id).sort(), ['a', 'a-2']);
+    assert.deepEqual(out.edges, []);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: nodes without a type block compilation until --repair fills it in', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'untyped.canvas');
+  const outPath = path.join(tempDir, 'out.json');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'note', text: 'no type', x: 0, y: 0, width: 100, height: 60 },
+          { id: 'box', type: 7, label: 'Box', x: -20, y: -60, width: 300, height: 200 },
+        ],
+        edges: [],
+      }),
+    );
+
+    const failed = runCLI(['--in', inPath, '--out', outPath]);
+    assert.equal(failed.exitCode, 1);
+    assert.ok(failed.stderr.includes('error [node-missing-type] node note missing type'), failed.stderr);
+    assert.ok(failed.stderr.includes('error [node-missing-type] node box missing type'), failed.stderr);
+    assert.ok(!fs.existsSync(outPath));
+
+    const repaired = runCLI(['--in', inPath, '--out', outPath, '--repair']);
+    assert.equal(repaired.exitCode, 0, repaired.stderr);
+    assert.ok(repaired.stderr.includes('repaired: set type to text'), repaired.stderr);
+    const out = JSON.parse(readUtf8(outPath));
+    assert.deepEqual(out.nodes.map((n) => [n.id, n.type]), [['box', 'group'], ['note', 'text']]);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --reading-order sorts columns and rejects unknown orders', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'grid.canvas');
+  const outPath = path.join(tempDir, 'out.json');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'b', type: 'text', text: 'b', x: 200, y: 0, width: 100, height: 60 },
+          { id: 'c', type: 'text', text: 'c', x: 0, y: 200, width: 100, height: 60 },
+          { id: 'a', type: 'text', text: 'a', x: 0, y: 0, width: 100, height: 60 },
+        ],
+        edges: [],
+      }),
+    );
+
+    const res = runCLI(['--in', inPath, '--out', outPath, '--reading-order', 'column-ttb']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.deepEqual(JSON.parse(readUtf8(outPath)).nodes.map((n) => n.id), ['a', 'c', 'b']);
+
+    const bad = runCLI(['--in', inPath, '--reading-order', 'diagonal']);
+    assert.equal(bad.exitCode, 2);
+    assert.ok(bad.stderr.includes('--reading-order expects one of'), bad.stderr);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --node-sort and --type-priority reorder nodes', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'inventory.canvas');
+  const outPath = path.join(tempDir, 'out.json');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'l', type: 'link', url: 'https://example.com', x: 0, y: 0, width: 100, height: 60 },
+          { id: 't', type: 'text', text: 't', x: 0, y: 100, width: 100, height: 60, color: '1' },
+          { id: 'f', type: 'file', file: 'a.md', x: 0, y: 200, width: 100, height: 60 },
+        ],
+        edges: [],
+      }),
+    );
+
+    const res = runCLI(['--in', inPath, '--out', outPath, '--node-sort', 'type,position', '--type-priority', 'file=0,text=1,link=2']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.deepEqual(JSON.parse(readUtf8(outPath)).nodes.map((n) => n.id), ['f', 't', 'l']);
+
+    const bad = runCLI(['--in', inPath, '--node-sort', 'type,colour']);
+    assert.equal(bad.exitCode, 2);
+    assert.ok(bad.stderr.includes('--node-sort: unknown sort key "colour"'), bad.stderr);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: collation is pinned regardless of the machine locale', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'letters.canvas');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: ['z', 'ä', 'a'].map((text, i) => ({ id: `n${i}`, type: 'text', text, x: 0, y: 0, width: 100, height: 60 })),
+        edges: [],
+      }),
+    );
+
+    const outputs = ['en_US.UTF-8', 'sv_SE.UTF-8'].map((locale) => {
+      const outPath = path.join(tempDir, `${locale}.json`);
+      const res = runCLI(['--in', inPath, '--out', outPath], { LC_ALL: locale, LANG: locale });
+      assert.equal(res.exitCode, 0, res.stderr);
+      return readUtf8(outPath);
+    });
+    assert.equal(outputs[1], outputs[0]);
+    assert.deepEqual(JSON.parse(outputs[0]).nodes.map((n) => n.text), ['a', 'ä', 'z']);
+
+    const swedish = path.join(tempDir, 'sv.json');
+    const res = runCLI(['--in', inPath, '--out', swedish, '--locale', 'sv']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.deepEqual(JSON.parse(readUtf8(swedish)).nodes.map((n) => n.text), ['a', 'z', 'ä']);
+
+    const bad = runCLI(['--in', inPath, '--locale', 'not a locale!']);
+    assert.equal(bad.exitCode, 2);
+    assert.ok(bad.stderr.includes('--locale: invalid collation locale'), bad.stderr);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --color-order ranks colors and --preset-colors names them on export', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'palette.canvas');
+  const outPath = path.join(tempDir, 'out.json');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'r', type: 'text', text: 'r', x: 0, y: 0, width: 100, height: 60, color: '1' },
+          { id: 'g', type: 'text', text: 'g', x: 0, y: 0, width: 100, height: 60, color: '4' },
+        ],
+        edges: [],
+      }),
+    );
+
+    const res = runCLI([
+      '--in', inPath, '--out', outPath, '--strip-metadata',
+      '--color-order', 'green,red', '--preset-colors', 'meaning', '--color-meanings', 'red=urgent',
+    ]);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.deepEqual(JSON.parse(readUtf8(outPath)).nodes, [
+      { id: 'g', type: 'text', text: 'g', color: 'green' },
+      { id: 'r', type: 'text', text: 'r', color: 'red', colorMeaning: 'urgent' },
+    ]);
+
+    const bad = runCLI(['--in', inPath, '--color-order', 'green,teal']);
+    assert.equal(bad.exitCode, 2);
+    assert.ok(bad.stderr.includes('--color-order: unknown color "teal"'), bad.stderr);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --canonical-keys writes the same bytes whatever the input key order', () => {
+  const tempDir = mkTempDir();
+
+  try {
+    const variants = [
+      { id: 'a', type: 'text', text: 'a', x: 0, y: 0, width: 100, height: 60, color: '2' },
+      { color: '2', height: 60, width: 100, y: 0, x: 0, text: 'a', type: 'text', id: 'a' },
+    ].map((node, i) => {
+      const inPath = path.join(tempDir, `in-${i}.canvas`);
+      const outPath = path.join(tempDir, `out-${i}.json`);
+      fs.writeFileSync(inPath, JSON.stringify({ nodes: [node], edges: [] }));
+      const res = runCLI(['--in', inPath, '--out', outPath, '--canonical-keys']);
+      assert.equal(res.exitCode, 0, res.stderr);
+      return readUtf8(outPath);
+    });
+    assert.equal(variants[1], variants[0]);
+    assert.deepEqual(Object.keys(JSON.parse(variants[0]).nodes[0]), ['id', 'type', 'text', 'x', 'y', 'width', 'height', 'color']);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --provenance records settings that --settings-from and --check reuse', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'board.canvas');
+  const outPath = path.join(tempDir, 'board.pure.json');
+  const copyPath = path.join(tempDir, 'copy.json');
+  const source = JSON.stringify({
+    nodes: [
+      { id: 'b', type: 'text', text: 'b', x: 300, y: 0, width: 100, height: 60 },
+      { id: 'a', type: 'text', text: 'a', x: 0, y: 0, width: 100, height: 60 },
+    ],
+    edges: [{ id: 'e', fromNode: 'b', toNode: 'a' }],
+  });
+  const { version } = JSON.parse(readUtf8(path.join(REPO_ROOT, 'package.json')));
+
+  try {
+    fs.writeFileSync(inPath, source);
+    let res = runCLI(['--in', inPath, '--out', outPath, '--strip-metadata', '--flow-sort', '--provenance']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    const written = readUtf8(outPath);
+    const { provenance, nodes } = JSON.parse(written);
+    assert.equal(provenance.version, version);
+    assert.equal(provenance.source, 'board.canvas');
+    assert.equal(provenance.sourceHash, hashToHex(source));
+    assert.equal(provenance.settings.flowSortNodes, true);
+    assert.equal(provenance.settings.stripMetadata, true);
+    assert.deepEqual(JSON.parse(res.stdout).provenance, provenance);
+    assert.deepEqual(nodes.map(node => node.id), ['b', 'a']);
+
+    // Without any sorting flags the recorded settings reproduce the same bytes
+    res = runCLI(['--in', inPath, '--out', copyPath, '--settings-from', outPath]);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.equal(readUtf8(copyPath), written);
+
+    res = runCLI(['--in', inPath, '--out', outPath, '--check']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.equal(JSON.parse(res.stdout).upToDate, true);
+    assert.equal(readUtf8(outPath), written);
+
+    fs.writeFileSync(inPath, source.replace('"text":"b"', '"text":"c"'));
+    res = runCLI(['--in', inPath, '--out', outPath, '--check']);
+    assert.equal(res.exitCode, 1);
+    assert.match(res.stderr, /Out of date: /);
+    assert.equal(readUtf8(outPath), written);
+
+    res = runCLI(['--in', inPath, '--settings-from', inPath]);
+    assert.equal(res.exitCode, 1);
+    assert.match(res.stderr, /no provenance settings in /);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --edge-sort reorders parallel edges', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'parallel.canvas');
+  const outPath = path.join(tempDir, 'out.json');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'a', type: 'text', text: 'a', x: 0, y: 0, width: 100, height: 60 },
+          { id: 'b', type: 'text', text: 'b', x: 0, y: 200, width: 100, height: 60 },
+        ],
+        edges: [
+          { id: 'e1', fromNode: 'a', toNode: 'b', toEnd: 'none' },
+          { id: 'e2', fromNode: 'a', toNode: 'b', label: 'z' },
+          { id: 'e3', fromNode: 'a', toNode: 'b', label: 'y' },
+        ],
+      }),
+    );
+
+    const res = runCLI(['--in', inPath, '--out', outPath, '--edge-sort', 'direction,label']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.deepEqual(JSON.parse(readUtf8(outPath)).edges.map((e) => e.id), ['e3', 'e2', 'e1']);
+
+    const bad = runCLI(['--in', inPath, '--edge-sort', 'weight']);
+    assert.equal(bad.exitCode, 2);
+    assert.ok(bad.stderr.includes('--edge-sort: unknown sort key "weight"'), bad.stderr);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --embed-canvases inlines linked canvases in pure JSON', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'overview.canvas');
+  const outPath = path.join(tempDir, 'overview.pure.json');
+
+  try {
+    fs.mkdirSync(path.join(tempDir, 'systems'));
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [{ id: 'auth', type: 'file', file: 'systems/auth.canvas', x: 0, y: 0, width: 100, height: 60 }],
+        edges: [],
+      }),
+    );
+    fs.writeFileSync(
+      path.join(tempDir, 'systems', 'auth.canvas'),
+      JSON.stringify({
+        nodes: [
+          { id: 'login', type: 'text', text: 'login', x: 0, y: 0, width: 100, height: 60 },
+          { id: 'up', type: 'file', file: 'overview.canvas', x: 0, y: 100, width: 100, height: 60 },
+        ],
+        edges: [],
+      }),
+    );
+
+    const res = runCLI(['--in', inPath, '--out', outPath, '--strip-metadata', '--embed-canvases', '3']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.deepEqual(JSON.parse(readUtf8(outPath)).nodes, [
+      {
+        id: 'auth',
+        type: 'file',
+        file: 'systems/auth.canvas',
+        children: {
+          nodes: [
+            { id: 'login', type: 'text', text: 'login' },
+            { id: 'up', type: 'file', file: 'overview.canvas', embedSkipped: 'cycle' },
+          ],
+          edges: [],
+        },
+      },
+    ]);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --nested --flow-sequences nests pure JSON by group and flow', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'plan.canvas');
+  const outPath = path.join(tempDir, 'plan.pure.json');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'phase', type: 'group', label: 'Phase 1', x: 0, y: 0, width: 600, height: 300 },
+          { id: 'draft', type: 'text', text: 'draft', x: 20, y: 20, width: 100, height: 60 },
+          { id: 'review', type: 'text', text: 'review', x: 200, y: 20, width: 100, height: 60 },
+          { id: 'notes', type: 'text', text: 'notes', x: 20, y: 200, width: 100, height: 60 },
+        ],
+        edges: [{ id: 'e1', fromNode: 'draft', toNode: 'review', label: 'then' }],
+      }),
+    );
+
+    const res = runCLI([
+      '--in', inPath, '--out', outPath, '--flow-sort', '--strip-metadata', '--nested', '--flow-sequences',
+    ]);
+    assert.equal(res.exitCode, 0, res.stderr);
+    const [phase] = JSON.parse(readUtf8(outPath)).nodes;
+    assert.equal(phase.id, 'phase');
+    assert.deepEqual(
+      phase.children.map((item) => (item.sequence ? item.sequence.map((n) => n.id) : item.id)),
+      [['draft', 'review'], 'notes'],
+    );
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --group-parents records the parent of nested groups in flat pure JSON', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'plan.canvas');
+  const outPath = path.join(tempDir, 'plan.pure.json');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'outer', type: 'group', label: 'Outer', x: 0, y: 0, width: 600, height: 400 },
+          { id: 'inner', type: 'group', label: 'Inner', x: 20, y: 40, width: 300, height: 200 },
+          { id: 'task', type: 'text', text: 'task', x: 40, y: 80, width: 100, height: 60 },
+        ],
+        edges: [],
+      }),
+    );
+
+    let res = runCLI(['--in', inPath, '--out', outPath, '--strip-metadata']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.ok(JSON.parse(readUtf8(outPath)).nodes.every((n) => !('parent' in n)));
+
+    res = runCLI(['--in', inPath, '--out', outPath, '--strip-metadata', '--group-parents']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.deepEqual(JSON.parse(readUtf8(outPath)).nodes.map((n) => [n.id, n.parent]), [
+      ['outer', undefined],
+      ['inner', 'outer'],
+      ['task', undefined],
+    ]);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --grid, --snap-sizes and --origin place nodes on the grid from the given origin', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'plan.canvas');
+  const outPath = path.join(tempDir, 'plan.out.canvas');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [{ id: 'a', type: 'text', text: 'a', x: 503.2, y: 298.9, width: 151.5, height: 58.7 }],
+        edges: [],
+      }),
+    );
+
+    let res = runCLI(['--in', inPath, '--out', outPath, '--grid', '20', '--origin', '40,-20']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    const [placed] = JSON.parse(readUtf8(outPath)).nodes;
+    assert.deepEqual([placed.x, placed.y, placed.width, placed.height], [40, -20, 151.5, 58.7]);
+
+    res = runCLI(['--in', inPath, '--out', outPath, '--grid', '20', '--snap-sizes']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    const [snapped] = JSON.parse(readUtf8(outPath)).nodes;
+    assert.deepEqual([snapped.x, snapped.y, snapped.width, snapped.height], [500, 300, 160, 60]);
+
+    res = runCLI(['--in', inPath, '--out', outPath, '--origin', '40']);
+    assert.equal(res.exitCode, 2);
+    assert.match(res.stderr, /--origin: invalid origin "40"/);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --format markdown writes an outline in compiled order', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'plan.canvas');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'later', type: 'text', text: 'later', x: 0, y: 400, width: 100, height: 60 },
+          { id: 'phase', type: 'group', label: 'Phase 1', x: 0, y: 0, width: 600, height: 300 },
+          { id: 'review', type: 'text', text: 'review', x: 200, y: 20, width: 100, height: 60 },
+          { id: 'draft', type: 'text', text: 'draft', x: 20, y: 20, width: 100, height: 60 },
+        ],
+        edges: [{ id: 'e1', fromNode: 'draft', toNode: 'review', label: 'then' }],
+      }),
+    );
+
+    const res = runCLI(['--in', inPath, '--format', 'markdown']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.equal(
+      readUtf8(path.join(tempDir, 'plan.md')),
+      'later\n\n# Phase 1\n\ndraft\n\n- → then: review\n\nreview\n',
+    );
+
+    const bad = runCLI(['--in', inPath, '--format', 'html']);
+    assert.notEqual(bad.exitCode, 0);
+    assert.match(bad.stderr, /--format expects one of: json, markdown, mermaid, dot, jsonld, ntriples/);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --format mermaid and dot write diagrams next to the input', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'flow.canvas');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'a', type: 'text', text: 'start', x: 0, y: 0, width: 100, height: 60 },
+          { id: 'b', type: 'text', text: 'end', x: 200, y: 0, width: 100, height: 60 },
+        ],
+        edges: [{ id: 'e1', fromNode: 'a', toNode: 'b', label: 'go' }],
+      }),
+    );
+
+    assert.equal(runCLI(['--in', inPath, '--format', 'mermaid']).exitCode, 0);
+    assert.equal(
+      readUtf8(path.join(tempDir, 'flow.mmd')),
+      'flowchart TB\n  n_a["start"]\n  n_b["end"]\n  n_a -->|"go"| n_b\n',
+    );
+
+    assert.equal(runCLI(['--in', inPath, '--format', 'dot']).exitCode, 0);
+    assert.match(readUtf8(path.join(tempDir, 'flow.dot')), /^ {2}"a" -> "b" \[label="go"\];$/m);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --format jsonld and ntriples use --base-iri', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'kb.canvas');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'concept::cause::a1', type: 'text', text: 'cause', x: 0, y: 0, width: 100, height: 60 },
+          { id: 'concept::effect::b2', type: 'text', text: 'effect', x: 200, y: 0, width: 100, height: 60 },
+        ],
+        edges: [{ id: 'e1', fromNode: 'concept::cause::a1', toNode: 'concept::effect::b2', label: 'leads to' }],
+      }),
+    );
+
+    let res = runCLI(['--in', inPath, '--format', 'jsonld', '--base-iri', 'https://kb.example']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    const doc = JSON.parse(readUtf8(path.join(tempDir, 'kb.jsonld')));
+    assert.equal(doc['@context'].concept, 'https://kb.example/concept/');
+    assert.deepEqual(doc['@graph'][0].leadsTo, { '@id': 'concept:effect/b2' });
+
+    res = runCLI(['--in', inPath, '--format', 'ntriples', '--base-iri', 'urn:kb:']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.match(
+      readUtf8(path.join(tempDir, 'kb.nt')),
+      /^<urn:kb:concept\/cause\/a1> <urn:kb:vocab\/leadsTo> <urn:kb:concept\/effect\/b2> \.$/m,
+    );
+
+    res = runCLI(['--in', inPath, '--format', 'jsonld', '--base-iri', 'kb.example']);
+    assert.notEqual(res.exitCode, 0);
+    assert.match(res.stderr, /--base-iri: invalid base IRI "kb.example"/);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --schema writes <stem>.schema.json for pure exports and data files', () => {
+  const tempDir = mkTempDir();
+  const canvasPath = path.join(tempDir, 'board.canvas');
+  const jsonlPath = path.join(tempDir, 'tasks.jsonl');
+
+  try {
+    fs.writeFileSync(
+      canvasPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'a', type: 'text', text: 'Draft', x: 0, y: 0, width: 100, height: 60, color: '1' },
+          { id: 'b', type: 'text', text: 'Review', x: 200, y: 0, width: 100, height: 60, color: '4' },
+        ],
+        edges: [{ id: 'e1', fromNode: 'a', toNode: 'b', label: 'next' }],
+      }),
+    );
+    let res = runCLI(['--in', canvasPath, '--strip-metadata', '--preset-colors', 'name', '--out', path.join(tempDir, 'board.pure.json')]);
+    assert.equal(res.exitCode, 0, res.stderr);
+
+    res = runCLI(['--schema', path.join(tempDir, 'board.pure.json')]);
+    assert.equal(res.exitCode, 0, res.stderr);
+    const schema = JSON.parse(readUtf8(path.join(tempDir, 'board.pure.schema.json')));
+    assert.equal(schema.$schema, 'https://json-schema.org/draft/2020-12/schema');
+    assert.deepEqual(schema.$defs.textNode.properties.color, { type: 'string', enum: ['green', 'red'] });
+    assert.deepEqual(schema.$defs.edgeRef.properties.label, { type: 'string', enum: ['next'] });
+
+    fs.writeFileSync(jsonlPath, '{"title":"a","state":"open"}\n{"title":"b","state":"open","due":"2024-01-01"}\n');
+    res = runCLI(['--schema', jsonlPath]);
+    assert.equal(res.exitCode, 0, res.stderr);
+    const records = JSON.parse(readUtf8(path.join(tempDir, 'tasks.schema.json')));
+    assert.deepEqual(records.items.required, ['title', 'state']);
+
+    fs.writeFileSync(jsonlPath, '{"title":"a"}\n{oops\n');
+    res = runCLI(['--schema', jsonlPath]);
+    assert.notEqual(res.exitCode, 0);
+    assert.match(res.stderr, /Schema generation failed: Invalid JSON on line 2/);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --edge-folding adjacency writes an adjacency map and rejects unknown modes', () => {
+  const tempDir = mkTempDir();
+  const inPath = path.join(tempDir, 'graph.canvas');
+  const outPath = path.join(tempDir, 'graph.pure.json');
+
+  try {
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'a', type: 'text', text: 'a', x: 0, y: 0, width: 100, height: 60 },
+          { id: 'b', type: 'text', text: 'b', x: 200, y: 0, width: 100, height: 60 },
+        ],
+        edges: [{ id: 'e1', fromNode: 'a', toNode: 'b', fromEnd: 'arrow', toEnd: 'none' }],
+      }),
+    );
+
+    let res = runCLI(['--in', inPath, '--strip-metadata', '--edge-folding', 'adjacency', '--out', outPath]);
+    assert.equal(res.exitCode, 0, res.stderr);
+    const pure = JSON.parse(readUtf8(outPath));
+    assert.deepEqual(pure.adjacency, { a: [], b: [{ node: 'a' }] });
+    assert.deepEqual(pure.edges, []);
+
+    res = runCLI(['--in', inPath, '--strip-metadata', '--edge-folding', 'both']);
+    assert.notEqual(res.exitCode, 0);
+    assert.match(res.stderr, /--edge-folding expects one of: labeled, keep, all, outgoing, adjacency/);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --inline-notes reads notes from --vault-root with sections and size limits', () => {
+  const tempDir = mkTempDir();
+  const vaultRoot = path.join(tempDir, 'vault');
+  const inPath = path.join(tempDir, 'board.canvas');
+  const outPath = path.join(tempDir, 'board.pure.json');
+
+  try {
+    fs.mkdirSync(path.join(vaultRoot, 'notes'), { recursive: true });
+    fs.writeFileSync(
+      path.join(vaultRoot, 'notes', 'spec.md'),
+      '---\nstatus: draft\ntags: [api]\n---\n# Spec\n\n## Scope\nEndpoints only.\n\n## Later\nEverything else.\n',
+    );
+    fs.writeFileSync(
+      inPath,
+      JSON.stringify({
+        nodes: [
+          { id: 'a', type: 'file', file: 'notes/spec.md', subpath: '#Scope', x: 0, y: 0, width: 200, height: 100 },
+          { id: 'b', type: 'file', file: 'notes/missing.md', x: 300, y: 0, width: 200, height: 100 },
+        ],
+        edges: [],
+      }),
+    );
+
+    let res = runCLI(['--in', inPath, '--strip-metadata', '--inline-notes', '--vault-root', vaultRoot, '--out', outPath]);
+    assert.equal(res.exitCode, 0, res.stderr);
+    let [spec, missing] = JSON.parse(readUtf8(outPath)).nodes;
+    assert.deepEqual(spec.frontmatter, { status: 'draft', tags: ['api'] });
+    assert.equal(spec.subpath, '#Scope');
+    assert.equal(spec.content, '## Scope\nEndpoints only.');
+    assert.equal(missing.contentSkipped, 'not-found');
+
+    res = runCLI([
+      '--in', inPath, '--strip-metadata', '--inline-notes', '--whole-notes', '--note-char-limit', '6',
+      '--vault-root', vaultRoot, '--out', outPath,
+    ]);
+    assert.equal(res.exitCode, 0, res.stderr);
+    [spec] = JSON.parse(readUtf8(outPath)).nodes;
+    assert.equal(spec.content, '# Spec');
+    assert.equal(spec.contentTruncated, true);
+
+    res = runCLI(['--in', inPath, '--strip-metadata', '--inline-notes', '--out', outPath]);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.equal(JSON.parse(readUtf8(outPath)).nodes[0].contentSkipped, 'not-found');
+
+    res = runCLI(['--in', inPath, '--note-char-limit', '-1']);
+    assert.notEqual(res.exitCode, 0);
+    assert.match(res.stderr, /--note-char-limit expects a whole number of characters/);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --import-depth limits how deep nested records become sub-cards', () => {
+  const tempDir = mkTempDir();
+  const dataPath = path.join(tempDir, 'people.json');
+  const canvasPath = path.join(tempDir, 'people.canvas');
+  const data = [{ name: 'Ada', lab: { city: 'London', room: { floor: 2 } } }];
+  const groupLabels = () => JSON.parse(readUtf8(canvasPath)).nodes.filter(node => node.type === 'group').map(node => node.label);
+
+  try {
+    fs.writeFileSync(dataPath, JSON.stringify(data));
+    let res = runCLI(['--import', dataPath, '--out', canvasPath]);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.deepEqual(groupLabels(), ['Ada', 'lab', 'room']);
+
+    res = runCLI(['--import', dataPath, '--out', canvasPath, '--import-depth', '1']);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.deepEqual(groupLabels(), ['Ada', 'lab']);
+
+    res = runCLI(['--import', dataPath, '--import-depth', '-1']);
+    assert.notEqual(res.exitCode, 0);
+    assert.match(res.stderr, /--import-depth expects a whole number of levels/);
+
+    res = runCLI(['--import', dataPath, '--import-depth', '7']);
+    assert.notEqual(res.exitCode, 0);
+    assert.match(res.stderr, /--import-depth expects a whole number of levels from 0 to 6/);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
+
+test('CLI: --structured-text exports imported cards as records that import back', () => {
+  const tempDir = mkTempDir();
+  const dataPath = path.join(tempDir, 'people.json');
+  const canvasPath = path.join(tempDir, 'people.canvas');
+  const purePath = path.join(tempDir, 'people.pure.json');
+  const data = [{ name: 'Ada', born: 1815, tags: ['math'] }, { name: 'Alan', born: 1912 }];
+
+  try {
+    fs.writeFileSync(dataPath, JSON.stringify(data));
+    let res = runCLI(['--import', dataPath, '--out', canvasPath]);
+    assert.equal(res.exitCode, 0, res.stderr);
+
+    res = runCLI(['--in', canvasPath, '--strip-metadata', '--structured-text', '--out', purePath]);
+    assert.equal(res.exitCode, 0, res.stderr);
+    const pure = JSON.parse(readUtf8(purePath));
+    assert.deepEqual(pure.nodes.map(node => node.record), data);
+
+    res = runCLI(['--import', purePath, '--out', canvasPath]);
+    assert.equal(res.exitCode, 0, res.stderr);
+    res = runCLI(['--in', canvasPath, '--strip-metadata', '--structured-text', '--out', purePath]);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.deepEqual(JSON.parse(readUtf8(purePath)), pure);
+  } finally {
+    rmTempDir(tempDir);
+  }
+});
@@ -1,38 +1,86 @@
-import { normalizedId, isFiniteNumber, getNodeSortKey, getNodeTypePriority, getNodeColor, getEdgeColor, isDirectionalEdge, isContainedBy, readJson } from './shared.mjs';
-import { stripCanvasMetadata } from './exporter.mjs';
+import {
+  normalizedId,
+  isFiniteNumber,
+  getNodeSortKey,
+  getNodeTypePriority,
+  getNodeColor,
+  getEdgeColor,
+  isDirectionalEdge,
+  isContainedBy,
+  getNodeBounds,
+  getOverlapRatio,
+  getCenterDistance,
+  compareReadingOrder,
+  canonicalizeKeyOrder,
+  createColorComparer,
+  createTextComparer,
+  collationLocaleProblem,
+  hasCollationOptions,
+  DEFAULT_COLLATION_LOCALE,
+  DEFAULT_EDGE_SORT,
+  EDGE_SORT_KEYS,
+  getEdgeDirectionRank,
+  getEdgeLabel,
+  getSideRank,
+  DEFAULT_NODE_SORT,
+  DEFAULT_TYPE_PRIORITY,
+  NODE_SORT_KEYS,
+  createProvenance,
+  readJson,
+  readProvenanceSettings,
+} from './shared.mjs';
+import {
+  embedCanvasFiles,
+  exportDotGraph,
+  exportJsonLd,
+  exportMarkdownOutline,
+  exportMermaidFlowchart,
+  exportNTriples,
+  nestPureExport,
+  recordGroupParents,
+  stripCanvasMetadata,
+} from './exporter.mjs';
+import { structureTextFields } from './fields.mjs';
+import { inlineNoteFiles } from './notes.mjs';
+import { buildSpatialIndex } from './spatial-index.mjs';
+import { collectCanvasDiagnostics, repairCanvas, isBlockingDiagnostic, formatDiagnostics } from './validator.mjs';
 import fs from 'node:fs';
 import path from 'node:path';
 
 /**
- * Build flow groups from nodes and edges for topology-based sorting.
- * Identifies connected components and calculates topological order within each component.
+ * +1 for sides that point along reading order, -1 against it, 0 when unset.
+ * Right/down by default; row-rtl flips the horizontal axis, column-btt the vertical one.
  */
-function buildFlowGroups(nodes, allEdges, nodePositions) {
-  // Build node ID set for this scope
-  const nodeIdSet = new Set(nodes.map(n => normalizedId(n.id)));
-
-  // Filter edges to only those within this scope
-  const scopedEdges = allEdges.filter(e => {
-    const from = normalizedId(e?.fromNode);
-    const to = normalizedId(e?.toNode);
-    return nodeIdSet.has(from) && nodeIdSet.has(to);
-  });
+function sideFlow(side, order) {
+  const horizontal = order === 'row-rtl' ? -1 : 1;
+  const vertical = order === 'column-btt' ? -1 : 1;
+  if (side === 'right') return horizontal;
+  if (side === 'left') return -horizontal;
+  if (side === 'bottom') return vertical;
+  if (side === 'top') return -vertical;
+  return 0;
+}
 
-  // Build adjacency graph (undirected for component detection)
+/**
+ * Build the flow graph once per compile: undirected adjacency for component detection
+ * plus directed outgoing/incoming sets for flow order. Sort scopes reuse it.
+ * Bidirectional edges are kept aside as undirected links, indexed at both endpoints.
+ */
+function buildFlowGraph(nodes, edges) {
   const adjacency = new Map();
-
-  // Build directed graph for flow order
   const outgoing = new Map();
   const incoming = new Map();
+  const undirected = new Map();
 
   for (const node of nodes) {
     const id = normalizedId(node.id);
     adjacency.set(id, new Set());
     outgoing.set(id, new Set());
     incoming.set(id, new Set());
+    undirected.set(id, []);
   }
 
-  for (const edge of scopedEdges) {
+  for (const edge of edges) {
     if (!isDirectionalEdge(edge)) continue;
 
     const from = normalizedId(edge.fromNode);
@@ -47,8 +95,11 @@ function buildFlowGroups(nodes, allEdges, nodePositions) {
     const toEnd = edge?.toEnd ?? 'arrow'; // default
 
     if (fromEnd === 'arrow' && toEnd === 'arrow') {
-      // Bidirectional: just connect, don't add flow direction
-      // Direction inherited from neighbors later
+      // Bidirectional: no direction of its own, inherited per flow group (see inheritDirections)
+      if (from === to || !undirected.has(from) || !undirected.has(to)) continue;
+      const link = { from, to, fromSide: edge?.fromSide, toSide: edge?.toSide };
+      undirected.get(from).push(link);
+      undirected.get(to).push(link);
     } else if (fromEnd === 'arrow') {
       // Reverse direction: to -> from
       outgoing.get(to)?.add(from);
@@ -60,25 +111,267 @@ function buildFlowGroups(nodes, allEdges, nodePositions) {
     }
   }
 
+  return { adjacency, outgoing, incoming, undirected };
+}
+
+/**
+ * Tarjan's strongly connected components, iterative so long chains don't overflow the stack.
+ * Only edges inside the component count. Returns components in topological order.
+ */
+function findStronglyConnected(component, outgoing) {
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const result = [];
+  let counter = 0;
+
+  for (const root of component) {
+    if (index.has(root)) continue;
+
+    const work = [];
+    const enter = (node) => {
+      index.set(node, counter);
+      low.set(node, counter);
+      counter++;
+      stack.push(node);
+      onStack.add(node);
+      const next = [...(outgoing.get(node) || [])].filter(n => component.has(n));
+      work.push({ node, next, cursor: 0 });
+    };
+
+    enter(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+
+      if (frame.cursor < frame.next.length) {
+        const target = frame.next[frame.cursor++];
+        if (!index.has(target)) {
+          enter(target);
+        } else if (onStack.has(target)) {
+          low.set(frame.node, Math.min(low.get(frame.node), index.get(target)));
+        }
+        continue;
+      }
+
+      work.pop();
+      const parent = work[work.length - 1];
+      if (parent) {
+        low.set(parent.node, Math.min(low.get(parent.node), low.get(frame.node)));
+      }
+
+      if (low.get(frame.node) === index.get(frame.node)) {
+        const scc = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          scc.push(member);
+        } while (member !== frame.node);
+        result.push(scc);
+      }
+    }
+  }
+
+  // Tarjan emits sinks first
+  return result.reverse();
+}
+
+/**
+ * Compare two node ids by position in reading order, falling back to the id itself.
+ */
+function comparePositions(aId, bId, nodePositions, order) {
+  const position = compareReadingOrder(nodePositions.get(aId), nodePositions.get(bId), order);
+  if (position !== 0) return position;
+  return aId < bId ? -1 : aId > bId ? 1 : 0;
+}
+
+/**
+ * Assign flow depths within one connected component.
+ * Acyclic parts get their longest-path depth. Each cycle is entered at the member reached
+ * earliest from upstream (position breaks ties; a cycle with no upstream starts at its first
+ * node in reading order),
+ * and its members follow in walk order from there. Edges pointing back toward the entry
+ * are ignored, so everything downstream of the cycle still sorts after it.
+ * Returns depths plus a map of cyclic node → entry node id.
+ */
+function orderFlowComponent(component, outgoing, incoming, nodePositions, order) {
+  const flowOrder = new Map();
+  const cycles = new Map();
+  const sccs = findStronglyConnected(component, outgoing);
+  const sccOf = new Map();
+
+  sccs.forEach((scc, i) => {
+    for (const nodeId of scc) sccOf.set(nodeId, i);
+  });
+
+  sccs.forEach((scc, i) => {
+    const single = scc[0];
+    if (scc.length === 1 && !outgoing.get(single)?.has(single)) {
+      let depth = 0;
+      for (const source of incoming.get(single) || []) {
+        if (component.has(source)) depth = Math.max(depth, flowOrder.get(source) + 1);
+      }
+      flowOrder.set(single, depth);
+      return;
+    }
+
+    // Entry point: the member whose upstream neighbor sits shallowest
+    const members = new Set(scc);
+    const entryDepth = new Map();
+    for (const nodeId of scc) {
+      for (const source of incoming.get(nodeId) || []) {
+        if (!component.has(source) || sccOf.get(source) === i) continue;
+        entryDepth.set(nodeId, Math.min(entryDepth.get(nodeId) ?? Infinity, flowOrder.get(source)));
+      }
+    }
+
+    const candidates = entryDepth.size > 0 ? [...entryDepth.keys()] : scc.slice();
+    candidates.sort((a, b) =>
+      (entryDepth.get(a) ?? 0) - (entryDepth.get(b) ?? 0) || comparePositions(a, b, nodePositions, order)
+    );
+    const entry = candidates[0];
+
+    // Walk the cycle from its entry
+    const distance = new Map([[entry, 0]]);
+    const queue = [entry];
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      const next = [...(outgoing.get(current) || [])]
+        .filter(n => members.has(n) && !distance.has(n))
+        .sort((a, b) => comparePositions(a, b, nodePositions, order));
+      for (const target of next) {
+        distance.set(target, distance.get(current) + 1);
+        queue.push(target);
+      }
+    }
+
+    for (const nodeId of queue) {
+      let depth = 0;
+      for (const source of incoming.get(nodeId) || []) {
+        if (!component.has(source)) continue;
+        if (sccOf.get(source) === i && distance.get(source) >= distance.get(nodeId)) continue;
+        depth = Math.max(depth, flowOrder.get(source) + 1);
+      }
+      flowOrder.set(nodeId, depth);
+      cycles.set(nodeId, entry);
+    }
+  });
+
+  return { flowOrder, cycles };
+}
+
+/**
+ * Give bidirectional links inside one component a direction so they join the flow.
+ * Flow continues out of nodes already reached by one-way arrows, then feeds into nodes
+ * that already lead somewhere. Links still unresolved (e.g. between two reached nodes,
+ * or in a purely bidirectional cluster) follow fromSide/toSide, then reading position.
+ * Returns outgoing/incoming sets for the component; the shared graph is left untouched.
+ */
+function inheritDirections(component, graph, nodePositions, order) {
+  const links = [];
+  for (const nodeId of component) {
+    for (const link of graph.undirected.get(nodeId) || []) {
+      if (link.from !== nodeId || !component.has(link.to)) continue;
+      // A one-way arrow between the same nodes already decides it
+      if (graph.outgoing.get(link.from)?.has(link.to) || graph.outgoing.get(link.to)?.has(link.from)) continue;
+      links.push(link);
+    }
+  }
+
+  if (links.length === 0) {
+    return { outgoing: graph.outgoing, incoming: graph.incoming };
+  }
+
+  // Position order, not input order, decides which link is walked first
+  links.sort((a, b) =>
+    comparePositions(a.from, b.from, nodePositions, order) || comparePositions(a.to, b.to, nodePositions, order)
+  );
+
+  const outgoing = new Map();
+  const incoming = new Map();
+  for (const nodeId of component) {
+    outgoing.set(nodeId, new Set([...(graph.outgoing.get(nodeId) || [])].filter(n => component.has(n))));
+    incoming.set(nodeId, new Set([...(graph.incoming.get(nodeId) || [])].filter(n => component.has(n))));
+  }
+
+  const resolved = new Set();
+  const linksAt = new Map();
+  for (const link of links) {
+    for (const end of [link.from, link.to]) {
+      const list = linksAt.get(end);
+      if (list) list.push(link);
+      else linksAt.set(end, [link]);
+    }
+  }
+
+  const orient = (link, from, to) => {
+    outgoing.get(from).add(to);
+    incoming.get(to).add(from);
+    resolved.add(link);
+  };
+
+  // Walk outward from seed nodes; each link to a non-seed node is oriented and the node becomes a seed
+  const spread = (isSeed, forward) => {
+    const queue = [...component].filter(isSeed).sort((a, b) => comparePositions(a, b, nodePositions, order));
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      for (const link of linksAt.get(current) || []) {
+        if (resolved.has(link)) continue;
+        const other = link.from === current ? link.to : link.from;
+        if (isSeed(other)) continue;
+        if (forward) orient(link, current, other);
+        else orient(link, other, current);
+        queue.push(other);
+      }
+    }
+  };
+
+  spread(nodeId => incoming.get(nodeId).size > 0, true);
+  spread(nodeId => outgoing.get(nodeId).size > 0, false);
+
+  for (const link of links) {
+    if (resolved.has(link)) continue;
+    let flow = sideFlow(link.fromSide, order) - sideFlow(link.toSide, order);
+    if (flow === 0) flow = -comparePositions(link.from, link.to, nodePositions, order);
+    if (flow > 0) orient(link, link.from, link.to);
+    else orient(link, link.to, link.from);
+  }
+
+  return { outgoing, incoming };
+}
+
+/**
+ * Build the flow groups of a canvas from its flow graph, once per compile.
+ * Identifies connected components and calculates topological order within each component.
+ * Only edges with both endpoints among nodes count. Sort scopes narrow these groups
+ * (see scopeFlowGroups) rather than building their own.
+ */
+function buildFlowGroups(nodes, graph, nodePositions, order) {
+  const scope = new Set(nodes.map(n => normalizedId(n.id)));
+  const { adjacency } = graph;
+
   // Find connected components
   const visited = new Set();
   const components = [];
 
-  for (const [nodeId] of adjacency) {
+  for (const nodeId of scope) {
     if (visited.has(nodeId)) continue;
 
     const component = new Set();
     const queue = [nodeId];
 
-    while (queue.length > 0) {
-      const current = queue.shift();
+    // Index-based queue: shift() is O(n) and dominates on large components
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
       if (visited.has(current)) continue;
 
       visited.add(current);
       component.add(current);
 
       for (const neighbor of adjacency.get(current) || []) {
-        if (!visited.has(neighbor)) {
+        if (scope.has(neighbor) && !visited.has(neighbor)) {
           queue.push(neighbor);
         }
       }
@@ -90,77 +383,21 @@ function buildFlowGroups(nodes, allEdges, nodePositions) {
     }
   }
 
-  // For each component, calculate topological order and min position
+  // For each component, calculate topological order and anchor position
   const flowGroups = [];
 
   for (const component of components) {
-    // Calculate min position
-    let minY = Infinity;
-    let minX = Infinity;
-
-    for (const nodeId of component) {
-      const pos = nodePositions.get(nodeId);
-      const y = isFiniteNumber(pos?.y) ? pos.y : 0;
-      const x = isFiniteNumber(pos?.x) ? pos.x : 0;
-      if (y < minY || (y === minY && x < minX)) {
-        minY = y;
-        minX = x;
-      }
-    }
-
-    // Topological sort (BFS-based level assignment)
-    const flowOrder = new Map();
-    const inDegree = new Map();
-
-    for (const nodeId of component) {
-      let degree = 0;
-      for (const source of incoming.get(nodeId) || []) {
-        if (component.has(source)) degree++;
-      }
-      inDegree.set(nodeId, degree);
-    }
-
-    const queue = [];
-    for (const nodeId of component) {
-      if (inDegree.get(nodeId) === 0) {
-        queue.push(nodeId);
-        flowOrder.set(nodeId, 0);
-      }
-    }
-
-    while (queue.length > 0) {
-      const current = queue.shift();
-      const currentDepth = flowOrder.get(current) || 0;
-
-      for (const next of outgoing.get(current) || []) {
-        if (!component.has(next)) continue;
+    const anchor = flowAnchor(component, nodePositions, order);
 
-        const degree = inDegree.get(next) - 1;
-        inDegree.set(next, degree);
-
-        // Update depth to max of incoming depths + 1
-        const nextDepth = Math.max(flowOrder.get(next) || 0, currentDepth + 1);
-        flowOrder.set(next, nextDepth);
-
-        if (degree === 0) {
-          queue.push(next);
-        }
-      }
-    }
-
-    // Handle cycles: nodes without depth get max depth + 1
-    for (const nodeId of component) {
-      if (!flowOrder.has(nodeId)) {
-        const maxDepth = Math.max(...Array.from(flowOrder.values()), 0);
-        flowOrder.set(nodeId, maxDepth + 1);
-      }
-    }
+    // Topological order over the condensed graph; cycles are cut at their entry point
+    const { outgoing, incoming } = inheritDirections(component, graph, nodePositions, order);
+    const { flowOrder, cycles } = orderFlowComponent(component, outgoing, incoming, nodePositions, order);
 
     flowGroups.push({
       nodes: component,
-      minY,
-      minX,
+      anchor,
       flowOrder,
+      cycles,
     });
   }
 
@@ -168,147 +405,188 @@ function buildFlowGroups(nodes, allEdges, nodePositions) {
 }
 
 /**
- * Sort nodes by spatial position (X, Y) with optional flow topology and color sorting.
- * Handles flow-based sorting when enabled, with fallback to spatial sorting.
+ * Anchor of a flow group: the first position of its nodes in reading order.
+ */
+function flowAnchor(nodeIds, nodePositions, order) {
+  let first;
+  for (const nodeId of nodeIds) {
+    const pos = nodePositions.get(nodeId);
+    if (first === undefined || compareReadingOrder(pos, first, order) < 0) {
+      first = pos;
+    }
+  }
+  return {
+    x: isFiniteNumber(first?.x) ? first.x : 0,
+    y: isFiniteNumber(first?.y) ? first.y : 0,
+    width: first?.width,
+    height: first?.height,
+  };
+}
+
+/**
+ * Map each node of one sort scope to its flow group narrowed to the scope: the members in
+ * scope, when there are at least two, anchored at the first of them. Flow depths stay those
+ * of the whole canvas, so a flow that leaves the scope and comes back keeps its order.
+ * flowIndex maps node ids to their canvas-wide flow group.
  */
-function stableSortByXY(nodes, settings, allEdges, nodePositions, isWithinGroup) {
-  // Build flow groups if flow sorting is enabled
-  let flowGroups = [];
+function scopeFlowGroups(nodes, flowIndex, nodePositions, order) {
+  const members = new Map();
+  for (const node of nodes) {
+    const nodeId = normalizedId(node.id);
+    const group = flowIndex.get(nodeId);
+    if (!group) continue;
+    if (!members.has(group)) members.set(group, []);
+    members.get(group).push(nodeId);
+  }
+
   const nodeToFlowGroup = new Map();
+  for (const [group, ids] of members) {
+    if (ids.length < 2) continue;
+    const scoped = { ...group, nodes: new Set(ids), anchor: flowAnchor(ids, nodePositions, order) };
+    for (const nodeId of ids) nodeToFlowGroup.set(nodeId, scoped);
+  }
+  return nodeToFlowGroup;
+}
 
-  if (settings?.flowSortNodes && allEdges && nodePositions) {
-    flowGroups = buildFlowGroups(nodes, allEdges, nodePositions);
+/**
+ * Index flow groups by node id.
+ */
+function indexFlowGroups(flowGroups) {
+  const index = new Map();
+  for (const group of flowGroups) {
+    for (const nodeId of group.nodes) index.set(nodeId, group);
+  }
+  return index;
+}
 
-    // Map nodes to their flow groups
-    for (const group of flowGroups) {
-      for (const nodeId of group.nodes) {
-        nodeToFlowGroup.set(nodeId, group);
-      }
+/**
+ * Resolve settings.nodeSort into a comparator chain of { key, sign }.
+ * Falls back to the default chain when unset; unknown keys are ignored.
+ */
+function resolveNodeSort(settings) {
+  const rules = settings?.nodeSort?.length ? settings.nodeSort : DEFAULT_NODE_SORT;
+  return rules
+    .filter(rule => NODE_SORT_KEYS.includes(rule?.key))
+    .map(rule => ({ key: rule.key, sign: rule.direction === 'desc' ? -1 : 1 }));
+}
+
+/**
+ * Sort nodes with the comparator chain from settings.nodeSort (default: flow, position, type, color, content).
+ * - flow: same flow group by depth; different groups by anchor position; a flow group sorts
+ *   before an isolated node at the same position. Inert unless flow sorting is enabled.
+ * - position: reading order. Skipped within groups (semantic sort) except between members of one flow.
+ * - type: settings.typePriority table (default: links last). Never reorders members of one flow.
+ * - color: only when colorSortNodes is enabled; ranked by settings.colorOrder when set.
+ * - content: text, file name, URL or label.
+ */
+function stableSortByXY(nodes, settings, flowIndex, nodePositions, isWithinGroup) {
+  const chain = resolveNodeSort(settings);
+
+  // Narrow the canvas's flow groups to this scope if flow sorting is enabled and the chain uses them
+  const nodeToFlowGroup =
+    settings?.flowSortNodes && flowIndex && nodePositions && chain.some(rule => rule.key === 'flow')
+      ? scopeFlowGroups(nodes, flowIndex, nodePositions, settings?.readingOrder)
+      : new Map();
+
+  const readingOrder = settings?.readingOrder;
+  const typePriority = settings?.typePriority ?? DEFAULT_TYPE_PRIORITY;
+  const compareText = createTextComparer(settings?.collation);
+  const compareColor = createColorComparer(settings?.colorOrder, compareText);
+
+  // Content keys are computed once per node, not once per comparison
+  const keepCase = hasCollationOptions(settings?.collation);
+  const sortKeys = new Map();
+  const sortKey = (node) => {
+    let key = sortKeys.get(node);
+    if (key === undefined) {
+      key = getNodeSortKey(node, keepCase);
+      sortKeys.set(node, key);
     }
-  }
+    return key;
+  };
 
   nodes.sort((a, b) => {
     const aId = normalizedId(a?.id);
     const bId = normalizedId(b?.id);
-
-    // Flow-based sorting
-    if (settings?.flowSortNodes) {
-      const aGroup = nodeToFlowGroup.get(aId);
-      const bGroup = nodeToFlowGroup.get(bId);
-
-      // If both in flow groups
-      if (aGroup && bGroup) {
-        // Same group: sort by flow depth (overrides type priority!)
-        if (aGroup === bGroup) {
-          const aDepth = aGroup.flowOrder.get(aId) || 0;
-          const bDepth = bGroup.flowOrder.get(bId) || 0;
-          if (aDepth !== bDepth) return aDepth - bDepth;
-
-          // Same depth: sort by spatial position, then color, then content
-          const ay = isFiniteNumber(a?.y) ? a.y : 0;
-          const by = isFiniteNumber(b?.y) ? b.y : 0;
-          if (ay !== by) return ay - by;
-
-          const ax = isFiniteNumber(a?.x) ? a.x : 0;
-          const bx = isFiniteNumber(b?.x) ? b.x : 0;
-          if (ax !== bx) return ax - bx;
-
-          // Color sorting (optional)
-          if (settings?.colorSortNodes !== false) {
-            const aColor = getNodeColor(a);
-            const bColor = getNodeColor(b);
-            if (aColor !== bColor) return aColor.localeCompare(bColor);
-          }
-
-          // Content sorting
-          return getNodeSortKey(a).localeCompare(getNodeSortKey(b));
-        } else {
-          // Different groups: sort by group's top-left position
-          if (aGroup.minY !== bGroup.minY) return aGroup.minY - bGroup.minY;
-          if (aGroup.minX !== bGroup.minX) return aGroup.minX - bGroup.minX;
-          // Groups at same position: shouldn't happen, but fall through
+    // Sort positions may be aligned to rows/columns (see alignPositions)
+    const aPos = nodePositions?.get(aId) ?? a;
+    const bPos = nodePositions?.get(bId) ?? b;
+    const aGroup = nodeToFlowGroup.get(aId);
+    const bGroup = nodeToFlowGroup.get(bId);
+    const sameFlow = aGroup !== undefined && aGroup === bGroup;
+
+    for (const { key, sign } of chain) {
+      let result = 0;
+
+      if (key === 'flow') {
+        if (aGroup && bGroup) {
+          // Same group: flow depth; different groups: each group's anchor position
+          result = sameFlow
+            ? (aGroup.flowOrder.get(aId) || 0) - (bGroup.flowOrder.get(bId) || 0)
+            : compareReadingOrder(aGroup.anchor, bGroup.anchor, readingOrder);
+        } else if (aGroup) {
+          // A in flow group, B isolated: if positions equal, flow group comes first
+          return (compareReadingOrder(aGroup.anchor, bPos, readingOrder) || -1) * sign;
+        } else if (bGroup) {
+          return (compareReadingOrder(aPos, bGroup.anchor, readingOrder) || 1) * sign;
         }
-      } else if (aGroup && !bGroup) {
-        // A in flow group, B isolated: compare A's group position to B's position
-        const by = isFiniteNumber(b?.y) ? b.y : 0;
-        const bx = isFiniteNumber(b?.x) ? b.x : 0;
-        if (aGroup.minY !== by) return aGroup.minY - by;
-        if (aGroup.minX !== bx) return aGroup.minX - bx;
-        // If positions equal, flow group comes first
-        return -1;
-      } else if (!aGroup && bGroup) {
-        // A isolated, B in flow group
-        const ay = isFiniteNumber(a?.y) ? a.y : 0;
-        const ax = isFiniteNumber(a?.x) ? a.x : 0;
-        if (ay !== bGroup.minY) return ay - bGroup.minY;
-        if (ax !== bGroup.minX) return ax - bGroup.minX;
-        // If positions equal, flow group comes first
-        return 1;
+      } else if (key === 'position') {
+        if (sameFlow || !isWithinGroup) result = compareReadingOrder(aPos, bPos, readingOrder);
+      } else if (key === 'type') {
+        if (!sameFlow) result = getNodeTypePriority(a, typePriority) - getNodeTypePriority(b, typePriority);
+      } else if (key === 'color') {
+        if (settings?.colorSortNodes !== false) result = compareColor(getNodeColor(a), getNodeColor(b));
+      } else {
+        result = compareText(sortKey(a), sortKey(b));
       }
-      // Both isolated: fall through to standard sorting
-    }
-
-    // Within groups: always use semantic sorting
-    if (isWithinGroup) {
-      // Sort by type priority (content nodes before link nodes)
-      const aPriority = getNodeTypePriority(a);
-      const bPriority = getNodeTypePriority(b);
-      if (aPriority !== bPriority) return aPriority - bPriority;
-
-      // Sort by color (groups same-colored nodes together) - optional
-      if (settings?.colorSortNodes !== false) {
-        const aColor = getNodeColor(a);
-        const bColor = getNodeColor(b);
-        if (aColor !== bColor) return aColor.localeCompare(bColor);
-      }
-
-      // Sort by content (semantic)
-      return getNodeSortKey(a).localeCompare(getNodeSortKey(b));
-    }
 
-    // Spatial sorting (for orphans and groups themselves)
-    const ay = isFiniteNumber(a?.y) ? a.y : 0;
-    const by = isFiniteNumber(b?.y) ? b.y : 0;
-    if (ay !== by) return ay - by;
-
-    const ax = isFiniteNumber(a?.x) ? a.x : 0;
-    const bx = isFiniteNumber(b?.x) ? b.x : 0;
-    if (ax !== bx) return ax - bx;
-
-    // Sort by type priority (content nodes before link nodes) - only for non-flow nodes
-    const aPriority = getNodeTypePriority(a);
-    const bPriority = getNodeTypePriority(b);
-    if (aPriority !== bPriority) return aPriority - bPriority;
-
-    // Sort by color (groups same-colored nodes together) - optional
-    if (settings?.colorSortNodes !== false) {
-      const aColor = getNodeColor(a);
-      const bColor = getNodeColor(b);
-      if (aColor !== bColor) return aColor.localeCompare(bColor);
+      if (result !== 0) return result * sign;
     }
 
-    // Then by content
-    return getNodeSortKey(a).localeCompare(getNodeSortKey(b));
+    return 0;
   });
   return nodes;
 }
 
 /**
- * Sort edges by topology and spatial position.
- * Prioritizes flow-based ordering when enabled, falls back to spatial sorting.
+ * Resolve settings.edgeSort into a comparator chain of { key, sign }, always ending in id.
  */
-function stableEdgeSortByTopology(edges, nodePositions, settings, nodes) {
-  // Build flow groups if flow sorting is enabled
-  let nodeToFlowGroup = new Map();
+function resolveEdgeSort(settings) {
+  const rules = settings?.edgeSort?.length ? settings.edgeSort : DEFAULT_EDGE_SORT;
+  const chain = rules
+    .filter(rule => EDGE_SORT_KEYS.includes(rule?.key))
+    .map(rule => ({ key: rule.key, sign: rule.direction === 'desc' ? -1 : 1 }));
+  if (!chain.some(rule => rule.key === 'id')) chain.push({ key: 'id', sign: 1 });
+  return chain;
+}
 
-  if (settings?.flowSortNodes && nodes) {
-    const flowGroups = buildFlowGroups(nodes, edges, nodePositions);
-    for (const group of flowGroups) {
-      for (const nodeId of group.nodes) {
-        nodeToFlowGroup.set(nodeId, group);
-      }
-    }
-  }
+/**
+ * Sort edges with the comparator chain from settings.edgeSort (default: flow, position, color, id).
+ * - flow: fromNode, then toNode flow depth. Inert unless flow sorting is enabled.
+ * - position: fromNode, then toNode position in reading order.
+ * - direction: one-way arrows, then two-way arrows, then undirected edges.
+ * - label: label text; unlabeled edges first, so parallel edges order by label.
+ * - sides: fromSide, then toSide, clockwise from top.
+ * - color: only when colorSortEdges is enabled; ranked by settings.colorOrder when set.
+ * - id: final tie-break, appended when missing.
+ */
+function stableEdgeSortByTopology(edges, nodePositions, settings, flowGroups) {
+  const chain = resolveEdgeSort(settings);
+  const compareText = createTextComparer(settings?.collation);
+  const compareColor = createColorComparer(settings?.colorOrder, compareText);
+
+  // Index canvas-wide flow groups if flow sorting is enabled
+  const nodeToFlowGroup = settings?.flowSortNodes ? indexFlowGroups(flowGroups) : new Map();
+
+  // Flow depth comparison when both nodes sit in flow groups
+  const compareFlowDepth = (aId, bId) => {
+    const aGroup = nodeToFlowGroup.get(aId);
+    const bGroup = nodeToFlowGroup.get(bId);
+    if (!aGroup || !bGroup) return 0;
+    const aDepth = aGroup.flowOrder.get(aId) ?? Infinity;
+    const bDepth = bGroup.flowOrder.get(bId) ?? Infinity;
+    return aDepth === bDepth ? 0 : aDepth - bDepth;
+  };
 
   edges.sort((a, b) => {
     const aFromId = normalizedId(a?.fromNode);
@@ -316,141 +594,141 @@ function stableEdgeSortByTopology(edges, nodePositions, settings, nodes) {
     const aToId = normalizedId(a?.toNode);
     const bToId = normalizedId(b?.toNode);
 
-    // Flow-based sorting (if enabled)
-    if (settings?.flowSortNodes && nodeToFlowGroup.size > 0) {
-      const aFromGroup = nodeToFlowGroup.get(aFromId);
-      const bFromGroup = nodeToFlowGroup.get(bFromId);
-
-      // Sort by fromNode flow depth if both in flow groups
-      if (aFromGroup && bFromGroup) {
-        const aFromDepth = aFromGroup.flowOrder.get(aFromId) ?? Infinity;
-        const bFromDepth = bFromGroup.flowOrder.get(bFromId) ?? Infinity;
-        if (aFromDepth !== bFromDepth) return aFromDepth - bFromDepth;
+    for (const { key, sign } of chain) {
+      let result = 0;
+
+      if (key === 'flow') {
+        if (nodeToFlowGroup.size > 0) result = compareFlowDepth(aFromId, bFromId) || compareFlowDepth(aToId, bToId);
+      } else if (key === 'position') {
+        result =
+          compareReadingOrder(nodePositions.get(aFromId), nodePositions.get(bFromId), settings?.readingOrder) ||
+          compareReadingOrder(nodePositions.get(aToId), nodePositions.get(bToId), settings?.readingOrder);
+      } else if (key === 'direction') {
+        result = getEdgeDirectionRank(a) - getEdgeDirectionRank(b);
+      } else if (key === 'label') {
+        result = compareText(getEdgeLabel(a), getEdgeLabel(b));
+      } else if (key === 'sides') {
+        result = getSideRank(a?.fromSide) - getSideRank(b?.fromSide) || getSideRank(a?.toSide) - getSideRank(b?.toSide);
+      } else if (key === 'color') {
+        if (settings?.colorSortEdges !== false) result = compareColor(getEdgeColor(a), getEdgeColor(b));
+      } else {
+        result = compareText(normalizedId(a?.id), normalizedId(b?.id));
       }
 
-      const aToGroup = nodeToFlowGroup.get(aToId);
-      const bToGroup = nodeToFlowGroup.get(bToId);
-
-      // Sort by toNode flow depth if both in flow groups
-      if (aToGroup && bToGroup) {
-        const aToDepth = aToGroup.flowOrder.get(aToId) ?? Infinity;
-        const bToDepth = bToGroup.flowOrder.get(bToId) ?? Infinity;
-        if (aToDepth !== bToDepth) return aToDepth - bToDepth;
-      }
-    }
-
-    // Spatial sorting (fallback or primary when flow disabled)
-    // Get fromNode positions
-    const aFrom = nodePositions.get(aFromId);
-    const bFrom = nodePositions.get(bFromId);
-
-    // Sort by fromNode y position
-    const afy = isFiniteNumber(aFrom?.y) ? aFrom.y : 0;
-    const bfy = isFiniteNumber(bFrom?.y) ? bFrom.y : 0;
-    if (afy !== bfy) return afy - bfy;
-
-    // Sort by fromNode x position
-    const afx = isFiniteNumber(aFrom?.x) ? aFrom.x : 0;
-    const bfx = isFiniteNumber(bFrom?.x) ? bFrom.x : 0;
-    if (afx !== bfx) return afx - bfx;
-
-    // Get toNode positions
-    const aTo = nodePositions.get(aToId);
-    const bTo = nodePositions.get(bToId);
-
-    // Sort by toNode y position
-    const aty = isFiniteNumber(aTo?.y) ? aTo.y : 0;
-    const bty = isFiniteNumber(bTo?.y) ? bTo.y : 0;
-    if (aty !== bty) return aty - bty;
-
-    // Sort by toNode x position
-    const atx = isFiniteNumber(aTo?.x) ? aTo.x : 0;
-    const btx = isFiniteNumber(bTo?.x) ? bTo.x : 0;
-    if (atx !== btx) return atx - btx;
-
-    // Sort by color (groups same-colored edges together) - optional
-    if (settings?.colorSortEdges !== false) {
-      const aColor = getEdgeColor(a);
-      const bColor = getEdgeColor(b);
-      if (aColor !== bColor) return aColor.localeCompare(bColor);
+      if (result !== 0) return result * sign;
     }
 
-    // Fallback to ID for deterministic ordering
-    const aid = normalizedId(a?.id);
-    const bid = normalizedId(b?.id);
-    return aid.localeCompare(bid);
+    return 0;
   });
   return edges;
 }
 
+function getArea(node) {
+  const bounds = getNodeBounds(node);
+  return bounds.width * bounds.height;
+}
+
+/**
+ * A group may only nest inside a strictly larger group (equal areas: lower id wins).
+ * Loose containment modes could otherwise make two groups each other's parent.
+ */
+function canNestIn(childGroup, parentGroup) {
+  const childArea = getArea(childGroup);
+  const parentArea = getArea(parentGroup);
+  if (parentArea !== childArea) return parentArea > childArea;
+  return normalizedId(parentGroup.id) < normalizedId(childGroup.id);
+}
+
+/**
+ * Pick the parent group for a node among the groups that contain it.
+ * settings.containment selects the containment mode ('strict' | 'center' | 'overlap'),
+ * settings.containmentOverlap the overlap ratio threshold (default 0.5), and
+ * settings.containmentTieBreak how overlapping candidates are ranked:
+ * 'smallest-area' (innermost, default), 'largest-overlap' or 'nearest-center'.
+ * Remaining ties go to the smaller group, then to input order.
+ */
+function findParentGroup(node, candidates, settings) {
+  const mode = settings?.containment ?? 'strict';
+  const threshold = isFiniteNumber(settings?.containmentOverlap) ? settings.containmentOverlap : 0.5;
+  const tieBreak = settings?.containmentTieBreak ?? 'smallest-area';
+
+  let parent = null;
+  let bestScore = Infinity;
+  let bestArea = Infinity;
+
+  for (const group of candidates) {
+    if (!isContainedBy(node, group, mode, threshold)) continue;
+
+    // Lower score wins
+    const area = getArea(group);
+    let score = area;
+    if (tieBreak === 'largest-overlap') score = -getOverlapRatio(node, group);
+    else if (tieBreak === 'nearest-center') score = getCenterDistance(node, group);
+
+    if (score < bestScore || (score === bestScore && area < bestArea)) {
+      bestScore = score;
+      bestArea = area;
+      parent = group;
+    }
+  }
+
+  return parent;
+}
+
+/**
+ * Query box for a node: its center point in 'center' mode, its bounding box otherwise.
+ * Every group that can contain the node under the active mode intersects this box.
+ */
+function getQueryBounds(node, settings) {
+  const bounds = getNodeBounds(node);
+  if (settings?.containment !== 'center') return bounds;
+  return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2, width: 0, height: 0 };
+}
+
 /**
  * Build hierarchical structure by detecting parent-child relationships based on containment.
- * Returns a map of parent group IDs to their contained nodes/groups.
+ * Groups are indexed spatially, so each node only tests the groups it intersects.
+ * Returns children (parent group ID -> contained nodes/groups) and parentOf (child ID -> parent ID).
  */
-function buildHierarchy(nodes) {
+function buildHierarchy(nodes, settings) {
   const groups = nodes.filter((n) => n?.type === 'group');
   const nonGroups = nodes.filter((n) => n?.type !== 'group');
+  const index = buildSpatialIndex(groups, getNodeBounds);
 
-  // Map node ID to its immediate parent group
-  const parentMap = new Map();
+  const children = new Map();
+  const parentOf = new Map();
 
-  for (const node of nonGroups) {
-    // Find the smallest group that contains this node (innermost parent)
-    let parent = null;
-    let minArea = Infinity;
-
-    for (const group of groups) {
-      if (isContainedBy(node, group)) {
-        const area = (group.width || 0) * (group.height || 0);
-        if (area < minArea) {
-          minArea = area;
-          parent = group;
-        }
-      }
+  const addChild = (parent, child) => {
+    const parentId = normalizedId(parent.id);
+    if (!children.has(parentId)) {
+      children.set(parentId, []);
     }
+    children.get(parentId).push(child);
+    parentOf.set(normalizedId(child.id), parentId);
+  };
 
-    if (parent) {
-      const parentId = normalizedId(parent.id);
-      if (!parentMap.has(parentId)) {
-        parentMap.set(parentId, []);
-      }
-      parentMap.get(parentId).push(node);
-    }
+  for (const node of nonGroups) {
+    const parent = findParentGroup(node, index.search(getQueryBounds(node, settings)), settings);
+    if (parent) addChild(parent, node);
   }
 
   // Also detect nested groups
   for (const childGroup of groups) {
-    let parent = null;
-    let minArea = Infinity;
-
-    for (const parentGroup of groups) {
-      if (childGroup.id === parentGroup.id) continue;
-      if (isContainedBy(childGroup, parentGroup)) {
-        const area = (parentGroup.width || 0) * (parentGroup.height || 0);
-        if (area < minArea) {
-          minArea = area;
-          parent = parentGroup;
-        }
-      }
-    }
-
-    if (parent) {
-      const parentId = normalizedId(parent.id);
-      if (!parentMap.has(parentId)) {
-        parentMap.set(parentId, []);
-      }
-      parentMap.get(parentId).push(childGroup);
-    }
+    const candidates = index
+      .search(getQueryBounds(childGroup, settings))
+      .filter((g) => g !== childGroup && canNestIn(childGroup, g));
+    const parent = findParentGroup(childGroup, candidates, settings);
+    if (parent) addChild(parent, childGroup);
   }
 
-  return parentMap;
+  return { children, parentOf };
 }
 
 /**
  * Flatten hierarchical structure into a linear sequence respecting parent-child relationships.
  * Applies semantic sorting within groups and spatial sorting for orphans.
  */
-function flattenHierarchical(nodes, parentMap, settings, allEdges, nodePositions) {
+function flattenHierarchical(nodes, hierarchy, settings, flowIndex, nodePositions) {
   const groups = nodes.filter((n) => n?.type === 'group');
   const nonGroups = nodes.filter((n) => n?.type !== 'group');
   const result = [];
@@ -464,16 +742,16 @@ function flattenHierarchical(nodes, parentMap, settings, allEdges, nodePositions
     result.push(node);
 
     // If this node is a group, add its children
-    if (node.type === 'group' && parentMap.has(nodeId)) {
-      const children = parentMap.get(nodeId);
-      stableSortByXY(children, settings, allEdges, nodePositions, true);
+    const children = hierarchy.children.get(nodeId);
+    if (node.type === 'group' && children) {
+      stableSortByXY(children, settings, flowIndex, nodePositions, true);
 
       // Separate children into groups and non-groups
       const childGroups = children.filter((c) => c?.type === 'group');
       const childNonGroups = children.filter((c) => c?.type !== 'group');
 
       // Sort subgroups spatially (not semantically)
-      stableSortByXY(childGroups, { ...settings, colorSortNodes: false }, allEdges, nodePositions, false);
+      stableSortByXY(childGroups, { ...settings, colorSortNodes: false }, flowIndex, nodePositions, false);
 
       // Add non-groups first, then groups (recursively)
       for (const child of childNonGroups) {
@@ -485,30 +763,13 @@ function flattenHierarchical(nodes, parentMap, settings, allEdges, nodePositions
     }
   }
 
-  // Find root nodes (not contained by any group)
-  const rootNodes = nonGroups.filter((n) => {
-    const nodeId = normalizedId(n.id);
-    for (const [, children] of parentMap.entries()) {
-      if (children.some((c) => normalizedId(c.id) === nodeId)) {
-        return false;
-      }
-    }
-    return true;
-  });
-
-  const rootGroups = groups.filter((g) => {
-    const groupId = normalizedId(g.id);
-    for (const [, children] of parentMap.entries()) {
-      if (children.some((c) => normalizedId(c.id) === groupId)) {
-        return false;
-      }
-    }
-    return true;
-  });
+  // Find root nodes (not contained by any group) via the precomputed child -> parent map
+  const rootNodes = nonGroups.filter((n) => !hierarchy.parentOf.has(normalizedId(n.id)));
+  const rootGroups = groups.filter((g) => !hierarchy.parentOf.has(normalizedId(g.id)));
 
   // Sort and add root nodes
-  stableSortByXY(rootNodes, settings, allEdges, nodePositions, settings?.semanticSortOrphans);
-  stableSortByXY(rootGroups, settings, allEdges, nodePositions);
+  stableSortByXY(rootNodes, settings, flowIndex, nodePositions, settings?.semanticSortOrphans);
+  stableSortByXY(rootGroups, settings, flowIndex, nodePositions);
 
   for (const node of rootNodes) {
     addNodeAndChildren(node);
@@ -521,68 +782,370 @@ function flattenHierarchical(nodes, parentMap, settings, allEdges, nodePositions
 }
 
 /**
- * Main compilation function: compile Canvas structure to semantic JSON with sorting.
- * Validates input, builds hierarchy, applies sorting algorithms, and returns compiled structure.
+ * Snap sort positions into rows (or columns, for column reading orders) so that nodes
+ * within settings.alignmentTolerance of each other read as one line.
+ * Coordinates are clustered in ascending order; a band starts at its first coordinate and
+ * takes everything up to tolerance past it, so bands never drift. Canvas geometry is untouched.
  */
-export function compileCanvasAll({ input, settings }) {
-  const nodes = Array.isArray(input?.nodes) ? input.nodes : [];
-  const edges = Array.isArray(input?.edges) ? input.edges : [];
+function alignPositions(nodePositions, settings) {
+  const tolerance = settings?.alignmentTolerance;
+  if (!isFiniteNumber(tolerance) || tolerance <= 0) return nodePositions;
+
+  const columns = settings?.readingOrder === 'column-ttb' || settings?.readingOrder === 'column-btt';
+  const primary = (pos) => {
+    const value = columns ? pos.x : pos.y;
+    return isFiniteNumber(value) ? value : 0;
+  };
+
+  const values = [...new Set([...nodePositions.values()].map(primary))].sort((a, b) => a - b);
+  const bands = new Map();
+  let start = -Infinity;
+  for (const value of values) {
+    if (value - start > tolerance) start = value;
+    bands.set(value, start);
+  }
+
+  const aligned = new Map();
+  for (const [id, pos] of nodePositions) {
+    const band = bands.get(primary(pos));
+    aligned.set(id, columns ? { ...pos, x: band } : { ...pos, y: band });
+  }
+  return aligned;
+}
+
+/**
+ * Round a node's position to the grid. With sizes, its far edges are rounded too: rounding is
+ * monotonic, so a node inside a group stays inside it, and a node with a size keeps at least
+ * one grid cell.
+ */
+function snapToGrid(node, grid, sizes) {
+  const snap = (value) => Math.round(value / grid) * grid;
+  const out = { ...node };
+  for (const [start, size] of [['x', 'width'], ['y', 'height']]) {
+    const origin = node[start];
+    const extent = node[size];
+    if (!isFiniteNumber(origin)) continue;
+    out[start] = snap(origin);
+    if (sizes && isFiniteNumber(extent)) {
+      const snapped = snap(origin + extent) - snap(origin);
+      out[size] = extent > 0 ? Math.max(grid, snapped) : snapped;
+    }
+  }
+  return out;
+}
+
+/**
+ * Translate the canvas so its top-left corner sits at origin.
+ */
+function rebaseToOrigin(nodes, origin) {
+  let left = Infinity;
+  let top = Infinity;
+  for (const node of nodes) {
+    if (isFiniteNumber(node.x)) left = Math.min(left, node.x);
+    if (isFiniteNumber(node.y)) top = Math.min(top, node.y);
+  }
+  const dx = left === Infinity ? 0 : left - origin.x;
+  const dy = top === Infinity ? 0 : top - origin.y;
+  if (dx === 0 && dy === 0) return nodes;
+  return nodes.map(node => {
+    const out = { ...node };
+    if (isFiniteNumber(node.x)) out.x = node.x - dx;
+    if (isFiniteNumber(node.y)) out.y = node.y - dy;
+    return out;
+  });
+}
+
+/**
+ * Index of the first node whose parent group differs between two hierarchies, or -1.
+ */
+function findMovedNode(before, after, nodes) {
+  return nodes.findIndex(node => {
+    const id = normalizedId(node.id);
+    return before.parentOf.get(id) !== after.parentOf.get(id);
+  });
+}
+
+/**
+ * Optional layout normalization: snap positions (and with settings.snapSizes, sizes) to
+ * settings.gridSize and/or rebase the canvas to settings.origin, 0,0 by default
+ * (settings.rebaseOrigin). Either step is skipped, with a warning, if it would change the
+ * hierarchy buildHierarchy computes from the original coordinates.
+ */
+function normalizeLayout(nodes, settings, diagnostics) {
+  const grid = isFiniteNumber(settings?.gridSize) && settings.gridSize > 0 ? settings.gridSize : 0;
+  const rebase = settings?.rebaseOrigin === true;
+  const origin = {
+    x: isFiniteNumber(settings?.origin?.x) ? settings.origin.x : 0,
+    y: isFiniteNumber(settings?.origin?.y) ? settings.origin.y : 0,
+  };
+  if (!grid && !rebase) return nodes;
+
+  const original = buildHierarchy(nodes, settings);
+  const keeps = (placed, code, step) => {
+    const moved = findMovedNode(original, buildHierarchy(placed, settings), nodes);
+    if (moved < 0) return true;
+    const id = normalizedId(nodes[moved]?.id);
+    diagnostics.push({
+      code,
+      severity: 'warning',
+      message: `${step} would move node ${id} to another group; skipped`,
+      index: moved,
+      nodeId: id,
+    });
+    return false;
+  };
 
-  const nodeIds = new Set();
-  const nodePositions = new Map();
+  if (grid) {
+    const snapped = nodes.map(node => snapToGrid(node, grid, settings?.snapSizes === true));
+    const placed = rebase ? rebaseToOrigin(snapped, origin) : snapped;
+    if (keeps(placed, 'layout-snap-skipped', `snapping to a ${grid}px grid`)) return placed;
+  }
+  if (rebase) {
+    const rebased = rebaseToOrigin(nodes, origin);
+    if (keeps(rebased, 'layout-rebase-skipped', 'rebasing to the origin')) return rebased;
+  }
+  return nodes;
+}
+
+/**
+ * Tag nodes that sit in a flow cycle with `flowCycle: <entry node id>`.
+ * Stale tags from an earlier compile are dropped from nodes no longer in a cycle.
+ */
+function markFlowCycles(nodes, flowGroups) {
+  const cycleOf = new Map();
+  for (const group of flowGroups) {
+    for (const [nodeId, entry] of group.cycles) {
+      cycleOf.set(nodeId, entry);
+    }
+  }
+
+  return nodes.map(node => {
+    const entry = cycleOf.get(normalizedId(node.id));
+    if (entry !== undefined) return { ...node, flowCycle: entry };
+    if (!('flowCycle' in node)) return node;
+    const { flowCycle: _stale, ...rest } = node;
+    return rest;
+  });
+}
+
+/**
+ * Compile and report: validates the input (repairing it first when settings.repair is set),
+ * then compiles. Returns every diagnostic found; output is null while blocking errors remain.
+ */
+export function compileCanvasWithDiagnostics({ input, settings }) {
+  const { canvas, diagnostics } = settings?.repair
+    ? repairCanvas(input)
+    : { canvas: input, diagnostics: collectCanvasDiagnostics(input) };
+
+  // An unusable collation locale sorts with the default one rather than failing the compile
+  const locale = settings?.collation?.locale?.trim();
+  const localeProblem = locale ? collationLocaleProblem(locale) : null;
+  if (localeProblem) {
+    diagnostics.push({
+      code: 'invalid-locale',
+      severity: 'warning',
+      message: `${localeProblem}; sorting with ${DEFAULT_COLLATION_LOCALE}`,
+      index: -1,
+    });
+  }
+
+  if (diagnostics.some(isBlockingDiagnostic)) {
+    return { output: null, diagnostics };
+  }
+
+  const nodes = normalizeLayout(canvas.nodes, settings, diagnostics);
+  const edges = canvas.edges;
+
+  const rawPositions = new Map();
   for (const n of nodes) {
-    const id = normalizedId(n?.id);
-    if (!id) throw new Error('node missing id');
-    if (nodeIds.has(id)) throw new Error(`duplicate node id: ${id}`);
-    nodeIds.add(id);
-    nodePositions.set(id, { x: n?.x, y: n?.y });
-  }
-
-  const edgeIds = new Set();
-  for (const e of edges) {
-    const id = normalizedId(e?.id);
-    if (!id) throw new Error('edge missing id');
-    if (edgeIds.has(id)) throw new Error(`duplicate edge id: ${id}`);
-    edgeIds.add(id);
-    const fromNode = normalizedId(e?.fromNode);
-    const toNode = normalizedId(e?.toNode);
-    if (!fromNode || !toNode) throw new Error(`edge ${id} missing fromNode/toNode`);
-    if (!nodeIds.has(fromNode)) throw new Error(`edge ${id} references missing fromNode: ${fromNode}`);
-    if (!nodeIds.has(toNode)) throw new Error(`edge ${id} references missing toNode: ${toNode}`);
-  }
-
-  const parentMap = buildHierarchy(nodes);
-  const outNodes = flattenHierarchical(nodes, parentMap, settings, edges, nodePositions);
+    rawPositions.set(normalizedId(n.id), { x: n.x, y: n.y, width: n.width, height: n.height });
+  }
+  const nodePositions = alignPositions(rawPositions, settings);
+
+  // Flow groups are built once for the whole canvas; node sort scopes and the edge sort share them
+  const flowGraph = settings?.flowSortNodes ? buildFlowGraph(nodes, edges) : undefined;
+  const flowGroups = flowGraph ? buildFlowGroups(nodes, flowGraph, nodePositions, settings?.readingOrder) : [];
+  const hierarchy = buildHierarchy(nodes, settings);
+  const outNodes = flattenHierarchical(nodes, hierarchy, settings, indexFlowGroups(flowGroups), nodePositions);
   const outEdges = edges.slice();
-  stableEdgeSortByTopology(outEdges, nodePositions, settings, nodes);
+  stableEdgeSortByTopology(outEdges, nodePositions, settings, flowGroups);
+
+  const marked = settings?.flowSortNodes && settings?.markFlowCycles ? markFlowCycles(outNodes, flowGroups) : outNodes;
+
+  return { output: { nodes: marked, edges: outEdges }, diagnostics };
+}
+
+/**
+ * Structure of a compiled canvas for nested exports: the parent group of every contained node
+ * (the same map buildHierarchy gives the compiler) and, for nodes in a flow component,
+ * the component index and the node's depth in it.
+ */
+export function buildCanvasStructure(canvas, settings) {
+  const nodes = canvas.nodes ?? [];
+  const rawPositions = new Map();
+  for (const n of nodes) {
+    rawPositions.set(normalizedId(n.id), { x: n.x, y: n.y, width: n.width, height: n.height });
+  }
+  const nodePositions = alignPositions(rawPositions, settings);
 
-  return { nodes: outNodes, edges: outEdges };
+  const flows = new Map();
+  const flowGroups = buildFlowGroups(nodes, buildFlowGraph(nodes, canvas.edges ?? []), nodePositions, settings?.readingOrder);
+  flowGroups.forEach((group, flow) => {
+    for (const [nodeId, depth] of group.flowOrder) {
+      flows.set(nodeId, { flow, depth });
+    }
+  });
+
+  return { parentOf: buildHierarchy(nodes, settings).parentOf, flows };
 }
 
 /**
- * Compile a single Canvas file to semantic JSON.
+ * Main compilation function: compile Canvas structure to semantic JSON with sorting.
+ * Validates input, builds hierarchy, applies sorting algorithms, and returns compiled structure.
+ * Throws on the first blocking diagnostic; use compileCanvasWithDiagnostics for the full report.
+ */
+export function compileCanvasAll({ input, settings }) {
+  const { output, diagnostics } = compileCanvasWithDiagnostics({ input, settings });
+  if (!output) {
+    const blocking = diagnostics.find(isBlockingDiagnostic);
+    throw new Error(blocking?.message ?? 'invalid canvas');
+  }
+  return output;
+}
+
+/**
+ * Default output extension for each compileCanvasFile format.
+ */
+export const OUTPUT_EXTENSIONS = {
+  json: '.json',
+  markdown: '.md',
+  mermaid: '.mmd',
+  dot: '.dot',
+  jsonld: '.jsonld',
+  ntriples: '.nt',
+};
+
+/**
+ * Text renderers for the other formats; each takes the compiled canvas, its structure and the settings.
+ */
+const RENDERERS = {
+  markdown: exportMarkdownOutline,
+  mermaid: exportMermaidFlowchart,
+  dot: exportDotGraph,
+  jsonld: (compiled, structure, settings) => JSON.stringify(exportJsonLd(compiled, structure, settings), null, 2) + '\n',
+  ntriples: exportNTriples,
+};
+
+/**
+ * Compile a single Canvas file to semantic JSON, or to another format rendered from the compiled order.
  * Reads input file, applies compilation, optionally strips metadata, and writes output.
+ * With settings.provenance, JSON output starts with a provenance block (see createProvenance)
+ * naming `version` as the generator version.
+ * With check, nothing is written: the existing output is compared with a fresh compile (using the
+ * settings recorded in its provenance block, when it has one) and the result says whether it is upToDate.
  */
-export function compileCanvasFile({ inPath, outPath, settings }) {
+export function compileCanvasFile({ inPath, outPath, settings, format = 'json', vaultRoot, version, check = false }) {
   const absIn = path.resolve(String(inPath ?? '').trim());
-  const input = readJson(absIn);
+  const sourceText = fs.readFileSync(absIn, 'utf8');
+  const input = JSON.parse(sourceText);
   const stem = path.basename(absIn).replace(/\.(canvas|json)$/i, '');
 
   // Default output to same directory as input
-  const absOut = String(outPath ?? '').trim() || path.resolve(path.dirname(absIn), `${stem}.json`);
+  const extension = OUTPUT_EXTENSIONS[format] ?? '.json';
+  const absOut = String(outPath ?? '').trim() || path.resolve(path.dirname(absIn), `${stem}${extension}`);
 
-  // Compile to semantic ordering
-  let out = compileCanvasAll({ input, settings });
+  // A check recompiles with the settings the existing output records, so it matches on any machine
+  const existing = check && fs.existsSync(absOut) ? fs.readFileSync(absOut, 'utf8') : null;
+  if (existing !== null && format === 'json') {
+    settings = readRecordedSettings(existing) ?? settings;
+  }
 
-  // Strip Canvas metadata if requested
-  if (settings?.stripMetadata) {
-    out = stripCanvasMetadata(out, settings);
+  // Compile to semantic ordering, collecting every problem instead of stopping at the first
+  const { output, diagnostics } = compileCanvasWithDiagnostics({ input, settings });
+  if (!output) {
+    const blocking = diagnostics.filter(isBlockingDiagnostic);
+    const error = new Error(
+      `${blocking.length} blocking problem(s) in ${absIn}\n${formatDiagnostics(diagnostics)}`,
+    );
+    error.diagnostics = diagnostics;
+    throw error;
   }
 
-  const serialized = JSON.stringify(out, null, 2) + '\n';
+  // Write the output, or with check only compare it with what is on disk
+  const finish = (serialized, out) => {
+    if (check) return { ...summarizeOutput(absIn, absOut, input, out, diagnostics), upToDate: serialized === existing };
+    fs.writeFileSync(absOut, serialized, 'utf8');
+    return summarizeOutput(absIn, absOut, input, out, diagnostics);
+  };
 
-  fs.writeFileSync(absOut, serialized, 'utf8');
+  const render = RENDERERS[format];
+  if (render) {
+    return finish(render(output, buildCanvasStructure(output, settings), settings), output);
+  }
 
+  // Strip Canvas metadata, optionally parsing structured text; members nest under their groups,
+  // or in flat exports nested groups can record their parent
+  const toPure = compiled => {
+    const pure = stripCanvasMetadata(compiled, settings);
+    const structure = buildCanvasStructure(compiled, settings);
+    const structured = settings?.structuredText ? structureTextFields(pure, structure) : pure;
+    if (!settings?.nestedExport) return settings?.groupParents ? recordGroupParents(structured, structure) : structured;
+    return nestPureExport(structured, structure, { sequences: settings.flowSequences });
+  };
+  let out = settings?.stripMetadata ? toPure(output) : output;
+
+  // File paths are relative to the vault root: vaultRoot, or else the top-level canvas's folder
+  const root = String(vaultRoot ?? '').trim() ? path.resolve(vaultRoot) : path.dirname(absIn);
+
+  // Inline linked canvases
+  if (settings?.stripMetadata && settings?.embedCanvasDepth > 0) {
+    out = embedCanvasFiles(out, {
+      path: absIn,
+      maxDepth: settings.embedCanvasDepth,
+      resolvePath: file => path.resolve(root, file),
+      readCanvas: filePath => (fs.existsSync(filePath) ? readJson(filePath) : null),
+      exportCanvas: canvas => toPure(compileCanvasAll({ input: canvas, settings })),
+    });
+  }
+
+  // Inline the notes file nodes point at, including those of embedded canvases
+  if (settings?.stripMetadata && settings?.inlineNotes) {
+    out = inlineNoteFiles(out, {
+      resolvePath: file => path.resolve(root, file),
+      readNote: filePath => (fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null),
+      maxChars: settings.noteCharLimit,
+      sections: settings.noteSections,
+    });
+  }
+
+  if (settings?.canonicalKeyOrder) {
+    out = canonicalizeKeyOrder(out);
+  }
+
+  // Record what produced the output; the source path is relative to the output's folder
+  if (settings?.provenance) {
+    const source = path.relative(path.dirname(absOut), absIn).split(path.sep).join('/');
+    out = { provenance: createProvenance({ version, settings, source, sourceText }), ...out };
+  }
+
+  return finish(JSON.stringify(out, null, 2) + '\n', out);
+}
+
+/**
+ * Settings from the provenance block of an earlier JSON output, or null (also for unreadable JSON)
+ */
+function readRecordedSettings(text) {
+  try {
+    return readProvenanceSettings(JSON.parse(text));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Result summary printed by the CLI.
+ */
+function summarizeOutput(absIn, absOut, input, out, diagnostics) {
   return {
     inPath: absIn,
     outPath: absOut,
@@ -590,5 +1153,7 @@ export function compileCanvasFile({ inPath, outPath, settings }) {
     edgesIn: Array.isArray(input?.edges) ? input.edges.length : 0,
     nodesOut: out.nodes.length,
     edgesOut: out.edges.length,
+    ...(out.provenance ? { provenance: out.provenance } : {}),
+    ...(diagnostics.length > 0 ? { diagnostics } : {}),
   };
 }
@@ -4,11 +4,20 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { readJson } from './shared.mjs';
-import { compileCanvasAll } from './compiler.mjs';
+import { compileCanvasAll, compileCanvasWithDiagnostics } from './compiler.mjs';
+import { generateCanvas } from '../bench.mjs';
+import { createJiti } from 'jiti';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const REPO_ROOT = path.resolve(__dirname, '..', '..');
 
+// The plugin's TypeScript compiler, loaded directly so both implementations run the same cases.
+const tsCompiler = await createJiti(import.meta.url).import(path.join(REPO_ROOT, 'src', 'core', 'compiler.ts'));
+const COMPILERS = [
+  ['cli', compileCanvasAll],
+  ['ts', tsCompiler.compileCanvasAll],
+];
+
 function readUtf8(p) {
   return fs.readFileSync(p, 'utf8');
 }
@@ -89,3 +98,466 @@ test('compile fails fast on duplicate node ids', () => {
   );
 });
 
+
+function containmentCanvas() {
+  return {
+    nodes: [
+      { id: 'outer', type: 'group', label: 'outer', x: 0, y: 0, width: 400, height: 300 },
+      { id: 'inner', type: 'group', label: 'inner', x: 250, y: 0, width: 300, height: 300 },
+      // Sticks out of "outer" by one pixel on the right.
+      { id: 'card', type: 'text', text: 'card', x: 20, y: 20, width: 381, height: 60 },
+      // Straddles both groups: 64% inside "outer", 55% inside "inner", fully inside neither.
+      { id: 'bridge', type: 'text', text: 'bridge', x: 50, y: 200, width: 550, height: 60 },
+    ],
+    edges: [],
+  };
+}
+
+function parentOf(out, id) {
+  const index = out.nodes.findIndex((n) => n.id === id);
+  for (let i = index - 1; i >= 0; i--) {
+    if (out.nodes[i].type === 'group') return out.nodes[i].id;
+  }
+  return null;
+}
+
+test('strict containment leaves a card sticking out by one pixel at the root', () => {
+  const out = compileCanvasAll({ input: containmentCanvas(), settings: {} });
+  assert.deepEqual(out.nodes.map((n) => n.id), ['card', 'bridge', 'outer', 'inner']);
+});
+
+test('center and overlap containment adopt nodes that stick out of their group', () => {
+  const center = compileCanvasAll({ input: containmentCanvas(), settings: { containment: 'center' } });
+  assert.equal(parentOf(center, 'card'), 'outer');
+
+  const overlap = compileCanvasAll({
+    input: containmentCanvas(),
+    settings: { containment: 'overlap', containmentOverlap: 0.4 },
+  });
+  assert.equal(parentOf(overlap, 'card'), 'outer');
+  // Both groups hold >= 40% of "bridge": smallest area wins by default.
+  assert.equal(parentOf(overlap, 'bridge'), 'inner');
+
+  const largest = compileCanvasAll({
+    input: containmentCanvas(),
+    settings: { containment: 'overlap', containmentOverlap: 0.4, containmentTieBreak: 'largest-overlap' },
+  });
+  assert.equal(parentOf(largest, 'bridge'), 'outer');
+
+  const strictOverlap = compileCanvasAll({
+    input: containmentCanvas(),
+    settings: { containment: 'overlap', containmentOverlap: 0.9 },
+  });
+  assert.equal(strictOverlap.nodes[0].id, 'bridge');
+});
+
+test('overlapping groups never become each other\'s parent', () => {
+  const input = {
+    nodes: [
+      { id: 'g1', type: 'group', label: 'one', x: 0, y: 0, width: 200, height: 200 },
+      { id: 'g2', type: 'group', label: 'two', x: 0, y: 0, width: 200, height: 200 },
+      { id: 'g3', type: 'group', label: 'three', x: 50, y: 50, width: 200, height: 200 },
+    ],
+    edges: [],
+  };
+  for (const containment of ['strict', 'center', 'overlap']) {
+    const out = compileCanvasAll({ input, settings: { containment } });
+    assert.deepEqual(out.nodes.map((n) => n.id).sort(), ['g1', 'g2', 'g3'], containment);
+  }
+});
+
+test('compile of a large generated canvas keeps every node and nests groups', () => {
+  const input = generateCanvas(3000, 7);
+  const out = compileCanvasAll({ input, settings: { flowSortNodes: true } });
+
+  assertValidCanvas(out);
+  assert.equal(out.nodes.length, input.nodes.length);
+  assert.equal(out.edges.length, input.edges.length);
+
+  // Nested groups directly follow the cards of their parent group.
+  const nested = out.nodes.findIndex((n) => n.label?.startsWith('Nested'));
+  assert.ok(out.nodes[nested - 1].type !== 'group');
+});
+
+function card(id, y, x = 0) {
+  return { id, type: 'text', text: id, x, y, width: 100, height: 60 };
+}
+
+function arrow(fromNode, toNode) {
+  return { id: `${fromNode}-${toNode}`, fromNode, toNode };
+}
+
+test('flow sort orders a loop from the node where it is entered', () => {
+  // start → b → c → d → b, d → end; the loop is drawn bottom-up so position alone would invert it.
+  const input = {
+    nodes: [card('d', 100), card('c', 200), card('b', 300), card('start', 400), card('end', 0, 300)],
+    edges: [arrow('start', 'b'), arrow('b', 'c'), arrow('c', 'd'), arrow('d', 'b'), arrow('d', 'end')],
+  };
+  const out = compileCanvasAll({ input, settings: { flowSortNodes: true } });
+  assert.deepEqual(out.nodes.map((n) => n.id), ['start', 'b', 'c', 'd', 'end']);
+  assert.equal(out.edges[0].id, 'start-b');
+  assert.ok(out.nodes.every((n) => !('flowCycle' in n)));
+});
+
+test('a loop with no upstream starts at its top-left node and precedes its downstream', () => {
+  const input = {
+    nodes: [card('tail', 0, 300), card('a', 200), card('b', 100)],
+    edges: [arrow('a', 'b'), arrow('b', 'a'), arrow('a', 'tail')],
+  };
+  const out = compileCanvasAll({ input, settings: { flowSortNodes: true } });
+  assert.deepEqual(out.nodes.map((n) => n.id), ['b', 'a', 'tail']);
+});
+
+test('markFlowCycles tags loop members with their entry node and clears stale tags', () => {
+  const input = {
+    nodes: [{ ...card('start', 0), flowCycle: 'stale' }, card('b', 100), card('c', 200), card('self', 300)],
+    edges: [arrow('start', 'b'), arrow('b', 'c'), arrow('c', 'b'), arrow('c', 'self'), arrow('self', 'self')],
+  };
+  const out = compileCanvasAll({ input, settings: { flowSortNodes: true, markFlowCycles: true } });
+  const marks = Object.fromEntries(out.nodes.map((n) => [n.id, n.flowCycle]));
+  assert.deepEqual(marks, { start: undefined, b: 'b', c: 'b', self: 'self' });
+  assert.equal(input.nodes[1].flowCycle, undefined);
+});
+
+function twoWay(fromNode, toNode, sides = {}) {
+  return { id: `${fromNode}-${toNode}`, fromNode, toNode, fromEnd: 'arrow', toEnd: 'arrow', ...sides };
+}
+
+const BIDIRECTIONAL_CASES = [
+  {
+    name: 'a two-way link continues the flow out of a reached node',
+    nodes: [card('d', 0), card('c', 100), card('b', 200), card('start', 300)],
+    edges: [arrow('start', 'b'), twoWay('c', 'b'), arrow('c', 'd')],
+    expected: ['start', 'b', 'c', 'd'],
+  },
+  {
+    name: 'a leading two-way link feeds into the one-way chain',
+    nodes: [card('z', 0), card('y', 100), card('x', 200)],
+    edges: [twoWay('y', 'x'), arrow('y', 'z')],
+    expected: ['x', 'y', 'z'],
+  },
+  {
+    name: 'a run of two-way links inherits direction link by link',
+    nodes: [card('e', 0), card('d', 100), card('c', 200), card('b', 300), card('a', 400)],
+    edges: [arrow('a', 'b'), twoWay('c', 'b'), twoWay('d', 'c'), arrow('d', 'e')],
+    expected: ['a', 'b', 'c', 'd', 'e'],
+  },
+  {
+    name: 'a two-way link between two reached nodes follows fromSide/toSide',
+    nodes: [card('s', 0), card('p', 100), card('q', 200)],
+    edges: [arrow('s', 'p'), arrow('s', 'q'), twoWay('p', 'q', { fromSide: 'top', toSide: 'bottom' })],
+    expected: ['s', 'q', 'p'],
+  },
+  {
+    name: 'a purely two-way pair follows fromSide/toSide over position',
+    nodes: [card('top', 0), card('bottom', 200)],
+    edges: [twoWay('bottom', 'top', { fromSide: 'bottom', toSide: 'top' })],
+    expected: ['bottom', 'top'],
+  },
+  {
+    name: 'a purely two-way pair without sides follows reading position',
+    nodes: [card('second', 200), card('first', 0)],
+    edges: [twoWay('second', 'first')],
+    expected: ['first', 'second'],
+  },
+];
+
+for (const [label, compile] of COMPILERS) {
+  for (const { name, nodes, edges, expected } of BIDIRECTIONAL_CASES) {
+    test(`${label}: ${name}`, () => {
+      const out = compile({ input: { nodes, edges }, settings: { flowSortNodes: true } });
+      assert.deepEqual(out.nodes.map((n) => n.id), expected);
+    });
+  }
+}
+
+const READING_ORDERS = {
+  'row-ltr': { nodes: ['a', 'b', 'c', 'd'], edges: ['b-d', 'c-d'], flow: ['p', 'q', 'r', 's'] },
+  'row-rtl': { nodes: ['b', 'a', 'd', 'c'], edges: ['b-d', 'c-d'], flow: ['p', 'q', 'r', 's'] },
+  'column-ttb': { nodes: ['a', 'c', 'b', 'd'], edges: ['c-d', 'b-d'], flow: ['r', 's', 'p', 'q'] },
+  'column-btt': { nodes: ['c', 'a', 'd', 'b'], edges: ['c-d', 'b-d'], flow: ['r', 's', 'p', 'q'] },
+};
+
+for (const [label, compile] of COMPILERS) {
+  for (const [readingOrder, expected] of Object.entries(READING_ORDERS)) {
+    test(`${label}: readingOrder ${readingOrder} orders nodes, edges and flow groups`, () => {
+      const grid = compile({
+        input: {
+          nodes: [card('d', 200, 200), card('c', 200, 0), card('b', 0, 200), card('a', 0, 0)],
+          edges: [
+            { id: 'c-d', fromNode: 'c', toNode: 'd', toEnd: 'none' },
+            { id: 'b-d', fromNode: 'b', toNode: 'd', toEnd: 'none' },
+          ],
+        },
+        settings: { readingOrder },
+      });
+      assert.deepEqual(grid.nodes.map((n) => n.id), expected.nodes);
+      assert.deepEqual(grid.edges.map((e) => e.id), expected.edges);
+
+      // Two chains: one starts top-right, the other further down on the left.
+      const flows = compile({
+        input: {
+          nodes: [card('q', 0, 600), card('p', 0, 400), card('s', 300, 200), card('r', 300, 0)],
+          edges: [arrow('p', 'q'), arrow('r', 's')],
+        },
+        settings: { flowSortNodes: true, readingOrder },
+      });
+      assert.deepEqual(flows.nodes.map((n) => n.id), expected.flow);
+    });
+  }
+}
+
+for (const [label, compile] of COMPILERS) {
+  test(`${label}: reversed reading orders start from the right and bottom edges`, () => {
+    // "wide" starts left of "narrow" but reaches further right; "tall" starts above "short" but ends below it.
+    const row = compile({
+      input: { nodes: [{ ...card('wide', 0, 0), width: 400 }, card('narrow', 0, 200)], edges: [] },
+      settings: { readingOrder: 'row-rtl' },
+    });
+    assert.deepEqual(row.nodes.map((n) => n.id), ['wide', 'narrow']);
+
+    const column = compile({
+      input: { nodes: [{ ...card('tall', 0, 0), height: 400 }, card('short', 200, 0)], edges: [] },
+      settings: { readingOrder: 'column-btt' },
+    });
+    assert.deepEqual(column.nodes.map((n) => n.id), ['tall', 'short']);
+  });
+}
+
+for (const [label, compile] of COMPILERS) {
+  test(`${label}: alignmentTolerance reads nearly aligned cards as one row`, () => {
+    // "right" sits 4px higher than "left"; "below" is clearly on the next row.
+    const input = {
+      nodes: [card('right', 100, 300), card('left', 104, 0), card('below', 200, 0), card('low', 112, 600)],
+      edges: [],
+    };
+    const exact = compile({ input, settings: {} });
+    assert.deepEqual(exact.nodes.map((n) => n.id), ['right', 'left', 'low', 'below']);
+
+    const aligned = compile({ input, settings: { alignmentTolerance: 10 } });
+    // Bands start at their first coordinate: 112 is more than 10px past 100, so "low" starts a new row.
+    assert.deepEqual(aligned.nodes.map((n) => n.id), ['left', 'right', 'low', 'below']);
+    assert.equal(aligned.nodes.find((n) => n.id === 'right').y, 100);
+
+    const columns = compile({
+      input: { nodes: [card('top', 0, 203), card('bottom', 100, 200)], edges: [] },
+      settings: { readingOrder: 'column-ttb', alignmentTolerance: 5 },
+    });
+    assert.deepEqual(columns.nodes.map((n) => n.id), ['top', 'bottom']);
+  });
+}
+
+for (const [label, compile] of COMPILERS) {
+  test(`${label}: nodeSort chains keys with per-key direction and a custom type table`, () => {
+    const colored = {
+      nodes: [
+        { ...card('a', 0), color: '2' },
+        { ...card('b', 100), color: '1' },
+        card('c', 200),
+      ],
+      edges: [],
+    };
+    const colorFirst = compile({ input: colored, settings: { nodeSort: [{ key: 'color' }, { key: 'position' }] } });
+    assert.deepEqual(colorFirst.nodes.map((n) => n.id), ['c', 'b', 'a']);
+    const colorDesc = compile({
+      input: colored,
+      settings: { nodeSort: [{ key: 'color', direction: 'desc' }, { key: 'position' }] },
+    });
+    assert.deepEqual(colorDesc.nodes.map((n) => n.id), ['a', 'b', 'c']);
+
+    const inventory = {
+      nodes: [
+        { id: 'l', type: 'link', url: 'https://example.com', x: 0, y: 0, width: 100, height: 60 },
+        card('t', 100),
+        { id: 'f', type: 'file', file: 'notes/a.md', x: 0, y: 200, width: 100, height: 60 },
+      ],
+      edges: [],
+    };
+    const typeFirst = compile({
+      input: inventory,
+      settings: { nodeSort: [{ key: 'type' }, { key: 'position' }], typePriority: { file: 0, text: 1, link: 2 } },
+    });
+    assert.deepEqual(typeFirst.nodes.map((n) => n.id), ['f', 't', 'l']);
+  });
+
+  test(`${label}: colorOrder ranks node and edge colors instead of comparing raw strings`, () => {
+    const input = {
+      nodes: [
+        { id: 'a', type: 'text', text: 'a', x: 0, y: 0, width: 100, height: 60, color: '#FF0000' },
+        { id: 'b', type: 'text', text: 'b', x: 0, y: 0, width: 100, height: 60, color: '4' },
+        { id: 'c', type: 'text', text: 'c', x: 0, y: 0, width: 100, height: 60, color: '1' },
+        { id: 'd', type: 'text', text: 'd', x: 0, y: 200, width: 100, height: 60 },
+      ],
+      edges: [
+        { id: 'e1', fromNode: 'a', toNode: 'd', color: '1' },
+        { id: 'e2', fromNode: 'a', toNode: 'd', color: '#f00' },
+        { id: 'e3', fromNode: 'a', toNode: 'd', color: '4' },
+      ],
+    };
+    const raw = compile({ input: structuredClone(input) });
+    assert.deepEqual(raw.nodes.map((n) => n.id), ['a', 'c', 'b', 'd']);
+    assert.deepEqual(raw.edges.map((e) => e.id), ['e2', 'e1', 'e3']);
+
+    const ranked = compile({ input: structuredClone(input), settings: { colorOrder: ['green', '1', '#f00'] } });
+    assert.deepEqual(ranked.nodes.map((n) => n.id), ['b', 'c', 'a', 'd']);
+    assert.deepEqual(ranked.edges.map((e) => e.id), ['e3', 'e1', 'e2']);
+  });
+
+  test(`${label}: edgeSort orders parallel edges by direction, label and sides`, () => {
+    const nodes = [card('a', 0), card('b', 200)];
+    const edges = [
+      { id: 'e1', fromNode: 'a', toNode: 'b', toEnd: 'none', label: 'alpha' },
+      { id: 'e2', fromNode: 'a', toNode: 'b', label: 'beta', fromSide: 'left' },
+      { id: 'e3', fromNode: 'a', toNode: 'b', fromEnd: 'arrow', label: 'alpha' },
+      { id: 'e4', fromNode: 'a', toNode: 'b', label: 'beta', fromSide: 'bottom' },
+      { id: 'e5', fromNode: 'a', toNode: 'b' },
+    ];
+    const order = (edgeSort) =>
+      compile({ input: { nodes, edges: structuredClone(edges) }, settings: { edgeSort } }).edges.map((e) => e.id);
+
+    assert.deepEqual(order(undefined), ['e1', 'e2', 'e3', 'e4', 'e5']);
+    assert.deepEqual(order([{ key: 'label' }]), ['e5', 'e1', 'e3', 'e2', 'e4']);
+    assert.deepEqual(order([{ key: 'direction' }, { key: 'label' }, { key: 'sides' }]), ['e5', 'e4', 'e2', 'e3', 'e1']);
+    assert.deepEqual(order([{ key: 'label', direction: 'desc' }, { key: 'sides', direction: 'desc' }]), ['e2', 'e4', 'e1', 'e3', 'e5']);
+  });
+
+  test(`${label}: natural collation orders numbered content by value`, () => {
+    const steps = ['Step 10', 'Step 9', 'Step 1'].map((text, i) => ({
+      id: `s${i}`,
+      type: 'text',
+      text,
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 60,
+    }));
+    const text = (settings) => compile({ input: { nodes: steps, edges: [] }, settings }).nodes.map((n) => n.text);
+    assert.deepEqual(text({}), ['Step 1', 'Step 10', 'Step 9']);
+    assert.deepEqual(text({ collation: { numeric: true } }), ['Step 1', 'Step 9', 'Step 10']);
+  });
+
+  test(`${label}: flows passing through another group keep their order in each scope`, () => {
+    const input = {
+      nodes: [
+        { id: 'y', type: 'text', text: 'y', x: 0, y: 0, width: 100, height: 60 },
+        { id: 'x', type: 'text', text: 'x', x: 0, y: 200, width: 100, height: 60 },
+        { id: 'g', type: 'group', label: 'g', x: 300, y: 0, width: 300, height: 300 },
+        { id: 'z', type: 'text', text: 'z', x: 320, y: 40, width: 100, height: 60 },
+      ],
+      edges: [
+        { id: 'e1', fromNode: 'x', toNode: 'z' },
+        { id: 'e2', fromNode: 'z', toNode: 'y' },
+      ],
+    };
+    const order = (settings) => compile({ input: structuredClone(input), settings }).nodes.map((n) => n.id);
+    assert.deepEqual(order({}), ['y', 'x', 'g', 'z']);
+    assert.deepEqual(order({ flowSortNodes: true }), ['x', 'y', 'g', 'z']);
+  });
+
+  test(`${label}: caseFirst orders texts that differ only in case`, () => {
+    const words = ['apple', 'Apple', 'banana'].map((text, i) => ({ id: `w${i}`, type: 'text', text, x: 0, y: 0, width: 100, height: 60 }));
+    const text = (settings) => compile({ input: { nodes: words, edges: [] }, settings }).nodes.map((n) => n.text);
+    assert.deepEqual(text({}), ['apple', 'Apple', 'banana']);
+    assert.deepEqual(text({ collation: { caseFirst: 'upper' } }), ['Apple', 'apple', 'banana']);
+    assert.deepEqual(text({ collation: { caseFirst: 'lower' } }), ['apple', 'Apple', 'banana']);
+  });
+
+  test(`${label}: the default nodeSort spec reproduces the built-in order`, () => {
+    const input = readJson(path.join(REPO_ROOT, 'examples', 'conformance-test-card.canvas'));
+    for (const base of [{}, { flowSortNodes: true }, { semanticSortOrphans: true }]) {
+      const implicit = compile({ input: structuredClone(input), settings: base });
+      const explicit = compile({
+        input: structuredClone(input),
+        settings: {
+          ...base,
+          nodeSort: ['flow', 'position', 'type', 'color', 'content'].map((key) => ({ key, direction: 'asc' })),
+          typePriority: { link: 1 },
+        },
+      });
+      assert.deepEqual(explicit, implicit);
+    }
+  });
+}
+
+const LAYOUT_COMPILERS = [
+  ['cli', compileCanvasWithDiagnostics],
+  ['ts', tsCompiler.compileCanvasWithDiagnostics],
+];
+
+for (const [label, compileWithDiagnostics] of LAYOUT_COMPILERS) {
+  test(`${label}: gridSize and rebaseOrigin normalize coordinates without regrouping`, () => {
+    const input = {
+      nodes: [
+        { id: 'g', type: 'group', label: 'g', x: 1003.4, y: -497.2, width: 400.7, height: 300.1 },
+        { id: 'in', type: 'text', text: 'in', x: 1021.9, y: -478.6, width: 150.2, height: 60.4 },
+        { id: 'out', type: 'text', text: 'out', x: 1513.1, y: -402.5, width: 99.6, height: 41 },
+      ],
+      edges: [],
+    };
+    const settings = { gridSize: 20, snapSizes: true, rebaseOrigin: true };
+    const { output, diagnostics } = compileWithDiagnostics({ input: structuredClone(input), settings });
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(
+      output.nodes.map(({ id, x, y, width, height }) => [id, x, y, width, height]),
+      [
+        ['out', 520, 100, 100, 40],
+        ['g', 0, 0, 400, 300],
+        ['in', 20, 20, 160, 60],
+      ],
+    );
+    assert.deepEqual(compileWithDiagnostics({ input: structuredClone(output), settings }).output, output);
+
+    const rebased = compileWithDiagnostics({ input: structuredClone(input), settings: { rebaseOrigin: true } }).output;
+    const inNode = rebased.nodes.find((n) => n.id === 'in');
+    assert.deepEqual([inNode.x, inNode.y], [1021.9 - 1003.4, -478.6 + 497.2]);
+  });
+
+  test(`${label}: gridSize leaves sizes alone unless snapSizes is set, and rebaseOrigin honors origin`, () => {
+    const input = {
+      nodes: [
+        { id: 'g', type: 'group', label: 'g', x: 1003.4, y: -497.2, width: 400.7, height: 300.1 },
+        { id: 'in', type: 'text', text: 'in', x: 1021.9, y: -478.6, width: 150.2, height: 60.4 },
+      ],
+      edges: [],
+    };
+    const settings = { gridSize: 20, rebaseOrigin: true, origin: { x: 100, y: -40 } };
+    const { output, diagnostics } = compileWithDiagnostics({ input, settings });
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(
+      output.nodes.map(({ id, x, y, width, height }) => [id, x, y, width, height]),
+      [
+        ['g', 100, -40, 400.7, 300.1],
+        ['in', 120, -20, 150.2, 60.4],
+      ],
+    );
+  });
+
+  test(`${label}: an unusable collation locale sorts with en and warns`, () => {
+    const input = {
+      nodes: ['b', 'a'].map((text, i) => ({ id: `n${i}`, type: 'text', text, x: 0, y: 0, width: 100, height: 60 })),
+      edges: [],
+    };
+    const { output, diagnostics } = compileWithDiagnostics({ input, settings: { collation: { locale: 'not a locale!' } } });
+    assert.deepEqual(output.nodes.map((n) => n.text), ['a', 'b']);
+    assert.deepEqual(
+      diagnostics.map(({ code, severity, message }) => [code, severity, message]),
+      [['invalid-locale', 'warning', 'invalid collation locale: not a locale!; sorting with en']],
+    );
+  });
+
+  test(`${label}: gridSize is skipped with a warning when snapping would regroup a node`, () => {
+    const input = {
+      nodes: [
+        { id: 'g', type: 'group', label: 'g', x: 0, y: 0, width: 100, height: 100 },
+        { id: 'edge', type: 'text', text: 'edge', x: 95, y: 10, width: 3, height: 20 },
+      ],
+      edges: [],
+    };
+    const { output, diagnostics } = compileWithDiagnostics({ input, settings: { gridSize: 20 } });
+    assert.deepEqual(output.nodes, input.nodes);
+    assert.deepEqual(
+      diagnostics.map(({ code, severity, nodeId }) => [code, severity, nodeId]),
+      [['layout-snap-skipped', 'warning', 'edge']],
+    );
+  });
+}
@@ -1,23 +1,41 @@
-import { normalizedId } from './shared.mjs';
+import {
+  DEFAULT_BASE_IRI,
+  getColorHex,
+  getEdgeLabel,
+  getPresetColorName,
+  normalizeColor,
+  normalizedId,
+  parseSemanticId,
+} from './shared.mjs';
 
 /**
  * Strip Canvas metadata from compiled structure to produce pure data artifact.
  * Removes spatial (x, y, width, height), visual (color), and rendering metadata.
- * Preserves semantic content: id, text, file, url, label for nodes; id, fromNode, toNode, label for edges.
+ * Preserves semantic content: id, text, file, subpath, url, label for nodes; id, fromNode, toNode, label for edges.
  * Preserves explicit hex colors (e.g. "#ff00aa") for nodes/edges when present.
- * Optionally strips edges when flow-sorted (topology compiled into sequence order).
- * Embeds labeled edges directly into connected nodes via "from" and "to" properties.
+ * Preset indices ("1"-"6") are dropped unless settings.presetColors is 'name' (emit "red", "orange", …)
+ * or 'meaning' (names plus a colorMeaning looked up in settings.colorMeanings).
+ * settings.edgeFolding decides where edges go:
+ * - 'labeled' (default): labeled edges fold into both endpoints as "from"/"to", unlabeled edges stay
+ *   in edges unless flow-sorted (topology compiled into sequence order)
+ * - 'keep': every edge stays in edges
+ * - 'all': every edge folds into both endpoints
+ * - 'outgoing': every edge folds into its source's "to" only
+ * - 'adjacency': every edge goes into an adjacency map keyed by source node id
+ * Sources and targets follow the arrowheads (fromEnd/toEnd); two-way edges and plain lines
+ * keep their fromNode→toNode order and are marked with direction "both" or "none".
  */
 export function stripCanvasMetadata(input, settings) {
   const inputEdges = Array.isArray(input?.edges) ? input.edges : [];
-  
-  // Separate labeled and unlabeled edges
-  const labeledEdges = inputEdges.filter(edge => 'label' in edge && edge.label !== undefined);
-  const unlabeledEdges = inputEdges.filter(edge => !('label' in edge) || edge.label === undefined);
-  
-  // Process labeled edges: embed them into nodes
-  const nodeFromEdges = processLabeledEdges(labeledEdges, 'from');
-  const nodeToEdges = processLabeledEdges(labeledEdges, 'to');
+  const folding = settings?.edgeFolding ?? 'labeled';
+
+  // Split edges into folded (embedded into nodes or the adjacency map) and kept ones
+  const foldedEdges = folding === 'keep' ? [] : folding === 'labeled' ? inputEdges.filter(hasEdgeLabel) : inputEdges;
+  const keptEdges = folding === 'keep' ? inputEdges : folding === 'labeled' ? inputEdges.filter(edge => !hasEdgeLabel(edge)) : [];
+
+  const nodeFromEdges = folding === 'labeled' || folding === 'all' ? foldEdges(foldedEdges, 'from', settings) : new Map();
+  const nodeToEdges = foldEdges(foldedEdges, 'to', settings);
+  const embedEdges = folding !== 'adjacency';
 
   // Strip nodes: preserve only semantic content
   const nodes = Array.isArray(input?.nodes) ? input.nodes.map(node => {
@@ -26,86 +44,604 @@ export function stripCanvasMetadata(input, settings) {
     // Preserve content fields
     if ('text' in node && node.text !== undefined) stripped.text = node.text;   
     if ('file' in node && node.file !== undefined) stripped.file = node.file;   
+    if ('subpath' in node && node.subpath !== undefined) stripped.subpath = node.subpath;
     if ('url' in node && node.url !== undefined) stripped.url = node.url;       
     if ('label' in node && node.label !== undefined) stripped.label = node.label;
 
-    // Preserve custom colors; drop default palette indices like "1", "2", etc.
-    if ('color' in node && isCustomColor(node.color)) stripped.color = node.color;
+    // Preserve custom colors; palette indices like "1", "2" per settings.presetColors
+    if ('color' in node) exportColor(stripped, node.color, settings);
 
-    // Embed directional edges if any labeled edges connect to this node        
+    // Embed folded edges connected to this node
     const nodeId = normalizedId(node.id);
-    if (nodeFromEdges.has(nodeId)) {
+    if (embedEdges && nodeFromEdges.has(nodeId)) {
       stripped.from = nodeFromEdges.get(nodeId);
     }
-    if (nodeToEdges.has(nodeId)) {
+    if (embedEdges && nodeToEdges.has(nodeId)) {
       stripped.to = nodeToEdges.get(nodeId);
     }
 
     return stripped;
   }) : [];
 
-  // Strip edges when flow topology is compiled into node sequence order OR when explicitly requested
-  const shouldStripEdges = settings?.flowSort || settings?.stripEdgesWhenFlowSorted;
+  // Strip unlabeled edges when flow topology is compiled into node sequence order OR when explicitly requested
+  const shouldStripEdges = folding === 'labeled' && (settings?.flowSort || settings?.stripEdgesWhenFlowSorted);
 
-  // Only process unlabeled edges (labeled edges are now embedded in nodes)
-  const edges = shouldStripEdges ? [] : unlabeledEdges.map(edge => {
-    const stripped = {
-      id: edge.id,
-      fromNode: edge.fromNode,
-      toNode: edge.toNode,
-    };
+  const edges = shouldStripEdges ? [] : keptEdges.map(edge => {
+    const [fromNode, arrow, toNode] = orientEdge(edge);
+    const stripped = { id: edge.id, fromNode, toNode };
 
-    if ('color' in edge && isCustomColor(edge.color)) stripped.color = edge.color;
+    if (hasEdgeLabel(edge)) stripped.label = edge.label;
+    if (arrow !== '→') stripped.direction = EDGE_DIRECTIONS[arrow];
+    if ('color' in edge) exportColor(stripped, edge.color, settings);
 
     return stripped;
   });
 
-  return { nodes, edges };
+  if (folding !== 'adjacency') return { nodes, edges };
+
+  const adjacency = {};
+  for (const node of nodes) {
+    const nodeId = normalizedId(node.id);
+    adjacency[nodeId] = nodeToEdges.get(nodeId) ?? [];
+  }
+  return { nodes, edges, adjacency };
+}
+
+const EDGE_DIRECTIONS = { '↔': 'both', '—': 'none' };
+
+function hasEdgeLabel(edge) {
+  return 'label' in edge && edge.label !== undefined;
 }
 
 /**
- * Process labeled edges and create node ID to edges mapping.
- * Direction can be 'from' (incoming) or 'to' (outgoing).
+ * Map node ids to their folded edges.
+ * Direction can be 'from' (incoming, keyed by target) or 'to' (outgoing, keyed by source).
  */
-function processLabeledEdges(labeledEdges, direction) {
+function foldEdges(edges, direction, settings) {
   const nodeEdgesMap = new Map();
 
-  for (const edge of labeledEdges) {
-    const fromId = normalizedId(edge.fromNode);
-    const toId = normalizedId(edge.toNode);
-    const color = isCustomColor(edge.color) ? edge.color : undefined;
+  for (const edge of edges) {
+    const [source, arrow, target] = orientEdge(edge);
+    const [owner, other] = direction === 'to' ? [source, target] : [target, source];
 
-    if (direction === 'to') {
-      // Outgoing edges: fromNode -> toNode
-      if (!nodeEdgesMap.has(fromId)) {
-        nodeEdgesMap.set(fromId, []);
-      }
-      const out = {
-        node: toId,
-        label: edge.label,
-      };
-      if (color) out.color = color;
-      nodeEdgesMap.get(fromId).push(out);
-    } else if (direction === 'from') {
-      // Incoming edges: fromNode <- toNode
-      if (!nodeEdgesMap.has(toId)) {
-        nodeEdgesMap.set(toId, []);
-      }
-      const out = {
-        node: fromId,
-        label: edge.label,
-      };
-      if (color) out.color = color;
-      nodeEdgesMap.get(toId).push(out);
+    if (!nodeEdgesMap.has(owner)) {
+      nodeEdgesMap.set(owner, []);
     }
+    const out = { node: other };
+    if (hasEdgeLabel(edge)) out.label = edge.label;
+    if (arrow !== '→') out.direction = EDGE_DIRECTIONS[arrow];
+    exportColor(out, edge.color, settings);
+    nodeEdgesMap.get(owner).push(out);
   }
 
   return nodeEdgesMap;
 }
 
+/**
+ * Copy an exported color onto target according to settings.presetColors ('drop' by default).
+ */
+function exportColor(target, value, settings) {
+  const mode = settings?.presetColors ?? 'drop';
+  if (mode === 'drop') {
+    if (isCustomColor(value)) target.color = value;
+    return;
+  }
+
+  const color = normalizeColor(value);
+  const name = getPresetColorName(color);
+  if (name) target.color = name;
+  else if (isCustomColor(color)) target.color = color;
+
+  const meanings = settings?.colorMeanings;
+  if (mode === 'meaning' && meanings && Object.prototype.hasOwnProperty.call(meanings, color)) {
+    target.colorMeaning = meanings[color];
+  }
+}
+
 function isCustomColor(value) {
   if (typeof value !== 'string') return false;
   const v = value.trim();
   if (!v) return false;
   return !/^\d+$/.test(v);
 }
+
+/**
+ * Nest a flat pure export by group: every group gets a `children` array with its contained
+ * nodes and sub-groups, in exported order, from the parent map in `structure`
+ * (see buildCanvasStructure). With options.sequences, members of one flow component that share
+ * a scope are wrapped as { sequence: [...] } in flow order.
+ */
+export function nestPureExport(pure, structure, options) {
+  const scopes = groupByScope(Array.isArray(pure.nodes) ? pure.nodes : [], structure.parentOf);
+
+  const build = scope => {
+    const members = (scopes.get(scope) ?? []).map(node =>
+      node.type === 'group' ? { ...node, children: build(normalizedId(node.id)) } : node,
+    );
+    return options?.sequences ? groupSequences(members, structure) : members;
+  };
+
+  return { ...pure, nodes: build('') };
+}
+
+/**
+ * Mark each group nested in another group of a flat pure export with `parent`: the id of the
+ * enclosing group, from the parent map in `structure` (see buildCanvasStructure). The exported
+ * order puts a group's nodes right after it, but cannot tell where a sub-group ends, so this
+ * keeps the hierarchy for readers and for rebuilding the canvas.
+ */
+export function recordGroupParents(pure, structure) {
+  const nodes = Array.isArray(pure.nodes) ? pure.nodes : [];
+  const ids = new Set(nodes.map(node => normalizedId(node.id)));
+  return {
+    ...pure,
+    nodes: nodes.map(node => {
+      if (node.type !== 'group') return node;
+      const parent = structure.parentOf.get(normalizedId(node.id));
+      return parent !== undefined && ids.has(parent) ? { ...node, parent } : node;
+    }),
+  };
+}
+
+/**
+ * Nodes by the id of their parent group ('' for the root), keeping their order.
+ * A parent that is not among the nodes counts as the root.
+ */
+function groupByScope(nodes, parentOf) {
+  const ids = new Set(nodes.map(node => normalizedId(node.id)));
+  const scopes = new Map();
+  for (const node of nodes) {
+    const parent = parentOf.get(normalizedId(node.id));
+    const scope = parent !== undefined && ids.has(parent) ? parent : '';
+    if (!scopes.has(scope)) scopes.set(scope, []);
+    scopes.get(scope).push(node);
+  }
+  return scopes;
+}
+
+/**
+ * Wrap flow members of one scope into sequences at the position of their first member.
+ * Single members stay plain nodes.
+ */
+function groupSequences(members, structure) {
+  const flowOf = node => structure.flows.get(normalizedId(node.id));
+  const counts = new Map();
+  for (const node of members) {
+    const flow = flowOf(node)?.flow;
+    if (flow !== undefined) counts.set(flow, (counts.get(flow) ?? 0) + 1);
+  }
+
+  const items = [];
+  const sequences = new Map();
+  for (const node of members) {
+    const flow = flowOf(node)?.flow;
+    if (flow === undefined || (counts.get(flow) ?? 0) < 2) {
+      items.push(node);
+      continue;
+    }
+    const sequence = sequences.get(flow);
+    if (sequence) {
+      sequence.push(node);
+    } else {
+      sequences.set(flow, [node]);
+      items.push({ sequence: sequences.get(flow) });
+    }
+  }
+
+  for (const sequence of sequences.values()) {
+    sequence.sort((a, b) => (flowOf(a)?.depth ?? 0) - (flowOf(b)?.depth ?? 0));
+  }
+  return items;
+}
+
+/**
+ * File nodes that point at another canvas.
+ */
+export function isCanvasFileNode(node) {
+  return node?.type === 'file' && typeof node.file === 'string' && /\.canvas$/i.test(node.file);
+}
+
+/**
+ * Inline linked canvases into a pure export: every file node targeting a .canvas file gets the
+ * referenced canvas's own pure export as `children`, recursively.
+ * options: { path, maxDepth, resolvePath(file), readCanvas(path) → canvas | null, exportCanvas(canvas) → pure }.
+ * Nodes that are not expanded get `embedSkipped`: 'cycle' (already on the path being expanded),
+ * 'max-depth', 'not-found' or 'invalid' (unreadable or failed to compile).
+ */
+export function embedCanvasFiles(pure, options) {
+  return embedLevel(pure, options, [options.path]);
+}
+
+function embedLevel(pure, options, stack) {
+  if (!Array.isArray(pure.nodes)) return pure;
+  return { ...pure, nodes: embedItems(pure.nodes, options, stack) };
+}
+
+/**
+ * Walk nested exports too: { sequence } wrappers and group `children` arrays.
+ */
+function embedItems(items, options, stack) {
+  return items.map(item => {
+    if (Array.isArray(item?.sequence) && !('id' in item)) {
+      return { ...item, sequence: embedItems(item.sequence, options, stack) };
+    }
+    if (isCanvasFileNode(item)) return embedNode(item, options, stack);
+    if (Array.isArray(item?.children)) return { ...item, children: embedItems(item.children, options, stack) };
+    return item;
+  });
+}
+
+function embedNode(node, options, stack) {
+  const skip = reason => ({ ...node, embedSkipped: reason });
+  const target = options.resolvePath(node.file);
+  if (stack.includes(target)) return skip('cycle');
+  if (stack.length > options.maxDepth) return skip('max-depth');
+
+  let child;
+  try {
+    const canvas = options.readCanvas(target);
+    if (!canvas) return skip('not-found');
+    child = options.exportCanvas(canvas);
+  } catch {
+    return skip('invalid');
+  }
+  return { ...node, children: embedLevel(child, options, [...stack, target]) };
+}
+
+/**
+ * Render a compiled canvas as a Markdown outline, in compiled order: groups become headings at
+ * their nesting depth (from structure.parentOf), text nodes their markdown, file nodes wiki-links
+ * and link nodes URLs. Labeled edges follow their source node as `→ label: target` bullets.
+ */
+export function exportMarkdownOutline(compiled, structure) {
+  const nodes = Array.isArray(compiled.nodes) ? compiled.nodes : [];
+  const byId = new Map(nodes.map(node => [normalizedId(node.id), node]));
+  const relations = new Map();
+
+  for (const edge of Array.isArray(compiled.edges) ? compiled.edges : []) {
+    const label = getEdgeLabel(edge);
+    if (!label) continue;
+    const [source, arrow, target] = orientEdge(edge);
+    if (!byId.has(source) || !byId.has(target)) continue;
+    if (!relations.has(source)) relations.set(source, []);
+    relations.get(source).push(`- ${arrow} ${label}: ${getMarkdownTitle(byId.get(target))}`);
+  }
+
+  const depthOf = id => {
+    let depth = 0;
+    let parent = structure.parentOf.get(id);
+    while (parent !== undefined && byId.has(parent)) {
+      depth++;
+      parent = structure.parentOf.get(parent);
+    }
+    return depth;
+  };
+
+  const blocks = [];
+  for (const node of nodes) {
+    const id = normalizedId(node.id);
+    const body = node.type === 'group'
+      ? `${'#'.repeat(Math.min(depthOf(id) + 1, 6))} ${getMarkdownTitle(node)}`
+      : getMarkdownBody(node);
+    if (body) blocks.push(body);
+    if (relations.has(id)) blocks.push(relations.get(id).join('\n'));
+  }
+
+  return blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '';
+}
+
+/**
+ * [source, arrow, target] following the arrowheads; a missing toEnd is an arrow, as in Canvas.
+ */
+function orientEdge(edge) {
+  const fromNode = normalizedId(edge.fromNode);
+  const toNode = normalizedId(edge.toNode);
+  const fromArrow = edge.fromEnd === 'arrow';
+  const toArrow = edge.toEnd === 'arrow' || edge.toEnd === undefined;
+  if (fromArrow && toArrow) return [fromNode, '↔', toNode];
+  if (fromArrow) return [toNode, '→', fromNode];
+  return [fromNode, toArrow ? '→' : '—', toNode];
+}
+
+function getMarkdownBody(node) {
+  if (node.type === 'text') return typeof node.text === 'string' ? node.text.trim() : '';
+  if (node.type === 'file' || node.type === 'link') return getMarkdownTitle(node);
+  return '';
+}
+
+/**
+ * Short reference to a node in Markdown: like getNodeTitle, but files are wiki-links and URLs autolinks.
+ */
+function getMarkdownTitle(node) {
+  if (node.type === 'file' && typeof node.file === 'string') {
+    const subpath = typeof node.subpath === 'string' ? node.subpath : '';
+    return `[[${node.file.replace(/\.md$/i, '')}${subpath}]]`;
+  }
+  if (node.type === 'link' && typeof node.url === 'string') {
+    return `<${node.url}>`;
+  }
+  return getNodeTitle(node);
+}
+
+const MERMAID_LINKS = { '→': '-->', '↔': '<-->', '—': '---' };
+const DOT_DIRECTIONS = { '→': 'forward', '↔': 'both', '—': 'none' };
+
+/**
+ * Render a compiled canvas as a Mermaid flowchart: groups become (nested) subgraphs, edges keep
+ * their labels and arrow ends, and preset or hex colors become stroke styles. Node and edge order
+ * follows the compiled order.
+ */
+export function exportMermaidFlowchart(compiled, structure) {
+  const nodes = Array.isArray(compiled.nodes) ? compiled.nodes : [];
+  const scopes = groupByScope(nodes, structure.parentOf);
+  const refs = createMermaidIds(nodes);
+  const lines = ['flowchart TB'];
+  const styles = [];
+
+  const walk = (scope, depth) => {
+    const indent = '  '.repeat(depth);
+    for (const node of scopes.get(scope) ?? []) {
+      const id = normalizedId(node.id);
+      const ref = refs.get(id);
+      const label = escapeMermaid(getNodeTitle(node));
+      if (node.type === 'group') {
+        lines.push(`${indent}subgraph ${ref}["${label}"]`);
+        walk(id, depth + 1);
+        lines.push(`${indent}end`);
+      } else if (node.type === 'file') {
+        lines.push(`${indent}${ref}[["${label}"]]`);
+      } else if (node.type === 'link') {
+        lines.push(`${indent}${ref}(["${label}"])`);
+      } else {
+        lines.push(`${indent}${ref}["${label}"]`);
+      }
+      const hex = getColorHex(node.color);
+      if (hex) styles.push(`  style ${ref} stroke:${hex}`);
+    }
+  };
+  walk('', 1);
+
+  let link = 0;
+  for (const edge of Array.isArray(compiled.edges) ? compiled.edges : []) {
+    const [source, arrow, target] = orientEdge(edge);
+    if (!refs.has(source) || !refs.has(target)) continue;
+    const label = getEdgeLabel(edge);
+    const text = label ? `|"${escapeMermaid(label)}"|` : '';
+    lines.push(`  ${refs.get(source)} ${MERMAID_LINKS[arrow]}${text} ${refs.get(target)}`);
+    const hex = getColorHex(edge.color);
+    if (hex) styles.push(`  linkStyle ${link} stroke:${hex}`);
+    link++;
+  }
+
+  return [...lines, ...styles].join('\n') + '\n';
+}
+
+/**
+ * Mermaid-safe node ids: n_ plus the canvas id with anything but [A-Za-z0-9_] replaced,
+ * suffixed when two ids collapse to the same name.
+ */
+function createMermaidIds(nodes) {
+  const refs = new Map();
+  const used = new Set();
+  for (const node of nodes) {
+    const id = normalizedId(node.id);
+    const base = `n_${id.replace(/[^A-Za-z0-9_]/g, '_')}`;
+    let ref = base;
+    for (let n = 2; used.has(ref); n++) ref = `${base}_${n}`;
+    used.add(ref);
+    refs.set(id, ref);
+  }
+  return refs;
+}
+
+function escapeMermaid(text) {
+  return text.replace(/"/g, '#quot;').replace(/\r?\n/g, '<br/>');
+}
+
+/**
+ * Render a compiled canvas as a Graphviz DOT digraph: groups become (nested) clusters, edges keep
+ * their labels and arrow ends as dir, and preset or hex colors become color attributes. Edges to or
+ * from a group attach to an invisible anchor inside its cluster.
+ */
+export function exportDotGraph(compiled, structure) {
+  const nodes = Array.isArray(compiled.nodes) ? compiled.nodes : [];
+  const scopes = groupByScope(nodes, structure.parentOf);
+  const byId = new Map(nodes.map(node => [normalizedId(node.id), node]));
+  const edges = (Array.isArray(compiled.edges) ? compiled.edges : [])
+    .map(edge => [edge, ...orientEdge(edge)])
+    .filter(([, source, , target]) => byId.has(source) && byId.has(target));
+  const anchored = new Set(
+    edges.flatMap(([, source, , target]) => [source, target]).filter(id => byId.get(id).type === 'group'),
+  );
+  const lines = ['digraph canvas {', '  compound=true;', '  node [shape=box];'];
+
+  const walk = (scope, depth) => {
+    const indent = '  '.repeat(depth);
+    for (const node of scopes.get(scope) ?? []) {
+      const id = normalizedId(node.id);
+      const hex = getColorHex(node.color);
+      if (node.type !== 'group') {
+        const attrs = [`label=${quoteDot(getNodeTitle(node))}`];
+        if (node.type === 'file') attrs.push('shape=note');
+        if (node.type === 'link') attrs.push('style=rounded');
+        if (hex) attrs.push(`color=${quoteDot(hex)}`);
+        lines.push(`${indent}${quoteDot(id)} [${attrs.join(', ')}];`);
+        continue;
+      }
+      lines.push(`${indent}subgraph ${quoteDot(`cluster_${id}`)} {`);
+      lines.push(`${indent}  label=${quoteDot(getNodeTitle(node))};`);
+      if (hex) lines.push(`${indent}  color=${quoteDot(hex)};`);
+      if (anchored.has(id)) lines.push(`${indent}  ${quoteDot(id)} [shape=point, style=invis, label=""];`);
+      walk(id, depth + 1);
+      lines.push(`${indent}}`);
+    }
+  };
+  walk('', 1);
+
+  for (const [edge, source, arrow, target] of edges) {
+    const attrs = [];
+    const label = getEdgeLabel(edge);
+    if (label) attrs.push(`label=${quoteDot(label)}`);
+    if (arrow !== '→') attrs.push(`dir=${DOT_DIRECTIONS[arrow]}`);
+    const hex = getColorHex(edge.color);
+    if (hex) attrs.push(`color=${quoteDot(hex)}`);
+    if (anchored.has(source)) attrs.push(`ltail=${quoteDot(`cluster_${source}`)}`);
+    if (anchored.has(target)) attrs.push(`lhead=${quoteDot(`cluster_${target}`)}`);
+    const suffix = attrs.length > 0 ? ` [${attrs.join(', ')}]` : '';
+    lines.push(`  ${quoteDot(source)} -> ${quoteDot(target)}${suffix};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function quoteDot(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+/**
+ * Plain title of a node: group label, first line of text, file path (with subpath) or URL.
+ */
+function getNodeTitle(node) {
+  if (node.type === 'group' && typeof node.label === 'string' && node.label.trim()) {
+    return node.label.trim();
+  }
+  if (node.type === 'text' && typeof node.text === 'string') {
+    const line = node.text.split('\n').find(candidate => candidate.trim());
+    if (line) return line.replace(/^\s*#+\s*/, '').trim();
+  }
+  if (node.type === 'file' && typeof node.file === 'string') {
+    return `${node.file}${typeof node.subpath === 'string' ? node.subpath : ''}`;
+  }
+  if (node.type === 'link' && typeof node.url === 'string') {
+    return node.url;
+  }
+  return normalizedId(node.id);
+}
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const RDF_LITERAL_KEYS = ['text', 'file', 'subpath', 'url', 'label'];
+
+/**
+ * Knowledge graph of a compiled canvas for the RDF exports. Every node is a subject: its IRI comes
+ * from settings.baseIri plus its id, where a semantic id type::variant::hash becomes
+ * <base>type/variant/hash under a `type` prefix. Subjects carry their node type as a class, their
+ * content as literals, `partOf` their parent group, and one predicate per edge label (camelCased;
+ * unlabeled edges are `linksTo`), following the arrowheads. Predicates and classes live under
+ * <base>vocab/. A type that would clash with a JSON-LD term or the base IRI's scheme gets no prefix.
+ */
+function buildCanvasGraph(compiled, structure, settings) {
+  const base = settings?.baseIri || DEFAULT_BASE_IRI;
+  const vocab = `${base}vocab/`;
+  const nodes = Array.isArray(compiled.nodes) ? compiled.nodes : [];
+  const prefixes = new Map();
+  const prefixed = new Map();
+  const refs = new Map();
+
+  const entries = nodes.map(node => {
+    const id = normalizedId(node.id);
+    const semantic = parseSemanticId(id);
+    let ref;
+    if (semantic) {
+      const namespace = `${base}${semantic.type}/`;
+      const local = semantic.segments.join('/');
+      ref = { iri: `${namespace}${local}`, compact: `${semantic.type}:${local}` };
+      prefixes.set(semantic.type, namespace);
+      prefixed.set(semantic.type, [...(prefixed.get(semantic.type) ?? []), ref]);
+    } else {
+      const iri = `${base}${encodeURIComponent(id)}`;
+      ref = { iri, compact: iri };
+    }
+    refs.set(id, ref);
+    return { node, id, ref };
+  });
+
+  const byId = new Map();
+  const subjects = entries.map(({ node, id, ref }) => {
+    const type = typeof node.type === 'string' && node.type ? node.type : 'node';
+    const properties = [['@type', { iri: `${vocab}${type[0].toUpperCase()}${type.slice(1)}` }]];
+    for (const key of RDF_LITERAL_KEYS) {
+      if (typeof node[key] === 'string' && node[key] !== '') properties.push([key, { literal: node[key] }]);
+    }
+    const parent = structure.parentOf.get(id);
+    if (parent !== undefined && refs.has(parent)) properties.push(['partOf', refs.get(parent)]);
+    const subject = { ref, properties };
+    byId.set(id, subject);
+    return subject;
+  });
+
+  for (const edge of Array.isArray(compiled.edges) ? compiled.edges : []) {
+    const [source, arrow, target] = orientEdge(edge);
+    const from = byId.get(source);
+    const to = byId.get(target);
+    if (!from || !to) continue;
+    const predicate = toPredicateName(getEdgeLabel(edge));
+    from.properties.push([predicate, to.ref]);
+    if (arrow === '↔') to.properties.push([predicate, from.ref]);
+  }
+
+  const terms = new Set(subjects.flatMap(subject => subject.properties.map(([key]) => key)));
+  terms.add(base.slice(0, base.indexOf(':')));
+  for (const [type, typeRefs] of prefixed) {
+    if (!terms.has(type)) continue;
+    prefixes.delete(type);
+    for (const ref of typeRefs) ref.compact = ref.iri;
+  }
+
+  return { vocab, prefixes, subjects };
+}
+
+/**
+ * "answered by" → answeredBy; labels without letters or digits fall back to linksTo.
+ */
+function toPredicateName(label) {
+  const words = label.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (words.length === 0) return 'linksTo';
+  return words
+    .map((word, index) => (index === 0 ? word[0].toLowerCase() : word[0].toUpperCase()) + word.slice(1))
+    .join('');
+}
+
+/**
+ * Render a compiled canvas as a JSON-LD document (see buildCanvasGraph): an @context with the
+ * vocabulary and one prefix per semantic id type, and one @graph entry per node in compiled order.
+ */
+export function exportJsonLd(compiled, structure, settings) {
+  const { vocab, prefixes, subjects } = buildCanvasGraph(compiled, structure, settings);
+  const context = { '@vocab': vocab };
+  for (const prefix of [...prefixes.keys()].sort()) context[prefix] = prefixes.get(prefix);
+
+  const graph = subjects.map(({ ref, properties }) => {
+    const entry = { '@id': ref.compact };
+    for (const [key, value] of properties) {
+      const item = key === '@type'
+        ? value.iri.slice(vocab.length)
+        : ('literal' in value ? value.literal : { '@id': value.compact });
+      if (!(key in entry)) entry[key] = item;
+      else entry[key] = [].concat(entry[key], item);
+    }
+    return entry;
+  });
+
+  return { '@context': context, '@graph': graph };
+}
+
+/**
+ * Render a compiled canvas as N-Triples (see buildCanvasGraph), one subject after another in compiled order.
+ */
+export function exportNTriples(compiled, structure, settings) {
+  const { vocab, subjects } = buildCanvasGraph(compiled, structure, settings);
+  const lines = [];
+  for (const { ref, properties } of subjects) {
+    for (const [key, value] of properties) {
+      const predicate = key === '@type' ? RDF_TYPE : `${vocab}${key}`;
+      const object = 'literal' in value ? quoteNTriplesLiteral(value.literal) : `<${value.iri}>`;
+      lines.push(`<${ref.iri}> <${predicate}> ${object} .`);
+    }
+  }
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+function quoteNTriplesLiteral(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+}
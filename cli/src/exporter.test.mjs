@@ -4,8 +4,17 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { readJson } from './shared.mjs';
-import { compileCanvasAll } from './compiler.mjs';
-import { stripCanvasMetadata } from './exporter.mjs';
+import { buildCanvasStructure, compileCanvasAll } from './compiler.mjs';
+import {
+  embedCanvasFiles,
+  exportDotGraph,
+  exportJsonLd,
+  exportMarkdownOutline,
+  exportMermaidFlowchart,
+  exportNTriples,
+  nestPureExport,
+  stripCanvasMetadata,
+} from './exporter.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const REPO_ROOT = path.resolve(__dirname, '..', '..');
@@ -84,3 +93,326 @@ test('export (strip-metadata) matches generated golden and preserves custom hex
   assert.ok(out.nodes.some((n) => Array.isArray(n.from) || Array.isArray(n.to)));
 });
 
+
+test('export keeps preset colors as palette names and meanings when asked', () => {
+  const input = {
+    nodes: [
+      { id: 'a', type: 'text', text: 'a', color: '1' },
+      { id: 'b', type: 'text', text: 'b', color: '#F0A' },
+      { id: 'c', type: 'text', text: 'c', color: '4' },
+    ],
+    edges: [
+      { id: 'e1', fromNode: 'a', toNode: 'b', label: 'blocks', color: '1' },
+      { id: 'e2', fromNode: 'b', toNode: 'c', color: '5' },
+    ],
+  };
+
+  const dropped = stripCanvasMetadata(input, {});
+  assert.deepEqual(dropped.nodes.map((n) => n.color), [undefined, '#F0A', undefined]);
+  assert.equal(dropped.edges[0].color, undefined);
+
+  const named = stripCanvasMetadata(input, { presetColors: 'name' });
+  assert.deepEqual(named.nodes.map((n) => n.color), ['red', '#ff00aa', 'green']);
+  assert.deepEqual(named.nodes[0].to, [{ node: 'b', label: 'blocks', color: 'red' }]);
+  assert.equal(named.edges[0].color, 'cyan');
+  assert.ok(named.nodes.every((n) => !('colorMeaning' in n)));
+
+  const meant = stripCanvasMetadata(input, {
+    presetColors: 'meaning',
+    colorMeanings: { '1': 'urgent', '#ff00aa': 'reference' },
+  });
+  assert.deepEqual(
+    meant.nodes.map((n) => [n.color, n.colorMeaning]),
+    [['red', 'urgent'], ['#ff00aa', 'reference'], ['green', undefined]],
+  );
+  assert.deepEqual(meant.nodes[1].from, [{ node: 'a', label: 'blocks', color: 'red', colorMeaning: 'urgent' }]);
+});
+
+test('stripCanvasMetadata folds edges per edgeFolding and follows arrowheads', () => {
+  const input = {
+    nodes: [
+      { id: 'a', type: 'text', text: 'a' },
+      { id: 'b', type: 'text', text: 'b' },
+      { id: 'c', type: 'text', text: 'c' },
+    ],
+    edges: [
+      { id: 'e1', fromNode: 'a', toNode: 'b', label: 'calls' },
+      { id: 'e2', fromNode: 'a', toNode: 'c', fromEnd: 'arrow', toEnd: 'none' },
+      { id: 'e3', fromNode: 'b', toNode: 'c', fromEnd: 'arrow', label: 'syncs' },
+      { id: 'e4', fromNode: 'c', toNode: 'a', toEnd: 'none' },
+    ],
+  };
+
+  const labeled = stripCanvasMetadata(input, {});
+  assert.deepEqual(labeled.nodes[1].to, [{ node: 'c', label: 'syncs', direction: 'both' }]);
+  assert.deepEqual(labeled.nodes[2].from, [{ node: 'b', label: 'syncs', direction: 'both' }]);
+  assert.deepEqual(labeled.edges, [
+    { id: 'e2', fromNode: 'c', toNode: 'a' },
+    { id: 'e4', fromNode: 'c', toNode: 'a', direction: 'none' },
+  ]);
+  assert.deepEqual(stripCanvasMetadata(input, { flowSort: true }).edges, []);
+
+  const kept = stripCanvasMetadata(input, { edgeFolding: 'keep', flowSort: true });
+  assert.ok(kept.nodes.every((n) => !('from' in n) && !('to' in n)));
+  assert.deepEqual(kept.edges.map((e) => [e.fromNode, e.toNode, e.label]), [
+    ['a', 'b', 'calls'],
+    ['c', 'a', undefined],
+    ['b', 'c', 'syncs'],
+    ['c', 'a', undefined],
+  ]);
+
+  const all = stripCanvasMetadata(input, { edgeFolding: 'all' });
+  assert.deepEqual(all.edges, []);
+  assert.deepEqual(all.nodes[0].from, [{ node: 'c' }, { node: 'c', direction: 'none' }]);
+  assert.deepEqual(all.nodes[2].to, [{ node: 'a' }, { node: 'a', direction: 'none' }]);
+
+  const outgoing = stripCanvasMetadata(input, { edgeFolding: 'outgoing' });
+  assert.ok(outgoing.nodes.every((n) => !('from' in n)));
+  assert.deepEqual(outgoing.nodes[0].to, [{ node: 'b', label: 'calls' }]);
+
+  const adjacency = stripCanvasMetadata(input, { edgeFolding: 'adjacency' });
+  assert.ok(adjacency.nodes.every((n) => !('from' in n) && !('to' in n)));
+  assert.deepEqual(adjacency.adjacency, {
+    a: [{ node: 'b', label: 'calls' }],
+    b: [{ node: 'c', label: 'syncs', direction: 'both' }],
+    c: [{ node: 'a' }, { node: 'a', direction: 'none' }],
+  });
+});
+
+test('embedCanvasFiles inlines linked canvases and marks cycles, depth and missing files', () => {
+  const fileNode = (id, file) => ({ id, type: 'file', file, x: 0, y: 0, width: 100, height: 60 });
+  const canvases = {
+    'root.canvas': { nodes: [fileNode('to-a', 'a.canvas'), fileNode('note', 'note.md')], edges: [] },
+    'a.canvas': { nodes: [fileNode('to-b', 'b.canvas'), fileNode('to-gone', 'gone.canvas')], edges: [] },
+    'b.canvas': { nodes: [fileNode('back', 'root.canvas'), fileNode('to-c', 'c.canvas')], edges: [] },
+    'c.canvas': { nodes: [fileNode('deep', 'a.canvas')], edges: [] },
+    'broken.canvas': { nodes: [{ type: 'text', text: 'no id' }], edges: [] },
+  };
+  const exportCanvas = (canvas) => stripCanvasMetadata(compileCanvasAll({ input: canvas }));
+  const embed = (maxDepth, root = 'root.canvas') =>
+    embedCanvasFiles(exportCanvas(canvases[root]), {
+      path: root,
+      maxDepth,
+      resolvePath: (file) => file,
+      readCanvas: (file) => canvases[file] ?? null,
+      exportCanvas,
+    });
+
+  const out = embed(2);
+  const a = out.nodes.find((n) => n.id === 'to-a');
+  assert.ok(!('children' in out.nodes.find((n) => n.id === 'note')));
+  assert.deepEqual(a.children.nodes.map((n) => [n.id, n.embedSkipped]), [['to-b', undefined], ['to-gone', 'not-found']]);
+  const b = a.children.nodes[0].children;
+  assert.deepEqual(b.nodes.map((n) => [n.id, n.embedSkipped]), [['to-c', 'max-depth'], ['back', 'cycle']]);
+
+  assert.equal(embed(1).nodes[0].children.nodes[0].embedSkipped, 'max-depth');
+
+  canvases['root.canvas'].nodes.push(fileNode('to-broken', 'broken.canvas'));
+  assert.equal(embed(1).nodes.find((n) => n.id === 'to-broken').embedSkipped, 'invalid');
+});
+
+test('nestPureExport nests members under their groups and wraps flow chains as sequences', () => {
+  const canvas = {
+    nodes: [
+      { id: 'outer', type: 'group', label: 'Outer', x: 0, y: 0, width: 800, height: 800 },
+      { id: 'inner', type: 'group', label: 'Inner', x: 20, y: 300, width: 500, height: 400 },
+      { id: 'a', type: 'text', text: 'A', x: 40, y: 40, width: 100, height: 60 },
+      { id: 'b', type: 'text', text: 'B', x: 200, y: 40, width: 100, height: 60 },
+      { id: 'c', type: 'text', text: 'C', x: 40, y: 400, width: 100, height: 60 },
+      { id: 'root', type: 'text', text: 'Root', x: -400, y: 0, width: 100, height: 60 },
+    ],
+    edges: [{ id: 'e1', fromNode: 'b', toNode: 'a', label: 'next' }],
+  };
+  const compiled = compileCanvasAll({ input: canvas, settings: { flowSortNodes: true } });
+  const pure = stripCanvasMetadata(compiled, { flowSort: true });
+  const structure = buildCanvasStructure(compiled, { flowSortNodes: true });
+  const shape = (items) =>
+    items.map((item) => {
+      if (item.sequence) return { sequence: shape(item.sequence) };
+      return item.children ? { [item.id]: shape(item.children) } : item.id;
+    });
+
+  assert.deepEqual(shape(nestPureExport(pure, structure).nodes), ['root', { outer: ['b', 'a', { inner: ['c'] }] }]);
+  assert.deepEqual(shape(nestPureExport(pure, structure, { sequences: true }).nodes), [
+    'root',
+    { outer: [{ sequence: ['b', 'a'] }, { inner: ['c'] }] },
+  ]);
+  assert.deepEqual(nestPureExport(pure, structure).nodes[1].children[0].to, [{ node: 'a', label: 'next' }]);
+});
+
+test('exportMarkdownOutline renders groups as headings, nodes as bodies and labeled edges as bullets', () => {
+  const canvas = {
+    nodes: [
+      { id: 'outer', type: 'group', label: 'Research', x: 0, y: 0, width: 800, height: 800 },
+      { id: 'inner', type: 'group', label: 'Sources', x: 20, y: 300, width: 500, height: 400 },
+      { id: 'q', type: 'text', text: '## Question\nWhy?', x: 40, y: 40, width: 100, height: 60 },
+      { id: 'paper', type: 'file', file: 'papers/Smith 2020.md', subpath: '#Results', x: 40, y: 400, width: 100, height: 60 },
+      { id: 'site', type: 'link', url: 'https://example.com', x: 200, y: 400, width: 100, height: 60 },
+      { id: 'intro', type: 'text', text: 'Intro', x: -400, y: 0, width: 100, height: 60 },
+    ],
+    edges: [
+      { id: 'e1', fromNode: 'q', toNode: 'paper', label: 'answered by' },
+      { id: 'e2', fromNode: 'q', toNode: 'site', label: 'cited by', fromEnd: 'arrow', toEnd: 'none' },
+      { id: 'e3', fromNode: 'intro', toNode: 'q', label: 'see also', fromEnd: 'arrow' },
+      { id: 'e4', fromNode: 'intro', toNode: 'site' },
+    ],
+  };
+  const compiled = compileCanvasAll({ input: canvas });
+
+  assert.equal(
+    exportMarkdownOutline(compiled, buildCanvasStructure(compiled)),
+    [
+      'Intro',
+      '- ↔ see also: Question',
+      '# Research',
+      '## Question\nWhy?',
+      '- → answered by: [[papers/Smith 2020#Results]]',
+      '## Sources',
+      '[[papers/Smith 2020#Results]]',
+      '<https://example.com>',
+      '- → cited by: Question',
+    ].join('\n\n') + '\n',
+  );
+});
+
+function diagramCanvas() {
+  return {
+    nodes: [
+      { id: 'ops', type: 'group', label: 'Ops', x: 0, y: 0, width: 800, height: 400, color: '4' },
+      { id: 'deploy', type: 'text', text: 'Deploy "v2"', x: 40, y: 40, width: 100, height: 60 },
+      { id: 'runbook', type: 'file', file: 'runbook.md', x: 200, y: 40, width: 100, height: 60 },
+      { id: 'dash-board', type: 'link', url: 'https://status.example.com', x: -400, y: 0, width: 100, height: 60, color: '#C0FFEE' },
+    ],
+    edges: [
+      { id: 'e1', fromNode: 'deploy', toNode: 'runbook', label: 'follows' },
+      { id: 'e2', fromNode: 'dash-board', toNode: 'ops', fromEnd: 'arrow', toEnd: 'none', color: '1' },
+      { id: 'e3', fromNode: 'deploy', toNode: 'dash-board', fromEnd: 'arrow', toEnd: 'arrow' },
+      { id: 'e4', fromNode: 'runbook', toNode: 'dash-board', toEnd: 'none' },
+    ],
+  };
+}
+
+test('exportMermaidFlowchart emits subgraphs, arrow ends, labels and color styles', () => {
+  const compiled = compileCanvasAll({ input: diagramCanvas() });
+  const out = exportMermaidFlowchart(compiled, buildCanvasStructure(compiled));
+  const lines = out.trimEnd().split('\n');
+
+  assert.deepEqual(lines.slice(0, 6), [
+    'flowchart TB',
+    '  n_dash_board(["https://status.example.com"])',
+    '  subgraph n_ops["Ops"]',
+    '    n_deploy["Deploy #quot;v2#quot;"]',
+    '    n_runbook[["runbook.md"]]',
+    '  end',
+  ]);
+  assert.ok(lines.includes('  n_deploy -->|"follows"| n_runbook'));
+  assert.ok(lines.includes('  n_ops --> n_dash_board'));
+  assert.ok(lines.includes('  n_deploy <--> n_dash_board'));
+  assert.ok(lines.includes('  n_runbook --- n_dash_board'));
+  assert.ok(lines.includes('  style n_dash_board stroke:#c0ffee'));
+  assert.ok(lines.includes('  style n_ops stroke:#44cf6e'));
+  const e2 = lines.filter((line) => /^ {2}n_\w+ (-->|<-->|---)/.test(line)).indexOf('  n_ops --> n_dash_board');
+  assert.ok(lines.includes(`  linkStyle ${e2} stroke:#fb464c`));
+});
+
+test('exportDotGraph emits clusters, dir attributes and anchors for group edges', () => {
+  const compiled = compileCanvasAll({ input: diagramCanvas() });
+  const out = exportDotGraph(compiled, buildCanvasStructure(compiled));
+  const lines = out.trimEnd().split('\n');
+
+  assert.deepEqual(lines.slice(0, 11), [
+    'digraph canvas {',
+    '  compound=true;',
+    '  node [shape=box];',
+    '  "dash-board" [label="https://status.example.com", style=rounded, color="#c0ffee"];',
+    '  subgraph "cluster_ops" {',
+    '    label="Ops";',
+    '    color="#44cf6e";',
+    '    "ops" [shape=point, style=invis, label=""];',
+    '    "deploy" [label="Deploy \\"v2\\""];',
+    '    "runbook" [label="runbook.md", shape=note];',
+    '  }',
+  ]);
+  assert.ok(lines.includes('  "deploy" -> "runbook" [label="follows"];'));
+  assert.ok(lines.includes('  "ops" -> "dash-board" [color="#fb464c", ltail="cluster_ops"];'));
+  assert.ok(lines.includes('  "deploy" -> "dash-board" [dir=both];'));
+  assert.ok(lines.includes('  "runbook" -> "dash-board" [dir=none];'));
+  assert.equal(lines.at(-1), '}');
+});
+
+function knowledgeCanvas() {
+  return {
+    nodes: [
+      { id: 'topic::ml::a1b2', type: 'group', label: 'Machine learning', x: 0, y: 0, width: 600, height: 400 },
+      { id: 'concept::neural-net::c3d4', type: 'text', text: 'Neural "nets"\nlayers', x: 20, y: 20, width: 100, height: 60 },
+      { id: 'paper 7', type: 'link', url: 'https://arxiv.org/abs/1', x: 200, y: 20, width: 100, height: 60 },
+    ],
+    edges: [
+      { id: 'e1', fromNode: 'concept::neural-net::c3d4', toNode: 'paper 7', label: 'described by' },
+      { id: 'e2', fromNode: 'paper 7', toNode: 'concept::neural-net::c3d4', fromEnd: 'arrow', toEnd: 'none', label: 'cites' },
+      { id: 'e3', fromNode: 'topic::ml::a1b2', toNode: 'paper 7', fromEnd: 'arrow' },
+    ],
+  };
+}
+
+test('exportJsonLd keys subjects by semantic id prefixes, edge labels as predicates and groups as partOf', () => {
+  const compiled = compileCanvasAll({ input: knowledgeCanvas() });
+  const out = exportJsonLd(compiled, buildCanvasStructure(compiled), { baseIri: 'https://kb.example/' });
+
+  assert.deepEqual(out['@context'], {
+    '@vocab': 'https://kb.example/vocab/',
+    concept: 'https://kb.example/concept/',
+    topic: 'https://kb.example/topic/',
+  });
+  assert.deepEqual(out['@graph'], [
+    {
+      '@id': 'topic:ml/a1b2',
+      '@type': 'Group',
+      label: 'Machine learning',
+      linksTo: { '@id': 'https://kb.example/paper%207' },
+    },
+    {
+      '@id': 'concept:neural-net/c3d4',
+      '@type': 'Text',
+      text: 'Neural "nets"\nlayers',
+      partOf: { '@id': 'topic:ml/a1b2' },
+      describedBy: { '@id': 'https://kb.example/paper%207' },
+      cites: { '@id': 'https://kb.example/paper%207' },
+    },
+    {
+      '@id': 'https://kb.example/paper%207',
+      '@type': 'Link',
+      url: 'https://arxiv.org/abs/1',
+      partOf: { '@id': 'topic:ml/a1b2' },
+      linksTo: { '@id': 'topic:ml/a1b2' },
+    },
+  ]);
+});
+
+test('exportJsonLd drops prefixes that would shadow a property or the base scheme', () => {
+  const input = {
+    nodes: [
+      { id: 'text::a::1', type: 'text', text: 'x', x: 0, y: 0, width: 100, height: 60 },
+      { id: 'urn::b::2', type: 'text', text: 'y', x: 0, y: 100, width: 100, height: 60 },
+    ],
+    edges: [],
+  };
+  const compiled = compileCanvasAll({ input });
+  const out = exportJsonLd(compiled, buildCanvasStructure(compiled), { baseIri: 'urn:kb:' });
+
+  assert.deepEqual(out['@context'], { '@vocab': 'urn:kb:vocab/' });
+  assert.deepEqual(out['@graph'].map((entry) => entry['@id']), ['urn:kb:text/a/1', 'urn:kb:urn/b/2']);
+});
+
+test('exportNTriples writes absolute IRIs and escaped literals', () => {
+  const compiled = compileCanvasAll({ input: knowledgeCanvas() });
+  const lines = exportNTriples(compiled, buildCanvasStructure(compiled)).trimEnd().split('\n');
+  const base = 'https://example.org/canvas/';
+
+  assert.equal(lines[0], `<${base}topic/ml/a1b2> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <${base}vocab/Group> .`);
+  assert.ok(lines.includes(`<${base}concept/neural-net/c3d4> <${base}vocab/text> "Neural \\"nets\\"\\nlayers" .`));
+  assert.ok(lines.includes(`<${base}concept/neural-net/c3d4> <${base}vocab/partOf> <${base}topic/ml/a1b2> .`));
+  assert.ok(lines.includes(`<${base}concept/neural-net/c3d4> <${base}vocab/describedBy> <${base}paper%207> .`));
+  assert.ok(lines.includes(`<${base}paper%207> <${base}vocab/linksTo> <${base}topic/ml/a1b2> .`));
+  assert.ok(lines.every((line) => / \.$/.test(line)));
+});
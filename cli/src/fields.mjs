@@ -0,0 +1,216 @@
+import { normalizedId } from './shared.mjs';
+
+// ============================================================================
+// TEXT PARSING
+// ============================================================================
+
+const FIELD_LINE = /^\*\*([^*\n]+?)\*\*:[ \t]*(.*)$/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+const JSON_FENCE = /^```json[ \t]*\n([\s\S]*?)\n?```$/i;
+const EMPTY_JSON_FENCE = /^```json[ \t]*\n\s*```[ \t]*\n([\s\S]+)$/i;
+const JSON_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+/**
+ * Parse the text of a card back into data, or undefined when it holds none:
+ * - `**key**: value` lines become an object; lines up to the next key continue the value
+ * - a fenced ```json block becomes its parsed JSON (also the empty fence followed by JSON
+ *   that older imports wrote)
+ * - a markdown list (every line a `-`, `*`, `+` or `1.` item) becomes an array
+ * Values are typed: quoted strings are JSON strings, numbers, booleans and null are parsed,
+ * a value made of list items on the lines below its key becomes an array, anything else stays text.
+ */
+export function parseStructuredText(text) {
+  const source = String(text ?? '').replace(/\r\n?/g, '\n').trim();
+  if (!source) return undefined;
+
+  const lines = source.split('\n');
+  if (FIELD_LINE.test(lines[0])) return parseFields(lines);
+
+  const json = parseJsonFence(source);
+  if (json !== undefined) return json;
+
+  if (lines.every(line => LIST_ITEM.test(line))) return lines.map(line => parseScalar(LIST_ITEM.exec(line)[1]));
+  return undefined;
+}
+
+function parseFields(lines) {
+  const record = {};
+  let key = null;
+  let value = [];
+  const flush = () => {
+    if (key !== null) record[key] = parseFieldValue(value);
+  };
+
+  for (const line of lines) {
+    const match = FIELD_LINE.exec(line);
+    if (match) {
+      flush();
+      key = match[1].trim();
+      value = [match[2]];
+    } else {
+      value.push(line);
+    }
+  }
+  flush();
+  return record;
+}
+
+function parseFieldValue(lines) {
+  const items = lines.slice(1).filter(line => line.trim());
+  if (!lines[0].trim() && items.length > 0 && items.every(line => LIST_ITEM.test(line))) {
+    return items.map(line => parseScalar(LIST_ITEM.exec(line)[1]));
+  }
+
+  const value = lines.join('\n').trim();
+  const json = parseJsonFence(value);
+  return json !== undefined ? json : parseScalar(value);
+}
+
+function parseJsonFence(text) {
+  const match = EMPTY_JSON_FENCE.exec(text) ?? JSON_FENCE.exec(text);
+  if (!match) return undefined;
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    return undefined;
+  }
+}
+
+function parseScalar(text) {
+  const value = text.trim();
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1 && !value.includes('\n')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (value === 'null') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (JSON_NUMBER.test(value)) return Number(value);
+  return value;
+}
+
+// ============================================================================
+// PURE JSON EXPORTS
+// ============================================================================
+
+/**
+ * Replace the `text` of text nodes holding data (see parseStructuredText) with the parsed `data`,
+ * in a flat pure export. A group whose direct members (from structure.parentOf) are all
+ * key/value cards or groups that became records themselves, with distinct keys and none of
+ * them an edge endpoint, becomes one node with those fields merged into `record`; its members
+ * are dropped, member colors included. A sub-group's record goes under its label, and
+ * sub-groups labeled "key[n]" (see importDataToCanvas) fold back into the array `key`.
+ */
+export function structureTextFields(pure, structure) {
+  const nodes = (Array.isArray(pure.nodes) ? pure.nodes : []).map(node => {
+    if (node.type !== 'text' || typeof node.text !== 'string') return node;
+    const data = parseStructuredText(node.text);
+    if (data === undefined) return node;
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => (key === 'text' ? ['data', data] : [key, value])));
+  });
+
+  const membersOf = new Map();
+  for (const node of nodes) {
+    const parent = structure.parentOf.get(normalizedId(node.id));
+    if (parent === undefined) continue;
+    if (!membersOf.has(parent)) membersOf.set(parent, []);
+    membersOf.get(parent).push(node);
+  }
+
+  const referenced = collectEdgeEndpoints(pure, nodes);
+  const records = new Map();
+  const collapsed = new Set();
+  const fold = group => {
+    const id = normalizedId(group.id);
+    if (records.has(id)) return;
+    const members = membersOf.get(id) ?? [];
+    for (const member of members) {
+      if (member.type === 'group') fold(member);
+    }
+    const record = mergeRecord(members, referenced, records);
+    records.set(id, record);
+    if (record) for (const member of members) collapsed.add(normalizedId(member.id));
+  };
+  for (const node of nodes) {
+    if (node.type === 'group') fold(node);
+  }
+
+  const out = {
+    ...pure,
+    nodes: nodes
+      .filter(node => !collapsed.has(normalizedId(node.id)))
+      .map(node => (records.get(normalizedId(node.id)) ? { ...node, record: records.get(normalizedId(node.id)) } : node)),
+  };
+  if (isPlainObject(pure.adjacency)) {
+    out.adjacency = Object.fromEntries(Object.entries(pure.adjacency).filter(([id]) => !collapsed.has(id)));
+  }
+  return out;
+}
+
+/**
+ * Ids of nodes that kept edges, folded from/to entries or adjacency lists point at or start from.
+ */
+function collectEdgeEndpoints(pure, nodes) {
+  const ids = new Set();
+  for (const edge of Array.isArray(pure.edges) ? pure.edges : []) {
+    ids.add(normalizedId(edge.fromNode));
+    ids.add(normalizedId(edge.toNode));
+  }
+  for (const node of nodes) {
+    for (const ref of [...toRecords(node.from), ...toRecords(node.to)]) ids.add(normalizedId(ref.node));
+  }
+  for (const [id, refs] of Object.entries(isPlainObject(pure.adjacency) ? pure.adjacency : {})) {
+    const targets = toRecords(refs);
+    if (targets.length > 0) ids.add(id);
+    for (const ref of targets) ids.add(normalizedId(ref.node));
+  }
+  return ids;
+}
+
+const ARRAY_ITEM_LABEL = /^(.+?)\[(\d+)\](?:: .*)?$/;
+
+function mergeRecord(members, referenced, records) {
+  if (members.length === 0) return null;
+  const record = {};
+  const items = new Map();
+  const add = (key, value) => {
+    if (Object.prototype.hasOwnProperty.call(record, key)) return false;
+    record[key] = value;
+    return true;
+  };
+  for (const member of members) {
+    if (referenced.has(normalizedId(member.id))) return null;
+    if (member.type === 'group') {
+      const nested = records.get(normalizedId(member.id));
+      if (!nested || typeof member.label !== 'string') return null;
+      const item = ARRAY_ITEM_LABEL.exec(member.label);
+      if (!item) {
+        if (!add(member.label, nested)) return null;
+        continue;
+      }
+      if (!items.has(item[1])) items.set(item[1], []);
+      items.get(item[1]).push([Number(item[2]), nested]);
+      continue;
+    }
+    if (!isPlainObject(member.data)) return null;
+    for (const [key, value] of Object.entries(member.data)) {
+      if (!add(key, value)) return null;
+    }
+  }
+  for (const [key, entries] of items) {
+    entries.sort((a, b) => a[0] - b[0]);
+    if (entries.some(([index], i) => index !== i + 1)) return null;
+    if (!add(key, entries.map(([, value]) => value))) return null;
+  }
+  return record;
+}
+
+function toRecords(value) {
+  return Array.isArray(value) ? value.filter(isPlainObject) : [];
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCanvasStructure, compileCanvasAll } from './compiler.mjs';
+import { nestPureExport, stripCanvasMetadata } from './exporter.mjs';
+import { parseStructuredText, structureTextFields } from './fields.mjs';
+import { importDataToCanvas, rebuildCanvasFromPure } from './importer.mjs';
+
+const exportStructured = (canvas, settings = {}) => {
+  const compiled = compileCanvasAll({ input: canvas, settings });
+  const structure = buildCanvasStructure(compiled, settings);
+  const pure = structureTextFields(stripCanvasMetadata(compiled, settings), structure);
+  return settings.nestedExport ? nestPureExport(pure, structure) : pure;
+};
+
+test('parseStructuredText types key/value lines, json fences and lists', () => {
+  assert.deepEqual(
+    parseStructuredText('**name**: "Ada"\n**born**: 1815\n**alive**: false\n**spouse**: null\n**zip**: "02139"\n**note**: first\nsecond'),
+    { name: 'Ada', born: 1815, alive: false, spouse: null, zip: '02139', note: 'first\nsecond' },
+  );
+  assert.deepEqual(parseStructuredText('**tags**:\n- math\n- "poetry"\n**meta**: ```json\n\n```\n{\n  "a": [1]\n}'), {
+    tags: ['math', 'poetry'],
+    meta: { a: [1] },
+  });
+  assert.deepEqual(parseStructuredText('```json\n{"k": true}\n```'), { k: true });
+  assert.deepEqual(parseStructuredText('- one\n* 2\n1. null'), ['one', 2, null]);
+});
+
+test('parseStructuredText leaves prose and broken JSON alone', () => {
+  assert.equal(parseStructuredText('# Plan\n**owner**: Ada'), undefined);
+  assert.equal(parseStructuredText('Just a **bold** claim'), undefined);
+  assert.equal(parseStructuredText('```json\n{broken\n```'), undefined);
+  assert.equal(parseStructuredText('- item\nnot an item'), undefined);
+  assert.equal(parseStructuredText(''), undefined);
+});
+
+test('structureTextFields exports groups of key/value cards as records', () => {
+  const canvas = {
+    nodes: [
+      { id: 'card', type: 'group', label: 'Ada', x: 0, y: 0, width: 440, height: 300 },
+      { id: 'name', type: 'text', text: '**name**: "Ada"', x: 20, y: 80, width: 400, height: 60, color: '#ff0000' },
+      { id: 'born', type: 'text', text: '**born**: 1815', x: 20, y: 160, width: 400, height: 60 },
+      { id: 'mixed', type: 'group', label: 'Mixed', x: 600, y: 0, width: 440, height: 300 },
+      { id: 'list', type: 'text', text: '- a\n- b', x: 620, y: 80, width: 400, height: 60 },
+      { id: 'prose', type: 'text', text: 'Plain words', x: 620, y: 160, width: 400, height: 60 },
+      { id: 'linked', type: 'group', label: 'Linked', x: 1200, y: 0, width: 440, height: 300 },
+      { id: 'k', type: 'text', text: '**k**: 1', x: 1220, y: 80, width: 400, height: 60 },
+      { id: 'out', type: 'text', text: 'Outside', x: 1800, y: 0, width: 400, height: 60 },
+    ],
+    edges: [{ id: 'e', fromNode: 'k', toNode: 'out' }],
+  };
+
+  const byId = new Map(exportStructured(canvas, { edgeFolding: 'keep' }).nodes.map(node => [node.id, node]));
+  assert.deepEqual(byId.get('card'), { id: 'card', type: 'group', label: 'Ada', record: { born: 1815, name: 'Ada' } });
+  assert.equal(byId.has('name'), false);
+  assert.deepEqual(byId.get('list').data, ['a', 'b']);
+  assert.equal(byId.get('prose').text, 'Plain words');
+  assert.equal(byId.get('mixed').record, undefined);
+  assert.equal(byId.get('linked').record, undefined, 'edge endpoints keep their cards');
+  assert.deepEqual(byId.get('k').data, { k: 1 });
+});
+
+test('canvas → JSON → canvas round-trips imported records, flat and nested', () => {
+  const data = [
+    { name: 'Ada', born: 1815, tags: ['math', 'poetry'], meta: { lab: 'engine' }, bio: 'first\nsecond', alive: false },
+    { name: 'Alan', born: 1912, zip: '02139' },
+  ];
+  const records = pure => pure.nodes.filter(node => node.record).map(node => node.record);
+
+  for (const nestedExport of [false, true]) {
+    const pure = exportStructured(importDataToCanvas('people.json', JSON.stringify(data), { maxDepth: 0 }), { nestedExport });
+    assert.deepEqual(records(pure), data);
+
+    const rebuilt = rebuildCanvasFromPure(pure);
+    assert.equal(new Set(rebuilt.nodes.map(node => node.id)).size, rebuilt.nodes.length);
+    assert.deepEqual(exportStructured(rebuilt, { nestedExport }), pure);
+  }
+});
+
+test('sub-cards of imported nested objects fold back into their parent record', () => {
+  const data = [
+    { name: 'Ada', meta: { lab: 'engine', room: { floor: 2 } }, papers: [{ title: 'Notes' }, { year: 1843 }], tags: ['math'] },
+    { name: 'Alan', meta: { lab: 'hut 8' } },
+  ];
+  const canvas = importDataToCanvas('people.json', JSON.stringify(data));
+  assert.ok(canvas.nodes.some(node => node.label === 'room'));
+
+  for (const nestedExport of [false, true]) {
+    const pure = exportStructured(canvas, { nestedExport });
+    assert.deepEqual(pure.nodes.map(node => node.record), data);
+    assert.ok(pure.nodes.every(node => (node.children ?? []).length === 0));
+    assert.deepEqual(exportStructured(rebuildCanvasFromPure(pure), { nestedExport }), pure);
+  }
+});
+
+test('sub-groups that do not form a record keep the parent group open', () => {
+  const canvas = {
+    nodes: [
+      { id: 'outer', type: 'group', label: 'Ada', x: 0, y: 0, width: 400, height: 400 },
+      { id: 'name', type: 'text', text: '**name**: Ada', x: 20, y: 40, width: 300, height: 40 },
+      { id: 'inner', type: 'group', label: 'notes', x: 20, y: 120, width: 300, height: 200 },
+      { id: 'prose', type: 'text', text: 'Just a thought.', x: 40, y: 160, width: 200, height: 40 },
+    ],
+    edges: [],
+  };
+  const pure = exportStructured(canvas);
+  assert.deepEqual(pure.nodes.map(node => node.id), ['outer', 'name', 'inner', 'prose']);
+  assert.ok(pure.nodes.every(node => node.record === undefined));
+});
+
+test('rebuild writes node data back as card text', () => {
+  const canvas = rebuildCanvasFromPure({
+    nodes: [
+      { id: 'a', type: 'text', data: { status: 'done', count: 2 } },
+      { id: 'b', type: 'text', data: ['x', 3] },
+      { id: 'c', type: 'text', data: [{ deep: true }] },
+    ],
+    edges: [],
+  });
+  assert.deepEqual(canvas.nodes.map(node => node.text), [
+    '**status**: "done"\n**count**: 2',
+    '- "x"\n- 3',
+    '```json\n[\n  {\n    "deep": true\n  }\n]\n```',
+  ]);
+  assert.deepEqual(canvas.nodes.map(node => parseStructuredText(node.text)), [{ status: 'done', count: 2 }, ['x', 3], [{ deep: true }]]);
+});
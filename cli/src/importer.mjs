@@ -1,6 +1,6 @@
 import fs from 'node:fs';
 import path from 'node:path';
-import { generateRainbowGradient, generateHierarchicalColors } from './shared.mjs';
+import { generateRainbowGradient, generateHierarchicalColors, getPresetColorIndex, normalizedId, stableHashId } from './shared.mjs';
 
 // ============================================================================
 // CONFIGURATION
@@ -15,6 +15,8 @@ const LAYOUT = {
   cardGap: 100,         // Vertical gap between cards in same column
   groupPadding: 20,     // Padding inside groups
   headerHeight: 80,     // Space for group label
+  maxDepth: 3,          // Nesting levels laid out as sub-cards before values fall back to code blocks
+  maxDepthLimit: 6,     // Deepest allowed maxDepth: each level narrows cards and mutes colors further
 };
 
 // ============================================================================
@@ -109,9 +111,12 @@ function formatFieldForHeight(field) {
  * Apply solitaire-style layout: round-robin into columns, stack vertically
  * @param {Array<{label: string, fields: Array, height: number}>} cards
  * @param {string[]} rainbowColors - Pre-generated rainbow gradient
+ * @param {{maxDepth?: number}} [options] - maxDepth: nesting levels laid out as sub-cards
+ *   (default: LAYOUT.maxDepth, clamped to 0..LAYOUT.maxDepthLimit)
  * @returns {{nodes: Array, edges: Array}}
  */
-function solitaireLayout(cards, rainbowColors) {
+function solitaireLayout(cards, rainbowColors, options = {}) {
+  const maxDepth = clampDepth(options.maxDepth);
   const nodes = [];
   let idCounter = 0;
   const generateId = () => `imported-${(idCounter++).toString(16).padStart(16, '0')}`;
@@ -125,70 +130,120 @@ function solitaireLayout(cards, rainbowColors) {
     const x = col * LAYOUT.colSpacing;
     const y = columnBottoms[col];
 
-    // Get colors for this card
+    // Get colors for this card: one per nesting level, plus the fields of the deepest
     const baseColor = rainbowColors[i % rainbowColors.length];
-    const hierarchicalColors = generateHierarchicalColors(baseColor, 3);
-
-    // First pass: calculate actual node heights and positions
-    const childNodes = [];
-    let nodeY = y + LAYOUT.headerHeight;
-
-    for (const field of card.fields) {
-      const text = field.key
-        ? `**${field.key}**: ${formatValue(field.value)}`
-        : formatValue(field.value);
-
-      const nodeHeight = estimateNodeHeight(text);
-
-      childNodes.push({
-        id: generateId(),
-        type: 'text',
-        text,
-        x: x + LAYOUT.groupPadding,
-        y: nodeY,
-        width: LAYOUT.nodeWidth,
-        height: nodeHeight,
-        color: hierarchicalColors[1],
-      });
-
-      nodeY += nodeHeight + 10;
-    }
-
-    // Calculate group height to encompass all children with padding
-    const groupHeight = (nodeY - y) + LAYOUT.groupPadding;
-
-    // Create parent group with calculated height
-    const groupId = generateId();
-    nodes.push({
-      id: groupId,
-      type: 'group',
-      label: card.label,
-      x,
-      y,
-      width: LAYOUT.cardWidth,
-      height: groupHeight,
-      color: baseColor,
-    });
+    const hierarchicalColors = generateHierarchicalColors(baseColor, maxDepth + 1);
 
-    // Add child nodes
-    nodes.push(...childNodes);
+    const cardNodes = layoutCard(card, x, y, LAYOUT.cardWidth, 0, { maxDepth, colors: hierarchicalColors, generateId });
+    nodes.push(...cardNodes);
 
     // Update column bottom based on actual group height
-    columnBottoms[col] = y + groupHeight + LAYOUT.cardGap;
+    columnBottoms[col] = y + cardNodes[0].height + LAYOUT.cardGap;
   }
 
   return { nodes, edges: [] };
 }
 
+function clampDepth(depth) {
+  if (depth === undefined) return LAYOUT.maxDepth;
+  const levels = Math.trunc(Number(depth));
+  return Number.isFinite(levels) ? Math.min(Math.max(levels, 0), LAYOUT.maxDepthLimit) : LAYOUT.maxDepth;
+}
+
+/**
+ * Lay out one card as a group sized to its contents: the group node first, then its children.
+ * Fields holding records (see nestedCards) become sub-cards one level deeper, down to maxDepth;
+ * a card at depth d takes colors[d] and its text nodes colors[d + 1].
+ */
+function layoutCard(card, x, y, width, depth, { maxDepth, colors, generateId }) {
+  const childNodes = [];
+  const innerX = x + LAYOUT.groupPadding;
+  const innerWidth = width - LAYOUT.groupPadding * 2;
+  let nodeY = y + LAYOUT.headerHeight;
+
+  for (const field of card.fields) {
+    const subCards = depth < maxDepth ? nestedCards(field) : [];
+    for (const subCard of subCards) {
+      const subNodes = layoutCard(subCard, innerX, nodeY, innerWidth, depth + 1, { maxDepth, colors, generateId });
+      childNodes.push(...subNodes);
+      nodeY += subNodes[0].height + 10;
+    }
+    if (subCards.length > 0) continue;
+
+    const text = formatField(field);
+    const nodeHeight = estimateNodeHeight(text);
+
+    childNodes.push({
+      id: generateId(),
+      type: 'text',
+      text,
+      x: innerX,
+      y: nodeY,
+      width: innerWidth,
+      height: nodeHeight,
+      color: colors[depth + 1],
+    });
+
+    nodeY += nodeHeight + 10;
+  }
+
+  // Group height encompasses all children with padding
+  const group = {
+    id: generateId(),
+    type: 'group',
+    label: card.label,
+    x,
+    y,
+    width,
+    height: (nodeY - y) + LAYOUT.groupPadding,
+    color: colors[depth],
+  };
+
+  return [group, ...childNodes];
+}
+
+/**
+ * Sub-cards for a field holding records: a non-empty object becomes one card labeled with
+ * the field key, an array of non-empty objects a stack of cards labeled "key[n]", followed by
+ * the item's name when it has one. Any other value stays a text node.
+ */
+function nestedCards(field) {
+  const isRecord = value => isPlainObject(value) && Object.keys(value).length > 0;
+  if (isRecord(field.value)) return [createCard(field.key ?? 'Object', objectToFields(field.value))];
+  if (Array.isArray(field.value) && field.value.length > 0 && field.value.every(isRecord)) {
+    return field.value.map((item, i) => createCard(itemLabel(item, i, field.key ?? 'Item'), objectToFields(item)));
+  }
+  return [];
+}
+
+/**
+ * Label for the n-th record of an array field. The "[n]" index lets the exporter fold the
+ * stack back into an array.
+ */
+function itemLabel(item, index, key) {
+  const name = extractLabel(item, index);
+  return name === `Record ${index + 1}` ? `${key}[${index + 1}]` : `${key}[${index + 1}]: ${name}`;
+}
+
+/**
+ * Card text for a field: "**key**: value", or the bare value for keyless fields.
+ * Objects and arrays start on the line below the key so their code fence opens a line.
+ */
+function formatField(field) {
+  if (!field.key) return formatValue(field.value);
+  const separator = typeof field.value === 'object' && field.value !== null ? '\n' : ' ';
+  return `**${field.key}**:${separator}${formatValue(field.value)}`;
+}
+
 /**
  * Format a value for display
- * Objects get empty code fence for syntax hint, then JSON as plain text below
+ * Objects and arrays become a fenced ```json block
  */
 function formatValue(value) {
   if (value === null) return 'null';
   if (value === undefined) return 'undefined';
   if (typeof value === 'string') return value.includes('\n') ? value : `"${value}"`;
-  if (typeof value === 'object') return '```json\n\n```\n' + JSON.stringify(value, null, 2);
+  if (typeof value === 'object') return '```json\n' + JSON.stringify(value, null, 2) + '\n```';
   return String(value);
 }
 
@@ -200,96 +255,65 @@ function formatValue(value) {
  * Parse JSONL: each line is a card
  */
 function parseJsonl(content) {
-  const lines = content.trim().split('\n').filter(line => line.trim());
-  const cards = [];
+  return parseJsonlRecords(content).map((obj, i) => createCard(`Record ${i + 1}`, objectToFields(obj)));
+}
 
-  for (let i = 0; i < lines.length; i++) {
+/**
+ * Parse JSONL content into one record per non-blank line, failing fast with the line number
+ */
+export function parseJsonlRecords(content) {
+  const lines = content.trim().split('\n').filter(line => line.trim());
+  return lines.map((line, i) => {
     try {
-      const obj = JSON.parse(lines[i]);
-      const fields = objectToFields(obj);
-      cards.push(createCard(`Record ${i + 1}`, fields));
+      return JSON.parse(line);
     } catch (err) {
       throw new Error(`Invalid JSON on line ${i + 1}: ${err.message}`);
     }
-  }
-
-  return cards;
+  });
 }
 
 /**
- * Parse structured JSON: objects with named arrays become sections
+ * Split parsed JSON into the records importDataToCanvas makes a card of each: the items of a
+ * top-level array, the items of each array section of an object with named arrays (other
+ * sections are a single value), or the whole value. Top-level records have no section name.
  */
-function parseStructuredJson(data) {
-  const cards = [];
-
-  if (Array.isArray(data)) {
-    // Top-level array: each item is a card
-    for (let i = 0; i < data.length; i++) {
-      const item = data[i];
-      const label = extractLabel(item, i);
-      const fields = objectToFields(item);
-      cards.push(createCard(label, fields));
-    }
-  } else if (typeof data === 'object' && data !== null) {
-    // Top-level object: check for array properties (sections)
+export function splitDataRecords(data) {
+  if (Array.isArray(data)) return [{ name: null, records: data }];
+  if (typeof data === 'object' && data !== null) {
+    // Top-level object: array properties are sections
     const entries = Object.entries(data);
-    const hasArrays = entries.some(([, v]) => Array.isArray(v));
-
-    if (hasArrays) {
-      // Structured with sections: each array item becomes a card
-      for (const [sectionName, sectionData] of entries) {
-        if (Array.isArray(sectionData)) {
-          for (let i = 0; i < sectionData.length; i++) {
-            const item = sectionData[i];
-            const label = extractLabel(item, i, sectionName);
-            const fields = objectToFields(item);
-            cards.push(createCard(label, fields));
-          }
-        } else {
-          // Non-array property: single card
-          const fields = [{ key: sectionName, value: sectionData }];
-          cards.push(createCard(sectionName, fields));
-        }
-      }
-    } else {
-      // Simple object: one card with all properties
-      const fields = objectToFields(data);
-      cards.push(createCard('Object', fields));
+    if (entries.some(([, v]) => Array.isArray(v))) {
+      return entries.map(([name, value]) => (Array.isArray(value) ? { name, records: value } : { name, value }));
     }
-  } else {
-    // Primitive: single card
-    cards.push(createCard('Value', [{ value: data }]));
   }
-
-  return cards;
+  return [{ name: null, value: data }];
 }
 
 /**
- * Parse pure Canvas JSON: nodes become cards
+ * Parse structured JSON: objects with named arrays become sections
  */
-function parsePureCanvas(data) {
-  const sourceNodes = Array.isArray(data.nodes) ? data.nodes : [];
+function parseStructuredJson(data) {
   const cards = [];
 
-  for (let i = 0; i < sourceNodes.length; i++) {
-    const node = sourceNodes[i];
-    const label = node.label || node.id || `Node ${i + 1}`;
-    const fields = [];
-
-    // Extract semantic fields from node
-    if (node.id) fields.push({ key: 'id', value: node.id });
-    if (node.type) fields.push({ key: 'type', value: node.type });
-    if (node.label) fields.push({ key: 'label', value: node.label });
-    if (node.text) fields.push({ key: 'text', value: node.text });
-
-    // Add any other properties
-    for (const [key, value] of Object.entries(node)) {
-      if (!['id', 'type', 'label', 'text', 'x', 'y', 'width', 'height', 'color'].includes(key)) {
-        fields.push({ key, value });
+  for (const { name, records, value } of splitDataRecords(data)) {
+    if (records) {
+      // Each array item becomes a card
+      for (let i = 0; i < records.length; i++) {
+        const item = records[i];
+        const label = extractLabel(item, i, name);
+        const fields = objectToFields(item);
+        cards.push(createCard(label, fields));
       }
+    } else if (name !== null) {
+      // Non-array section: single card
+      cards.push(createCard(name, [{ key: name, value }]));
+    } else if (typeof value === 'object' && value !== null) {
+      // Simple object: one card with all properties
+      cards.push(createCard('Object', objectToFields(value)));
+    } else {
+      // Primitive: single card
+      cards.push(createCard('Value', [{ value }]));
     }
-
-    cards.push(createCard(label, fields));
   }
 
   return cards;
@@ -343,26 +367,320 @@ function extractLabel(obj, index, sectionName = null) {
 /**
  * Detect if data is a Canvas export
  */
-function isPureCanvasExport(data) {
+export function isPureCanvasExport(data) {
   return (
     typeof data === 'object' &&
     data !== null &&
     Array.isArray(data.nodes) &&
     data.nodes.length > 0 &&
     typeof data.nodes[0] === 'object' &&
-    'id' in data.nodes[0] &&
-    'type' in data.nodes[0]
+    data.nodes[0] !== null &&
+    (('id' in data.nodes[0] && 'type' in data.nodes[0]) || Array.isArray(data.nodes[0].sequence))
   );
 }
 
+// ============================================================================
+// PURE JSON REBUILD: reverse of stripCanvasMetadata
+// ============================================================================
+
+/**
+ * Lay out a flat export: root nodes stack in a single column above the groups,
+ * groups and sub-groups wrap their members (see nestFlatPureNodes).
+ */
+function rebuildCanvasLayout(sourceNodes, generateId) {
+  const items = nestFlatPureNodes(sourceNodes);
+  const nodes = [];
+  let y = 0;
+
+  const rootNodes = items.filter(item => item.type !== 'group');
+  for (const source of rootNodes) {
+    const node = rebuildNode(source, 0, y, generateId);
+    nodes.push(node);
+    y += node.height + 10;
+  }
+  if (rootNodes.length > 0) y += LAYOUT.cardGap;
+
+  const groups = items.filter(item => item.type === 'group');
+  rebuildNestedLayout(groups, 0, y, LAYOUT.cardWidth, generateId, nodes);
+  return nodes;
+}
+
+/**
+ * Recover the group tree of a flat export from the compiled order: nodes before the first
+ * group are roots, every other node belongs to the group that precedes it (groups list their
+ * nodes before their sub-groups). A group recording a `parent` (see recordGroupParents) goes
+ * into that group's `children`, any other group to the root.
+ */
+function nestFlatPureNodes(sourceNodes) {
+  const roots = [];
+  const groups = new Map();
+  let current = null;
+
+  for (const source of sourceNodes) {
+    if (source.type !== 'group') {
+      (current ? current.children : roots).push(source);
+      continue;
+    }
+    current = { ...source, children: [] };
+    const parent = typeof source.parent === 'string' ? groups.get(normalizedId(source.parent)) : undefined;
+    (parent ? parent.children : roots).push(current);
+    groups.set(normalizedId(source.id), current);
+  }
+
+  return roots;
+}
+
+/**
+ * Lay out a nested export scope: sub-groups wrap their children, { sequence }
+ * wrappers unfold in place. Returns the y below the last item.
+ */
+function rebuildNestedLayout(items, x, y, width, generateId, nodes) {
+  for (const item of items) {
+    if (isSequence(item)) {
+      y = rebuildNestedLayout(toRecords(item.sequence), x, y, width, generateId, nodes);
+      continue;
+    }
+
+    const node = rebuildNode(item, x, y, generateId);
+    nodes.push(node);
+    if (node.type !== 'group') {
+      node.width = Math.min(width, LAYOUT.nodeWidth);
+      y += node.height + 10;
+      continue;
+    }
+
+    node.width = width;
+    const bottom = rebuildNestedLayout(
+      [...recordCards(item), ...toRecords(item.children)],
+      x + LAYOUT.groupPadding,
+      y + LAYOUT.headerHeight,
+      width - LAYOUT.groupPadding * 2,
+      generateId,
+      nodes,
+    );
+    node.height = (bottom - y) + LAYOUT.groupPadding;
+    y += node.height + LAYOUT.cardGap;
+  }
+  return y;
+}
+
+function isSequence(item) {
+  return Array.isArray(item.sequence) && !('id' in item);
+}
+
+function isNestedItem(item) {
+  return isSequence(item) || (item.type === 'group' && Array.isArray(item.children));
+}
+
+/**
+ * Every node of a nested export in document order
+ */
+export function flattenPureItems(items) {
+  return items.flatMap(item => {
+    if (isSequence(item)) return flattenPureItems(toRecords(item.sequence));
+    if (Array.isArray(item.children)) return [item, ...flattenPureItems(toRecords(item.children))];
+    return [item];
+  });
+}
+
+/**
+ * Restore a Canvas node from a pure node: keeps id and content, adds geometry
+ */
+// Canvas fields of each node type besides id, type, position, size and color; export-only keys
+// (content, frontmatter, parent, record, ...) are left behind
+const NODE_FIELDS = {
+  text: ['text'],
+  file: ['file', 'subpath'],
+  link: ['url'],
+  group: ['label', 'background', 'backgroundStyle'],
+};
+
+function rebuildNode(source, x, y, generateId) {
+  const type = typeof source.type === 'string' && source.type ? source.type : 'text';
+  const node = { id: normalizedId(source.id) || generateId(), type };
+
+  for (const key of NODE_FIELDS[type] ?? []) {
+    if (key in source) node[key] = source[key];
+  }
+  if (type === 'text' && !('text' in source) && 'data' in source) node.text = formatStructuredText(source.data);
+
+  node.x = x;
+  node.y = y;
+  node.width = type === 'group' ? LAYOUT.cardWidth : LAYOUT.nodeWidth;
+  node.height = type === 'text' && typeof node.text === 'string'
+    ? estimateNodeHeight(node.text)
+    : LAYOUT.nodeHeight;
+
+  if (typeof source.color === 'string') node.color = canvasColor(source.color);
+
+  return node;
+}
+
+/**
+ * Card text for parsed `data` (see parseStructuredText): key/value lines for objects,
+ * a markdown list for arrays of single-line scalars, a ```json fence for anything else.
+ */
+function formatStructuredText(data) {
+  if (isPlainObject(data) && Object.keys(data).length > 0) return objectToFields(data).map(formatField).join('\n');
+  if (Array.isArray(data) && data.length > 0 && data.every(isListItem)) {
+    return data.map(item => `- ${formatValue(item)}`).join('\n');
+  }
+  return '```json\n' + JSON.stringify(data, null, 2) + '\n```';
+}
+
+function isListItem(value) {
+  return value === null || (typeof value !== 'object' && !String(value).includes('\n'));
+}
+
+/**
+ * The cards a group exported as a `record` held: one key/value text node per field
+ */
+function recordCards(group) {
+  if (!isPlainObject(group.record)) return [];
+  return objectToFields(group.record).map(field => ({ type: 'text', text: formatField(field) }));
+}
+
+/**
+ * Turn folded "from"/"to" arrays back into edges and keep the others as-is.
+ * A direction of "both" or "none" restores the arrowheads of two-way edges and plain lines.
+ */
+function rebuildEdges(sourceNodes, sourceEdges) {
+  const edges = [];
+  const usedIds = new Set(sourceEdges.map(edge => normalizedId(edge.id)).filter(Boolean));
+  const folded = new Map();
+
+  const pushEdge = (fromNode, toNode, ref) => {
+    const edge = {
+      id: stableHashId(`${fromNode}\u0000${toNode}\u0000${JSON.stringify(ref.label)}`, usedIds),
+      fromNode,
+      toNode,
+    };
+    if (ref.label !== undefined) edge.label = ref.label;
+    if (typeof ref.color === 'string') edge.color = canvasColor(ref.color);
+    edges.push(applyDirection(edge, ref.direction));
+  };
+
+  // Folded edges sit in both endpoints or only in their source; "to" entries are authoritative
+  for (const source of sourceNodes) {
+    const fromNode = normalizedId(source.id);
+    for (const ref of toRecords(source.to)) {
+      const toNode = normalizedId(ref.node);
+      if (!fromNode || !toNode) continue;
+      const key = `${fromNode}\u0000${toNode}\u0000${JSON.stringify(ref.label)}`;
+      folded.set(key, (folded.get(key) ?? 0) + 1);
+      pushEdge(fromNode, toNode, ref);
+    }
+  }
+
+  // "from" entries only add edges whose source side was removed or edited away
+  for (const source of sourceNodes) {
+    const toNode = normalizedId(source.id);
+    for (const ref of toRecords(source.from)) {
+      const fromNode = normalizedId(ref.node);
+      if (!fromNode || !toNode) continue;
+      const key = `${fromNode}\u0000${toNode}\u0000${JSON.stringify(ref.label)}`;
+      const remaining = folded.get(key) ?? 0;
+      if (remaining > 0) {
+        folded.set(key, remaining - 1);
+        continue;
+      }
+      pushEdge(fromNode, toNode, ref);
+    }
+  }
+
+  for (const source of sourceEdges) {
+    const fromNode = normalizedId(source.fromNode);
+    const toNode = normalizedId(source.toNode);
+    if (!fromNode || !toNode) continue;
+
+    const edge = {
+      id: normalizedId(source.id) || stableHashId(`${fromNode}\u0000${toNode}`, usedIds),
+      fromNode,
+      toNode,
+    };
+    for (const [key, value] of Object.entries(source)) {
+      if (['id', 'fromNode', 'toNode', 'direction', 'colorMeaning'].includes(key)) continue;
+      edge[key] = key === 'color' && typeof value === 'string' ? canvasColor(value) : value;
+    }
+    edges.push(applyDirection(edge, source.direction));
+  }
+
+  return edges;
+}
+
+/**
+ * Exports with presetColors 'name' or 'meaning' write palette names ("red"); the canvas
+ * stores presets by index ("1").
+ */
+function canvasColor(color) {
+  return getPresetColorIndex(color) ?? color;
+}
+
+function applyDirection(edge, direction) {
+  if (direction === 'both') edge.fromEnd = 'arrow';
+  if (direction === 'none') edge.toEnd = 'none';
+  return edge;
+}
+
+function toRecords(value) {
+  if (!Array.isArray(value)) return [];
+  return value.filter(item => typeof item === 'object' && item !== null);
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Rebuild a working Canvas from a pure JSON export.
+ * Nodes keep their ids and content, "from"/"to" arrays and adjacency maps become edges,
+ * and the layout follows the exported node order. The round trip is lossy: the layout is new,
+ * so edges (ordered by where their ends sit) may recompile in another order, and preset colors
+ * only survive exports that name them (presetColors 'name' or 'meaning').
+ * Nested exports (group children, flow sequences) are placed inside their groups.
+ * Structured text (`data`, group `record`s; see structureTextFields) is written back as card text.
+ */
+export function rebuildCanvasFromPure(data) {
+  const items = toRecords(data?.nodes);
+  const sourceEdges = toRecords(data?.edges);
+
+  const nested = items.some(isNestedItem);
+  const sourceNodes = nested ? flattenPureItems(items) : items;
+
+  // Nodes without an id (record cards among them) get one no source node uses
+  const sourceIds = new Set(sourceNodes.map(source => normalizedId(source.id)));
+  let idCounter = 0;
+  const generateId = () => {
+    let id;
+    do id = `imported-${(idCounter++).toString(16).padStart(16, '0')}`;
+    while (sourceIds.has(id));
+    return id;
+  };
+  const nodes = [];
+  if (nested) {
+    rebuildNestedLayout(items, 0, 0, LAYOUT.cardWidth, generateId, nodes);
+  } else {
+    nodes.push(...rebuildCanvasLayout(sourceNodes, generateId));
+  }
+
+  // An adjacency map holds the outgoing edges of each node, like "to" entries
+  const adjacency = typeof data?.adjacency === 'object' && data.adjacency !== null ? data.adjacency : {};
+  const adjacencyNodes = Object.entries(adjacency).map(([id, to]) => ({ id, to }));
+  const edges = rebuildEdges([...sourceNodes, ...adjacencyNodes], sourceEdges);
+
+  return { nodes, edges };
+}
+
 // ============================================================================
 // PUBLIC API
 // ============================================================================
 
 /**
  * Import any JSON/JSONL file to Canvas with solitaire layout
+ * Pure JSON exports are rebuilt into their original nodes and edges instead
+ * @param {{maxDepth?: number}} [options] - maxDepth: nesting levels laid out as sub-cards
  */
-export function importDataToCanvas(filePath, fileContent) {
+export function importDataToCanvas(filePath, fileContent, options = {}) {
   const fileName = filePath.toLowerCase();
   const isPureCanvas = fileName.includes('.pure.json');
 
@@ -374,10 +692,9 @@ export function importDataToCanvas(filePath, fileContent) {
     const data = JSON.parse(fileContent);
 
     if (isPureCanvas || isPureCanvasExport(data)) {
-      cards = parsePureCanvas(data);
-    } else {
-      cards = parseStructuredJson(data);
+      return rebuildCanvasFromPure(data);
     }
+    cards = parseStructuredJson(data);
   }
 
   if (cards.length === 0) {
@@ -385,17 +702,17 @@ export function importDataToCanvas(filePath, fileContent) {
   }
 
   const rainbowColors = generateRainbowGradient(cards.length);
-  return solitaireLayout(cards, rainbowColors);
+  return solitaireLayout(cards, rainbowColors, options);
 }
 
 /**
  * Main import function with file I/O
  */
-export function importFile({ inPath, outPath }) {
+export function importFile({ inPath, outPath, maxDepth }) {
   const absIn = path.resolve(String(inPath ?? '').trim());
   const fileContent = fs.readFileSync(absIn, 'utf8');
 
-  const canvas = importDataToCanvas(absIn, fileContent);
+  const canvas = importDataToCanvas(absIn, fileContent, { maxDepth });
 
   const stem = path.basename(absIn).replace(/\.(json|jsonl)$/i, '');
   const absOut = String(outPath ?? '').trim() || path.resolve(path.dirname(absIn), `${stem}.canvas`);
@@ -413,24 +730,20 @@ export function importFile({ inPath, outPath }) {
 }
 
 // Convenience exports used by tests/other modules
-export const importJsonToCanvasEnhanced = (data) => {
+export const importJsonToCanvasEnhanced = (data, options = {}) => {
   const cards = parseStructuredJson(data);
   const rainbowColors = generateRainbowGradient(cards.length);
-  return solitaireLayout(cards, rainbowColors);
+  return solitaireLayout(cards, rainbowColors, options);
 };
 
-export const importJsonlToCanvasEnhanced = (jsonObjects) => {
+export const importJsonlToCanvasEnhanced = (jsonObjects, options = {}) => {
   const cards = jsonObjects.map((obj, i) => {
     const label = extractLabel(obj, i);
     const fields = objectToFields(obj);
     return createCard(label, fields);
   });
   const rainbowColors = generateRainbowGradient(cards.length);
-  return solitaireLayout(cards, rainbowColors);
+  return solitaireLayout(cards, rainbowColors, options);
 };
 
-export const importPureCanvasDataCLI = (data) => {
-  const cards = parsePureCanvas(data);
-  const rainbowColors = generateRainbowGradient(cards.length);
-  return solitaireLayout(cards, rainbowColors);
-};
+export const importPureCanvasDataCLI = (data) => rebuildCanvasFromPure(data);
@@ -3,7 +3,11 @@ import assert from 'node:assert/strict';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { importDataToCanvas } from './importer.mjs';
+import { generateCanvas } from '../bench.mjs';
+import { generateHierarchicalColors, readJson } from './shared.mjs';
+import { buildCanvasStructure, compileCanvasAll } from './compiler.mjs';
+import { nestPureExport, recordGroupParents, stripCanvasMetadata } from './exporter.mjs';
+import { importDataToCanvas, rebuildCanvasFromPure } from './importer.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const REPO_ROOT = path.resolve(__dirname, '..', '..');
@@ -107,3 +111,299 @@ test('import (jsonl) fails fast on invalid line', () => {
   );
 });
 
+test('import (json) lays out nested records as sub-cards down to the max depth', () => {
+  const data = [{ name: 'Ada', lab: { city: 'London', room: { floor: 2 } }, papers: [{ title: 'Notes' }, { year: 1843 }], tags: ['math'] }];
+  const canvas = importDataToCanvas('people.json', JSON.stringify(data));
+  assertValidCanvas(canvas);
+
+  const groups = canvas.nodes.filter((n) => n.type === 'group');
+  assert.deepEqual(groups.map((n) => n.label), ['Ada', 'lab', 'room', 'papers[1]: Notes', 'papers[2]']);
+  const byLabel = new Map(groups.map((n) => [n.label, n]));
+  const byText = new Map(canvas.nodes.filter((n) => n.type === 'text').map((n) => [n.text, n]));
+  const inside = (child, parent) =>
+    child.x > parent.x &&
+    child.y > parent.y &&
+    child.x + child.width < parent.x + parent.width &&
+    child.y + child.height < parent.y + parent.height;
+  assert.ok(inside(byLabel.get('room'), byLabel.get('lab')));
+  assert.ok(inside(byText.get('**floor**: 2'), byLabel.get('room')));
+  assert.ok(inside(byLabel.get('papers[2]'), byLabel.get('Ada')));
+  assert.ok(byLabel.get('papers[2]').y >= byLabel.get('papers[1]: Notes').y + byLabel.get('papers[1]: Notes').height);
+
+  const colors = generateHierarchicalColors(byLabel.get('Ada').color, 4);
+  assert.equal(byLabel.get('lab').color, colors[1]);
+  assert.equal(byLabel.get('room').color, colors[2]);
+  assert.equal(byText.get('**floor**: 2').color, colors[3]);
+  assert.equal(byText.get('**tags**:\n```json\n[\n  "math"\n]\n```').color, colors[1]);
+
+  const shallow = importDataToCanvas('people.json', JSON.stringify(data), { maxDepth: 1 });
+  assert.deepEqual(shallow.nodes.filter((n) => n.type === 'group').map((n) => n.label), ['Ada', 'lab', 'papers[1]: Notes', 'papers[2]']);
+  assert.ok(shallow.nodes.some((n) => n.text === '**room**:\n```json\n{\n  "floor": 2\n}\n```'));
+
+  const flat = importDataToCanvas('people.json', JSON.stringify(data), { maxDepth: 0 });
+  assert.deepEqual(flat.nodes.filter((n) => n.type === 'group').map((n) => n.label), ['Ada']);
+  assert.equal(flat.nodes.length, 5);
+});
+
+test('import (json) caps sub-card nesting at six levels', () => {
+  let deep = { leaf: 'bottom' };
+  for (let level = 14; level >= 1; level--) deep = { [`level${level}`]: deep };
+  const canvas = importDataToCanvas('deep.json', JSON.stringify([{ name: 'Deep', ...deep }]), { maxDepth: 20 });
+  assertValidCanvas(canvas);
+
+  const groups = canvas.nodes.filter((n) => n.type === 'group');
+  assert.deepEqual(groups.map((n) => n.label), ['Deep', 'level1', 'level2', 'level3', 'level4', 'level5', 'level6']);
+  assert.ok(canvas.nodes.every((n) => n.width >= 160));
+  assert.ok(canvas.nodes.some((n) => n.type === 'text' && n.text.startsWith('**level7**:\n```json')));
+
+  const colors = generateHierarchicalColors(groups[0].color, 7);
+  assert.deepEqual(groups.map((n) => n.color), colors.slice(0, 7));
+  assert.equal(new Set(groups.map((n) => n.color)).size, 7);
+});
+
+
+function exportPure(canvas, settings = {}) {
+  const compiled = compileCanvasAll({ input: canvas, settings: {} });
+  const pure = stripCanvasMetadata(compiled, { flowSort: false, stripEdgesWhenFlowSorted: false, ...settings });
+  return settings.groupParents ? recordGroupParents(pure, buildCanvasStructure(compiled, {})) : pure;
+}
+
+test('rebuild (pure.json) round-trips the conformance canvas export', () => {
+  const canvas = readJson(path.join(REPO_ROOT, 'examples', 'conformance-test-card.canvas'));
+  const pure = exportPure(canvas);
+
+  const rebuilt = importDataToCanvas('conformance-test-card.pure.json', JSON.stringify(pure));
+  assertValidCanvas(rebuilt);
+  assert.deepEqual(
+    rebuilt.nodes.map((n) => n.id).sort(),
+    canvas.nodes.map((n) => n.id).sort(),
+  );
+
+  assert.deepEqual(exportPure(rebuilt), pure);
+});
+
+test('rebuild (pure.json) keeps ids, content and edges of the conformance export', () => {
+  const pure = readJson(path.join(REPO_ROOT, 'examples', 'conformance-test-card.json'));
+  const rebuilt = rebuildCanvasFromPure(pure);
+  assertValidCanvas(rebuilt);
+
+  const byId = new Map(rebuilt.nodes.map((n) => [n.id, n]));
+  for (const node of pure.nodes) {
+    const restored = byId.get(node.id);
+    assert.ok(restored, `missing node ${node.id}`);
+    assert.equal(restored.type, node.type);
+    assert.equal(restored.text, node.text);
+    assert.equal(restored.url, node.url);
+    assert.equal(restored.label, node.label);
+  }
+  assert.deepEqual(rebuilt.edges, pure.edges);
+
+  // Once recompiled, the rebuilt canvas is a fixed point of export -> rebuild.
+  const recompiled = exportPure(rebuilt);
+  assert.deepEqual(exportPure(rebuildCanvasFromPure(recompiled)), recompiled);
+});
+
+test('rebuild (pure.json) keeps two levels of nested groups of a flat export with group parents', () => {
+  const canvas = {
+    nodes: [
+      { id: 'root', type: 'text', text: 'Root', x: -400, y: 0, width: 100, height: 60 },
+      { id: 'g', type: 'group', label: 'Outer', x: 0, y: 0, width: 1000, height: 800 },
+      { id: 'a', type: 'text', text: 'In outer', x: 20, y: 40, width: 200, height: 60 },
+      { id: 'h', type: 'group', label: 'Middle', x: 20, y: 150, width: 500, height: 500 },
+      { id: 'b', type: 'text', text: 'In middle', x: 40, y: 190, width: 200, height: 60 },
+      { id: 'i', type: 'group', label: 'Inner', x: 40, y: 300, width: 300, height: 200 },
+      { id: 'c', type: 'text', text: 'In inner', x: 60, y: 340, width: 200, height: 60 },
+      { id: 'k', type: 'group', label: 'Sibling', x: 600, y: 150, width: 300, height: 200 },
+      { id: 'd', type: 'text', text: 'In sibling', x: 620, y: 190, width: 200, height: 60 },
+      { id: 'r', type: 'group', label: 'Apart', x: 1200, y: 0, width: 300, height: 200 },
+      { id: 'e', type: 'text', text: 'In apart', x: 1220, y: 40, width: 200, height: 60 },
+    ],
+    edges: [],
+  };
+  const hierarchy = (input) => {
+    const compiled = compileCanvasAll({ input, settings: {} });
+    return Object.fromEntries(buildCanvasStructure(compiled, {}).parentOf);
+  };
+
+  assert.ok(exportPure(canvas).nodes.every((n) => !('parent' in n)));
+  const pure = exportPure(canvas, { groupParents: true });
+  assert.deepEqual(
+    pure.nodes.filter((n) => n.type === 'group').map((n) => [n.id, n.parent]),
+    [['g', undefined], ['h', 'g'], ['i', 'h'], ['k', 'g'], ['r', undefined]],
+  );
+
+  const rebuilt = rebuildCanvasFromPure(pure);
+  assertValidCanvas(rebuilt);
+  assert.ok(rebuilt.nodes.every((n) => !('parent' in n) && !('children' in n)));
+  assert.deepEqual(hierarchy(rebuilt), hierarchy(canvas));
+  assert.deepEqual(hierarchy(rebuilt), { a: 'g', h: 'g', b: 'h', i: 'h', c: 'i', k: 'g', d: 'k', e: 'r' });
+  assert.deepEqual(exportPure(rebuilt, { groupParents: true }), pure);
+});
+
+test('rebuild (pure.json) of generated canvases keeps nodes and edges but not the layout', () => {
+  // Rebuilt nodes get a fresh layout, so edges, ordered by where their ends sit, may come back
+  // in another order; preset colors only come back from exports that name them
+  const sorted = (items) => items.map((item) => JSON.stringify(item)).sort();
+  for (let seed = 1; seed <= 4; seed++) {
+    const canvas = generateCanvas(80, seed);
+    const named = exportPure(canvas, { presetColors: 'name' });
+    const again = exportPure(rebuildCanvasFromPure(named), { presetColors: 'name' });
+    assert.deepEqual(again.nodes, named.nodes);
+    assert.deepEqual(sorted(again.edges), sorted(named.edges));
+
+    const dropped = exportPure(canvas);
+    const rebuilt = rebuildCanvasFromPure(dropped);
+    assert.ok(canvas.nodes.some((n) => /^[1-6]$/.test(n.color ?? '')));
+    assert.ok(rebuilt.nodes.every((n) => !/^[1-6]$/.test(n.color ?? '')));
+    assert.deepEqual(sorted(exportPure(rebuilt).nodes), sorted(dropped.nodes));
+  }
+});
+
+test('rebuild (pure.json) keeps only the canvas fields of each node type', () => {
+  const rebuilt = rebuildCanvasFromPure({
+    nodes: [
+      { id: 'g', type: 'group', label: 'Notes', background: 'bg.png', backgroundStyle: 'cover', parent: 'x', colorMeaning: 'urgent' },
+      { id: 't', type: 'text', text: 'Step', flowCycle: 1, url: 'https://example.com' },
+      {
+        id: 'f', type: 'file', file: 'plan.md', subpath: '#Goals',
+        content: 'Goals', contentSkipped: 'section-not-found', frontmatter: { owner: 'Ada' }, frontmatterSkipped: 'unsupported-yaml',
+      },
+      { id: 'c', type: 'file', file: 'other.canvas', embedSkipped: 'depth-limit' },
+      { id: 'l', type: 'link', url: 'https://example.com', text: 'stray' },
+    ],
+    edges: [],
+  });
+  const fields = (n) => Object.keys(n).filter((key) => !['id', 'type', 'x', 'y', 'width', 'height', 'color'].includes(key));
+  assert.deepEqual(Object.fromEntries(rebuilt.nodes.map((n) => [n.id, fields(n)])), {
+    g: ['label', 'background', 'backgroundStyle'],
+    t: ['text'],
+    f: ['file', 'subpath'],
+    c: ['file'],
+    l: ['url'],
+  });
+});
+
+test('rebuild (pure.json) maps palette names back to preset colors', () => {
+  const canvas = {
+    nodes: [
+      { id: 'a', type: 'text', text: 'Urgent', x: 0, y: 0, width: 100, height: 60, color: '1' },
+      { id: 'b', type: 'text', text: 'Custom', x: 0, y: 100, width: 100, height: 60, color: '#ff00aa' },
+      { id: 'g', type: 'group', label: 'Later', x: 200, y: 0, width: 300, height: 200, color: '6' },
+      { id: 'c', type: 'text', text: 'Plain', x: 220, y: 40, width: 100, height: 60 },
+    ],
+    edges: [{ id: 'e', fromNode: 'a', toNode: 'b', color: '4' }],
+  };
+  const colors = (nodes) => Object.fromEntries(nodes.map((n) => [n.id, n.color]));
+
+  const meanings = { '1': 'urgent', '4': 'blocks' };
+  for (const settings of [
+    { presetColors: 'name' },
+    { presetColors: 'meaning', colorMeanings: meanings },
+    { presetColors: 'meaning', colorMeanings: meanings, edgeFolding: 'all' },
+  ]) {
+    const pure = exportPure(canvas, settings);
+    assert.equal(pure.nodes.find((n) => n.id === 'a').color, 'red');
+
+    const rebuilt = rebuildCanvasFromPure(pure);
+    assertValidCanvas(rebuilt);
+    assert.deepEqual(colors(rebuilt.nodes), colors(canvas.nodes));
+    assert.deepEqual(rebuilt.edges.map((e) => e.color), ['4']);
+    assert.ok([...rebuilt.nodes, ...rebuilt.edges].every((item) => !('colorMeaning' in item)));
+    assert.deepEqual(exportPure(rebuilt, settings), pure);
+  }
+});
+
+test('rebuild (pure.json) turns from/to arrays back into labeled edges', () => {
+  const canvas = {
+    nodes: [
+      { id: 'a', type: 'text', text: 'cause', x: 0, y: 0, width: 200, height: 60 },
+      { id: 'b', type: 'text', text: 'effect', x: 0, y: 100, width: 200, height: 60 },
+      { id: 'c', type: 'text', text: 'side', x: 300, y: 100, width: 200, height: 60 },
+    ],
+    edges: [
+      { id: 'e1', fromNode: 'a', toNode: 'b', label: 'leads to', color: '#ff0000' },
+      { id: 'e2', fromNode: 'a', toNode: 'c' },
+    ],
+  };
+  const pure = exportPure(canvas);
+  const rebuilt = rebuildCanvasFromPure(pure);
+  assertValidCanvas(rebuilt);
+
+  const labeled = rebuilt.edges.filter((e) => e.label !== undefined);
+  assert.equal(labeled.length, 1);
+  assert.equal(labeled[0].fromNode, 'a');
+  assert.equal(labeled[0].toNode, 'b');
+  assert.equal(labeled[0].label, 'leads to');
+  assert.equal(labeled[0].color, '#ff0000');
+  assert.match(labeled[0].id, /^[0-9a-f]{16}$/);
+  assert.ok(rebuilt.edges.some((e) => e.id === 'e2' && e.fromNode === 'a' && e.toNode === 'c'));
+
+  assert.deepEqual(rebuildCanvasFromPure(pure), rebuilt);
+  assert.deepEqual(exportPure(rebuilt), pure);
+});
+
+test('rebuild (pure.json) restores arrowheads and reads every edge folding', () => {
+  const canvas = {
+    nodes: [
+      { id: 'a', type: 'text', text: 'a', x: 0, y: 0, width: 200, height: 60 },
+      { id: 'b', type: 'text', text: 'b', x: 0, y: 100, width: 200, height: 60 },
+      { id: 'c', type: 'text', text: 'c', x: 300, y: 100, width: 200, height: 60 },
+    ],
+    edges: [
+      { id: 'e1', fromNode: 'a', toNode: 'b', label: 'calls' },
+      { id: 'e2', fromNode: 'b', toNode: 'c', fromEnd: 'arrow', label: 'syncs' },
+      { id: 'e3', fromNode: 'c', toNode: 'a', toEnd: 'none' },
+    ],
+  };
+  const compiled = compileCanvasAll({ input: canvas, settings: {} });
+  const shape = (edges) => edges
+    .map((e) => [e.fromNode, e.toNode, e.label, e.fromEnd, e.toEnd].map(String).join(' '))
+    .sort();
+  const expected = shape(canvas.edges);
+
+  for (const edgeFolding of ['labeled', 'keep', 'all', 'outgoing', 'adjacency']) {
+    const pure = stripCanvasMetadata(compiled, { edgeFolding, stripEdgesWhenFlowSorted: false });
+    const rebuilt = rebuildCanvasFromPure(pure);
+    assertValidCanvas(rebuilt);
+    assert.deepEqual(shape(rebuilt.edges), expected, edgeFolding);
+  }
+});
+
+test('rebuild (pure.json) places nested groups and sequences inside their parents', () => {
+  const canvas = {
+    nodes: [
+      { id: 'outer', type: 'group', label: 'Outer', x: 0, y: 0, width: 800, height: 800 },
+      { id: 'inner', type: 'group', label: 'Inner', x: 20, y: 300, width: 500, height: 400 },
+      { id: 'a', type: 'text', text: 'A', x: 40, y: 40, width: 100, height: 60 },
+      { id: 'b', type: 'text', text: 'B', x: 200, y: 40, width: 100, height: 60 },
+      { id: 'c', type: 'text', text: 'C', x: 40, y: 400, width: 100, height: 60 },
+      { id: 'root', type: 'text', text: 'Root', x: -400, y: 0, width: 100, height: 60 },
+    ],
+    edges: [{ id: 'e1', fromNode: 'b', toNode: 'a', label: 'next' }],
+  };
+  const settings = { flowSortNodes: true };
+  const exportNested = (input) => {
+    const compiled = compileCanvasAll({ input, settings });
+    const pure = stripCanvasMetadata(compiled, { flowSort: true });
+    return nestPureExport(pure, buildCanvasStructure(compiled, settings), { sequences: true });
+  };
+  const nested = exportNested(canvas);
+
+  const rebuilt = importDataToCanvas('nested.pure.json', JSON.stringify(nested));
+  assertValidCanvas(rebuilt);
+  assert.deepEqual(rebuilt.nodes.map((n) => n.id), ['root', 'outer', 'b', 'a', 'inner', 'c']);
+  assert.ok(rebuilt.nodes.every((n) => !('children' in n)));
+
+  const byId = new Map(rebuilt.nodes.map((n) => [n.id, n]));
+  const inside = (child, parent) =>
+    child.x >= parent.x &&
+    child.y >= parent.y &&
+    child.x + child.width <= parent.x + parent.width &&
+    child.y + child.height <= parent.y + parent.height;
+  assert.ok(inside(byId.get('inner'), byId.get('outer')));
+  assert.ok(inside(byId.get('c'), byId.get('inner')));
+  assert.ok(!inside(byId.get('root'), byId.get('outer')));
+
+  assert.equal(rebuilt.edges.length, 1);
+  assert.deepEqual(exportNested(rebuilt), nested);
+});
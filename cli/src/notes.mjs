@@ -0,0 +1,332 @@
+import { isCanvasFileNode } from './exporter.mjs';
+
+// ============================================================================
+// FRONTMATTER
+// ============================================================================
+
+/**
+ * Split a note into its YAML frontmatter (parsed) and body.
+ * Frontmatter is the block between a leading `---` line and the next `---` (or `...`) line.
+ * Frontmatter using YAML beyond what parseFrontmatter reads comes back as null with
+ * `frontmatterSkipped: 'unsupported-yaml'` rather than half parsed.
+ */
+export function parseNote(content) {
+  const text = String(content ?? '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const lines = text.split('\n');
+  if (lines[0]?.trim() !== '---') return { frontmatter: null, body: text };
+
+  const end = lines.findIndex((line, i) => i > 0 && (line.trim() === '---' || line.trim() === '...'));
+  if (end === -1) return { frontmatter: null, body: text };
+
+  const body = lines.slice(end + 1).join('\n');
+  try {
+    return { frontmatter: parseFrontmatter(lines.slice(1, end)), body };
+  } catch {
+    return { frontmatter: null, frontmatterSkipped: 'unsupported-yaml', body };
+  }
+}
+
+/**
+ * The YAML subset notes use for properties: nested mappings, block and inline lists,
+ * quoted and plain scalars (numbers, booleans, null) and | / > block strings.
+ * Throws on anything else (flow mappings, lists spanning lines, anchors, tags, plain
+ * scalars spanning lines, tab indentation...).
+ */
+function parseFrontmatter(lines) {
+  const entries = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim() || line.trimStart().startsWith('#')) continue;
+    if (/^\s*\t/.test(line)) unsupported(line);
+    const entry = { indent: indentOf(line), text: line.trim() };
+    entries.push(entry);
+    if (!BLOCK_SCALAR_HEADER.test(entry.text)) continue;
+
+    // Block scalar content stays raw: blank lines, `#` lines and deeper indentation are text
+    entry.block = [];
+    while (i + 1 < lines.length && (!lines[i + 1].trim() || indentOf(lines[i + 1]) > entry.indent)) {
+      entry.block.push(lines[++i]);
+    }
+  }
+  const [value, end] = parseBlock(entries, 0, 0);
+  if (end < entries.length) unsupported(entries[end].text);
+  if (value !== null && !isPlainObject(value)) unsupported(entries[0].text);
+  return value ?? {};
+}
+
+const BLOCK_SCALAR_HEADER = /:\s+[|>][+-]?$/;
+
+function unsupported(text) {
+  throw new Error(`unsupported YAML: ${text.trim()}`);
+}
+
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+/**
+ * The text of a | (literal) or > (folded) block scalar from its raw lines, without the
+ * indentation of its first line and without trailing blank lines. Folding joins lines with
+ * a space; blank lines become line breaks and more-indented lines keep theirs.
+ */
+function blockScalar(raw, folded) {
+  const lines = [...raw];
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+  const base = indentOf(lines.find(line => line.trim()) ?? '');
+  const text = lines.map(line => (line.trim() ? line.slice(base) : ''));
+  if (!folded) return text.join('\n');
+
+  return text.reduce((out, line, i) => {
+    if (i === 0) return line;
+    const prev = text[i - 1];
+    if (!line) return `${out}\n`;
+    if (!prev) return out + line;
+    return out + (/^\s/.test(line) || /^\s/.test(prev) ? '\n' : ' ') + line;
+  }, '');
+}
+
+function parseBlock(entries, start, indent) {
+  if (start >= entries.length || entries[start].indent < indent) return [null, start];
+  const blockIndent = entries[start].indent;
+  return entries[start].text.startsWith('- ') || entries[start].text === '-'
+    ? parseSequence(entries, start, blockIndent)
+    : parseMapping(entries, start, blockIndent);
+}
+
+function parseMapping(entries, start, indent) {
+  const result = {};
+  let i = start;
+  while (i < entries.length && entries[i].indent === indent) {
+    const match = /^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/.exec(entries[i].text);
+    if (!match) unsupported(entries[i].text);
+    const key = parseScalar(match[1]);
+    const rest = (match[2] ?? '').trim();
+    i++;
+
+    if (/^[|>]/.test(rest)) {
+      if (!/^[|>][+-]?$/.test(rest)) unsupported(rest);
+      result[key] = blockScalar(entries[i - 1].block ?? [], rest.startsWith('>'));
+    } else if (rest) {
+      result[key] = parseInline(rest);
+    } else if (i < entries.length && (entries[i].indent > indent || (entries[i].indent === indent && entries[i].text.startsWith('-')))) {
+      const [value, next] = parseBlock(entries, i, entries[i].indent);
+      result[key] = value;
+      i = next;
+    } else {
+      result[key] = null;
+    }
+  }
+  return [result, i];
+}
+
+function parseSequence(entries, start, indent) {
+  const result = [];
+  let i = start;
+  while (i < entries.length && entries[i].indent === indent && (entries[i].text.startsWith('- ') || entries[i].text === '-')) {
+    const rest = entries[i].text.slice(1).trim();
+    i++;
+    if (!rest) {
+      const [value, next] = parseBlock(entries, i, indent + 1);
+      result.push(value);
+      i = next;
+    } else if (/^[^"'[{][^:]*:(\s|$)/.test(rest)) {
+      // "- key: value" starts a mapping whose other keys line up with "key"
+      const itemIndent = indent + entries[i - 1].text.indexOf(rest);
+      const item = [{ indent: itemIndent, text: rest, block: entries[i - 1].block }];
+      while (i < entries.length && entries[i].indent >= itemIndent) item.push(entries[i++]);
+      const [value, end] = parseMapping(item, 0, itemIndent);
+      if (end < item.length) unsupported(item[end].text);
+      result.push(value);
+    } else {
+      result.push(parseInline(rest));
+    }
+  }
+  return [result, i];
+}
+
+function parseInline(text) {
+  if (text.startsWith('[') && text.endsWith(']')) {
+    const inner = text.slice(1, -1).trim();
+    return inner ? splitFlowList(inner).map(parseScalar) : [];
+  }
+  return parseScalar(text);
+}
+
+// Plain scalars starting with these are flow collections, anchors, aliases, tags, directives
+// or reserved characters
+const UNSUPPORTED_PLAIN_START = /^[[\]{}&*!%@`|>]/;
+
+function splitFlowList(text) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ',') {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  items.push(current.trim());
+  return items;
+}
+
+function parseScalar(text) {
+  const value = text.trim();
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return unsupported(value);
+    }
+  }
+  if (value.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(value)) unsupported(value);
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  const plain = value.replace(/(^|\s+)#.*$/, '');
+  if (UNSUPPORTED_PLAIN_START.test(plain) || /^-(\s|$)/.test(plain) || /:(\s|$)/.test(plain)) unsupported(value);
+  if (plain === '' || plain === '~' || plain === 'null') return null;
+  if (plain === 'true' || plain === 'false') return plain === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+  return plain;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// ============================================================================
+// SECTIONS
+// ============================================================================
+
+/**
+ * The part of a note body a subpath points at: `#Heading` (or `#Parent#Child`) is the heading
+ * and everything under it up to the next heading of the same or a higher level; `#^block-id` is
+ * the paragraph carrying that block id (without the id). Null when the target is not in the note.
+ */
+export function extractNoteSection(body, subpath) {
+  const lines = String(body ?? '').split('\n');
+  const target = String(subpath ?? '').replace(/^#/, '');
+  if (target.startsWith('^')) return extractBlock(lines, target.slice(1));
+
+  const headings = findHeadings(lines);
+  let range = { start: 0, end: lines.length, level: 0 };
+  for (const segment of target.split('#').map(normalizeHeading).filter(Boolean)) {
+    const heading = headings.find(h =>
+      h.line >= range.start && h.line < range.end && h.level > range.level && normalizeHeading(h.text) === segment,
+    );
+    if (!heading) return null;
+    const next = headings.find(h => h.line > heading.line && h.level <= heading.level);
+    range = { start: heading.line, end: next ? next.line : lines.length, level: heading.level };
+  }
+  return lines.slice(range.start, range.end).join('\n').trim();
+}
+
+function findHeadings(lines) {
+  const headings = [];
+  let fence = null;
+  lines.forEach((line, index) => {
+    const marker = /^\s*(```|~~~)/.exec(line)?.[1];
+    if (marker && (!fence || fence === marker)) {
+      fence = fence ? null : marker;
+      return;
+    }
+    if (fence) return;
+    const match = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (match) headings.push({ line: index, level: match[1].length, text: match[2] });
+  });
+  return headings;
+}
+
+function normalizeHeading(text) {
+  return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function extractBlock(lines, id) {
+  if (!id) return null;
+  const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const marker = new RegExp(`(^|\\s)\\^${escaped}\\s*$`);
+  const index = lines.findIndex(line => marker.test(line));
+  if (index === -1) return null;
+
+  // A block id on its own line belongs to the block above it (lists, tables, quotes)
+  const end = lines[index].replace(marker, '').trim() ? index : index - 1;
+  let start = end;
+  while (start > 0 && lines[start - 1].trim()) start--;
+  const block = lines.slice(Math.max(start, 0), end + 1);
+  if (block.length === 0) return null;
+  block[block.length - 1] = block[block.length - 1].replace(marker, '');
+  return block.join('\n').trim() || null;
+}
+
+// ============================================================================
+// INLINING
+// ============================================================================
+
+/**
+ * Markdown file node ("file" ending in .md)
+ */
+export function isNoteFileNode(node) {
+  return node?.type === 'file' && typeof node.file === 'string' && /\.md$/i.test(node.file);
+}
+
+/**
+ * Inline the notes file nodes point at into a pure export: parsed YAML `frontmatter` and the
+ * note body as `content`, only the referenced section for `subpath` links (unless sections is
+ * false), cut to maxChars (0 for no limit) with `contentTruncated`. Walks nested exports and
+ * embedded canvases.
+ * options: { resolvePath(file), readNote(path) → string | null, maxChars, sections }.
+ * Notes that cannot be inlined get a placeholder `content` and `contentSkipped`:
+ * 'not-found', 'unreadable' or 'section-not-found'. Frontmatter parseNote cannot read is left
+ * out and marked `frontmatterSkipped`.
+ */
+export function inlineNoteFiles(pure, options) {
+  if (!Array.isArray(pure?.nodes)) return pure;
+  return { ...pure, nodes: inlineItems(pure.nodes, options) };
+}
+
+function inlineItems(items, options) {
+  return items.map(item => {
+    if (Array.isArray(item?.sequence) && !('id' in item)) {
+      return { ...item, sequence: inlineItems(item.sequence, options) };
+    }
+    if (isNoteFileNode(item)) return inlineNode(item, options);
+    if (isCanvasFileNode(item) && isPlainObject(item.children)) {
+      return { ...item, children: inlineNoteFiles(item.children, options) };
+    }
+    if (Array.isArray(item?.children)) return { ...item, children: inlineItems(item.children, options) };
+    return item;
+  });
+}
+
+function inlineNode(node, options) {
+  const skip = (reason, placeholder) => ({ ...node, content: placeholder, contentSkipped: reason });
+
+  let raw;
+  try {
+    raw = options.readNote(options.resolvePath(node.file));
+  } catch {
+    return skip('unreadable', `[unreadable note: ${node.file}]`);
+  }
+  if (raw === null || raw === undefined) return skip('not-found', `[missing note: ${node.file}]`);
+
+  const { frontmatter, frontmatterSkipped, body } = parseNote(raw);
+  const subpath = typeof node.subpath === 'string' ? node.subpath : '';
+  const section = subpath && options.sections !== false ? extractNoteSection(body, subpath) : body.trim();
+  const withFrontmatter = frontmatter && Object.keys(frontmatter).length > 0 ? { ...node, frontmatter } : { ...node };
+  if (frontmatterSkipped) withFrontmatter.frontmatterSkipped = frontmatterSkipped;
+  if (section === null) {
+    return { ...withFrontmatter, content: `[missing section: ${node.file}${subpath}]`, contentSkipped: 'section-not-found' };
+  }
+
+  const limit = options.maxChars > 0 ? options.maxChars : Infinity;
+  if (section.length <= limit) return { ...withFrontmatter, content: section };
+  return { ...withFrontmatter, content: Array.from(section).slice(0, limit).join('').trimEnd(), contentTruncated: true };
+}
@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractNoteSection, inlineNoteFiles, parseNote } from './notes.mjs';
+
+const NOTE = [
+  '---',
+  'title: "Launch: plan"',
+  'tags: [planning, \'q3\']',
+  'aliases:',
+  '- Plan',
+  'owner:',
+  '  name: Ada',
+  '  active: true',
+  'effort: 3',
+  'summary: >',
+  '  folded',
+  '  text',
+  '---',
+  '# Launch',
+  '',
+  'Why we ship. ^why',
+  '',
+  '## Steps',
+  '- build',
+  '- test',
+  '',
+  '### Rollback',
+  'revert the tag',
+  '',
+  '```',
+  '# not a heading',
+  '```',
+  '',
+  '## Risks',
+  'none',
+].join('\n');
+
+test('parseNote parses frontmatter properties and returns the body after them', () => {
+  const { frontmatter, body } = parseNote(NOTE);
+  assert.deepEqual(frontmatter, {
+    title: 'Launch: plan',
+    tags: ['planning', 'q3'],
+    aliases: ['Plan'],
+    owner: { name: 'Ada', active: true },
+    effort: 3,
+    summary: 'folded text',
+  });
+  assert.ok(body.startsWith('# Launch\n'));
+
+  assert.deepEqual(parseNote('no frontmatter\n---\n'), { frontmatter: null, body: 'no frontmatter\n---\n' });
+});
+
+test('parseNote keeps headings, blank lines and indentation inside block scalars', () => {
+  const note = [
+    '---',
+    '# a comment',
+    'description: |',
+    '  # Heading',
+    '',
+    '  Intro line',
+    '      indented code',
+    '  # not a comment',
+    '',
+    'folded: >-',
+    '  one',
+    '  two',
+    '',
+    '  next paragraph',
+    '    kept line',
+    'steps:',
+    '  - name: build',
+    '    notes: |',
+    '      first',
+    '',
+    '      second',
+    'after: 1',
+    '---',
+    'Body',
+  ].join('\n');
+
+  assert.deepEqual(parseNote(note).frontmatter, {
+    description: '# Heading\n\nIntro line\n    indented code\n# not a comment',
+    folded: 'one two\nnext paragraph\n  kept line',
+    steps: [{ name: 'build', notes: 'first\n\nsecond' }],
+    after: 1,
+  });
+});
+
+test('parseNote skips frontmatter it cannot read instead of guessing', () => {
+  const unsupported = [
+    'multiflow: [a,\n  b]',
+    'owner: {name: Ada}',
+    'base: &base 1\ncopy: *base',
+    'when: !!str 2024',
+    'summary: first line\n  second line',
+    'quote: "unterminated',
+    'note: a: b',
+    '\tkey: tab',
+  ];
+  for (const yaml of unsupported) {
+    assert.deepEqual(parseNote(`---\n${yaml}\n---\nBody`), { frontmatter: null, frontmatterSkipped: 'unsupported-yaml', body: 'Body' }, yaml);
+  }
+
+  const [node] = inlineNoteFiles(
+    { nodes: [{ id: 'a', type: 'file', file: 'a.md' }], edges: [] },
+    { resolvePath: file => file, readNote: () => '---\nmultiflow: [a,\n  b]\n---\nText' },
+  ).nodes;
+  assert.deepEqual(node, { id: 'a', type: 'file', file: 'a.md', frontmatterSkipped: 'unsupported-yaml', content: 'Text' });
+});
+
+test('extractNoteSection returns heading sections and block paragraphs', () => {
+  const { body } = parseNote(NOTE);
+  assert.equal(
+    extractNoteSection(body, '#Steps'),
+    '## Steps\n- build\n- test\n\n### Rollback\nrevert the tag\n\n```\n# not a heading\n```',
+  );
+  assert.equal(extractNoteSection(body, '#Launch#Steps#rollback'), '### Rollback\nrevert the tag\n\n```\n# not a heading\n```');
+  assert.equal(extractNoteSection(body, '#^why'), 'Why we ship.');
+  assert.equal(extractNoteSection(body, '#not a heading'), null);
+  assert.equal(extractNoteSection(body, '#^missing'), null);
+});
+
+test('inlineNoteFiles inlines notes in nested exports with sections, limits and placeholders', () => {
+  const notes = { 'docs/launch.md': NOTE };
+  const pure = {
+    nodes: [
+      { id: 'a', type: 'file', file: 'launch.md', subpath: '#Risks' },
+      { id: 'g', type: 'group', label: 'G', children: [{ sequence: [{ id: 'b', type: 'file', file: 'launch.md' }] }] },
+      { id: 'c', type: 'file', file: 'gone.md' },
+      { id: 'd', type: 'file', file: 'launch.md', subpath: '#Nowhere' },
+      { id: 'e', type: 'file', file: 'image.png' },
+    ],
+    edges: [],
+  };
+  const options = { resolvePath: file => `docs/${file}`, readNote: p => notes[p] ?? null, maxChars: 20 };
+  const [risks, group, missing, noSection, image] = inlineNoteFiles(pure, options).nodes;
+
+  assert.equal(risks.content, '## Risks\nnone');
+  assert.equal(risks.frontmatter.title, 'Launch: plan');
+  assert.equal(group.children[0].sequence[0].content, '# Launch\n\nWhy we shi');
+  assert.equal(group.children[0].sequence[0].contentTruncated, true);
+  assert.deepEqual(missing, { id: 'c', type: 'file', file: 'gone.md', content: '[missing note: gone.md]', contentSkipped: 'not-found' });
+  assert.equal(noSection.contentSkipped, 'section-not-found');
+  assert.deepEqual(image, pure.nodes[4]);
+
+  const whole = inlineNoteFiles(pure, { ...options, maxChars: 0, sections: false }).nodes[0];
+  assert.ok(whole.content.startsWith('# Launch') && whole.content.endsWith('## Risks\nnone'));
+});
+
+test('inlineNoteFiles descends into embedded canvases and marks unreadable notes', () => {
+  const pure = {
+    nodes: [
+      {
+        id: 'c',
+        type: 'file',
+        file: 'child.canvas',
+        children: { nodes: [{ id: 'n', type: 'file', file: 'n.md' }], edges: [] },
+      },
+    ],
+    edges: [],
+  };
+  const inlined = inlineNoteFiles(pure, { resolvePath: f => f, readNote: () => 'body' });
+  assert.equal(inlined.nodes[0].children.nodes[0].content, 'body');
+
+  const failing = inlineNoteFiles(pure, {
+    resolvePath: f => f,
+    readNote: () => {
+      throw new Error('EACCES');
+    },
+  });
+  assert.equal(failing.nodes[0].children.nodes[0].contentSkipped, 'unreadable');
+});
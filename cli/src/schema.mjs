@@ -0,0 +1,252 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { flattenPureItems, isPureCanvasExport, parseJsonlRecords, splitDataRecords } from './importer.mjs';
+import { parseSemanticId } from './shared.mjs';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+const MAX_ENUM_VALUES = 10;    // Strings with at most this many distinct, repeated values become enums
+const MAX_EXAMPLES = 3;        // Example values kept per property
+const TAXONOMY_KEYS = ['color', 'colorMeaning', 'direction'];
+const EDGE_REF_LIST = { type: 'array', items: { $ref: '#/$defs/edgeRef' } };
+const TYPE_ORDER = ['null', 'boolean', 'integer', 'number', 'string', 'array', 'object'];
+
+// ============================================================================
+// INFERENCE
+// ============================================================================
+
+/**
+ * Infer a JSON Schema from sample values. Objects list their properties in first-seen order and
+ * mark those present in every sample as required; strings with few distinct, repeated values become
+ * enums (always, with forceEnum), other scalars keep a few examples. Mixed types become anyOf.
+ */
+export function inferJsonSchema(samples, forceEnum = false) {
+  const numbers = samples.filter(value => typeof value === 'number');
+  const numberType = numbers.every(Number.isInteger) ? 'integer' : 'number';
+
+  const groups = new Map();
+  for (const value of samples) {
+    const type = typeof value === 'number' ? numberType : getJsonType(value);
+    if (!groups.has(type)) groups.set(type, []);
+    groups.get(type).push(value);
+  }
+
+  const schemas = TYPE_ORDER
+    .filter(type => groups.has(type))
+    .map(type => inferTypedSchema(type, groups.get(type), forceEnum));
+  if (schemas.length === 0) return {};
+  return combineSchemas(schemas, 'anyOf');
+}
+
+/**
+ * A single schema as is, several under anyOf/oneOf
+ */
+function combineSchemas(schemas, keyword) {
+  return schemas.length === 1 ? schemas[0] : { [keyword]: schemas };
+}
+
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function inferTypedSchema(type, values, forceEnum) {
+  if (type === 'object') return inferObjectSchema(values);
+  if (type === 'array') {
+    const elements = values.flat();
+    return elements.length > 0 ? { type, items: inferJsonSchema(elements) } : { type };
+  }
+  if (type === 'null') return { type };
+
+  const distinct = [...new Set(values)];
+  if (type === 'string' && (forceEnum || (distinct.length <= MAX_ENUM_VALUES && distinct.length < values.length))) {
+    return { type, enum: distinct.sort() };
+  }
+  if (type === 'boolean') return { type };
+  return { type, examples: distinct.slice(0, MAX_EXAMPLES) };
+}
+
+function inferObjectSchema(objects, enumKeys = []) {
+  const values = new Map();
+  for (const object of objects) {
+    for (const [key, value] of Object.entries(object)) {
+      if (!values.has(key)) values.set(key, []);
+      values.get(key).push(value);
+    }
+  }
+
+  const properties = {};
+  const required = [];
+  for (const [key, samples] of values) {
+    properties[key] = inferJsonSchema(samples, enumKeys.includes(key));
+    if (samples.length === objects.length) required.push(key);
+  }
+  return { type: 'object', properties, ...(required.length > 0 ? { required } : {}) };
+}
+
+// ============================================================================
+// PURE JSON EXPORTS
+// ============================================================================
+
+/**
+ * Infer the schema of a pure JSON export: one definition per node type in use (with `type` as a
+ * const), the `from`/`to` edge objects, edges, and the taxonomy in use: colors and color meanings
+ * as enums, semantic id types as an id pattern. Nested exports (group children, flow sequences)
+ * and embedded canvases are described too.
+ */
+export function inferPureExportSchema(pure, title) {
+  const items = toRecords(pure?.nodes);
+  const nodes = flattenPureItems(items);
+  const edges = toRecords(pure?.edges);
+  const adjacency = isRecord(pure?.adjacency) ? pure.adjacency : null;
+  const edgeRefs = nodes.flatMap(node => [...toRecords(node.from), ...toRecords(node.to)]);
+  if (adjacency) edgeRefs.push(...Object.values(adjacency).flatMap(toRecords));
+  const hasSequences = containsSequence(items);
+  const itemRef = hasSequences ? { anyOf: [{ $ref: '#/$defs/node' }, { $ref: '#/$defs/sequence' }] } : { $ref: '#/$defs/node' };
+
+  const byType = new Map();
+  for (const node of nodes) {
+    const type = typeof node.type === 'string' ? node.type : '';
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push(node);
+  }
+
+  const defs = {};
+  const idPattern = getSemanticIdPattern(nodes);
+  for (const type of [...byType.keys()].sort()) {
+    const schema = inferObjectSchema(byType.get(type), TAXONOMY_KEYS);
+    schema.properties.type = { const: type };
+    if (idPattern && schema.properties.id) schema.properties.id = { type: 'string', pattern: idPattern };
+    for (const key of ['from', 'to']) {
+      if (schema.properties[key]) schema.properties[key] = EDGE_REF_LIST;
+    }
+    if (schema.properties.children) {
+      schema.properties.children = describeChildren(byType.get(type), itemRef);
+    }
+    defs[`${type || 'untyped'}Node`] = schema;
+  }
+
+  const nodeRefs = Object.keys(defs).map(name => ({ $ref: `#/$defs/${name}` }));
+  defs.node = combineSchemas(nodeRefs, 'oneOf');
+  if (hasSequences) {
+    defs.sequence = {
+      type: 'object',
+      properties: { sequence: { type: 'array', items: { $ref: '#/$defs/node' } } },
+      required: ['sequence'],
+      additionalProperties: false,
+    };
+  }
+  if (edgeRefs.length > 0) defs.edgeRef = inferObjectSchema(edgeRefs, TAXONOMY_KEYS);
+  if (edges.length > 0) defs.edge = inferObjectSchema(edges, TAXONOMY_KEYS);
+
+  return {
+    $schema: SCHEMA_DIALECT,
+    ...(title ? { title } : {}),
+    type: 'object',
+    properties: {
+      nodes: { type: 'array', items: itemRef },
+      edges: edges.length > 0 ? { type: 'array', items: { $ref: '#/$defs/edge' } } : { type: 'array' },
+      ...(adjacency ? { adjacency: { type: 'object', additionalProperties: edgeRefs.length > 0 ? EDGE_REF_LIST : { type: 'array' } } } : {}),
+    },
+    required: adjacency ? ['nodes', 'edges', 'adjacency'] : ['nodes', 'edges'],
+    $defs: defs,
+  };
+}
+
+function isRecord(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function toRecords(value) {
+  return Array.isArray(value) ? value.filter(isRecord) : [];
+}
+
+function containsSequence(items) {
+  return items.some(item => {
+    if (Array.isArray(item.sequence) && !('id' in item)) return true;
+    return Array.isArray(item.children) && containsSequence(toRecords(item.children));
+  });
+}
+
+/**
+ * Group children are nested items; file nodes with an embedded canvas carry a whole export.
+ */
+function describeChildren(nodes, itemRef) {
+  const shapes = [];
+  if (nodes.some(node => Array.isArray(node.children))) shapes.push({ type: 'array', items: itemRef });
+  if (nodes.some(node => isRecord(node.children))) shapes.push({ $ref: '#' });
+  return combineSchemas(shapes, 'anyOf');
+}
+
+/**
+ * ^(type|...)::... when every node id follows the type::variant::hash scheme.
+ */
+function getSemanticIdPattern(nodes) {
+  const types = new Set();
+  for (const node of nodes) {
+    const semantic = typeof node.id === 'string' ? parseSemanticId(node.id) : null;
+    if (!semantic) return null;
+    types.add(semantic.type);
+  }
+  if (types.size === 0) return null;
+  return `^(${[...types].sort().join('|')})(::[a-z0-9][a-z0-9-]*)+$`;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * A section's records are samples of one array item schema; a single value is its own sample
+ */
+function describeSection({ records, value }) {
+  if (!records) return inferJsonSchema([value]);
+  return { type: 'array', ...(records.length > 0 ? { items: inferJsonSchema(records) } : {}) };
+}
+
+/**
+ * Infer a schema for a data file from the records importDataToCanvas splits it into (see
+ * splitDataRecords): JSONL lines and top-level array items describe the array's items, and an
+ * object with named arrays gets one property per section. Pure JSON exports get
+ * inferPureExportSchema.
+ */
+export function generateDataSchema(filePath, fileContent, title) {
+  const header = { $schema: SCHEMA_DIALECT, ...(title ? { title } : {}) };
+  const fileName = filePath.toLowerCase();
+  if (fileName.endsWith('.jsonl')) {
+    return { ...header, ...describeSection({ name: null, records: parseJsonlRecords(fileContent) }) };
+  }
+
+  const data = JSON.parse(fileContent);
+  if (fileName.includes('.pure.json') || isPureCanvasExport(data)) {
+    return inferPureExportSchema(data, title);
+  }
+  const sections = splitDataRecords(data);
+  const [only] = sections;
+  if (only && only.name === null) return { ...header, ...describeSection(only) };
+  return {
+    ...header,
+    type: 'object',
+    properties: Object.fromEntries(sections.map(section => [section.name, describeSection(section)])),
+    required: sections.map(section => section.name),
+  };
+}
+
+/**
+ * Generate a JSON Schema for a data file or pure export and write it next to the input as <stem>.schema.json
+ */
+export function generateSchemaFile({ inPath, outPath }) {
+  const absIn = path.resolve(String(inPath ?? '').trim());
+  const fileContent = fs.readFileSync(absIn, 'utf8');
+  const stem = path.basename(absIn).replace(/\.(json|jsonl)$/i, '');
+
+  const schema = generateDataSchema(absIn, fileContent, stem);
+  const absOut = String(outPath ?? '').trim() || path.resolve(path.dirname(absIn), `${stem}.schema.json`);
+  fs.writeFileSync(absOut, JSON.stringify(schema, null, 2) + '\n', 'utf8');
+
+  return { inPath: absIn, outPath: absOut };
+}
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateDataSchema, inferJsonSchema, inferPureExportSchema } from './schema.mjs';
+
+test('inferJsonSchema marks keys present in every sample as required', () => {
+  const schema = inferJsonSchema([
+    { name: 'a', size: 1 },
+    { name: 'b' },
+  ]);
+  assert.deepEqual(Object.keys(schema.properties), ['name', 'size']);
+  assert.deepEqual(schema.required, ['name']);
+  assert.deepEqual(schema.properties.size, { type: 'integer', examples: [1] });
+});
+
+test('inferJsonSchema turns repeated low-cardinality strings into enums', () => {
+  const schema = inferJsonSchema(['todo', 'done', 'todo', 'doing']);
+  assert.deepEqual(schema, { type: 'string', enum: ['doing', 'done', 'todo'] });
+
+  const unique = inferJsonSchema(['alpha', 'beta', 'gamma', 'delta']);
+  assert.deepEqual(unique, { type: 'string', examples: ['alpha', 'beta', 'gamma'] });
+});
+
+test('inferJsonSchema describes mixed values with anyOf and arrays by their elements', () => {
+  assert.deepEqual(inferJsonSchema([1, 2.5, null]), {
+    anyOf: [{ type: 'null' }, { type: 'number', examples: [1, 2.5] }],
+  });
+  assert.deepEqual(inferJsonSchema([[true], [false, true]]), { type: 'array', items: { type: 'boolean' } });
+});
+
+test('inferPureExportSchema defines node shapes, edge refs and the taxonomy in use', () => {
+  const schema = inferPureExportSchema({
+    nodes: [
+      { id: 'task::write::a1', type: 'text', text: 'Write', color: 'red', to: [{ node: 'task::ship::b2', label: 'then' }] },
+      { id: 'task::ship::b2', type: 'text', text: 'Ship', color: 'green', from: [{ node: 'task::write::a1', label: 'then' }] },
+      { id: 'doc::spec::c3', type: 'file', file: 'spec.md' },
+    ],
+    edges: [],
+  });
+
+  assert.deepEqual(Object.keys(schema.$defs), ['fileNode', 'textNode', 'node', 'edgeRef']);
+  const text = schema.$defs.textNode;
+  assert.deepEqual(text.properties.type, { const: 'text' });
+  assert.deepEqual(text.properties.color, { type: 'string', enum: ['green', 'red'] });
+  assert.deepEqual(text.properties.to, { type: 'array', items: { $ref: '#/$defs/edgeRef' } });
+  assert.deepEqual(text.required, ['id', 'type', 'text', 'color']);
+  assert.equal(text.properties.id.pattern, '^(doc|task)(::[a-z0-9][a-z0-9-]*)+$');
+  assert.deepEqual(schema.$defs.node, { oneOf: [{ $ref: '#/$defs/fileNode' }, { $ref: '#/$defs/textNode' }] });
+  assert.deepEqual(schema.$defs.edgeRef.required, ['node', 'label']);
+  assert.deepEqual(schema.properties.edges, { type: 'array' });
+});
+
+test('inferPureExportSchema describes nested exports and flow sequences', () => {
+  const schema = inferPureExportSchema({
+    nodes: [
+      {
+        id: 'g',
+        type: 'group',
+        label: 'Steps',
+        children: [{ sequence: [{ id: 'a', type: 'text', text: 'A' }, { id: 'b', type: 'text', text: 'B' }] }],
+      },
+    ],
+    edges: [],
+  });
+
+  const item = { anyOf: [{ $ref: '#/$defs/node' }, { $ref: '#/$defs/sequence' }] };
+  assert.deepEqual(schema.properties.nodes.items, item);
+  assert.deepEqual(schema.$defs.groupNode.properties.children, { type: 'array', items: item });
+  assert.deepEqual(schema.$defs.sequence.required, ['sequence']);
+  assert.equal(schema.$defs.textNode.properties.id.pattern, undefined);
+});
+
+test('generateDataSchema reads JSONL as an array of records and detects pure exports', () => {
+  const jsonl = generateDataSchema('people.jsonl', '{"name":"Ada","role":"dev"}\n{"name":"Linus","role":"dev"}\n', 'people');
+  assert.equal(jsonl.title, 'people');
+  assert.equal(jsonl.type, 'array');
+  assert.deepEqual(jsonl.items.properties.role, { type: 'string', enum: ['dev'] });
+
+  const pure = generateDataSchema('board.json', JSON.stringify({ nodes: [{ id: 'a', type: 'text', text: 'A' }], edges: [] }));
+  assert.deepEqual(pure.$defs.node, { $ref: '#/$defs/textNode' });
+
+  assert.throws(() => generateDataSchema('bad.jsonl', '{"a":1}\nnope\n'), /Invalid JSON on line 2/);
+});
+
+test('generateDataSchema infers from the records the importer makes cards of', () => {
+  const tasks = [
+    { title: 'Draft', status: 'open' },
+    { title: 'Review', status: 'done' },
+    { title: 'Ship', status: 'open' },
+  ];
+  const array = generateDataSchema('tasks.json', JSON.stringify(tasks), 'tasks');
+  assert.equal(array.type, 'array');
+  assert.deepEqual(array.items.properties.status, { type: 'string', enum: ['done', 'open'] });
+  assert.deepEqual(array.items.required, ['title', 'status']);
+
+  // Each section's items are records of their own; other sections are single values
+  const sectioned = generateDataSchema('board.json', JSON.stringify({ tasks, owners: [{ name: 'Ada' }], version: 2 }));
+  assert.deepEqual(Object.keys(sectioned.properties), ['tasks', 'owners', 'version']);
+  assert.deepEqual(sectioned.properties.tasks.items.properties.status, { type: 'string', enum: ['done', 'open'] });
+  assert.deepEqual(sectioned.properties.owners.items.required, ['name']);
+  assert.deepEqual(sectioned.properties.version, { type: 'integer', examples: [2] });
+  assert.deepEqual(sectioned.required, ['tasks', 'owners', 'version']);
+
+  // A nested array item is one record, not flattened into its elements
+  const rows = generateDataSchema('rows.json', JSON.stringify([['a', 'b'], ['a']]));
+  assert.deepEqual(rows.items, { type: 'array', items: { type: 'string', enum: ['a', 'b'] } });
+});
@@ -25,64 +25,462 @@ export function normalizedId(value) {
   return '';
 }
 
+/**
+ * Canonical key order for nodes and edges; keys not listed follow in code point order.
+ */
+export const CANONICAL_NODE_KEYS = ['id', 'type', 'text', 'file', 'subpath', 'url', 'label', 'x', 'y', 'width', 'height', 'color'];
+
+export const CANONICAL_EDGE_KEYS = ['id', 'fromNode', 'fromSide', 'fromEnd', 'toNode', 'toSide', 'toEnd', 'label', 'color'];
+
+function orderKeys(item, leading) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+  const ordered = {};
+  for (const key of leading) {
+    if (Object.prototype.hasOwnProperty.call(item, key)) ordered[key] = item[key];
+  }
+  for (const key of Object.keys(item).filter(key => !leading.includes(key)).sort()) {
+    ordered[key] = item[key];
+  }
+  return ordered;
+}
+
+/**
+ * Canonical node, recursing into nested exports: group `children` arrays, { sequence } wrappers
+ * and embedded canvases.
+ */
+function canonicalizeNode(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+  if (Array.isArray(item.sequence) && !('id' in item)) {
+    return { ...item, sequence: item.sequence.map(canonicalizeNode) };
+  }
+  const node = orderKeys(item, CANONICAL_NODE_KEYS);
+  if (Array.isArray(node.children)) node.children = node.children.map(canonicalizeNode);
+  else if (node.children && typeof node.children === 'object') node.children = canonicalizeKeyOrder(node.children);
+  return node;
+}
+
+/**
+ * Rewrite every node and edge with canonical key order, so the same content always
+ * serializes the same way regardless of which tool wrote it. Array order is untouched.
+ */
+export function canonicalizeKeyOrder(data) {
+  return {
+    ...data,
+    ...(Array.isArray(data.nodes) ? { nodes: data.nodes.map(canonicalizeNode) } : {}),
+    ...(Array.isArray(data.edges) ? { edges: data.edges.map(edge => orderKeys(edge, CANONICAL_EDGE_KEYS)) } : {}),
+  };
+}
+
+/**
+ * Deterministic ids: two FNV-1a passes with different offsets give a 16-hex id
+ * shaped like the ones Obsidian writes
+ */
+export function hashToHex(value) {
+  let a = 0x811c9dc5;
+  let b = 0x050c5d1f;
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    a = Math.imul(a ^ code, 0x01000193) >>> 0;
+    b = Math.imul(b ^ code, 0x01000193) >>> 0;
+  }
+  return a.toString(16).padStart(8, '0') + b.toString(16).padStart(8, '0');
+}
+
+/**
+ * Hash a seed into an id not yet in usedIds (rehashing with a counter on collision)
+ */
+export function stableHashId(seed, usedIds) {
+  let id = hashToHex(seed);
+  for (let n = 1; usedIds.has(id); n++) {
+    id = hashToHex(`${seed}#${n}`);
+  }
+  usedIds.add(id);
+  return id;
+}
+
+export const PROVENANCE_GENERATOR = 'semantic-json';
+
+/**
+ * Provenance block for an export: what wrote it (generator and version), the effective compile
+ * settings (keys sorted, unset ones left out), the source path and a hashToHex of the source text.
+ */
+export function createProvenance({ version, settings, source, sourceText }) {
+  const recorded = JSON.parse(JSON.stringify(settings ?? {}));
+  return {
+    generator: PROVENANCE_GENERATOR,
+    version,
+    source,
+    sourceHash: hashToHex(sourceText),
+    settings: Object.fromEntries(Object.keys(recorded).sort().map(key => [key, recorded[key]])),
+  };
+}
+
+/**
+ * The compile settings recorded in an export's provenance block, or null when it has none
+ */
+export function readProvenanceSettings(data) {
+  const settings = data?.provenance?.settings;
+  return typeof settings === 'object' && settings !== null && !Array.isArray(settings) ? settings : null;
+}
+
 /**
  * Node sorting utilities
+ * Content keys are lowercased unless keepCase is set, which leaves case to the collator
+ * (see hasCollationOptions).
  */
-export function getNodeSortKey(node) {
+export function getNodeSortKey(node, keepCase = false) {
   const type = node?.type;
+  const fold = value => (keepCase ? value : value.toLowerCase());
 
   // Text nodes: sort by text content
   if (type === 'text' && typeof node.text === 'string') {
-    return node.text.toLowerCase().trim();
+    return fold(node.text).trim();
   }
 
   // File nodes: sort by filename (basename)
   if (type === 'file' && typeof node.file === 'string') {
     const filename = node.file.split('/').pop() || node.file;
-    return filename.toLowerCase().trim();
+    return fold(filename).trim();
   }
 
   // Link nodes: sort by raw URL (keeps protocol, clusters by http/https)
   if (type === 'link' && typeof node.url === 'string') {
-    return node.url.toLowerCase().trim();
+    return fold(node.url).trim();
   }
 
   // Group nodes: sort by label
   if (type === 'group' && typeof node.label === 'string') {
-    return node.label.toLowerCase().trim();
+    return fold(node.label).trim();
   }
 
   // Fallback to node id
-  return normalizedId(node?.id).toLowerCase();
+  return fold(normalizedId(node?.id));
 }
 
-export function getNodeTypePriority(node) {
+/**
+ * Declarative node ordering: sort keys in the order they are compared.
+ * The default reproduces the built-in comparator: flow, position, type, color, content.
+ */
+export const NODE_SORT_KEYS = ['flow', 'position', 'type', 'color', 'content'];
+
+export const DEFAULT_NODE_SORT = NODE_SORT_KEYS.map(key => ({ key, direction: 'asc' }));
+
+/**
+ * Declarative edge ordering, same spec format as node sorting.
+ * The default reproduces the built-in comparator: flow, position, color, id.
+ * Edge id is always the final tie-break, so order stays deterministic.
+ */
+export const EDGE_SORT_KEYS = ['flow', 'position', 'direction', 'label', 'sides', 'color', 'id'];
+
+export const DEFAULT_EDGE_SORT = ['flow', 'position', 'color', 'id'].map(key => ({ key, direction: 'asc' }));
+
+// Link nodes go to bottom (highest priority number); all other types sort first
+export const DEFAULT_TYPE_PRIORITY = { link: 1 };
+
+export const DEFAULT_COLLATION_LOCALE = 'en';
+
+/**
+ * Obsidian Canvas preset colors: index → palette name.
+ */
+export const CANVAS_PALETTE = {
+  '1': 'red',
+  '2': 'orange',
+  '3': 'yellow',
+  '4': 'green',
+  '5': 'cyan',
+  '6': 'purple',
+};
+
+/**
+ * Obsidian's default theme colors for the presets, for renderers outside Obsidian.
+ */
+export const CANVAS_PALETTE_HEX = {
+  '1': '#fb464c',
+  '2': '#e9973f',
+  '3': '#e0de71',
+  '4': '#44cf6e',
+  '5': '#53dfdd',
+  '6': '#a882ff',
+};
+
+const comparers = new Map();
+
+/**
+ * Text comparison for content keys, colors and edge ids.
+ * The locale is pinned (default: en) so order never depends on the machine's locale.
+ * Options: numeric (natural sort: "Step 2" before "Step 10"), caseFirst ('upper' | 'lower'),
+ * ignoreCase, ignoreDiacritics. Strings the collator considers equal fall back to code point
+ * order, so output stays deterministic. Invalid or unsupported locales fall back to en
+ * (see collationLocaleProblem).
+ */
+export function createTextComparer(collation) {
+  const requested = collation?.locale?.trim() || DEFAULT_COLLATION_LOCALE;
+  const ignoreCase = collation?.ignoreCase === true;
+  const ignoreDiacritics = collation?.ignoreDiacritics === true;
+  const options = {
+    usage: 'sort',
+    numeric: collation?.numeric === true,
+    sensitivity: ignoreCase ? (ignoreDiacritics ? 'base' : 'accent') : ignoreDiacritics ? 'case' : 'variant',
+  };
+  if (collation?.caseFirst) options.caseFirst = collation.caseFirst;
+
+  const cacheKey = JSON.stringify([requested, options]);
+  let comparer = comparers.get(cacheKey);
+  if (comparer) return comparer;
+
+  const locale = collationLocaleProblem(requested) ? DEFAULT_COLLATION_LOCALE : requested;
+
+  // Same order either way; V8 caches the collator behind locale-only localeCompare, which is much faster
+  const plain = !options.numeric && !options.caseFirst && options.sensitivity === 'variant';
+  const compare = plain ? (a, b) => a.localeCompare(b, locale) : new Intl.Collator(locale, options).compare;
+  comparer = (a, b) => compare(a, b) || (a < b ? -1 : a > b ? 1 : 0);
+  comparers.set(cacheKey, comparer);
+  return comparer;
+}
+
+/**
+ * Why a collation locale cannot be used (an invalid tag, or no collation data for it), or null
+ * when it can.
+ */
+export function collationLocaleProblem(locale) {
+  try {
+    return Intl.Collator.supportedLocalesOf(locale).length > 0 ? null : `unsupported collation locale: ${locale}`;
+  } catch {
+    return `invalid collation locale: ${locale}`;
+  }
+}
+
+/**
+ * Whether collation sets options beyond the locale. Content keys then keep their case, so
+ * caseFirst and ignoreCase decide how case sorts.
+ */
+export function hasCollationOptions(collation) {
+  return Boolean(collation?.numeric || collation?.caseFirst || collation?.ignoreCase || collation?.ignoreDiacritics);
+}
+
+/**
+ * Type priority from a table of node type → number (lower sorts first); unlisted types are 0.
+ */
+export function getNodeTypePriority(node, table = DEFAULT_TYPE_PRIORITY) {
   const type = node?.type;
-  // Link nodes go to bottom (highest priority number)
-  if (type === 'link') return 1;
-  // All other types (text, file, group) sort first
-  return 0;
+  if (typeof type !== 'string' || !Object.prototype.hasOwnProperty.call(table, type)) return 0;
+  return table[type] ?? 0;
+}
+
+function parseSortSpec(spec, keys, defaults) {
+  const entries = spec
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean);
+  if (entries.length === 0) return defaults.map(rule => ({ ...rule }));
+
+  const seen = new Set();
+  return entries.map(entry => {
+    const [key = '', direction = 'asc', ...rest] = entry.split(':').map(part => part.trim());
+    if (!keys.includes(key)) {
+      throw new Error(`unknown sort key "${key}" (expected ${keys.join(', ')})`);
+    }
+    if ((direction !== 'asc' && direction !== 'desc') || rest.length > 0) {
+      throw new Error(`invalid sort direction in "${entry}" (expected asc or desc)`);
+    }
+    if (seen.has(key)) throw new Error(`duplicate sort key "${key}"`);
+    seen.add(key);
+    return { key, direction };
+  });
+}
+
+/**
+ * Parse a sort spec such as "flow, position, color:desc, type, content".
+ * An empty spec means the default. Throws on unknown keys, bad directions and duplicates.
+ */
+export function parseNodeSortSpec(spec) {
+  return parseSortSpec(spec, NODE_SORT_KEYS, DEFAULT_NODE_SORT);
+}
+
+/**
+ * Parse an edge sort spec such as "flow, position, direction, label, sides, color".
+ */
+export function parseEdgeSortSpec(spec) {
+  return parseSortSpec(spec, EDGE_SORT_KEYS, DEFAULT_EDGE_SORT);
+}
+
+/**
+ * Parse a type priority table such as "file=0, text=1, link=2".
+ */
+export function parseTypePriority(spec) {
+  const table = {};
+  for (const entry of spec.split(',')) {
+    if (!entry.trim()) continue;
+    const [type = '', value = '', ...rest] = entry.split('=').map(part => part.trim());
+    const priority = Number(value);
+    if (!type || value === '' || !Number.isFinite(priority) || rest.length > 0) {
+      throw new Error(`invalid type priority "${entry.trim()}" (expected type=number)`);
+    }
+    table[type] = priority;
+  }
+  return table;
 }
 
 /**
  * Color utilities for nodes and edges
  */
 export function getNodeColor(node) {
-  const color = node?.color;
-  if (typeof color === 'string') {
-    return color.toLowerCase();
-  }
   // No color = empty string (sorts first)
-  return '';
+  return normalizeColor(node?.color);
 }
 
 export function getEdgeColor(edge) {
-  const color = edge?.color;
-  if (typeof color === 'string') {
-    return color.toLowerCase();
-  }
   // No color = empty string (sorts first)
-  return '';
+  return normalizeColor(edge?.color);
+}
+
+/**
+ * Canonical color string: trimmed, lowercase, shorthand hex expanded ("#F0A" → "#ff00aa").
+ */
+export function normalizeColor(value) {
+  if (typeof value !== 'string') return '';
+  const color = value.trim().toLowerCase();
+  if (/^#[0-9a-f]{3,4}$/.test(color)) {
+    return `#${Array.from(color.slice(1), digit => digit + digit).join('')}`;
+  }
+  return color;
+}
+
+export function isPresetColor(color) {
+  return Object.prototype.hasOwnProperty.call(CANVAS_PALETTE, color);
+}
+
+/**
+ * Palette name for a preset index ("1" → "red"), undefined for anything else.
+ */
+export function getPresetColorName(value) {
+  const color = normalizeColor(value);
+  return isPresetColor(color) ? CANVAS_PALETTE[color] : undefined;
+}
+
+/**
+ * Preset index for a palette name ("red" → "1"), undefined for anything else.
+ */
+export function getPresetColorIndex(name) {
+  return Object.keys(CANVAS_PALETTE).find(index => CANVAS_PALETTE[index] === name);
+}
+
+/**
+ * Hex value of a preset or hex color; undefined for anything else.
+ */
+export function getColorHex(value) {
+  const color = normalizeColor(value);
+  if (isPresetColor(color)) return CANVAS_PALETTE_HEX[color];
+  return /^#[0-9a-f]{6}([0-9a-f]{2})?$/.test(color) ? color : undefined;
+}
+
+/**
+ * Normalized color with palette names mapped to their preset index, so "red" and "1" match.
+ */
+function canonicalColor(value) {
+  const color = normalizeColor(value);
+  return Object.keys(CANVAS_PALETTE).find(index => CANVAS_PALETTE[index] === color) ?? color;
+}
+
+/**
+ * Resolve a user-supplied color (index, palette name or hex); throws on anything else.
+ */
+function resolveColorToken(token) {
+  const color = canonicalColor(token);
+  if (isPresetColor(color) || /^#[0-9a-f]{6}([0-9a-f]{2})?$/.test(color)) return color;
+  throw new Error(`unknown color "${token.trim()}" (expected 1-6, a palette name or a hex color)`);
+}
+
+/**
+ * Parse a color ranking such as "red, yellow, green, #336699, none".
+ * "none" places uncolored items; otherwise they sort first. Throws on unknown colors and duplicates.
+ */
+export function parseColorOrder(spec) {
+  const seen = new Set();
+  const order = [];
+  for (const entry of spec.split(',')) {
+    const token = entry.trim();
+    if (!token) continue;
+    const color = token.toLowerCase() === 'none' ? '' : resolveColorToken(token);
+    if (seen.has(color)) throw new Error(`duplicate color "${token}"`);
+    seen.add(color);
+    order.push(color);
+  }
+  return order;
+}
+
+/**
+ * Parse a color taxonomy such as "red=urgent, 4=done, #336699=reference".
+ */
+export function parseColorMeanings(spec) {
+  const meanings = {};
+  for (const entry of spec.split(',')) {
+    if (!entry.trim()) continue;
+    const [color = '', meaning = '', ...rest] = entry.split('=').map(part => part.trim());
+    if (!color || !meaning || rest.length > 0) {
+      throw new Error(`invalid color meaning "${entry.trim()}" (expected color=meaning)`);
+    }
+    meanings[resolveColorToken(color)] = meaning;
+  }
+  return meanings;
+}
+
+/**
+ * Placeholder base IRI for RDF exports; meant to be replaced with a namespace you own.
+ */
+export const DEFAULT_BASE_IRI = 'https://example.org/canvas/';
+
+/**
+ * Parse a base IRI for RDF exports: blank means DEFAULT_BASE_IRI, and a base that does not
+ * end in "/", "#" or ":" gets a trailing "/" so ids append as path segments.
+ */
+export function parseBaseIri(spec) {
+  const iri = spec.trim();
+  if (!iri) return DEFAULT_BASE_IRI;
+  if (!/^[a-z][a-z0-9+.-]*:[^\s<>"{}|\\^`]*$/i.test(iri)) {
+    throw new Error(`invalid base IRI "${iri}" (expected an absolute IRI such as ${DEFAULT_BASE_IRI})`);
+  }
+  return /[/#:]$/.test(iri) ? iri : `${iri}/`;
+}
+
+/**
+ * Parse a rebase target such as "100, -40" into { x, y }; blank means 0, 0.
+ */
+export function parseOrigin(spec) {
+  if (!spec.trim()) return { x: 0, y: 0 };
+  const parts = spec.split(',').map(part => part.trim());
+  const [x, y] = parts.map(Number);
+  if (parts.length !== 2 || parts.some(part => !part) || !Number.isFinite(x) || !Number.isFinite(y)) {
+    throw new Error(`invalid origin "${spec.trim()}" (expected x, y such as 0, 0)`);
+  }
+  return { x, y };
+}
+
+/**
+ * Split a semantic id of the form type::variant::hash into its type and remaining segments;
+ * null for ids that do not follow the scheme.
+ */
+export function parseSemanticId(id) {
+  if (!/^[a-z][a-z0-9-]*(::[a-z0-9][a-z0-9-]*)+$/.test(id)) return null;
+  const [type, ...segments] = id.split('::');
+  return { type, segments };
+}
+
+/**
+ * Compare normalized colors by rank in `order` (see parseColorOrder); unranked colors follow
+ * the ranked ones in text order. Without an order this is plain text comparison.
+ */
+export function createColorComparer(order, compareText) {
+  if (!order || order.length === 0) return compareText;
+  const ranks = new Map();
+  for (const color of order) ranks.set(canonicalColor(color), ranks.size);
+  if (!ranks.has('')) ranks.set('', -1);
+  return (a, b) => {
+    const aRank = ranks.get(a) ?? Infinity;
+    const bRank = ranks.get(b) ?? Infinity;
+    if (aRank !== bRank) return aRank < bRank ? -1 : 1;
+    return compareText(a, b);
+  };
 }
 
 export function isDirectionalEdge(edge) {
@@ -95,22 +493,119 @@ export function isDirectionalEdge(edge) {
   return false;
 }
 
+/**
+ * Edge label as sort text; missing labels are empty and sort first.
+ */
+export function getEdgeLabel(edge) {
+  const label = edge?.label;
+  if (typeof label === 'string') return label;
+  if (typeof label === 'number' || typeof label === 'boolean') return String(label);
+  return '';
+}
+
+/**
+ * Endpoint semantics: 0 = one-way arrow, 1 = arrows at both ends, 2 = no arrows.
+ */
+export function getEdgeDirectionRank(edge) {
+  const fromArrow = edge?.fromEnd === 'arrow';
+  const toArrow = edge?.toEnd === 'arrow' || edge?.toEnd === undefined;
+  if (fromArrow !== toArrow) return 0;
+  return fromArrow ? 1 : 2;
+}
+
+const SIDE_ORDER = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Clockwise side order starting at the top; a missing side sorts first.
+ */
+export function getSideRank(side) {
+  return typeof side === 'string' ? SIDE_ORDER.indexOf(side) : -1;
+}
+
+/**
+ * Compare two positions in reading order.
+ * row-ltr (default): top to bottom, then left to right. row-rtl: rows read right to left.
+ * column-ttb: columns left to right, each read top to bottom. column-btt: columns read bottom to top.
+ * Positions may carry width and height: row-rtl then compares right edges, column-btt bottom edges.
+ */
+export function compareReadingOrder(a, b, order = 'row-ltr') {
+  const ax = isFiniteNumber(a?.x) ? a.x : 0;
+  const ay = isFiniteNumber(a?.y) ? a.y : 0;
+  const bx = isFiniteNumber(b?.x) ? b.x : 0;
+  const by = isFiniteNumber(b?.y) ? b.y : 0;
+  const columns = order === 'column-ttb' || order === 'column-btt';
+
+  const primary = columns ? ax - bx : ay - by;
+  if (primary !== 0) return primary;
+
+  // Reversed orders read from the trailing edge: right edges right to left, bottom edges bottom to top
+  const extent = (pos, size) => (isFiniteNumber(pos?.[size]) ? pos[size] : 0);
+  if (order === 'row-rtl') return bx + extent(b, 'width') - (ax + extent(a, 'width'));
+  if (order === 'column-btt') return by + extent(b, 'height') - (ay + extent(a, 'height'));
+  return columns ? ay - by : ax - bx;
+}
+
 /**
  * Containment checking for hierarchical structures
  */
-export function isContainedBy(node, group) {
-  const nx = isFiniteNumber(node?.x) ? node.x : 0;
-  const ny = isFiniteNumber(node?.y) ? node.y : 0;
-  const nw = isFiniteNumber(node?.width) ? node.width : 0;
-  const nh = isFiniteNumber(node?.height) ? node.height : 0;
+export function getNodeBounds(node) {
+  return {
+    x: isFiniteNumber(node?.x) ? node.x : 0,
+    y: isFiniteNumber(node?.y) ? node.y : 0,
+    width: isFiniteNumber(node?.width) ? node.width : 0,
+    height: isFiniteNumber(node?.height) ? node.height : 0,
+  };
+}
+
+/**
+ * Fraction of the node's area that lies inside the group (0..1).
+ * Zero-area nodes count as fully inside when their point is inside.
+ */
+export function getOverlapRatio(node, group) {
+  const n = getNodeBounds(node);
+  const g = getNodeBounds(group);
 
-  const gx = isFiniteNumber(group?.x) ? group.x : 0;
-  const gy = isFiniteNumber(group?.y) ? group.y : 0;
-  const gw = isFiniteNumber(group?.width) ? group.width : 0;
-  const gh = isFiniteNumber(group?.height) ? group.height : 0;
+  const area = n.width * n.height;
+  if (area <= 0) {
+    return isCenterInside(n, g) ? 1 : 0;
+  }
+
+  const overlapWidth = Math.min(n.x + n.width, g.x + g.width) - Math.max(n.x, g.x);
+  const overlapHeight = Math.min(n.y + n.height, g.y + g.height) - Math.max(n.y, g.y);
+  if (overlapWidth <= 0 || overlapHeight <= 0) return 0;
+
+  return (overlapWidth * overlapHeight) / area;
+}
+
+export function getCenterDistance(node, group) {
+  const n = getNodeBounds(node);
+  const g = getNodeBounds(group);
+  const dx = (n.x + n.width / 2) - (g.x + g.width / 2);
+  const dy = (n.y + n.height / 2) - (g.y + g.height / 2);
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Containment modes:
+ * - 'strict': node bounding box fully inside the group's box (default)
+ * - 'center': node center point inside the group's box
+ * - 'overlap': at least overlapThreshold of the node's area inside the group's box
+ */
+export function isContainedBy(node, group, mode = 'strict', overlapThreshold = 0.5) {
+  const n = getNodeBounds(node);
+  const g = getNodeBounds(group);
+
+  if (mode === 'center') return isCenterInside(n, g);
+  if (mode === 'overlap') return getOverlapRatio(node, group) >= overlapThreshold;
 
   // Node is contained if its bounding box is within group's bounding box
-  return nx >= gx && ny >= gy && nx + nw <= gx + gw && ny + nh <= gy + gh;
+  return n.x >= g.x && n.y >= g.y && n.x + n.width <= g.x + g.width && n.y + n.height <= g.y + g.height;
+}
+
+function isCenterInside(n, g) {
+  const cx = n.x + n.width / 2;
+  const cy = n.y + n.height / 2;
+  return cx >= g.x && cy >= g.y && cx <= g.x + g.width && cy <= g.y + g.height;
 }
 
 /**
@@ -1,6 +1,36 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { isDirectionalEdge, normalizedId } from './shared.mjs';
+import {
+  canonicalizeKeyOrder,
+  compareReadingOrder,
+  CANVAS_PALETTE,
+  createColorComparer,
+  createProvenance,
+  collationLocaleProblem,
+  createTextComparer,
+  DEFAULT_EDGE_SORT,
+  DEFAULT_NODE_SORT,
+  getEdgeDirectionRank,
+  getEdgeLabel,
+  getSideRank,
+  getPresetColorName,
+  hashToHex,
+  getNodeTypePriority,
+  getOverlapRatio,
+  isContainedBy,
+  isDirectionalEdge,
+  normalizeColor,
+  normalizedId,
+  parseBaseIri,
+  parseColorMeanings,
+  parseColorOrder,
+  parseEdgeSortSpec,
+  parseNodeSortSpec,
+  parseOrigin,
+  parseSemanticId,
+  parseTypePriority,
+  readProvenanceSettings,
+} from './shared.mjs';
 
 test('normalizedId trims strings and stringifies primitives', () => {
   assert.equal(normalizedId('  abc  '), 'abc');
@@ -16,3 +46,188 @@ test('isDirectionalEdge default behavior treats missing toEnd as arrow', () => {
   assert.equal(isDirectionalEdge({ fromEnd: 'arrow', toEnd: 'none' }), true);
 });
 
+
+test('isContainedBy supports strict, center and overlap modes', () => {
+  const group = { x: 0, y: 0, width: 100, height: 100 };
+  const node = { x: 50, y: 10, width: 60, height: 20 };
+
+  assert.equal(isContainedBy(node, group), false);
+  assert.equal(isContainedBy(node, group, 'center'), true);
+  assert.equal(getOverlapRatio(node, group), 50 / 60);
+  assert.equal(isContainedBy(node, group, 'overlap', 0.8), true);
+  assert.equal(isContainedBy(node, group, 'overlap', 0.9), false);
+});
+
+test('compareReadingOrder reads rows or columns in either direction', () => {
+  const points = { a: { x: 0, y: 0 }, b: { x: 200, y: 0 }, c: { x: 0, y: 200 }, d: { x: 200, y: 200 } };
+  const order = (mode) =>
+    Object.keys(points).sort((l, r) => compareReadingOrder(points[l], points[r], mode)).join('');
+
+  assert.equal(order(undefined), 'abcd');
+  assert.equal(order('row-ltr'), 'abcd');
+  assert.equal(order('row-rtl'), 'badc');
+  assert.equal(order('column-ttb'), 'acbd');
+  assert.equal(order('column-btt'), 'cadb');
+  assert.equal(compareReadingOrder({}, { x: 0, y: 0 }), 0);
+
+  // Reversed orders compare trailing edges: a wide node reaching further right reads first
+  const wide = { x: 0, y: 0, width: 400, height: 60 };
+  const narrow = { x: 200, y: 0, width: 100, height: 60 };
+  assert.ok(compareReadingOrder(wide, narrow, 'row-rtl') < 0);
+  assert.ok(compareReadingOrder(wide, narrow, 'row-ltr') < 0);
+  const tall = { x: 0, y: 0, width: 100, height: 400 };
+  const short = { x: 0, y: 200, width: 100, height: 60 };
+  assert.ok(compareReadingOrder(tall, short, 'column-btt') < 0);
+  assert.ok(compareReadingOrder(tall, short, 'column-ttb') < 0);
+});
+
+test('parseNodeSortSpec reads keys and directions and rejects bad specs', () => {
+  assert.deepEqual(parseNodeSortSpec(' color:desc, type ,content'), [
+    { key: 'color', direction: 'desc' },
+    { key: 'type', direction: 'asc' },
+    { key: 'content', direction: 'asc' },
+  ]);
+  assert.deepEqual(parseNodeSortSpec(''), DEFAULT_NODE_SORT);
+  assert.throws(() => parseNodeSortSpec('colour'), /unknown sort key "colour"/);
+  assert.throws(() => parseNodeSortSpec('color:up'), /invalid sort direction/);
+  assert.throws(() => parseNodeSortSpec('color,color:desc'), /duplicate sort key "color"/);
+});
+
+test('parseTypePriority builds a table and getNodeTypePriority reads it', () => {
+  const table = parseTypePriority('file=0, text=1 ,link=2');
+  assert.deepEqual(table, { file: 0, text: 1, link: 2 });
+  assert.equal(getNodeTypePriority({ type: 'link' }, table), 2);
+  assert.equal(getNodeTypePriority({ type: 'group' }, table), 0);
+  assert.equal(getNodeTypePriority({ type: 'constructor' }, table), 0);
+  assert.equal(getNodeTypePriority({ type: 'link' }), 1);
+  assert.throws(() => parseTypePriority('file'), /expected type=number/);
+  assert.throws(() => parseTypePriority('file=first'), /expected type=number/);
+});
+
+test('createTextComparer pins a locale and breaks collation ties by code point', () => {
+  const sorted = (values, collation) => [...values].sort(createTextComparer(collation));
+  assert.deepEqual(sorted(['Step 10', 'Step 2', 'Step 1']), ['Step 1', 'Step 10', 'Step 2']);
+  assert.deepEqual(sorted(['Step 10', 'Step 2', 'Step 1'], { numeric: true }), ['Step 1', 'Step 2', 'Step 10']);
+  assert.deepEqual(sorted(['b', 'B', 'a'], { caseFirst: 'upper' }), ['a', 'B', 'b']);
+  assert.deepEqual(sorted(['b', 'B', 'a'], { caseFirst: 'lower' }), ['a', 'b', 'B']);
+
+  const ignoreCase = createTextComparer({ ignoreCase: true });
+  assert.ok(ignoreCase('apple', 'Banana') < 0);
+  assert.ok(ignoreCase('Apple', 'apple') < 0);
+  assert.equal(ignoreCase('apple', 'apple'), 0);
+  assert.deepEqual(sorted(['résumé', 'Resume']), ['Resume', 'résumé']);
+  assert.deepEqual(sorted(['résumé', 'Resume'], { ignoreDiacritics: true }), ['résumé', 'Resume']);
+
+  assert.deepEqual(sorted(['b', 'a'], { locale: 'not a locale!' }), ['a', 'b']);
+  assert.equal(collationLocaleProblem('not a locale!'), 'invalid collation locale: not a locale!');
+  assert.equal(collationLocaleProblem('sv'), null);
+});
+
+test('palette helpers normalize colors and name the presets', () => {
+  assert.deepEqual(Object.values(CANVAS_PALETTE), ['red', 'orange', 'yellow', 'green', 'cyan', 'purple']);
+  assert.equal(normalizeColor(' #F0a '), '#ff00aa');
+  assert.equal(normalizeColor('#ABCD'), '#aabbccdd');
+  assert.equal(normalizeColor('#A1B2C3'), '#a1b2c3');
+  assert.equal(normalizeColor(undefined), '');
+  assert.equal(getPresetColorName('6'), 'purple');
+  assert.equal(getPresetColorName('#ff0000'), undefined);
+  assert.equal(getPresetColorName('constructor'), undefined);
+});
+
+test('parseColorOrder and parseColorMeanings resolve names, indices and hex colors', () => {
+  assert.deepEqual(parseColorOrder('red, 3, #ABC, none'), ['1', '3', '#aabbcc', '']);
+  assert.deepEqual(parseColorOrder(' '), []);
+  assert.throws(() => parseColorOrder('red, 1'), /duplicate color "1"/);
+  assert.throws(() => parseColorOrder('magenta'), /unknown color "magenta"/);
+  assert.deepEqual(parseColorMeanings('red=urgent, #336699 = reference'), { '1': 'urgent', '#336699': 'reference' });
+  assert.throws(() => parseColorMeanings('red'), /expected color=meaning/);
+  assert.throws(() => parseColorMeanings('7=late'), /unknown color "7"/);
+});
+
+test('createColorComparer ranks listed colors first and keeps uncolored first unless placed', () => {
+  const compareText = createTextComparer();
+  const colors = ['#00ff00', '4', '', '1', '2'];
+  const sorted = (order) => [...colors].sort(createColorComparer(order, compareText));
+  assert.deepEqual(sorted(undefined), ['', '#00ff00', '1', '2', '4']);
+  assert.deepEqual(sorted(['green', 'red']), ['', '4', '1', '#00ff00', '2']);
+  assert.deepEqual(sorted(parseColorOrder('green, none, red')), ['4', '', '1', '#00ff00', '2']);
+});
+
+test('canonicalizeKeyOrder puts known node and edge keys first and the rest alphabetically', () => {
+  const data = {
+    nodes: [{ color: '1', zeta: 1, height: 60, text: 't', alpha: 2, y: 0, width: 100, x: 0, type: 'text', id: 'a' }],
+    edges: [{ toNode: 'b', label: 'l', fromNode: 'a', extra: true, id: 'e', toEnd: 'none' }],
+    meta: 'kept',
+  };
+  const out = canonicalizeKeyOrder(data);
+  assert.deepEqual(Object.keys(out), ['nodes', 'edges', 'meta']);
+  assert.deepEqual(Object.keys(out.nodes[0]), ['id', 'type', 'text', 'x', 'y', 'width', 'height', 'color', 'alpha', 'zeta']);
+  assert.deepEqual(Object.keys(out.edges[0]), ['id', 'fromNode', 'toNode', 'toEnd', 'label', 'extra']);
+  assert.deepEqual(out, data);
+});
+
+test('createProvenance records sorted settings and readProvenanceSettings reads them back', () => {
+  const provenance = createProvenance({
+    version: '1.2.3',
+    settings: { flowSortNodes: true, colorSortNodes: false, gridSize: undefined, collation: { numeric: true } },
+    source: 'boards/plan.canvas',
+    sourceText: '{"nodes":[]}',
+  });
+  assert.deepEqual(provenance, {
+    generator: 'semantic-json',
+    version: '1.2.3',
+    source: 'boards/plan.canvas',
+    sourceHash: hashToHex('{"nodes":[]}'),
+    settings: { collation: { numeric: true }, colorSortNodes: false, flowSortNodes: true },
+  });
+  assert.deepEqual(Object.keys(provenance.settings), ['collation', 'colorSortNodes', 'flowSortNodes']);
+
+  assert.deepEqual(readProvenanceSettings({ provenance, nodes: [] }), provenance.settings);
+  assert.equal(readProvenanceSettings({ nodes: [] }), null);
+  assert.equal(readProvenanceSettings({ provenance: { settings: [] } }), null);
+  assert.equal(readProvenanceSettings(null), null);
+});
+
+test('parseEdgeSortSpec and the edge key helpers', () => {
+  assert.deepEqual(parseEdgeSortSpec(''), DEFAULT_EDGE_SORT);
+  assert.deepEqual(parseEdgeSortSpec('direction, label:desc'), [
+    { key: 'direction', direction: 'asc' },
+    { key: 'label', direction: 'desc' },
+  ]);
+  assert.throws(() => parseEdgeSortSpec('type'), /unknown sort key "type" \(expected flow, position, direction/);
+
+  assert.equal(getEdgeDirectionRank({}), 0);
+  assert.equal(getEdgeDirectionRank({ fromEnd: 'arrow', toEnd: 'none' }), 0);
+  assert.equal(getEdgeDirectionRank({ fromEnd: 'arrow' }), 1);
+  assert.equal(getEdgeDirectionRank({ toEnd: 'none' }), 2);
+
+  assert.equal(getEdgeLabel({ label: 3 }), '3');
+  assert.equal(getEdgeLabel({ label: { nested: true } }), '');
+  assert.deepEqual(['left', undefined, 'bottom', 'top', 'right'].map(getSideRank), [3, -1, 2, 0, 1]);
+});
+
+test('parseOrigin reads x, y and defaults blank to 0, 0', () => {
+  assert.deepEqual(parseOrigin(' 100, -40.5 '), { x: 100, y: -40.5 });
+  assert.deepEqual(parseOrigin(''), { x: 0, y: 0 });
+  assert.throws(() => parseOrigin('100'), /invalid origin "100"/);
+  assert.throws(() => parseOrigin('1, 2, 3'), /invalid origin/);
+  assert.throws(() => parseOrigin('a, 2'), /invalid origin/);
+  assert.throws(() => parseOrigin(', 2'), /invalid origin/);
+});
+
+test('parseBaseIri and parseSemanticId', () => {
+  assert.equal(parseBaseIri('  '), 'https://example.org/canvas/');
+  assert.equal(parseBaseIri('https://kb.example/graph'), 'https://kb.example/graph/');
+  assert.equal(parseBaseIri('urn:kb:'), 'urn:kb:');
+  assert.equal(parseBaseIri('https://kb.example/terms#'), 'https://kb.example/terms#');
+  assert.throws(() => parseBaseIri('kb.example/graph'), /invalid base IRI "kb.example\/graph"/);
+  assert.throws(() => parseBaseIri('https://kb.example/a b'), /invalid base IRI/);
+
+  assert.deepEqual(parseSemanticId('concept::machine-learning::a1b2'), {
+    type: 'concept',
+    segments: ['machine-learning', 'a1b2'],
+  });
+  assert.equal(parseSemanticId('concept'), null);
+  assert.equal(parseSemanticId('3f2a9c1d0b7e4a58'), null);
+  assert.equal(parseSemanticId('Concept::x'), null);
+});
@@ -0,0 +1,95 @@
+/**
+ * Static R-tree (sort-tile-recursive bulk load) over axis-aligned bounding boxes.
+ * Built once per compile; answers "which items intersect this box" in roughly
+ * O(log n + hits) instead of scanning every item.
+ */
+
+const NODE_CAPACITY = 16;
+
+/**
+ * Build an index over items; getBounds maps an item to {x, y, width, height}.
+ * search(bounds) returns the intersecting items in their original input order,
+ * so callers that break ties by input order stay deterministic.
+ */
+export function buildSpatialIndex(items, getBounds) {
+  let level = items.map((item, index) => ({ bounds: getBounds(item), index, children: [] }));
+
+  while (level.length > NODE_CAPACITY) {
+    level = packLevel(level);
+  }
+
+  const root = level.length > 0 ? { bounds: unionBounds(level), index: -1, children: level } : null;
+
+  return {
+    search(bounds) {
+      if (!root) return [];
+
+      const hits = [];
+      const stack = [root];
+
+      while (stack.length > 0) {
+        const node = stack.pop();
+        if (!intersects(node.bounds, bounds)) continue;
+        if (node.index >= 0) {
+          hits.push(node.index);
+        } else {
+          stack.push(...node.children);
+        }
+      }
+
+      hits.sort((a, b) => a - b);
+      return hits.map(index => items[index]);
+    },
+  };
+}
+
+/**
+ * Pack one level of the tree: vertical slices by center x, then runs by center y
+ */
+function packLevel(entries) {
+  const leafCount = Math.ceil(entries.length / NODE_CAPACITY);
+  const sliceCount = Math.ceil(Math.sqrt(leafCount));
+  const sliceSize = sliceCount * NODE_CAPACITY;
+
+  const byX = entries.slice().sort((a, b) => centerX(a.bounds) - centerX(b.bounds));
+  const parents = [];
+
+  for (let i = 0; i < byX.length; i += sliceSize) {
+    const slice = byX.slice(i, i + sliceSize).sort((a, b) => centerY(a.bounds) - centerY(b.bounds));
+    for (let j = 0; j < slice.length; j += NODE_CAPACITY) {
+      const children = slice.slice(j, j + NODE_CAPACITY);
+      parents.push({ bounds: unionBounds(children), index: -1, children });
+    }
+  }
+
+  return parents;
+}
+
+function unionBounds(nodes) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (const { bounds } of nodes) {
+    minX = Math.min(minX, bounds.x);
+    minY = Math.min(minY, bounds.y);
+    maxX = Math.max(maxX, bounds.x + bounds.width);
+    maxY = Math.max(maxY, bounds.y + bounds.height);
+  }
+
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+// Edges touching counts as intersecting: containment is inclusive
+function intersects(a, b) {
+  return a.x <= b.x + b.width && b.x <= a.x + a.width && a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
+
+function centerX(bounds) {
+  return bounds.x + bounds.width / 2;
+}
+
+function centerY(bounds) {
+  return bounds.y + bounds.height / 2;
+}
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSpatialIndex } from './spatial-index.mjs';
+
+function intersects(a, b) {
+  return a.x <= b.x + b.width && b.x <= a.x + a.width && a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
+
+test('buildSpatialIndex returns the same hits as a linear scan, in input order', () => {
+  const boxes = [];
+  for (let i = 0; i < 500; i++) {
+    boxes.push({ id: i, x: (i * 37) % 2000, y: (i * 91) % 1500, width: 50 + (i % 7) * 40, height: 40 + (i % 5) * 60 });
+  }
+  const index = buildSpatialIndex(boxes, (b) => b);
+
+  for (let q = 0; q < 100; q++) {
+    const query = { x: (q * 53) % 2000, y: (q * 29) % 1500, width: (q % 4) * 100, height: (q % 3) * 120 };
+    const expected = boxes.filter((b) => intersects(b, query)).map((b) => b.id);
+    assert.deepEqual(index.search(query).map((b) => b.id), expected);
+  }
+});
+
+test('buildSpatialIndex treats touching edges and points as hits', () => {
+  const index = buildSpatialIndex([{ x: 0, y: 0, width: 100, height: 100 }], (b) => b);
+  assert.equal(index.search({ x: 100, y: 100, width: 0, height: 0 }).length, 1);
+  assert.equal(index.search({ x: 101, y: 50, width: 10, height: 10 }).length, 0);
+  assert.deepEqual(buildSpatialIndex([], (b) => b).search({ x: 0, y: 0, width: 1, height: 1 }), []);
+});
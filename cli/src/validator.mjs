@@ -0,0 +1,218 @@
+import { isFiniteNumber, normalizedId, stableHashId } from './shared.mjs';
+
+/**
+ * Collect every structural problem in a Canvas instead of stopping at the first one.
+ * Each diagnostic carries a code, a severity ('error' blocks compilation, 'warning' does not),
+ * a message, the index of the offending node/edge and the node/edge id it refers to.
+ */
+export function collectCanvasDiagnostics(input) {
+  return inspectCanvas(input, false).diagnostics;
+}
+
+/**
+ * Opt-in repair policy: generates missing ids, renames duplicate ids deterministically
+ * (first occurrence keeps the id, later ones get "-2", "-3", ...), fills in missing node types
+ * from node content and drops dangling edges.
+ * Returns the repaired Canvas plus the diagnostics, each annotated with the repair applied.
+ */
+export function repairCanvas(input) {
+  return inspectCanvas(input, true);
+}
+
+export function isBlockingDiagnostic(diagnostic) {
+  return diagnostic.severity === 'error' && diagnostic.repair === undefined;
+}
+
+/**
+ * Human-readable report, one diagnostic per line
+ */
+export function formatDiagnostics(diagnostics) {
+  return diagnostics
+    .map(d => {
+      const repair = d.repair ? ` (repaired: ${d.repair})` : '';
+      return `${d.severity} [${d.code}] ${d.message}${repair}`;
+    })
+    .join('\n');
+}
+
+function inspectCanvas(input, repair) {
+  const nodes = Array.isArray(input?.nodes) ? input.nodes : [];
+  const edges = Array.isArray(input?.edges) ? input.edges : [];
+  const diagnostics = [];
+
+  // Node pass: ids must exist and be unique
+  const usedNodeIds = new Set(nodes.map(n => normalizedId(n?.id)).filter(Boolean));
+  const nodeIds = new Set();
+  const outNodes = [];
+
+  nodes.forEach((node, index) => {
+    let id = normalizedId(node?.id);
+
+    if (!id) {
+      const diagnostic = { code: 'node-missing-id', severity: 'error', message: 'node missing id', index };
+      if (repair) {
+        // Seeded from content so the same node always gets the same id
+        id = stableHashId(safeSeed(node), usedNodeIds);
+        diagnostic.nodeId = id;
+        diagnostic.repair = `generated id ${id}`;
+      }
+      diagnostics.push(diagnostic);
+    } else if (nodeIds.has(id)) {
+      const diagnostic = {
+        code: 'duplicate-node-id',
+        severity: 'error',
+        message: `duplicate node id: ${id}`,
+        index,
+        nodeId: id,
+      };
+      if (repair) {
+        id = suffixedId(id, usedNodeIds);
+        diagnostic.repair = `renamed to ${id}`;
+      }
+      diagnostics.push(diagnostic);
+    }
+
+    if (!id || nodeIds.has(id)) return;
+
+    // Every node needs a type; repair reads it off the content the node carries
+    let type = node?.type;
+    if (typeof type !== 'string' || !type.trim()) {
+      const diagnostic = {
+        code: 'node-missing-type',
+        severity: 'error',
+        message: `node ${id} missing type`,
+        index,
+        nodeId: id,
+      };
+      if (repair) {
+        type = inferNodeType(node);
+        diagnostic.repair = `set type to ${type}`;
+      }
+      diagnostics.push(diagnostic);
+    }
+
+    // Missing geometry compiles as 0, which is rarely what the author meant
+    if (!['x', 'y', 'width', 'height'].every(key => isFiniteNumber(node?.[key]))) {
+      diagnostics.push({
+        code: 'node-missing-geometry',
+        severity: 'warning',
+        message: `node ${id} has no finite x/y/width/height`,
+        index,
+        nodeId: id,
+      });
+    }
+
+    nodeIds.add(id);
+    outNodes.push(id === node.id && type === node.type ? node : { ...node, id, type });
+  });
+
+  // Edge pass: ids must exist and be unique, endpoints must resolve
+  const usedEdgeIds = new Set(edges.map(e => normalizedId(e?.id)).filter(Boolean));
+  const edgeIds = new Set();
+  const outEdges = [];
+
+  edges.forEach((edge, index) => {
+    let id = normalizedId(edge?.id);
+    let keep = true;
+
+    if (!id) {
+      const diagnostic = { code: 'edge-missing-id', severity: 'error', message: 'edge missing id', index };
+      if (repair) {
+        id = stableHashId(safeSeed(edge), usedEdgeIds);
+        diagnostic.edgeId = id;
+        diagnostic.repair = `generated id ${id}`;
+      } else {
+        keep = false;
+      }
+      diagnostics.push(diagnostic);
+    } else if (edgeIds.has(id)) {
+      const diagnostic = {
+        code: 'duplicate-edge-id',
+        severity: 'error',
+        message: `duplicate edge id: ${id}`,
+        index,
+        edgeId: id,
+      };
+      if (repair) {
+        id = suffixedId(id, usedEdgeIds);
+        diagnostic.repair = `renamed to ${id}`;
+      } else {
+        keep = false;
+      }
+      diagnostics.push(diagnostic);
+    }
+
+    const ref = id || `#${index}`;
+    const fromNode = normalizedId(edge?.fromNode);
+    const toNode = normalizedId(edge?.toNode);
+    const endpointProblems = [];
+
+    if (!fromNode || !toNode) {
+      endpointProblems.push({
+        code: 'edge-missing-endpoint',
+        severity: 'error',
+        message: `edge ${ref} missing fromNode/toNode`,
+        index,
+      });
+    } else {
+      if (!nodeIds.has(fromNode)) {
+        endpointProblems.push({
+          code: 'dangling-from-node',
+          severity: 'error',
+          message: `edge ${ref} references missing fromNode: ${fromNode}`,
+          index,
+          nodeId: fromNode,
+        });
+      }
+      if (!nodeIds.has(toNode)) {
+        endpointProblems.push({
+          code: 'dangling-to-node',
+          severity: 'error',
+          message: `edge ${ref} references missing toNode: ${toNode}`,
+          index,
+          nodeId: toNode,
+        });
+      }
+    }
+
+    for (const diagnostic of endpointProblems) {
+      if (id) diagnostic.edgeId = id;
+      if (repair) diagnostic.repair = 'dropped edge';
+      diagnostics.push(diagnostic);
+    }
+
+    if (!keep || endpointProblems.length > 0) return;
+
+    edgeIds.add(id);
+    outEdges.push(id === edge.id ? edge : { ...edge, id });
+  });
+
+  return { canvas: { ...input, nodes: outNodes, edges: outEdges }, diagnostics };
+}
+
+/**
+ * The JSON Canvas type a node's content implies: text, file or link by their content field,
+ * group for a bare label, text otherwise
+ */
+function inferNodeType(node) {
+  if (typeof node?.text === 'string') return 'text';
+  if (typeof node?.file === 'string') return 'file';
+  if (typeof node?.url === 'string') return 'link';
+  return typeof node?.label === 'string' ? 'group' : 'text';
+}
+
+function suffixedId(id, usedIds) {
+  let n = 2;
+  while (usedIds.has(`${id}-${n}`)) n++;
+  const next = `${id}-${n}`;
+  usedIds.add(next);
+  return next;
+}
+
+function safeSeed(value) {
+  try {
+    return JSON.stringify(value) ?? '';
+  } catch {
+    return '';
+  }
+}
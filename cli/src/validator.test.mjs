@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { collectCanvasDiagnostics, repairCanvas, formatDiagnostics } from './validator.mjs';
+import { compileCanvasAll, compileCanvasWithDiagnostics } from './compiler.mjs';
+import { createJiti } from 'jiti';
+
+// The plugin validates with its TypeScript compiler; both must report and repair alike.
+const tsCompiler = await createJiti(import.meta.url).import(
+  path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'src', 'core', 'compiler.ts'),
+);
+
+function brokenCanvas() {
+  return {
+    nodes: [
+      { id: 'a', type: 'text', text: 'a', x: 0, y: 0, width: 100, height: 60 },
+      { id: 'a', type: 'text', text: 'a again', x: 0, y: 80, width: 100, height: 60 },
+      { type: 'text', text: 'no id', x: 0, y: 160, width: 100, height: 60 },
+      { id: 'b', type: 'text', text: 'b', x: 200, y: 0, width: 100, height: 60 },
+    ],
+    edges: [
+      { id: 'e1', fromNode: 'a', toNode: 'b' },
+      { id: 'e1', fromNode: 'b', toNode: 'a' },
+      { id: 'e2', fromNode: 'a', toNode: 'ghost' },
+      { fromNode: 'b', toNode: 'a' },
+    ],
+  };
+}
+
+test('collectCanvasDiagnostics reports every problem with code, severity and target', () => {
+  const diagnostics = collectCanvasDiagnostics(brokenCanvas());
+
+  assert.deepEqual(
+    diagnostics.map(d => [d.code, d.severity, d.edgeId ?? d.nodeId ?? null, d.index]),
+    [
+      ['duplicate-node-id', 'error', 'a', 1],
+      ['node-missing-id', 'error', null, 2],
+      ['duplicate-edge-id', 'error', 'e1', 1],
+      ['dangling-to-node', 'error', 'e2', 2],
+      ['edge-missing-id', 'error', null, 3],
+    ],
+  );
+  assert.equal(diagnostics.find(d => d.code === 'dangling-to-node').nodeId, 'ghost');
+  assert.match(formatDiagnostics(diagnostics), /^error \[duplicate-node-id\] duplicate node id: a$/m);
+});
+
+test('collectCanvasDiagnostics warns about missing geometry without blocking compilation', () => {
+  const input = { nodes: [{ id: 'a', type: 'text', text: 'a' }], edges: [] };
+  const { output, diagnostics } = compileCanvasWithDiagnostics({ input, settings: {} });
+
+  assert.deepEqual(diagnostics.map(d => [d.code, d.severity]), [['node-missing-geometry', 'warning']]);
+  assert.equal(output.nodes.length, 1);
+});
+
+test('repairCanvas renames duplicates, generates ids and drops dangling edges deterministically', () => {
+  const { canvas, diagnostics } = repairCanvas(brokenCanvas());
+
+  assert.ok(diagnostics.every(d => d.severity !== 'error' || typeof d.repair === 'string'));
+  assert.deepEqual(canvas.nodes.map(n => n.id).slice(0, 2), ['a', 'a-2']);
+  assert.match(canvas.nodes[2].id, /^[0-9a-f]{16}$/);
+  assert.deepEqual(canvas.edges.map(e => e.id).slice(0, 2), ['e1', 'e1-2']);
+  assert.ok(!canvas.edges.some(e => e.toNode === 'ghost'));
+  assert.equal(canvas.edges.length, 3);
+
+  assert.deepEqual(repairCanvas(brokenCanvas()), { canvas, diagnostics });
+});
+
+test('compile with repair succeeds where strict compile throws', () => {
+  assert.throws(() => compileCanvasAll({ input: brokenCanvas(), settings: {} }), /duplicate node id: a/);
+
+  const { output, diagnostics } = compileCanvasWithDiagnostics({ input: brokenCanvas(), settings: { repair: true } });
+  assert.ok(output);
+  assert.equal(output.nodes.length, 4);
+  assert.equal(diagnostics.length, 5);
+});
+
+for (const [label, compile] of [['cli', compileCanvasWithDiagnostics], ['ts', tsCompiler.compileCanvasWithDiagnostics]]) {
+  test(`${label}: nodes with a missing or non-string type are reported and repaired from their content`, () => {
+    const input = {
+      nodes: [
+        { id: 'note', text: 'words', x: 0, y: 0, width: 100, height: 60 },
+        { id: 'doc', type: '', file: 'doc.md', x: 0, y: 100, width: 100, height: 60 },
+        { id: 'site', type: null, url: 'https://example.org', x: 0, y: 200, width: 100, height: 60 },
+        { id: 'box', type: 3, label: 'Box', x: 400, y: 0, width: 300, height: 300 },
+        { id: 'bare', x: 800, y: 0, width: 100, height: 60 },
+        { id: 'ok', type: 'text', text: 'typed', x: 0, y: 300, width: 100, height: 60 },
+      ],
+      edges: [],
+    };
+
+    const strict = compile({ input, settings: {} });
+    assert.equal(strict.output, null);
+    assert.deepEqual(
+      strict.diagnostics.map(d => [d.code, d.severity, d.nodeId, d.index]),
+      [
+        ['node-missing-type', 'error', 'note', 0],
+        ['node-missing-type', 'error', 'doc', 1],
+        ['node-missing-type', 'error', 'site', 2],
+        ['node-missing-type', 'error', 'box', 3],
+        ['node-missing-type', 'error', 'bare', 4],
+      ],
+    );
+    assert.match(formatDiagnostics(strict.diagnostics), /^error \[node-missing-type\] node note missing type$/m);
+
+    const repaired = compile({ input, settings: { repair: true } });
+    assert.ok(repaired.output);
+    assert.deepEqual(
+      repaired.diagnostics.map(d => d.repair),
+      ['set type to text', 'set type to file', 'set type to link', 'set type to group', 'set type to text'],
+    );
+    const types = Object.fromEntries(repaired.output.nodes.map(n => [n.id, n.type]));
+    assert.deepEqual(types, { note: 'text', doc: 'file', site: 'link', box: 'group', bare: 'text', ok: 'text' });
+    assert.equal(input.nodes[0].type, undefined, 'the input is left untouched');
+  });
+}
@@ -1,16 +1,59 @@
-import type { CanvasData } from './core/types';
+import type { CanvasData, ImportOptions } from './core/types';
 import { importDataToCanvas } from './core/importer';
 
-export type { CanvasData, CanvasNode, CanvasEdge, CompileSettings } from './core/types';
-export { compileCanvasAll } from './core/compiler';
-export { stripCanvasMetadata } from './core/exporter';
-export { importJsonToCanvas, importJsonlToCanvas, importDataToCanvas, importPureCanvasData } from './core/importer';
+export type {
+  CanvasData,
+  CanvasNode,
+  CanvasEdge,
+  CanvasDiagnostic,
+  CanvasStructure,
+  CompileSettings,
+  ImportOptions,
+  JsonSchema,
+  Provenance,
+} from './core/types';
+export { buildCanvasStructure, compileCanvasAll, compileCanvasWithDiagnostics } from './core/compiler';
+export { collectCanvasDiagnostics, repairCanvas, formatDiagnostics, isBlockingDiagnostic } from './core/validator';
+export {
+  embedCanvasFiles,
+  exportDotGraph,
+  exportJsonLd,
+  exportMarkdownOutline,
+  exportMermaidFlowchart,
+  exportNTriples,
+  nestPureExport,
+  recordGroupParents,
+  stripCanvasMetadata,
+} from './core/exporter';
+export {
+  canonicalizeKeyOrder,
+  createProvenance,
+  createTextComparer,
+  parseBaseIri,
+  parseColorMeanings,
+  parseColorOrder,
+  parseEdgeSortSpec,
+  parseNodeSortSpec,
+  parseOrigin,
+  parseTypePriority,
+  readProvenanceSettings,
+} from './core/shared';
+export { parseStructuredText, structureTextFields } from './core/fields';
+export { extractNoteSection, inlineNoteFiles, parseNote } from './core/notes';
+export { generateDataSchema, inferJsonSchema, inferPureExportSchema } from './core/schema';
+export {
+  importJsonToCanvas,
+  importJsonlToCanvas,
+  importDataToCanvas,
+  importPureCanvasData,
+  rebuildCanvasFromPure,
+} from './core/importer';
 
-export async function importFileToCanvas(filePath: string): Promise<CanvasData> {
+export async function importFileToCanvas(filePath: string, options: ImportOptions = {}): Promise<CanvasData> {
   try {
     const fs = await import('fs');
     const fileContent = fs.readFileSync(filePath, 'utf-8');
-    return importDataToCanvas(filePath, fileContent);
+    return importDataToCanvas(filePath, fileContent, options);
   } catch (error) {
     if (error instanceof Error && error.message.includes('Cannot resolve module')) {
       throw new Error('File system access not available in this environment. Use importDataToCanvas with file content instead.');
@@ -1,4 +1,17 @@
-import type { CanvasData, CanvasEdge, CanvasNode, CompileSettings, NodePosition } from './types';
+import type {
+  CanvasData,
+  CanvasDiagnostic,
+  CanvasEdge,
+  CanvasNode,
+  CanvasPoint,
+  CanvasStructure,
+  CompileSettings,
+  EdgeSortKey,
+  NodeBounds,
+  NodePosition,
+  NodeSortKey,
+  ReadingOrder,
+} from './types';
 import {
   normalizedId,
   isFiniteNumber,
@@ -8,36 +21,73 @@ import {
   getEdgeColor,
   isDirectionalEdge,
   isContainedBy,
+  getNodeBounds,
+  getOverlapRatio,
+  getCenterDistance,
+  compareReadingOrder,
+  createColorComparer,
+  createTextComparer,
+  collationLocaleProblem,
+  hasCollationOptions,
+  DEFAULT_COLLATION_LOCALE,
+  DEFAULT_EDGE_SORT,
+  EDGE_SORT_KEYS,
+  getEdgeDirectionRank,
+  getEdgeLabel,
+  getSideRank,
+  DEFAULT_NODE_SORT,
+  DEFAULT_TYPE_PRIORITY,
+  NODE_SORT_KEYS,
 } from './shared';
+import { buildSpatialIndex } from './spatial-index';
+import { collectCanvasDiagnostics, isBlockingDiagnostic, repairCanvas } from './validator';
 
 interface FlowGroup {
   nodes: Set<string>;
-  minY: number;
-  minX: number;
+  anchor: NodePosition;
   flowOrder: Map<string, number>;
+  cycles: Map<string, string>;
 }
 
-function buildFlowGroups(nodes: CanvasNode[], allEdges: CanvasEdge[], nodePositions: Map<string, NodePosition>): FlowGroup[] {
-  const nodeIdSet = new Set(nodes.map((n) => normalizedId(n.id)));
+interface UndirectedLink {
+  from: string;
+  to: string;
+  fromSide: unknown;
+  toSide: unknown;
+}
 
-  const scopedEdges = allEdges.filter((e) => {
-    const from = normalizedId(e?.fromNode);
-    const to = normalizedId(e?.toNode);
-    return nodeIdSet.has(from) && nodeIdSet.has(to);
-  });
+interface FlowGraph {
+  adjacency: Map<string, Set<string>>;
+  outgoing: Map<string, Set<string>>;
+  incoming: Map<string, Set<string>>;
+  undirected: Map<string, UndirectedLink[]>;
+}
 
+function sideFlow(side: unknown, order: ReadingOrder | undefined): number {
+  const horizontal = order === 'row-rtl' ? -1 : 1;
+  const vertical = order === 'column-btt' ? -1 : 1;
+  if (side === 'right') return horizontal;
+  if (side === 'left') return -horizontal;
+  if (side === 'bottom') return vertical;
+  if (side === 'top') return -vertical;
+  return 0;
+}
+
+function buildFlowGraph(nodes: CanvasNode[], edges: CanvasEdge[]): FlowGraph {
   const adjacency = new Map<string, Set<string>>();
   const outgoing = new Map<string, Set<string>>();
   const incoming = new Map<string, Set<string>>();
+  const undirected = new Map<string, UndirectedLink[]>();
 
   for (const node of nodes) {
     const id = normalizedId(node.id);
     adjacency.set(id, new Set());
     outgoing.set(id, new Set());
     incoming.set(id, new Set());
+    undirected.set(id, []);
   }
 
-  for (const edge of scopedEdges) {
+  for (const edge of edges) {
     if (!isDirectionalEdge(edge)) continue;
 
     const from = normalizedId(edge.fromNode);
@@ -50,7 +100,10 @@ function buildFlowGroups(nodes: CanvasNode[], allEdges: CanvasEdge[], nodePositi
     const toEnd = edge?.toEnd ?? 'arrow';
 
     if (fromEnd === 'arrow' && toEnd === 'arrow') {
-      // Bidirectional, skip direction.
+      if (from === to || !undirected.has(from) || !undirected.has(to)) continue;
+      const link = { from, to, fromSide: edge?.fromSide, toSide: edge?.toSide };
+      undirected.get(from)?.push(link);
+      undirected.get(to)?.push(link);
     } else if (fromEnd === 'arrow') {
       outgoing.get(to)?.add(from);
       incoming.get(from)?.add(to);
@@ -60,229 +113,439 @@ function buildFlowGroups(nodes: CanvasNode[], allEdges: CanvasEdge[], nodePositi
     }
   }
 
-  const visited = new Set<string>();
-  const components: Set<string>[] = [];
+  return { adjacency, outgoing, incoming, undirected };
+}
 
-  for (const [nodeId] of adjacency) {
-    if (visited.has(nodeId)) continue;
+function findStronglyConnected(component: Set<string>, outgoing: Map<string, Set<string>>): string[][] {
+  const index = new Map<string, number>();
+  const low = new Map<string, number>();
+  const onStack = new Set<string>();
+  const stack: string[] = [];
+  const result: string[][] = [];
+  let counter = 0;
+
+  for (const root of component) {
+    if (index.has(root)) continue;
+
+    const work: Array<{ node: string; next: string[]; cursor: number }> = [];
+    const enter = (node: string) => {
+      index.set(node, counter);
+      low.set(node, counter);
+      counter++;
+      stack.push(node);
+      onStack.add(node);
+      const next = [...(outgoing.get(node) || [])].filter((n) => component.has(n));
+      work.push({ node, next, cursor: 0 });
+    };
+
+    enter(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1] as { node: string; next: string[]; cursor: number };
+
+      if (frame.cursor < frame.next.length) {
+        const target = frame.next[frame.cursor++] as string;
+        if (!index.has(target)) {
+          enter(target);
+        } else if (onStack.has(target)) {
+          low.set(frame.node, Math.min(low.get(frame.node) as number, index.get(target) as number));
+        }
+        continue;
+      }
 
-    const component = new Set<string>();
-    const queue = [nodeId];
+      work.pop();
+      const parent = work[work.length - 1];
+      if (parent) {
+        low.set(parent.node, Math.min(low.get(parent.node) as number, low.get(frame.node) as number));
+      }
 
-    while (queue.length > 0) {
-      const current = queue.shift();
-      if (!current || visited.has(current)) continue;
+      if (low.get(frame.node) === index.get(frame.node)) {
+        const scc: string[] = [];
+        let member: string;
+        do {
+          member = stack.pop() as string;
+          onStack.delete(member);
+          scc.push(member);
+        } while (member !== frame.node);
+        result.push(scc);
+      }
+    }
+  }
 
-      visited.add(current);
-      component.add(current);
+  return result.reverse();
+}
 
-      for (const neighbor of adjacency.get(current) || []) {
-        if (!visited.has(neighbor)) {
-          queue.push(neighbor);
-        }
+function comparePositions(
+  aId: string,
+  bId: string,
+  nodePositions: Map<string, NodePosition>,
+  order: ReadingOrder | undefined,
+): number {
+  const position = compareReadingOrder(nodePositions.get(aId), nodePositions.get(bId), order);
+  if (position !== 0) return position;
+  return aId < bId ? -1 : aId > bId ? 1 : 0;
+}
+
+function orderFlowComponent(
+  component: Set<string>,
+  outgoing: Map<string, Set<string>>,
+  incoming: Map<string, Set<string>>,
+  nodePositions: Map<string, NodePosition>,
+  order: ReadingOrder | undefined,
+): { flowOrder: Map<string, number>; cycles: Map<string, string> } {
+  const flowOrder = new Map<string, number>();
+  const cycles = new Map<string, string>();
+  const sccs = findStronglyConnected(component, outgoing);
+  const sccOf = new Map<string, number>();
+
+  sccs.forEach((scc, i) => {
+    for (const nodeId of scc) sccOf.set(nodeId, i);
+  });
+
+  sccs.forEach((scc, i) => {
+    const single = scc[0] as string;
+    if (scc.length === 1 && !outgoing.get(single)?.has(single)) {
+      let depth = 0;
+      for (const source of incoming.get(single) || []) {
+        if (component.has(source)) depth = Math.max(depth, (flowOrder.get(source) as number) + 1);
       }
+      flowOrder.set(single, depth);
+      return;
     }
 
-    if (component.size > 1) {
-      components.push(component);
+    const members = new Set(scc);
+    const entryDepth = new Map<string, number>();
+    for (const nodeId of scc) {
+      for (const source of incoming.get(nodeId) || []) {
+        if (!component.has(source) || sccOf.get(source) === i) continue;
+        const depth = flowOrder.get(source) as number;
+        entryDepth.set(nodeId, Math.min(entryDepth.get(nodeId) ?? Infinity, depth));
+      }
     }
-  }
 
-  const flowGroups: FlowGroup[] = [];
-
-  for (const component of components) {
-    let minY = Infinity;
-    let minX = Infinity;
-
-    for (const nodeId of component) {
-      const pos = nodePositions.get(nodeId);
-      const y = isFiniteNumber(pos?.y) ? pos.y : 0;
-      const x = isFiniteNumber(pos?.x) ? pos.x : 0;
-      if (y < minY || (y === minY && x < minX)) {
-        minY = y;
-        minX = x;
+    const candidates = entryDepth.size > 0 ? [...entryDepth.keys()] : scc.slice();
+    candidates.sort(
+      (a, b) =>
+        (entryDepth.get(a) ?? 0) - (entryDepth.get(b) ?? 0) || comparePositions(a, b, nodePositions, order),
+    );
+    const entry = candidates[0] as string;
+
+    const distance = new Map<string, number>([[entry, 0]]);
+    const queue = [entry];
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head] as string;
+      const next = [...(outgoing.get(current) || [])]
+        .filter((n) => members.has(n) && !distance.has(n))
+        .sort((a, b) => comparePositions(a, b, nodePositions, order));
+      for (const target of next) {
+        distance.set(target, (distance.get(current) as number) + 1);
+        queue.push(target);
       }
     }
 
-    const flowOrder = new Map<string, number>();
-    const inDegree = new Map<string, number>();
-
-    for (const nodeId of component) {
-      let degree = 0;
+    for (const nodeId of queue) {
+      let depth = 0;
       for (const source of incoming.get(nodeId) || []) {
-        if (component.has(source)) degree++;
+        if (!component.has(source)) continue;
+        if (sccOf.get(source) === i && (distance.get(source) as number) >= (distance.get(nodeId) as number)) continue;
+        depth = Math.max(depth, (flowOrder.get(source) as number) + 1);
       }
-      inDegree.set(nodeId, degree);
+      flowOrder.set(nodeId, depth);
+      cycles.set(nodeId, entry);
+    }
+  });
+
+  return { flowOrder, cycles };
+}
+
+function inheritDirections(
+  component: Set<string>,
+  graph: FlowGraph,
+  nodePositions: Map<string, NodePosition>,
+  order: ReadingOrder | undefined,
+): { outgoing: Map<string, Set<string>>; incoming: Map<string, Set<string>> } {
+  const links: UndirectedLink[] = [];
+  for (const nodeId of component) {
+    for (const link of graph.undirected.get(nodeId) || []) {
+      if (link.from !== nodeId || !component.has(link.to)) continue;
+      if (graph.outgoing.get(link.from)?.has(link.to) || graph.outgoing.get(link.to)?.has(link.from)) continue;
+      links.push(link);
+    }
+  }
+
+  if (links.length === 0) {
+    return { outgoing: graph.outgoing, incoming: graph.incoming };
+  }
+
+  links.sort(
+    (a, b) =>
+      comparePositions(a.from, b.from, nodePositions, order) || comparePositions(a.to, b.to, nodePositions, order),
+  );
+
+  const outgoing = new Map<string, Set<string>>();
+  const incoming = new Map<string, Set<string>>();
+  for (const nodeId of component) {
+    outgoing.set(nodeId, new Set([...(graph.outgoing.get(nodeId) || [])].filter((n) => component.has(n))));
+    incoming.set(nodeId, new Set([...(graph.incoming.get(nodeId) || [])].filter((n) => component.has(n))));
+  }
+
+  const resolved = new Set<UndirectedLink>();
+  const linksAt = new Map<string, UndirectedLink[]>();
+  for (const link of links) {
+    for (const end of [link.from, link.to]) {
+      const list = linksAt.get(end);
+      if (list) list.push(link);
+      else linksAt.set(end, [link]);
     }
+  }
 
-    const queue: string[] = [];
-    for (const nodeId of component) {
-      if (inDegree.get(nodeId) === 0) {
-        queue.push(nodeId);
-        flowOrder.set(nodeId, 0);
+  const orient = (link: UndirectedLink, from: string, to: string) => {
+    outgoing.get(from)?.add(to);
+    incoming.get(to)?.add(from);
+    resolved.add(link);
+  };
+
+  const spread = (isSeed: (nodeId: string) => boolean, forward: boolean) => {
+    const queue = [...component].filter(isSeed).sort((a, b) => comparePositions(a, b, nodePositions, order));
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head] as string;
+      for (const link of linksAt.get(current) || []) {
+        if (resolved.has(link)) continue;
+        const other = link.from === current ? link.to : link.from;
+        if (isSeed(other)) continue;
+        if (forward) orient(link, current, other);
+        else orient(link, other, current);
+        queue.push(other);
       }
     }
+  };
+
+  spread((nodeId) => (incoming.get(nodeId)?.size ?? 0) > 0, true);
+  spread((nodeId) => (outgoing.get(nodeId)?.size ?? 0) > 0, false);
+
+  for (const link of links) {
+    if (resolved.has(link)) continue;
+    let flow = sideFlow(link.fromSide, order) - sideFlow(link.toSide, order);
+    if (flow === 0) flow = -comparePositions(link.from, link.to, nodePositions, order);
+    if (flow > 0) orient(link, link.from, link.to);
+    else orient(link, link.to, link.from);
+  }
+
+  return { outgoing, incoming };
+}
+
+function buildFlowGroups(
+  nodes: CanvasNode[],
+  graph: FlowGraph,
+  nodePositions: Map<string, NodePosition>,
+  order: ReadingOrder | undefined,
+): FlowGroup[] {
+  const scope = new Set(nodes.map((n) => normalizedId(n.id)));
+  const { adjacency } = graph;
 
-    while (queue.length > 0) {
-      const current = queue.shift();
-      if (!current) continue;
-      const currentDepth = flowOrder.get(current) || 0;
+  const visited = new Set<string>();
+  const components: Set<string>[] = [];
 
-      for (const next of outgoing.get(current) || []) {
-        if (!component.has(next)) continue;
+  for (const nodeId of scope) {
+    if (visited.has(nodeId)) continue;
 
-        const degree = (inDegree.get(next) || 0) - 1;
-        inDegree.set(next, degree);
+    const component = new Set<string>();
+    const queue = [nodeId];
 
-        const nextDepth = Math.max(flowOrder.get(next) || 0, currentDepth + 1);
-        flowOrder.set(next, nextDepth);
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head] as string;
+      if (visited.has(current)) continue;
 
-        if (degree === 0) {
-          queue.push(next);
+      visited.add(current);
+      component.add(current);
+
+      for (const neighbor of adjacency.get(current) || []) {
+        if (scope.has(neighbor) && !visited.has(neighbor)) {
+          queue.push(neighbor);
         }
       }
     }
 
-    for (const nodeId of component) {
-      if (!flowOrder.has(nodeId)) {
-        const maxDepth = Math.max(...Array.from(flowOrder.values()), 0);
-        flowOrder.set(nodeId, maxDepth + 1);
-      }
+    if (component.size > 1) {
+      components.push(component);
     }
+  }
+
+  const flowGroups: FlowGroup[] = [];
+
+  for (const component of components) {
+    const anchor = flowAnchor(component, nodePositions, order);
+    const { outgoing, incoming } = inheritDirections(component, graph, nodePositions, order);
+    const { flowOrder, cycles } = orderFlowComponent(component, outgoing, incoming, nodePositions, order);
 
     flowGroups.push({
       nodes: component,
-      minY,
-      minX,
+      anchor,
       flowOrder,
+      cycles,
     });
   }
 
   return flowGroups;
 }
 
+function flowAnchor(
+  nodeIds: Iterable<string>,
+  nodePositions: Map<string, NodePosition>,
+  order: ReadingOrder | undefined,
+): NodePosition {
+  let first: NodePosition | undefined;
+  for (const nodeId of nodeIds) {
+    const pos = nodePositions.get(nodeId);
+    if (first === undefined || compareReadingOrder(pos, first, order) < 0) {
+      first = pos;
+    }
+  }
+  return {
+    x: isFiniteNumber(first?.x) ? first.x : 0,
+    y: isFiniteNumber(first?.y) ? first.y : 0,
+    width: first?.width,
+    height: first?.height,
+  };
+}
+
+function scopeFlowGroups(
+  nodes: CanvasNode[],
+  flowIndex: Map<string, FlowGroup>,
+  nodePositions: Map<string, NodePosition>,
+  order: ReadingOrder | undefined,
+): Map<string, FlowGroup> {
+  const members = new Map<FlowGroup, string[]>();
+  for (const node of nodes) {
+    const nodeId = normalizedId(node.id);
+    const group = flowIndex.get(nodeId);
+    if (!group) continue;
+    const ids = members.get(group) ?? [];
+    ids.push(nodeId);
+    members.set(group, ids);
+  }
+
+  const nodeToFlowGroup = new Map<string, FlowGroup>();
+  for (const [group, ids] of members) {
+    if (ids.length < 2) continue;
+    const scoped: FlowGroup = { ...group, nodes: new Set(ids), anchor: flowAnchor(ids, nodePositions, order) };
+    for (const nodeId of ids) nodeToFlowGroup.set(nodeId, scoped);
+  }
+  return nodeToFlowGroup;
+}
+
+function indexFlowGroups(flowGroups: FlowGroup[]): Map<string, FlowGroup> {
+  const index = new Map<string, FlowGroup>();
+  for (const group of flowGroups) {
+    for (const nodeId of group.nodes) index.set(nodeId, group);
+  }
+  return index;
+}
+
+function resolveNodeSort(settings: CompileSettings | undefined): Array<{ key: NodeSortKey; sign: number }> {
+  const rules = settings?.nodeSort?.length ? settings.nodeSort : DEFAULT_NODE_SORT;
+  return rules
+    .filter((rule) => NODE_SORT_KEYS.includes(rule?.key))
+    .map((rule) => ({ key: rule.key, sign: rule.direction === 'desc' ? -1 : 1 }));
+}
+
 function stableSortByXY(
   nodes: CanvasNode[],
   settings: CompileSettings | undefined,
-  allEdges: CanvasEdge[] | undefined,
+  flowIndex: Map<string, FlowGroup> | undefined,
   nodePositions: Map<string, NodePosition> | undefined,
   isWithinGroup = false,
 ): CanvasNode[] {
-  let flowGroups: FlowGroup[] = [];
-  const nodeToFlowGroup = new Map<string, FlowGroup>();
-
-  if (settings?.flowSortNodes && allEdges && nodePositions) {
-    flowGroups = buildFlowGroups(nodes, allEdges, nodePositions);
-
-    for (const group of flowGroups) {
-      for (const nodeId of group.nodes) {
-        nodeToFlowGroup.set(nodeId, group);
-      }
+  const chain = resolveNodeSort(settings);
+  const nodeToFlowGroup =
+    settings?.flowSortNodes && flowIndex && nodePositions && chain.some((rule) => rule.key === 'flow')
+      ? scopeFlowGroups(nodes, flowIndex, nodePositions, settings?.readingOrder)
+      : new Map<string, FlowGroup>();
+
+  const readingOrder = settings?.readingOrder;
+  const typePriority = settings?.typePriority ?? DEFAULT_TYPE_PRIORITY;
+  const compareText = createTextComparer(settings?.collation);
+  const compareColor = createColorComparer(settings?.colorOrder, compareText);
+  const keepCase = hasCollationOptions(settings?.collation);
+  const sortKeys = new Map<CanvasNode, string>();
+  const sortKey = (node: CanvasNode): string => {
+    let key = sortKeys.get(node);
+    if (key === undefined) {
+      key = getNodeSortKey(node, keepCase);
+      sortKeys.set(node, key);
     }
-  }
+    return key;
+  };
 
   nodes.sort((a, b) => {
     const aId = normalizedId(a?.id);
     const bId = normalizedId(b?.id);
-
-    if (settings?.flowSortNodes) {
-      const aGroup = nodeToFlowGroup.get(aId);
-      const bGroup = nodeToFlowGroup.get(bId);
-
-      if (aGroup && bGroup) {
-        if (aGroup === bGroup) {
-          const aDepth = aGroup.flowOrder.get(aId) || 0;
-          const bDepth = bGroup.flowOrder.get(bId) || 0;
-          if (aDepth !== bDepth) return aDepth - bDepth;
-
-          const ay = isFiniteNumber(a?.y) ? a.y : 0;
-          const by = isFiniteNumber(b?.y) ? b.y : 0;
-          if (ay !== by) return ay - by;
-
-          const ax = isFiniteNumber(a?.x) ? a.x : 0;
-          const bx = isFiniteNumber(b?.x) ? b.x : 0;
-          if (ax !== bx) return ax - bx;
-
-          if (settings?.colorSortNodes !== false) {
-            const aColor = getNodeColor(a);
-            const bColor = getNodeColor(b);
-            if (aColor !== bColor) return aColor.localeCompare(bColor);
-          }
-
-          return getNodeSortKey(a).localeCompare(getNodeSortKey(b));
-        } else {
-          if (aGroup.minY !== bGroup.minY) return aGroup.minY - bGroup.minY;
-          if (aGroup.minX !== bGroup.minX) return aGroup.minX - bGroup.minX;
+    const aPos: NodePosition = nodePositions?.get(aId) ?? a;
+    const bPos: NodePosition = nodePositions?.get(bId) ?? b;
+    const aGroup = nodeToFlowGroup.get(aId);
+    const bGroup = nodeToFlowGroup.get(bId);
+    const sameFlow = aGroup !== undefined && aGroup === bGroup;
+
+    for (const { key, sign } of chain) {
+      let result = 0;
+
+      if (key === 'flow') {
+        if (aGroup && bGroup) {
+          result = sameFlow
+            ? (aGroup.flowOrder.get(aId) || 0) - (bGroup.flowOrder.get(bId) || 0)
+            : compareReadingOrder(aGroup.anchor, bGroup.anchor, readingOrder);
+        } else if (aGroup) {
+          return (compareReadingOrder(aGroup.anchor, bPos, readingOrder) || -1) * sign;
+        } else if (bGroup) {
+          return (compareReadingOrder(aPos, bGroup.anchor, readingOrder) || 1) * sign;
         }
-      } else if (aGroup && !bGroup) {
-        const by = isFiniteNumber(b?.y) ? b.y : 0;
-        const bx = isFiniteNumber(b?.x) ? b.x : 0;
-        if (aGroup.minY !== by) return aGroup.minY - by;
-        if (aGroup.minX !== bx) return aGroup.minX - bx;
-        return -1;
-      } else if (!aGroup && bGroup) {
-        const ay = isFiniteNumber(a?.y) ? a.y : 0;
-        const ax = isFiniteNumber(a?.x) ? a.x : 0;
-        if (ay !== bGroup.minY) return ay - bGroup.minY;
-        if (ax !== bGroup.minX) return ax - bGroup.minX;
-        return 1;
+      } else if (key === 'position') {
+        if (sameFlow || !isWithinGroup) result = compareReadingOrder(aPos, bPos, readingOrder);
+      } else if (key === 'type') {
+        if (!sameFlow) result = getNodeTypePriority(a, typePriority) - getNodeTypePriority(b, typePriority);
+      } else if (key === 'color') {
+        if (settings?.colorSortNodes !== false) result = compareColor(getNodeColor(a), getNodeColor(b));
+      } else {
+        result = compareText(sortKey(a), sortKey(b));
       }
-    }
 
-    if (isWithinGroup) {
-      const aPriority = getNodeTypePriority(a);
-      const bPriority = getNodeTypePriority(b);
-      if (aPriority !== bPriority) return aPriority - bPriority;
-
-      if (settings?.colorSortNodes !== false) {
-        const aColor = getNodeColor(a);
-        const bColor = getNodeColor(b);
-        if (aColor !== bColor) return aColor.localeCompare(bColor);
-      }
-
-      return getNodeSortKey(a).localeCompare(getNodeSortKey(b));
-    }
-
-    const ay = isFiniteNumber(a?.y) ? a.y : 0;
-    const by = isFiniteNumber(b?.y) ? b.y : 0;
-    if (ay !== by) return ay - by;
-
-    const ax = isFiniteNumber(a?.x) ? a.x : 0;
-    const bx = isFiniteNumber(b?.x) ? b.x : 0;
-    if (ax !== bx) return ax - bx;
-
-    const aPriority = getNodeTypePriority(a);
-    const bPriority = getNodeTypePriority(b);
-    if (aPriority !== bPriority) return aPriority - bPriority;
-
-    if (settings?.colorSortNodes !== false) {
-      const aColor = getNodeColor(a);
-      const bColor = getNodeColor(b);
-      if (aColor !== bColor) return aColor.localeCompare(bColor);
+      if (result !== 0) return result * sign;
     }
 
-    return getNodeSortKey(a).localeCompare(getNodeSortKey(b));
+    return 0;
   });
 
   return nodes;
 }
 
+function resolveEdgeSort(settings: CompileSettings | undefined): Array<{ key: EdgeSortKey; sign: number }> {
+  const rules = settings?.edgeSort?.length ? settings.edgeSort : DEFAULT_EDGE_SORT;
+  const chain = rules
+    .filter((rule) => EDGE_SORT_KEYS.includes(rule?.key))
+    .map((rule) => ({ key: rule.key, sign: rule.direction === 'desc' ? -1 : 1 }));
+  if (!chain.some((rule) => rule.key === 'id')) chain.push({ key: 'id', sign: 1 });
+  return chain;
+}
+
 function stableEdgeSortByTopology(
   edges: CanvasEdge[],
   nodePositions: Map<string, NodePosition>,
   settings: CompileSettings | undefined,
-  nodes: CanvasNode[],
+  flowGroups: FlowGroup[],
 ): CanvasEdge[] {
-  const nodeToFlowGroup = new Map<string, FlowGroup>();
-
-  if (settings?.flowSortNodes && nodes) {
-    const flowGroups = buildFlowGroups(nodes, edges, nodePositions);
-    for (const group of flowGroups) {
-      for (const nodeId of group.nodes) {
-        nodeToFlowGroup.set(nodeId, group);
-      }
-    }
-  }
+  const chain = resolveEdgeSort(settings);
+  const compareText = createTextComparer(settings?.collation);
+  const compareColor = createColorComparer(settings?.colorOrder, compareText);
+  const nodeToFlowGroup = settings?.flowSortNodes ? indexFlowGroups(flowGroups) : new Map<string, FlowGroup>();
+
+  const compareFlowDepth = (aId: string, bId: string): number => {
+    const aGroup = nodeToFlowGroup.get(aId);
+    const bGroup = nodeToFlowGroup.get(bId);
+    if (!aGroup || !bGroup) return 0;
+    const aDepth = aGroup.flowOrder.get(aId) ?? Infinity;
+    const bDepth = bGroup.flowOrder.get(bId) ?? Infinity;
+    return aDepth === bDepth ? 0 : aDepth - bDepth;
+  };
 
   edges.sort((a, b) => {
     const aFromId = normalizedId(a?.fromNode);
@@ -290,123 +553,128 @@ function stableEdgeSortByTopology(
     const aToId = normalizedId(a?.toNode);
     const bToId = normalizedId(b?.toNode);
 
-    if (settings?.flowSortNodes && nodeToFlowGroup.size > 0) {
-      const aFromGroup = nodeToFlowGroup.get(aFromId);
-      const bFromGroup = nodeToFlowGroup.get(bFromId);
-
-      if (aFromGroup && bFromGroup) {
-        const aFromDepth = aFromGroup.flowOrder.get(aFromId) ?? Infinity;
-        const bFromDepth = bFromGroup.flowOrder.get(bFromId) ?? Infinity;
-        if (aFromDepth !== bFromDepth) return aFromDepth - bFromDepth;
+    for (const { key, sign } of chain) {
+      let result = 0;
+
+      if (key === 'flow') {
+        if (nodeToFlowGroup.size > 0) result = compareFlowDepth(aFromId, bFromId) || compareFlowDepth(aToId, bToId);
+      } else if (key === 'position') {
+        result =
+          compareReadingOrder(nodePositions.get(aFromId), nodePositions.get(bFromId), settings?.readingOrder) ||
+          compareReadingOrder(nodePositions.get(aToId), nodePositions.get(bToId), settings?.readingOrder);
+      } else if (key === 'direction') {
+        result = getEdgeDirectionRank(a) - getEdgeDirectionRank(b);
+      } else if (key === 'label') {
+        result = compareText(getEdgeLabel(a), getEdgeLabel(b));
+      } else if (key === 'sides') {
+        result = getSideRank(a?.fromSide) - getSideRank(b?.fromSide) || getSideRank(a?.toSide) - getSideRank(b?.toSide);
+      } else if (key === 'color') {
+        if (settings?.colorSortEdges !== false) result = compareColor(getEdgeColor(a), getEdgeColor(b));
+      } else {
+        result = compareText(normalizedId(a?.id), normalizedId(b?.id));
       }
 
-      const aToGroup = nodeToFlowGroup.get(aToId);
-      const bToGroup = nodeToFlowGroup.get(bToId);
-
-      if (aToGroup && bToGroup) {
-        const aToDepth = aToGroup.flowOrder.get(aToId) ?? Infinity;
-        const bToDepth = bToGroup.flowOrder.get(bToId) ?? Infinity;
-        if (aToDepth !== bToDepth) return aToDepth - bToDepth;
-      }
+      if (result !== 0) return result * sign;
     }
 
-    const aFrom = nodePositions.get(aFromId);
-    const bFrom = nodePositions.get(bFromId);
-
-    const afy = isFiniteNumber(aFrom?.y) ? aFrom.y : 0;
-    const bfy = isFiniteNumber(bFrom?.y) ? bFrom.y : 0;
-    if (afy !== bfy) return afy - bfy;
+    return 0;
+  });
 
-    const afx = isFiniteNumber(aFrom?.x) ? aFrom.x : 0;
-    const bfx = isFiniteNumber(bFrom?.x) ? bFrom.x : 0;
-    if (afx !== bfx) return afx - bfx;
+  return edges;
+}
 
-    const aTo = nodePositions.get(aToId);
-    const bTo = nodePositions.get(bToId);
+function getArea(node: CanvasNode): number {
+  const bounds = getNodeBounds(node);
+  return bounds.width * bounds.height;
+}
 
-    const aty = isFiniteNumber(aTo?.y) ? aTo.y : 0;
-    const bty = isFiniteNumber(bTo?.y) ? bTo.y : 0;
-    if (aty !== bty) return aty - bty;
+function canNestIn(childGroup: CanvasNode, parentGroup: CanvasNode): boolean {
+  const childArea = getArea(childGroup);
+  const parentArea = getArea(parentGroup);
+  if (parentArea !== childArea) return parentArea > childArea;
+  return normalizedId(parentGroup.id) < normalizedId(childGroup.id);
+}
 
-    const atx = isFiniteNumber(aTo?.x) ? aTo.x : 0;
-    const btx = isFiniteNumber(bTo?.x) ? bTo.x : 0;
-    if (atx !== btx) return atx - btx;
+interface Hierarchy {
+  children: Map<string, CanvasNode[]>;
+  parentOf: Map<string, string>;
+}
 
-    if (settings?.colorSortEdges !== false) {
-      const aColor = getEdgeColor(a);
-      const bColor = getEdgeColor(b);
-      if (aColor !== bColor) return aColor.localeCompare(bColor);
+function findParentGroup(
+  node: CanvasNode,
+  candidates: CanvasNode[],
+  settings: CompileSettings | undefined,
+): CanvasNode | null {
+  const mode = settings?.containment ?? 'strict';
+  const threshold = isFiniteNumber(settings?.containmentOverlap) ? settings.containmentOverlap : 0.5;
+  const tieBreak = settings?.containmentTieBreak ?? 'smallest-area';
+
+  let parent: CanvasNode | null = null;
+  let bestScore = Infinity;
+  let bestArea = Infinity;
+
+  for (const group of candidates) {
+    if (!isContainedBy(node, group, mode, threshold)) continue;
+
+    const area = getArea(group);
+    let score = area;
+    if (tieBreak === 'largest-overlap') score = -getOverlapRatio(node, group);
+    else if (tieBreak === 'nearest-center') score = getCenterDistance(node, group);
+
+    if (score < bestScore || (score === bestScore && area < bestArea)) {
+      bestScore = score;
+      bestArea = area;
+      parent = group;
     }
+  }
 
-    const aid = normalizedId(a?.id);
-    const bid = normalizedId(b?.id);
-    return aid.localeCompare(bid);
-  });
+  return parent;
+}
 
-  return edges;
+function getQueryBounds(node: CanvasNode, settings: CompileSettings | undefined): NodeBounds {
+  const bounds = getNodeBounds(node);
+  if (settings?.containment !== 'center') return bounds;
+  return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2, width: 0, height: 0 };
 }
 
-function buildHierarchy(nodes: CanvasNode[]): Map<string, CanvasNode[]> {
+function buildHierarchy(nodes: CanvasNode[], settings: CompileSettings | undefined): Hierarchy {
   const groups = nodes.filter((n) => n?.type === 'group');
   const nonGroups = nodes.filter((n) => n?.type !== 'group');
+  const index = buildSpatialIndex(groups, getNodeBounds);
 
-  const parentMap = new Map<string, CanvasNode[]>();
+  const children = new Map<string, CanvasNode[]>();
+  const parentOf = new Map<string, string>();
 
-  for (const node of nonGroups) {
-    let parent: CanvasNode | null = null;
-    let minArea = Infinity;
-
-    for (const group of groups) {
-      if (isContainedBy(node, group)) {
-        const area = (group.width || 0) * (group.height || 0);
-        if (area < minArea) {
-          minArea = area;
-          parent = group;
-        }
-      }
+  const addChild = (parent: CanvasNode, child: CanvasNode) => {
+    const parentId = normalizedId(parent.id);
+    if (!children.has(parentId)) {
+      children.set(parentId, []);
     }
+    children.get(parentId)?.push(child);
+    parentOf.set(normalizedId(child.id), parentId);
+  };
 
-    if (parent) {
-      const parentId = normalizedId(parent.id);
-      if (!parentMap.has(parentId)) {
-        parentMap.set(parentId, []);
-      }
-      parentMap.get(parentId)?.push(node);
-    }
+  for (const node of nonGroups) {
+    const parent = findParentGroup(node, index.search(getQueryBounds(node, settings)), settings);
+    if (parent) addChild(parent, node);
   }
 
   for (const childGroup of groups) {
-    let parent: CanvasNode | null = null;
-    let minArea = Infinity;
-
-    for (const parentGroup of groups) {
-      if (childGroup.id === parentGroup.id) continue;
-      if (isContainedBy(childGroup, parentGroup)) {
-        const area = (parentGroup.width || 0) * (parentGroup.height || 0);
-        if (area < minArea) {
-          minArea = area;
-          parent = parentGroup;
-        }
-      }
-    }
-
-    if (parent) {
-      const parentId = normalizedId(parent.id);
-      if (!parentMap.has(parentId)) {
-        parentMap.set(parentId, []);
-      }
-      parentMap.get(parentId)?.push(childGroup);
-    }
+    const candidates = index
+      .search(getQueryBounds(childGroup, settings))
+      .filter((g) => g !== childGroup && canNestIn(childGroup, g));
+    const parent = findParentGroup(childGroup, candidates, settings);
+    if (parent) addChild(parent, childGroup);
   }
 
-  return parentMap;
+  return { children, parentOf };
 }
 
 function flattenHierarchical(
   nodes: CanvasNode[],
-  parentMap: Map<string, CanvasNode[]>,
+  hierarchy: Hierarchy,
   settings: CompileSettings | undefined,
-  allEdges: CanvasEdge[],
+  flowIndex: Map<string, FlowGroup>,
   nodePositions: Map<string, NodePosition>,
 ): CanvasNode[] {
   const groups = nodes.filter((n) => n?.type === 'group');
@@ -421,14 +689,14 @@ function flattenHierarchical(
 
     result.push(node);
 
-    if (node.type === 'group' && parentMap.has(nodeId)) {
-      const children = parentMap.get(nodeId) || [];
-      stableSortByXY(children, settings, allEdges, nodePositions, true);
+    const children = hierarchy.children.get(nodeId);
+    if (node.type === 'group' && children) {
+      stableSortByXY(children, settings, flowIndex, nodePositions, true);
 
       const childGroups = children.filter((c) => c?.type === 'group');
       const childNonGroups = children.filter((c) => c?.type !== 'group');
 
-      stableSortByXY(childGroups, { ...settings, colorSortNodes: false }, allEdges, nodePositions, false);
+      stableSortByXY(childGroups, { ...settings, colorSortNodes: false }, flowIndex, nodePositions, false);
 
       for (const child of childNonGroups) {
         addNodeAndChildren(child);
@@ -439,28 +707,11 @@ function flattenHierarchical(
     }
   }
 
-  const rootNodes = nonGroups.filter((n) => {
-    const nodeId = normalizedId(n.id);
-    for (const [, children] of parentMap.entries()) {
-      if (children.some((c) => normalizedId(c.id) === nodeId)) {
-        return false;
-      }
-    }
-    return true;
-  });
+  const rootNodes = nonGroups.filter((n) => !hierarchy.parentOf.has(normalizedId(n.id)));
+  const rootGroups = groups.filter((g) => !hierarchy.parentOf.has(normalizedId(g.id)));
 
-  const rootGroups = groups.filter((g) => {
-    const groupId = normalizedId(g.id);
-    for (const [, children] of parentMap.entries()) {
-      if (children.some((c) => normalizedId(c.id) === groupId)) {
-        return false;
-      }
-    }
-    return true;
-  });
-
-  stableSortByXY(rootNodes, settings, allEdges, nodePositions, settings?.semanticSortOrphans);
-  stableSortByXY(rootGroups, settings, allEdges, nodePositions);
+  stableSortByXY(rootNodes, settings, flowIndex, nodePositions, settings?.semanticSortOrphans);
+  stableSortByXY(rootGroups, settings, flowIndex, nodePositions);
 
   for (const node of rootNodes) {
     addNodeAndChildren(node);
@@ -472,37 +723,204 @@ function flattenHierarchical(
   return result;
 }
 
-export function compileCanvasAll({ input, settings }: { input: CanvasData; settings?: CompileSettings }): CanvasData {
-  const nodes = Array.isArray(input?.nodes) ? input.nodes : [];
-  const edges = Array.isArray(input?.edges) ? input.edges : [];
+function alignPositions(
+  nodePositions: Map<string, NodePosition>,
+  settings: CompileSettings | undefined,
+): Map<string, NodePosition> {
+  const tolerance = settings?.alignmentTolerance;
+  if (!isFiniteNumber(tolerance) || tolerance <= 0) return nodePositions;
+
+  const columns = settings?.readingOrder === 'column-ttb' || settings?.readingOrder === 'column-btt';
+  const primary = (pos: NodePosition): number => {
+    const value = columns ? pos.x : pos.y;
+    return isFiniteNumber(value) ? value : 0;
+  };
+
+  const values = [...new Set([...nodePositions.values()].map(primary))].sort((a, b) => a - b);
+  const bands = new Map<number, number>();
+  let start = -Infinity;
+  for (const value of values) {
+    if (value - start > tolerance) start = value;
+    bands.set(value, start);
+  }
 
-  const nodeIds = new Set<string>();
-  const nodePositions = new Map<string, NodePosition>();
+  const aligned = new Map<string, NodePosition>();
+  for (const [id, pos] of nodePositions) {
+    const band = bands.get(primary(pos)) as number;
+    aligned.set(id, columns ? { ...pos, x: band } : { ...pos, y: band });
+  }
+  return aligned;
+}
+
+function snapToGrid(node: CanvasNode, grid: number, sizes: boolean): CanvasNode {
+  const snap = (value: number) => Math.round(value / grid) * grid;
+  const out: CanvasNode = { ...node };
+  for (const [start, size] of [['x', 'width'], ['y', 'height']] as const) {
+    const origin = node[start];
+    const extent = node[size];
+    if (!isFiniteNumber(origin)) continue;
+    out[start] = snap(origin);
+    if (sizes && isFiniteNumber(extent)) {
+      const snapped = snap(origin + extent) - snap(origin);
+      out[size] = extent > 0 ? Math.max(grid, snapped) : snapped;
+    }
+  }
+  return out;
+}
+
+function rebaseToOrigin(nodes: CanvasNode[], origin: CanvasPoint): CanvasNode[] {
+  let left = Infinity;
+  let top = Infinity;
+  for (const node of nodes) {
+    if (isFiniteNumber(node.x)) left = Math.min(left, node.x);
+    if (isFiniteNumber(node.y)) top = Math.min(top, node.y);
+  }
+  const dx = left === Infinity ? 0 : left - origin.x;
+  const dy = top === Infinity ? 0 : top - origin.y;
+  if (dx === 0 && dy === 0) return nodes;
+  return nodes.map((node) => {
+    const out: CanvasNode = { ...node };
+    if (isFiniteNumber(node.x)) out.x = node.x - dx;
+    if (isFiniteNumber(node.y)) out.y = node.y - dy;
+    return out;
+  });
+}
+
+function findMovedNode(before: Hierarchy, after: Hierarchy, nodes: CanvasNode[]): number {
+  return nodes.findIndex((node) => {
+    const id = normalizedId(node.id);
+    return before.parentOf.get(id) !== after.parentOf.get(id);
+  });
+}
+
+function normalizeLayout(
+  nodes: CanvasNode[],
+  settings: CompileSettings | undefined,
+  diagnostics: CanvasDiagnostic[],
+): CanvasNode[] {
+  const grid = isFiniteNumber(settings?.gridSize) && settings.gridSize > 0 ? settings.gridSize : 0;
+  const rebase = settings?.rebaseOrigin === true;
+  const origin: CanvasPoint = {
+    x: isFiniteNumber(settings?.origin?.x) ? settings.origin.x : 0,
+    y: isFiniteNumber(settings?.origin?.y) ? settings.origin.y : 0,
+  };
+  if (!grid && !rebase) return nodes;
+
+  const original = buildHierarchy(nodes, settings);
+  const keeps = (placed: CanvasNode[], code: string, step: string): boolean => {
+    const moved = findMovedNode(original, buildHierarchy(placed, settings), nodes);
+    if (moved < 0) return true;
+    const id = normalizedId(nodes[moved]?.id);
+    diagnostics.push({
+      code,
+      severity: 'warning',
+      message: `${step} would move node ${id} to another group; skipped`,
+      index: moved,
+      nodeId: id,
+    });
+    return false;
+  };
+
+  if (grid) {
+    const snapped = nodes.map((node) => snapToGrid(node, grid, settings?.snapSizes === true));
+    const placed = rebase ? rebaseToOrigin(snapped, origin) : snapped;
+    if (keeps(placed, 'layout-snap-skipped', `snapping to a ${grid}px grid`)) return placed;
+  }
+  if (rebase) {
+    const rebased = rebaseToOrigin(nodes, origin);
+    if (keeps(rebased, 'layout-rebase-skipped', 'rebasing to the origin')) return rebased;
+  }
+  return nodes;
+}
+
+function markFlowCycles(nodes: CanvasNode[], flowGroups: FlowGroup[]): CanvasNode[] {
+  const cycleOf = new Map<string, string>();
+  for (const group of flowGroups) {
+    for (const [nodeId, entry] of group.cycles) {
+      cycleOf.set(nodeId, entry);
+    }
+  }
+
+  return nodes.map((node) => {
+    const entry = cycleOf.get(normalizedId(node.id));
+    if (entry !== undefined) return { ...node, flowCycle: entry };
+    if (!('flowCycle' in node)) return node;
+    const { flowCycle: _stale, ...rest } = node;
+    return rest as CanvasNode;
+  });
+}
+
+export function compileCanvasWithDiagnostics({
+  input,
+  settings,
+}: {
+  input: CanvasData;
+  settings?: CompileSettings;
+}): { output: CanvasData | null; diagnostics: CanvasDiagnostic[] } {
+  const { canvas, diagnostics } = settings?.repair
+    ? repairCanvas(input)
+    : { canvas: input, diagnostics: collectCanvasDiagnostics(input) };
+
+  const locale = settings?.collation?.locale?.trim();
+  const localeProblem = locale ? collationLocaleProblem(locale) : null;
+  if (localeProblem) {
+    diagnostics.push({
+      code: 'invalid-locale',
+      severity: 'warning',
+      message: `${localeProblem}; sorting with ${DEFAULT_COLLATION_LOCALE}`,
+      index: -1,
+    });
+  }
+
+  if (diagnostics.some(isBlockingDiagnostic)) {
+    return { output: null, diagnostics };
+  }
+
+  const nodes = normalizeLayout(canvas.nodes ?? [], settings, diagnostics);
+  const edges = canvas.edges ?? [];
+
+  const rawPositions = new Map<string, NodePosition>();
   for (const n of nodes) {
-    const id = normalizedId(n?.id);
-    if (!id) throw new Error('node missing id');
-    if (nodeIds.has(id)) throw new Error(`duplicate node id: ${id}`);
-    nodeIds.add(id);
-    nodePositions.set(id, { x: n?.x, y: n?.y });
-  }
-
-  const edgeIds = new Set<string>();
-  for (const e of edges) {
-    const id = normalizedId(e?.id);
-    if (!id) throw new Error('edge missing id');
-    if (edgeIds.has(id)) throw new Error(`duplicate edge id: ${id}`);
-    edgeIds.add(id);
-    const fromNode = normalizedId(e?.fromNode);
-    const toNode = normalizedId(e?.toNode);
-    if (!fromNode || !toNode) throw new Error(`edge ${id} missing fromNode/toNode`);
-    if (!nodeIds.has(fromNode)) throw new Error(`edge ${id} references missing fromNode: ${fromNode}`);
-    if (!nodeIds.has(toNode)) throw new Error(`edge ${id} references missing toNode: ${toNode}`);
-  }
-
-  const parentMap = buildHierarchy(nodes);
-  const outNodes = flattenHierarchical(nodes, parentMap, settings, edges, nodePositions);
+    rawPositions.set(normalizedId(n.id), { x: n.x, y: n.y, width: n.width, height: n.height });
+  }
+  const nodePositions = alignPositions(rawPositions, settings);
+
+  const flowGraph = settings?.flowSortNodes ? buildFlowGraph(nodes, edges) : undefined;
+  const flowGroups = flowGraph ? buildFlowGroups(nodes, flowGraph, nodePositions, settings?.readingOrder) : [];
+  const hierarchy = buildHierarchy(nodes, settings);
+  const outNodes = flattenHierarchical(nodes, hierarchy, settings, indexFlowGroups(flowGroups), nodePositions);
   const outEdges = edges.slice();
-  stableEdgeSortByTopology(outEdges, nodePositions, settings, nodes);
+  stableEdgeSortByTopology(outEdges, nodePositions, settings, flowGroups);
 
-  return { nodes: outNodes, edges: outEdges };
+  const marked = settings?.flowSortNodes && settings?.markFlowCycles ? markFlowCycles(outNodes, flowGroups) : outNodes;
+
+  return { output: { nodes: marked, edges: outEdges }, diagnostics };
+}
+
+export function buildCanvasStructure(canvas: CanvasData, settings?: CompileSettings): CanvasStructure {
+  const nodes = canvas.nodes ?? [];
+  const rawPositions = new Map<string, NodePosition>();
+  for (const n of nodes) {
+    rawPositions.set(normalizedId(n.id), { x: n.x, y: n.y, width: n.width, height: n.height });
+  }
+  const nodePositions = alignPositions(rawPositions, settings);
+
+  const flows = new Map<string, { flow: number; depth: number }>();
+  const flowGroups = buildFlowGroups(nodes, buildFlowGraph(nodes, canvas.edges ?? []), nodePositions, settings?.readingOrder);
+  flowGroups.forEach((group, flow) => {
+    for (const [nodeId, depth] of group.flowOrder) {
+      flows.set(nodeId, { flow, depth });
+    }
+  });
+
+  return { parentOf: buildHierarchy(nodes, settings).parentOf, flows };
+}
+
+export function compileCanvasAll({ input, settings }: { input: CanvasData; settings?: CompileSettings }): CanvasData {
+  const { output, diagnostics } = compileCanvasWithDiagnostics({ input, settings });
+  if (!output) {
+    const blocking = diagnostics.find(isBlockingDiagnostic);
+    throw new Error(blocking?.message ?? 'invalid canvas');
+  }
+  return output;
 }
@@ -1,16 +1,50 @@
-import type { CanvasData, CanvasEdge, CanvasNode, CompileSettings } from './types';
-import { normalizedId } from './shared';
+import type {
+  CanvasData,
+  CanvasEdge,
+  CanvasEmbedOptions,
+  CanvasNode,
+  CanvasStructure,
+  CompileSettings,
+  EdgeDirection,
+  EmbedSkipReason,
+  NestOptions,
+} from './types';
+import {
+  DEFAULT_BASE_IRI,
+  getColorHex,
+  getEdgeLabel,
+  getPresetColorName,
+  normalizeColor,
+  normalizedId,
+  parseSemanticId,
+} from './shared';
 
 type StripSettings = CompileSettings & { stripEdgesWhenFlowSorted?: boolean; flowSort?: boolean };
 
+type EmbeddedEdge = {
+  node: string;
+  label?: unknown;
+  direction?: EdgeDirection;
+  color?: string;
+  colorMeaning?: string;
+};
+
 export function stripCanvasMetadata(input: CanvasData, settings?: StripSettings): CanvasData {
   const inputEdges = Array.isArray(input?.edges) ? input.edges : [];
+  const folding = settings?.edgeFolding ?? 'labeled';
 
-  const labeledEdges = inputEdges.filter((edge) => 'label' in edge && edge.label !== undefined);
-  const unlabeledEdges = inputEdges.filter((edge) => !('label' in edge) || edge.label === undefined);
+  const foldedEdges = folding === 'keep' ? [] : folding === 'labeled' ? inputEdges.filter(hasEdgeLabel) : inputEdges;
+  const keptEdges = folding === 'keep'
+    ? inputEdges
+    : folding === 'labeled'
+      ? inputEdges.filter((edge) => !hasEdgeLabel(edge))
+      : [];
 
-  const nodeFromEdges = processLabeledEdges(labeledEdges, 'from');
-  const nodeToEdges = processLabeledEdges(labeledEdges, 'to');
+  const nodeFromEdges = folding === 'labeled' || folding === 'all'
+    ? foldEdges(foldedEdges, 'from', settings)
+    : new Map<string, EmbeddedEdge[]>();
+  const nodeToEdges = foldEdges(foldedEdges, 'to', settings);
+  const embedEdges = folding !== 'adjacency';
 
   const nodes = Array.isArray(input?.nodes)
     ? input.nodes.map((node) => {
@@ -18,16 +52,17 @@ export function stripCanvasMetadata(input: CanvasData, settings?: StripSettings)
 
         if ('text' in node && node.text !== undefined) stripped.text = node.text;
         if ('file' in node && node.file !== undefined) stripped.file = node.file;
+        if ('subpath' in node && node.subpath !== undefined) stripped.subpath = node.subpath;
         if ('url' in node && node.url !== undefined) stripped.url = node.url;
         if ('label' in node && node.label !== undefined) stripped.label = node.label;
 
-        if ('color' in node && isCustomColor(node.color)) stripped.color = node.color;
+        if ('color' in node) exportColor(stripped, node.color, settings);
 
         const nodeId = normalizedId(node.id);
-        if (nodeFromEdges.has(nodeId)) {
+        if (embedEdges && nodeFromEdges.has(nodeId)) {
           stripped.from = nodeFromEdges.get(nodeId);
         }
-        if (nodeToEdges.has(nodeId)) {
+        if (embedEdges && nodeToEdges.has(nodeId)) {
           stripped.to = nodeToEdges.get(nodeId);
         }
 
@@ -35,65 +70,552 @@ export function stripCanvasMetadata(input: CanvasData, settings?: StripSettings)
       })
     : [];
 
-  const shouldStripEdges = settings?.flowSort || settings?.stripEdgesWhenFlowSorted;
+  const shouldStripEdges = folding === 'labeled' && (settings?.flowSort || settings?.stripEdgesWhenFlowSorted);
 
   const edges = shouldStripEdges
     ? []
-    : unlabeledEdges.map((edge) => {
-        const stripped: CanvasEdge = {
-          id: edge.id,
-          fromNode: edge.fromNode,
-          toNode: edge.toNode,
-        };
+    : keptEdges.map((edge) => {
+        const [fromNode, arrow, toNode] = orientEdge(edge);
+        const stripped: CanvasEdge = { id: edge.id, fromNode, toNode };
 
-        if ('color' in edge && isCustomColor(edge.color)) stripped.color = edge.color;
+        if (hasEdgeLabel(edge)) stripped.label = edge.label;
+        const direction = EDGE_DIRECTIONS[arrow];
+        if (direction) stripped.direction = direction;
+        if ('color' in edge) exportColor(stripped, edge.color, settings);
 
         return stripped;
       });
 
-  return { nodes, edges };
+  if (folding !== 'adjacency') return { nodes, edges };
+
+  const adjacency: Record<string, EmbeddedEdge[]> = {};
+  for (const node of nodes) {
+    const nodeId = normalizedId(node.id);
+    adjacency[nodeId] = nodeToEdges.get(nodeId) ?? [];
+  }
+  return { nodes, edges, adjacency };
+}
+
+const EDGE_DIRECTIONS: Record<EdgeArrow, EdgeDirection | undefined> = { '→': undefined, '↔': 'both', '—': 'none' };
+
+function hasEdgeLabel(edge: CanvasEdge): boolean {
+  return 'label' in edge && edge.label !== undefined;
 }
 
-function processLabeledEdges(
-  labeledEdges: CanvasEdge[],
+function foldEdges(
+  edges: CanvasEdge[],
   direction: 'from' | 'to',
-): Map<string, Array<{ node: string; label: unknown; color?: string }>> {
-  const nodeEdgesMap = new Map<string, Array<{ node: string; label: unknown; color?: string }>>();
+  settings?: StripSettings,
+): Map<string, EmbeddedEdge[]> {
+  const nodeEdgesMap = new Map<string, EmbeddedEdge[]>();
 
-  for (const edge of labeledEdges) {
-    const fromId = normalizedId(edge.fromNode);
-    const toId = normalizedId(edge.toNode);
-    const color = isCustomColor(edge.color) ? edge.color : undefined;
+  for (const edge of edges) {
+    const [source, arrow, target] = orientEdge(edge);
+    const [owner, other] = direction === 'to' ? [source, target] : [target, source];
 
-    if (direction === 'to') {
-      if (!nodeEdgesMap.has(fromId)) {
-        nodeEdgesMap.set(fromId, []);
-      }
-      const out: { node: string; label: unknown; color?: string } = {
-        node: toId,
-        label: edge.label,
-      };
-      if (color) out.color = color;
-      nodeEdgesMap.get(fromId)?.push(out);
-    } else if (direction === 'from') {
-      if (!nodeEdgesMap.has(toId)) {
-        nodeEdgesMap.set(toId, []);
-      }
-      const out: { node: string; label: unknown; color?: string } = {
-        node: fromId,
-        label: edge.label,
-      };
-      if (color) out.color = color;
-      nodeEdgesMap.get(toId)?.push(out);
+    if (!nodeEdgesMap.has(owner)) {
+      nodeEdgesMap.set(owner, []);
     }
+    const out: EmbeddedEdge = { node: other };
+    if (hasEdgeLabel(edge)) out.label = edge.label;
+    const folded = EDGE_DIRECTIONS[arrow];
+    if (folded) out.direction = folded;
+    exportColor(out, edge.color, settings);
+    nodeEdgesMap.get(owner)?.push(out);
   }
 
   return nodeEdgesMap;
 }
 
+function exportColor(target: Record<string, unknown>, value: unknown, settings?: StripSettings): void {
+  const mode = settings?.presetColors ?? 'drop';
+  if (mode === 'drop') {
+    if (isCustomColor(value)) target.color = value;
+    return;
+  }
+
+  const color = normalizeColor(value);
+  const name = getPresetColorName(color);
+  if (name) target.color = name;
+  else if (isCustomColor(color)) target.color = color;
+
+  const meanings = settings?.colorMeanings;
+  if (mode === 'meaning' && meanings && Object.prototype.hasOwnProperty.call(meanings, color)) {
+    target.colorMeaning = meanings[color];
+  }
+}
+
 function isCustomColor(value: unknown): value is string {
   if (typeof value !== 'string') return false;
   const v = value.trim();
   if (!v) return false;
   return !/^\d+$/.test(v);
 }
+
+type NestedItem = CanvasNode | { sequence: CanvasNode[] };
+
+export function nestPureExport(pure: CanvasData, structure: CanvasStructure, options?: NestOptions): CanvasData {
+  const scopes = groupByScope(Array.isArray(pure.nodes) ? pure.nodes : [], structure.parentOf);
+
+  const build = (scope: string): NestedItem[] => {
+    const members = (scopes.get(scope) ?? []).map((node) =>
+      node.type === 'group' ? { ...node, children: build(normalizedId(node.id)) } : node,
+    );
+    return options?.sequences ? groupSequences(members, structure) : members;
+  };
+
+  return { ...pure, nodes: build('') as CanvasNode[] };
+}
+
+export function recordGroupParents(pure: CanvasData, structure: CanvasStructure): CanvasData {
+  const nodes = Array.isArray(pure.nodes) ? pure.nodes : [];
+  const ids = new Set(nodes.map((node) => normalizedId(node.id)));
+  return {
+    ...pure,
+    nodes: nodes.map((node) => {
+      if (node.type !== 'group') return node;
+      const parent = structure.parentOf.get(normalizedId(node.id));
+      return parent !== undefined && ids.has(parent) ? { ...node, parent } : node;
+    }),
+  };
+}
+
+function groupByScope(nodes: CanvasNode[], parentOf: Map<string, string>): Map<string, CanvasNode[]> {
+  const ids = new Set(nodes.map((node) => normalizedId(node.id)));
+  const scopes = new Map<string, CanvasNode[]>();
+  for (const node of nodes) {
+    const parent = parentOf.get(normalizedId(node.id));
+    const scope = parent !== undefined && ids.has(parent) ? parent : '';
+    const members = scopes.get(scope) ?? [];
+    members.push(node);
+    scopes.set(scope, members);
+  }
+  return scopes;
+}
+
+function groupSequences(members: CanvasNode[], structure: CanvasStructure): NestedItem[] {
+  const flowOf = (node: CanvasNode) => structure.flows.get(normalizedId(node.id));
+  const counts = new Map<number, number>();
+  for (const node of members) {
+    const flow = flowOf(node)?.flow;
+    if (flow !== undefined) counts.set(flow, (counts.get(flow) ?? 0) + 1);
+  }
+
+  const items: NestedItem[] = [];
+  const sequences = new Map<number, CanvasNode[]>();
+  for (const node of members) {
+    const flow = flowOf(node)?.flow;
+    if (flow === undefined || (counts.get(flow) ?? 0) < 2) {
+      items.push(node);
+      continue;
+    }
+    const sequence = sequences.get(flow);
+    if (sequence) {
+      sequence.push(node);
+    } else {
+      sequences.set(flow, [node]);
+      items.push({ sequence: sequences.get(flow) as CanvasNode[] });
+    }
+  }
+
+  for (const sequence of sequences.values()) {
+    sequence.sort((a, b) => (flowOf(a)?.depth ?? 0) - (flowOf(b)?.depth ?? 0));
+  }
+  return items;
+}
+
+export function isCanvasFileNode(node: CanvasNode): node is CanvasNode & { file: string } {
+  return node?.type === 'file' && typeof node.file === 'string' && /\.canvas$/i.test(node.file);
+}
+
+export async function embedCanvasFiles(pure: CanvasData, options: CanvasEmbedOptions): Promise<CanvasData> {
+  return embedLevel(pure, options, [options.path]);
+}
+
+async function embedLevel(pure: CanvasData, options: CanvasEmbedOptions, stack: string[]): Promise<CanvasData> {
+  if (!Array.isArray(pure.nodes)) return pure;
+  return { ...pure, nodes: await embedItems(pure.nodes, options, stack) };
+}
+
+async function embedItems<T>(items: T[], options: CanvasEmbedOptions, stack: string[]): Promise<T[]> {
+  const out: T[] = [];
+  for (const item of items) {
+    const node = item as CanvasNode;
+    const { sequence, children } = node;
+    if (Array.isArray(sequence) && !('id' in node)) {
+      out.push({ ...(item as CanvasNode), sequence: await embedItems(sequence, options, stack) } as T);
+    } else if (isCanvasFileNode(node)) {
+      out.push((await embedNode(node, options, stack)) as T);
+    } else if (Array.isArray(children)) {
+      out.push({ ...(item as CanvasNode), children: await embedItems(children, options, stack) } as T);
+    } else {
+      out.push(item);
+    }
+  }
+  return out;
+}
+
+async function embedNode(
+  node: CanvasNode & { file: string },
+  options: CanvasEmbedOptions,
+  stack: string[],
+): Promise<CanvasNode> {
+  const skip = (reason: EmbedSkipReason): CanvasNode => ({ ...node, embedSkipped: reason });
+  const target = options.resolvePath(node.file);
+  if (stack.includes(target)) return skip('cycle');
+  if (stack.length > options.maxDepth) return skip('max-depth');
+
+  let child: CanvasData;
+  try {
+    const canvas = await options.readCanvas(target);
+    if (!canvas) return skip('not-found');
+    child = options.exportCanvas(canvas);
+  } catch {
+    return skip('invalid');
+  }
+  return { ...node, children: await embedLevel(child, options, [...stack, target]) };
+}
+
+export function exportMarkdownOutline(compiled: CanvasData, structure: CanvasStructure): string {
+  const nodes = Array.isArray(compiled.nodes) ? compiled.nodes : [];
+  const byId = new Map(nodes.map((node) => [normalizedId(node.id), node]));
+  const relations = new Map<string, string[]>();
+
+  for (const edge of Array.isArray(compiled.edges) ? compiled.edges : []) {
+    const label = getEdgeLabel(edge);
+    if (!label) continue;
+    const [source, arrow, target] = orientEdge(edge);
+    const targetNode = byId.get(target);
+    if (!byId.has(source) || !targetNode) continue;
+    const bullets = relations.get(source) ?? [];
+    bullets.push(`- ${arrow} ${label}: ${getMarkdownTitle(targetNode)}`);
+    relations.set(source, bullets);
+  }
+
+  const depthOf = (id: string): number => {
+    let depth = 0;
+    let parent = structure.parentOf.get(id);
+    while (parent !== undefined && byId.has(parent)) {
+      depth++;
+      parent = structure.parentOf.get(parent);
+    }
+    return depth;
+  };
+
+  const blocks: string[] = [];
+  for (const node of nodes) {
+    const id = normalizedId(node.id);
+    const body =
+      node.type === 'group'
+        ? `${'#'.repeat(Math.min(depthOf(id) + 1, 6))} ${getMarkdownTitle(node)}`
+        : getMarkdownBody(node);
+    if (body) blocks.push(body);
+    const bullets = relations.get(id);
+    if (bullets) blocks.push(bullets.join('\n'));
+  }
+
+  return blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '';
+}
+
+type EdgeArrow = '→' | '↔' | '—';
+
+function orientEdge(edge: CanvasEdge): [string, EdgeArrow, string] {
+  const fromNode = normalizedId(edge.fromNode);
+  const toNode = normalizedId(edge.toNode);
+  const fromArrow = edge.fromEnd === 'arrow';
+  const toArrow = edge.toEnd === 'arrow' || edge.toEnd === undefined;
+  if (fromArrow && toArrow) return [fromNode, '↔', toNode];
+  if (fromArrow) return [toNode, '→', fromNode];
+  return [fromNode, toArrow ? '→' : '—', toNode];
+}
+
+function getMarkdownBody(node: CanvasNode): string {
+  if (node.type === 'text') return typeof node.text === 'string' ? node.text.trim() : '';
+  if (node.type === 'file' || node.type === 'link') return getMarkdownTitle(node);
+  return '';
+}
+
+function getMarkdownTitle(node: CanvasNode): string {
+  if (node.type === 'file' && typeof node.file === 'string') {
+    const subpath = typeof node.subpath === 'string' ? node.subpath : '';
+    return `[[${node.file.replace(/\.md$/i, '')}${subpath}]]`;
+  }
+  if (node.type === 'link' && typeof node.url === 'string') {
+    return `<${node.url}>`;
+  }
+  return getNodeTitle(node);
+}
+
+const MERMAID_LINKS: Record<EdgeArrow, string> = { '→': '-->', '↔': '<-->', '—': '---' };
+const DOT_DIRECTIONS: Record<EdgeArrow, string> = { '→': 'forward', '↔': 'both', '—': 'none' };
+
+export function exportMermaidFlowchart(compiled: CanvasData, structure: CanvasStructure): string {
+  const nodes = Array.isArray(compiled.nodes) ? compiled.nodes : [];
+  const scopes = groupByScope(nodes, structure.parentOf);
+  const refs = createMermaidIds(nodes);
+  const lines = ['flowchart TB'];
+  const styles: string[] = [];
+
+  const walk = (scope: string, depth: number) => {
+    const indent = '  '.repeat(depth);
+    for (const node of scopes.get(scope) ?? []) {
+      const id = normalizedId(node.id);
+      const ref = refs.get(id) ?? id;
+      const label = escapeMermaid(getNodeTitle(node));
+      if (node.type === 'group') {
+        lines.push(`${indent}subgraph ${ref}["${label}"]`);
+        walk(id, depth + 1);
+        lines.push(`${indent}end`);
+      } else if (node.type === 'file') {
+        lines.push(`${indent}${ref}[["${label}"]]`);
+      } else if (node.type === 'link') {
+        lines.push(`${indent}${ref}(["${label}"])`);
+      } else {
+        lines.push(`${indent}${ref}["${label}"]`);
+      }
+      const hex = getColorHex(node.color);
+      if (hex) styles.push(`  style ${ref} stroke:${hex}`);
+    }
+  };
+  walk('', 1);
+
+  let link = 0;
+  for (const edge of Array.isArray(compiled.edges) ? compiled.edges : []) {
+    const [source, arrow, target] = orientEdge(edge);
+    const sourceRef = refs.get(source);
+    const targetRef = refs.get(target);
+    if (!sourceRef || !targetRef) continue;
+    const label = getEdgeLabel(edge);
+    const text = label ? `|"${escapeMermaid(label)}"|` : '';
+    lines.push(`  ${sourceRef} ${MERMAID_LINKS[arrow]}${text} ${targetRef}`);
+    const hex = getColorHex(edge.color);
+    if (hex) styles.push(`  linkStyle ${link} stroke:${hex}`);
+    link++;
+  }
+
+  return [...lines, ...styles].join('\n') + '\n';
+}
+
+function createMermaidIds(nodes: CanvasNode[]): Map<string, string> {
+  const refs = new Map<string, string>();
+  const used = new Set<string>();
+  for (const node of nodes) {
+    const id = normalizedId(node.id);
+    const base = `n_${id.replace(/[^A-Za-z0-9_]/g, '_')}`;
+    let ref = base;
+    for (let n = 2; used.has(ref); n++) ref = `${base}_${n}`;
+    used.add(ref);
+    refs.set(id, ref);
+  }
+  return refs;
+}
+
+function escapeMermaid(text: string): string {
+  return text.replace(/"/g, '#quot;').replace(/\r?\n/g, '<br/>');
+}
+
+export function exportDotGraph(compiled: CanvasData, structure: CanvasStructure): string {
+  const nodes = Array.isArray(compiled.nodes) ? compiled.nodes : [];
+  const scopes = groupByScope(nodes, structure.parentOf);
+  const byId = new Map(nodes.map((node) => [normalizedId(node.id), node]));
+  const edges = (Array.isArray(compiled.edges) ? compiled.edges : [])
+    .map((edge) => ({ edge, oriented: orientEdge(edge) }))
+    .filter(({ oriented: [source, , target] }) => byId.has(source) && byId.has(target));
+  const anchored = new Set(
+    edges
+      .flatMap(({ oriented: [source, , target] }) => [source, target])
+      .filter((id) => byId.get(id)?.type === 'group'),
+  );
+  const lines = ['digraph canvas {', '  compound=true;', '  node [shape=box];'];
+
+  const walk = (scope: string, depth: number) => {
+    const indent = '  '.repeat(depth);
+    for (const node of scopes.get(scope) ?? []) {
+      const id = normalizedId(node.id);
+      const hex = getColorHex(node.color);
+      if (node.type !== 'group') {
+        const attrs = [`label=${quoteDot(getNodeTitle(node))}`];
+        if (node.type === 'file') attrs.push('shape=note');
+        if (node.type === 'link') attrs.push('style=rounded');
+        if (hex) attrs.push(`color=${quoteDot(hex)}`);
+        lines.push(`${indent}${quoteDot(id)} [${attrs.join(', ')}];`);
+        continue;
+      }
+      lines.push(`${indent}subgraph ${quoteDot(`cluster_${id}`)} {`);
+      lines.push(`${indent}  label=${quoteDot(getNodeTitle(node))};`);
+      if (hex) lines.push(`${indent}  color=${quoteDot(hex)};`);
+      if (anchored.has(id)) lines.push(`${indent}  ${quoteDot(id)} [shape=point, style=invis, label=""];`);
+      walk(id, depth + 1);
+      lines.push(`${indent}}`);
+    }
+  };
+  walk('', 1);
+
+  for (const { edge, oriented: [source, arrow, target] } of edges) {
+    const attrs: string[] = [];
+    const label = getEdgeLabel(edge);
+    if (label) attrs.push(`label=${quoteDot(label)}`);
+    if (arrow !== '→') attrs.push(`dir=${DOT_DIRECTIONS[arrow]}`);
+    const hex = getColorHex(edge.color);
+    if (hex) attrs.push(`color=${quoteDot(hex)}`);
+    if (anchored.has(source)) attrs.push(`ltail=${quoteDot(`cluster_${source}`)}`);
+    if (anchored.has(target)) attrs.push(`lhead=${quoteDot(`cluster_${target}`)}`);
+    const suffix = attrs.length > 0 ? ` [${attrs.join(', ')}]` : '';
+    lines.push(`  ${quoteDot(source)} -> ${quoteDot(target)}${suffix};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function quoteDot(text: string): string {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+function getNodeTitle(node: CanvasNode): string {
+  if (node.type === 'group' && typeof node.label === 'string' && node.label.trim()) {
+    return node.label.trim();
+  }
+  if (node.type === 'text' && typeof node.text === 'string') {
+    const line = node.text.split('\n').find((candidate) => candidate.trim());
+    if (line) return line.replace(/^\s*#+\s*/, '').trim();
+  }
+  if (node.type === 'file' && typeof node.file === 'string') {
+    return `${node.file}${typeof node.subpath === 'string' ? node.subpath : ''}`;
+  }
+  if (node.type === 'link' && typeof node.url === 'string') {
+    return node.url;
+  }
+  return normalizedId(node.id);
+}
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const RDF_LITERAL_KEYS = ['text', 'file', 'subpath', 'url', 'label'];
+
+interface RdfRef {
+  iri: string;
+  compact: string;
+}
+
+type RdfValue = RdfRef | { literal: string };
+
+interface RdfSubject {
+  ref: RdfRef;
+  properties: [string, RdfValue][];
+}
+
+interface CanvasGraph {
+  vocab: string;
+  prefixes: Map<string, string>;
+  subjects: RdfSubject[];
+}
+
+function buildCanvasGraph(compiled: CanvasData, structure: CanvasStructure, settings?: CompileSettings): CanvasGraph {
+  const base = settings?.baseIri || DEFAULT_BASE_IRI;
+  const vocab = `${base}vocab/`;
+  const nodes = Array.isArray(compiled.nodes) ? compiled.nodes : [];
+  const prefixes = new Map<string, string>();
+  const prefixed = new Map<string, RdfRef[]>();
+  const refs = new Map<string, RdfRef>();
+
+  const entries = nodes.map((node) => {
+    const id = normalizedId(node.id);
+    const semantic = parseSemanticId(id);
+    let ref: RdfRef;
+    if (semantic) {
+      const namespace = `${base}${semantic.type}/`;
+      const local = semantic.segments.join('/');
+      ref = { iri: `${namespace}${local}`, compact: `${semantic.type}:${local}` };
+      prefixes.set(semantic.type, namespace);
+      prefixed.set(semantic.type, [...(prefixed.get(semantic.type) ?? []), ref]);
+    } else {
+      const iri = `${base}${encodeURIComponent(id)}`;
+      ref = { iri, compact: iri };
+    }
+    refs.set(id, ref);
+    return { node, id, ref };
+  });
+
+  const byId = new Map<string, RdfSubject>();
+  const subjects = entries.map(({ node, id, ref }) => {
+    const type = typeof node.type === 'string' && node.type ? node.type : 'node';
+    const iri = `${vocab}${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+    const properties: [string, RdfValue][] = [['@type', { iri, compact: iri }]];
+    for (const key of RDF_LITERAL_KEYS) {
+      const value = node[key];
+      if (typeof value === 'string' && value !== '') properties.push([key, { literal: value }]);
+    }
+    const parent = refs.get(structure.parentOf.get(id) ?? '');
+    if (parent) properties.push(['partOf', parent]);
+    const subject = { ref, properties };
+    byId.set(id, subject);
+    return subject;
+  });
+
+  for (const edge of Array.isArray(compiled.edges) ? compiled.edges : []) {
+    const [source, arrow, target] = orientEdge(edge);
+    const from = byId.get(source);
+    const to = byId.get(target);
+    if (!from || !to) continue;
+    const predicate = toPredicateName(getEdgeLabel(edge));
+    from.properties.push([predicate, to.ref]);
+    if (arrow === '↔') to.properties.push([predicate, from.ref]);
+  }
+
+  const terms = new Set(subjects.flatMap((subject) => subject.properties.map(([key]) => key)));
+  terms.add(base.slice(0, base.indexOf(':')));
+  for (const [type, typeRefs] of prefixed) {
+    if (!terms.has(type)) continue;
+    prefixes.delete(type);
+    for (const ref of typeRefs) ref.compact = ref.iri;
+  }
+
+  return { vocab, prefixes, subjects };
+}
+
+function toPredicateName(label: string): string {
+  const words = label.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (words.length === 0) return 'linksTo';
+  return words
+    .map((word, index) => (index === 0 ? word.charAt(0).toLowerCase() : word.charAt(0).toUpperCase()) + word.slice(1))
+    .join('');
+}
+
+export function exportJsonLd(
+  compiled: CanvasData,
+  structure: CanvasStructure,
+  settings?: CompileSettings,
+): Record<string, unknown> {
+  const { vocab, prefixes, subjects } = buildCanvasGraph(compiled, structure, settings);
+  const context: Record<string, string> = { '@vocab': vocab };
+  for (const prefix of [...prefixes.keys()].sort()) context[prefix] = prefixes.get(prefix) ?? '';
+
+  const graph = subjects.map(({ ref, properties }) => {
+    const entry: Record<string, unknown> = { '@id': ref.compact };
+    for (const [key, value] of properties) {
+      const item =
+        'literal' in value ? value.literal : key === '@type' ? value.iri.slice(vocab.length) : { '@id': value.compact };
+      entry[key] = key in entry ? ([] as unknown[]).concat(entry[key], item) : item;
+    }
+    return entry;
+  });
+
+  return { '@context': context, '@graph': graph };
+}
+
+export function exportNTriples(compiled: CanvasData, structure: CanvasStructure, settings?: CompileSettings): string {
+  const { vocab, subjects } = buildCanvasGraph(compiled, structure, settings);
+  const lines: string[] = [];
+  for (const { ref, properties } of subjects) {
+    for (const [key, value] of properties) {
+      const predicate = key === '@type' ? RDF_TYPE : `${vocab}${key}`;
+      const object = 'literal' in value ? quoteNTriplesLiteral(value.literal) : `<${value.iri}>`;
+      lines.push(`<${ref.iri}> <${predicate}> ${object} .`);
+    }
+  }
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+function quoteNTriplesLiteral(text: string): string {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+}
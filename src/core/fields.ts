@@ -0,0 +1,208 @@
+import type { CanvasData, CanvasNode, CanvasStructure } from './types';
+import { normalizedId } from './shared';
+
+type PureRecord = Record<string, unknown>;
+
+const FIELD_LINE = /^\*\*([^*\n]+?)\*\*:[ \t]*(.*)$/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+const JSON_FENCE = /^```json[ \t]*\n([\s\S]*?)\n?```$/i;
+const EMPTY_JSON_FENCE = /^```json[ \t]*\n\s*```[ \t]*\n([\s\S]+)$/i;
+const JSON_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+export function parseStructuredText(text: string): unknown {
+  const source = String(text ?? '').replace(/\r\n?/g, '\n').trim();
+  if (!source) return undefined;
+
+  const lines = source.split('\n');
+  if (FIELD_LINE.test(lines[0] ?? '')) return parseFields(lines);
+
+  const json = parseJsonFence(source);
+  if (json !== undefined) return json;
+
+  if (lines.every((line) => LIST_ITEM.test(line))) return lines.map(parseListItem);
+  return undefined;
+}
+
+function parseFields(lines: string[]): PureRecord {
+  const record: PureRecord = {};
+  let key: string | null = null;
+  let value: string[] = [];
+  const flush = () => {
+    if (key !== null) record[key] = parseFieldValue(value);
+  };
+
+  for (const line of lines) {
+    const match = FIELD_LINE.exec(line);
+    if (match) {
+      flush();
+      key = (match[1] ?? '').trim();
+      value = [match[2] ?? ''];
+    } else {
+      value.push(line);
+    }
+  }
+  flush();
+  return record;
+}
+
+function parseFieldValue(lines: string[]): unknown {
+  const items = lines.slice(1).filter((line) => line.trim());
+  if (!lines[0]?.trim() && items.length > 0 && items.every((line) => LIST_ITEM.test(line))) {
+    return items.map(parseListItem);
+  }
+
+  const value = lines.join('\n').trim();
+  const json = parseJsonFence(value);
+  return json !== undefined ? json : parseScalar(value);
+}
+
+function parseListItem(line: string): unknown {
+  return parseScalar(LIST_ITEM.exec(line)?.[1] ?? '');
+}
+
+function parseJsonFence(text: string): unknown {
+  const match = EMPTY_JSON_FENCE.exec(text) ?? JSON_FENCE.exec(text);
+  if (!match) return undefined;
+  try {
+    return JSON.parse(match[1] ?? '') as unknown;
+  } catch {
+    return undefined;
+  }
+}
+
+function parseScalar(text: string): unknown {
+  const value = text.trim();
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1 && !value.includes('\n')) {
+    try {
+      return JSON.parse(value) as unknown;
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (value === 'null') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (JSON_NUMBER.test(value)) return Number(value);
+  return value;
+}
+
+export function structureTextFields(pure: CanvasData, structure: CanvasStructure): CanvasData {
+  const nodes = (Array.isArray(pure.nodes) ? pure.nodes : []).map((node): CanvasNode => {
+    if (node.type !== 'text' || typeof node.text !== 'string') return node;
+    const data = parseStructuredText(node.text);
+    if (data === undefined) return node;
+    return Object.fromEntries(
+      Object.entries(node).map(([key, value]) => (key === 'text' ? ['data', data] : [key, value])),
+    ) as CanvasNode;
+  });
+
+  const membersOf = new Map<string, CanvasNode[]>();
+  for (const node of nodes) {
+    const parent = structure.parentOf.get(normalizedId(node.id));
+    if (parent === undefined) continue;
+    const members = membersOf.get(parent) ?? [];
+    members.push(node);
+    membersOf.set(parent, members);
+  }
+
+  const referenced = collectEdgeEndpoints(pure, nodes);
+  const records = new Map<string, PureRecord | null>();
+  const collapsed = new Set<string>();
+  const fold = (group: CanvasNode): void => {
+    const id = normalizedId(group.id);
+    if (records.has(id)) return;
+    const members = membersOf.get(id) ?? [];
+    for (const member of members) {
+      if (member.type === 'group') fold(member);
+    }
+    const record = mergeRecord(members, referenced, records);
+    records.set(id, record);
+    if (record) for (const member of members) collapsed.add(normalizedId(member.id));
+  };
+  for (const node of nodes) {
+    if (node.type === 'group') fold(node);
+  }
+
+  const out: CanvasData = {
+    ...pure,
+    nodes: nodes
+      .filter((node) => !collapsed.has(normalizedId(node.id)))
+      .map((node) => {
+        const record = records.get(normalizedId(node.id));
+        return record ? { ...node, record } : node;
+      }),
+  };
+  const { adjacency } = pure as CanvasData & { adjacency?: unknown };
+  if (isPlainObject(adjacency)) {
+    return { ...out, adjacency: Object.fromEntries(Object.entries(adjacency).filter(([id]) => !collapsed.has(id))) } as CanvasData;
+  }
+  return out;
+}
+
+function collectEdgeEndpoints(pure: CanvasData, nodes: CanvasNode[]): Set<string> {
+  const ids = new Set<string>();
+  for (const edge of Array.isArray(pure.edges) ? pure.edges : []) {
+    ids.add(normalizedId(edge.fromNode));
+    ids.add(normalizedId(edge.toNode));
+  }
+  for (const node of nodes) {
+    for (const ref of [...toRecords(node.from), ...toRecords(node.to)]) ids.add(normalizedId(ref.node));
+  }
+  const { adjacency } = pure as CanvasData & { adjacency?: unknown };
+  for (const [id, refs] of Object.entries(isPlainObject(adjacency) ? adjacency : {})) {
+    const targets = toRecords(refs);
+    if (targets.length > 0) ids.add(id);
+    for (const ref of targets) ids.add(normalizedId(ref.node));
+  }
+  return ids;
+}
+
+const ARRAY_ITEM_LABEL = /^(.+?)\[(\d+)\](?:: .*)?$/;
+
+function mergeRecord(
+  members: CanvasNode[],
+  referenced: Set<string>,
+  records: Map<string, PureRecord | null>,
+): PureRecord | null {
+  if (members.length === 0) return null;
+  const record: PureRecord = {};
+  const items = new Map<string, Array<[number, PureRecord]>>();
+  const add = (key: string, value: unknown): boolean => {
+    if (Object.prototype.hasOwnProperty.call(record, key)) return false;
+    record[key] = value;
+    return true;
+  };
+  for (const member of members) {
+    if (referenced.has(normalizedId(member.id))) return null;
+    if (member.type === 'group') {
+      const nested = records.get(normalizedId(member.id));
+      if (!nested || typeof member.label !== 'string') return null;
+      const item = ARRAY_ITEM_LABEL.exec(member.label);
+      if (!item || item[1] === undefined) {
+        if (!add(member.label, nested)) return null;
+        continue;
+      }
+      const entries = items.get(item[1]) ?? [];
+      entries.push([Number(item[2]), nested]);
+      items.set(item[1], entries);
+      continue;
+    }
+    if (!isPlainObject(member.data)) return null;
+    for (const [key, value] of Object.entries(member.data)) {
+      if (!add(key, value)) return null;
+    }
+  }
+  for (const [key, entries] of items) {
+    entries.sort((a, b) => a[0] - b[0]);
+    if (entries.some(([index], i) => index !== i + 1)) return null;
+    if (!add(key, entries.map(([, value]) => value))) return null;
+  }
+  return record;
+}
+
+function toRecords(value: unknown): PureRecord[] {
+  return Array.isArray(value) ? (value as unknown[]).filter(isPlainObject) : [];
+}
+
+function isPlainObject(value: unknown): value is PureRecord {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
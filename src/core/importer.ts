@@ -1,5 +1,5 @@
-import type { CanvasData, CanvasNode, CanvasEdge } from './types';
-import { generateRainbowGradient, generateHierarchicalColors } from './shared';
+import type { CanvasData, CanvasNode, CanvasEdge, DataSection, ImportOptions } from './types';
+import { generateRainbowGradient, generateHierarchicalColors, getPresetColorIndex, normalizedId, stableHashId } from './shared';
 
 const LAYOUT = {
   cols: 6,
@@ -10,6 +10,8 @@ const LAYOUT = {
   cardGap: 100,
   groupPadding: 20,
   headerHeight: 80,
+  maxDepth: 3,
+  maxDepthLimit: 6,
 };
 
 interface CardField {
@@ -96,11 +98,12 @@ function formatFieldForHeight(field: CardField): string {
   return text;
 }
 
-function solitaireLayout(cards: Card[], rainbowColors: string[]): CanvasData {
+function solitaireLayout(cards: Card[], rainbowColors: string[], options: ImportOptions = {}): CanvasData {
   const nodes: CanvasNode[] = [];
   const edges: CanvasEdge[] = [];
   let idCounter = 0;
   const generateId = () => `imported-${(idCounter++).toString(16).padStart(16, '0')}`;
+  const maxDepth = clampDepth(options.maxDepth);
 
   const columnBottoms = Array.from({ length: LAYOUT.cols }, () => 0);
 
@@ -112,149 +115,398 @@ function solitaireLayout(cards: Card[], rainbowColors: string[]): CanvasData {
     const y = columnBottoms[col] ?? 0;
 
     const baseColor = rainbowColors[i % rainbowColors.length] ?? '#ffffff';
-    const hierarchicalColors = generateHierarchicalColors(baseColor, 3);
-
-    const childNodes: CanvasNode[] = [];
-    let nodeY = y + LAYOUT.headerHeight;
-
-    for (const field of card.fields) {
-      const text = field.key
-        ? `**${field.key}**: ${formatValue(field.value)}`
-        : formatValue(field.value);
-
-      const nodeHeight = estimateNodeHeight(text);
-
-      childNodes.push({
-        id: generateId(),
-        type: 'text',
-        text,
-        x: x + LAYOUT.groupPadding,
-        y: nodeY,
-        width: LAYOUT.nodeWidth,
-        height: nodeHeight,
-        color: hierarchicalColors[1],
-      });
-
-      nodeY += nodeHeight + 10;
-    }
+    const hierarchicalColors = generateHierarchicalColors(baseColor, maxDepth + 1);
+
+    const cardNodes = layoutCard(card, x, y, LAYOUT.cardWidth, 0, { maxDepth, colors: hierarchicalColors, generateId });
+    nodes.push(...cardNodes);
+
+    columnBottoms[col] = y + (cardNodes[0]?.height ?? 0) + LAYOUT.cardGap;
+  }
+
+  return { nodes, edges };
+}
 
-    const groupHeight = nodeY - y + LAYOUT.groupPadding;
-
-    const groupId = generateId();
-    nodes.push({
-      id: groupId,
-      type: 'group',
-      label: card.label,
-      x,
-      y,
-      width: LAYOUT.cardWidth,
-      height: groupHeight,
-      color: baseColor,
+function clampDepth(depth: number | undefined): number {
+  if (depth === undefined) return LAYOUT.maxDepth;
+  const levels = Math.trunc(Number(depth));
+  return Number.isFinite(levels) ? Math.min(Math.max(levels, 0), LAYOUT.maxDepthLimit) : LAYOUT.maxDepth;
+}
+
+interface CardLayoutContext {
+  maxDepth: number;
+  colors: string[];
+  generateId: () => string;
+}
+
+function layoutCard(card: Card, x: number, y: number, width: number, depth: number, context: CardLayoutContext): CanvasNode[] {
+  const childNodes: CanvasNode[] = [];
+  const innerX = x + LAYOUT.groupPadding;
+  const innerWidth = width - LAYOUT.groupPadding * 2;
+  let nodeY = y + LAYOUT.headerHeight;
+
+  for (const field of card.fields) {
+    const subCards = depth < context.maxDepth ? nestedCards(field) : [];
+    for (const subCard of subCards) {
+      const subNodes = layoutCard(subCard, innerX, nodeY, innerWidth, depth + 1, context);
+      childNodes.push(...subNodes);
+      nodeY += (subNodes[0]?.height ?? 0) + 10;
+    }
+    if (subCards.length > 0) continue;
+
+    const text = formatField(field);
+    const nodeHeight = estimateNodeHeight(text);
+
+    childNodes.push({
+      id: context.generateId(),
+      type: 'text',
+      text,
+      x: innerX,
+      y: nodeY,
+      width: innerWidth,
+      height: nodeHeight,
+      color: context.colors[depth + 1],
     });
 
-    nodes.push(...childNodes);
+    nodeY += nodeHeight + 10;
+  }
+
+  const group: CanvasNode = {
+    id: context.generateId(),
+    type: 'group',
+    label: card.label,
+    x,
+    y,
+    width,
+    height: nodeY - y + LAYOUT.groupPadding,
+    color: context.colors[depth],
+  };
+
+  return [group, ...childNodes];
+}
 
-    columnBottoms[col] = y + groupHeight + LAYOUT.cardGap;
+function nestedCards(field: CardField): Card[] {
+  const isRecord = (value: unknown): value is PureRecord => isPlainObject(value) && Object.keys(value).length > 0;
+  const { key, value } = field;
+  if (isRecord(value)) return [createCard(key ?? 'Object', objectToFields(value))];
+  if (Array.isArray(value) && value.length > 0 && value.every(isRecord)) {
+    return value.map((item, i) => createCard(itemLabel(item, i, key ?? 'Item'), objectToFields(item)));
   }
+  return [];
+}
 
-  return { nodes, edges };
+function itemLabel(item: PureRecord, index: number, key: string): string {
+  const name = extractLabel(item, index);
+  return name === `Record ${index + 1}` ? `${key}[${index + 1}]` : `${key}[${index + 1}]: ${name}`;
+}
+
+function formatField(field: CardField): string {
+  if (!field.key) return formatValue(field.value);
+  const separator = typeof field.value === 'object' && field.value !== null ? '\n' : ' ';
+  return `**${field.key}**:${separator}${formatValue(field.value)}`;
 }
 
 function formatValue(value: unknown): string {
   if (value === null || value === undefined) return stringifyScalar(value);
   if (typeof value === 'string') return value.includes('\n') ? value : `"${value}"`;
-  if (typeof value === 'object') return `\`\`\`json\n\n\`\`\`\n${safeJsonStringify(value)}`;
+  if (typeof value === 'object') return `\`\`\`json\n${safeJsonStringify(value)}\n\`\`\``;
   return stringifyScalar(value);
 }
 
 function parseJsonl(content: string): Card[] {
-  const lines = content.trim().split('\n').filter((line) => line.trim());
-  const cards: Card[] = [];
+  return parseJsonlRecords(content).map((obj, i) => createCard(`Record ${i + 1}`, objectToFields(obj)));
+}
 
-  for (let i = 0; i < lines.length; i++) {
+export function parseJsonlRecords(content: string): unknown[] {
+  const lines = content.trim().split('\n').filter((line) => line.trim());
+  return lines.map((line, i) => {
     try {
-      const line = lines[i];
-      if (line === undefined) continue;
-      const obj = parseJson(line);
-      const fields = objectToFields(obj);
-      cards.push(createCard(`Record ${i + 1}`, fields));
+      return parseJson(line);
     } catch (err) {
       throw new Error(`Invalid JSON on line ${i + 1}: ${(err as Error).message}`);
     }
-  }
+  });
+}
 
-  return cards;
+export function splitDataRecords(data: unknown): DataSection[] {
+  if (Array.isArray(data)) return [{ name: null, records: data as unknown[] }];
+  if (typeof data === 'object' && data !== null) {
+    const entries = Object.entries(data as Record<string, unknown>);
+    if (entries.some(([, v]) => Array.isArray(v))) {
+      return entries.map(([name, value]) => (Array.isArray(value) ? { name, records: value as unknown[] } : { name, value }));
+    }
+  }
+  return [{ name: null, value: data }];
 }
 
 function parseStructuredJson(data: unknown): Card[] {
   const cards: Card[] = [];
 
-  if (Array.isArray(data)) {
-    const list = data as unknown[];
-    for (let i = 0; i < list.length; i++) {
-      const item = list[i];
-      const label = extractLabel(item, i);
-      const fields = objectToFields(item);
-      cards.push(createCard(label, fields));
-    }
-  } else if (typeof data === 'object' && data !== null) {
-    const entries = Object.entries(data as Record<string, unknown>);
-    const hasArrays = entries.some(([, v]) => Array.isArray(v));
-
-    if (hasArrays) {
-      for (const [sectionName, sectionData] of entries) {
-        if (Array.isArray(sectionData)) {
-          const list = sectionData as unknown[];
-          for (let i = 0; i < list.length; i++) {
-            const item = list[i];
-            const label = extractLabel(item, i, sectionName);
-            const fields = objectToFields(item);
-            cards.push(createCard(label, fields));
-          }
-        } else {
-          const fields = [{ key: sectionName, value: sectionData }];
-          cards.push(createCard(sectionName, fields));
-        }
+  for (const { name, records, value } of splitDataRecords(data)) {
+    if (records) {
+      for (let i = 0; i < records.length; i++) {
+        const item = records[i];
+        const label = extractLabel(item, i, name);
+        const fields = objectToFields(item);
+        cards.push(createCard(label, fields));
       }
+    } else if (name !== null) {
+      cards.push(createCard(name, [{ key: name, value }]));
+    } else if (typeof value === 'object' && value !== null) {
+      cards.push(createCard('Object', objectToFields(value)));
     } else {
-      const fields = objectToFields(data);
-      cards.push(createCard('Object', fields));
+      cards.push(createCard('Value', [{ value }]));
     }
-  } else {
-    cards.push(createCard('Value', [{ value: data }]));
   }
 
   return cards;
 }
 
-function parsePureCanvas(data: unknown): Card[] {
-  const sourceNodes = Array.isArray((data as { nodes?: unknown[] })?.nodes)
-    ? ((data as { nodes?: unknown[] }).nodes as Array<Record<string, unknown>>)
-    : [];
-  const cards: Card[] = [];
+type PureRecord = Record<string, unknown>;
+
+function rebuildCanvasLayout(sourceNodes: PureRecord[], generateId: () => string): CanvasNode[] {
+  const items = nestFlatPureNodes(sourceNodes);
+  const nodes: CanvasNode[] = [];
+  let y = 0;
+
+  const rootNodes = items.filter((item) => item.type !== 'group');
+  for (const source of rootNodes) {
+    const node = rebuildNode(source, 0, y, generateId);
+    nodes.push(node);
+    y += (node.height ?? LAYOUT.nodeHeight) + 10;
+  }
+  if (rootNodes.length > 0) y += LAYOUT.cardGap;
+
+  const groups = items.filter((item) => item.type === 'group');
+  rebuildNestedLayout(groups, 0, y, LAYOUT.cardWidth, generateId, nodes);
+  return nodes;
+}
+
+function nestFlatPureNodes(sourceNodes: PureRecord[]): PureRecord[] {
+  const roots: PureRecord[] = [];
+  const groups = new Map<string, { children: PureRecord[] }>();
+  let current: { children: PureRecord[] } | null = null;
+
+  for (const source of sourceNodes) {
+    if (source.type !== 'group') {
+      (current ? current.children : roots).push(source);
+      continue;
+    }
+    const group: PureRecord & { children: PureRecord[] } = { ...source, children: [] };
+    current = group;
+    const parent = typeof source.parent === 'string' ? groups.get(normalizedId(source.parent)) : undefined;
+    (parent ? parent.children : roots).push(group);
+    groups.set(normalizedId(source.id), group);
+  }
+
+  return roots;
+}
+
+function rebuildNestedLayout(
+  items: PureRecord[],
+  x: number,
+  y: number,
+  width: number,
+  generateId: () => string,
+  nodes: CanvasNode[]
+): number {
+  for (const item of items) {
+    if (isSequence(item)) {
+      y = rebuildNestedLayout(toRecords(item.sequence), x, y, width, generateId, nodes);
+      continue;
+    }
+
+    const node = rebuildNode(item, x, y, generateId);
+    nodes.push(node);
+    if (node.type !== 'group') {
+      node.width = Math.min(width, LAYOUT.nodeWidth);
+      y += (node.height ?? LAYOUT.nodeHeight) + 10;
+      continue;
+    }
+
+    node.width = width;
+    const bottom = rebuildNestedLayout(
+      [...recordCards(item), ...toRecords(item.children)],
+      x + LAYOUT.groupPadding,
+      y + LAYOUT.headerHeight,
+      width - LAYOUT.groupPadding * 2,
+      generateId,
+      nodes
+    );
+    node.height = bottom - y + LAYOUT.groupPadding;
+    y += node.height + LAYOUT.cardGap;
+  }
+  return y;
+}
+
+function isSequence(item: PureRecord): boolean {
+  return Array.isArray(item.sequence) && !('id' in item);
+}
+
+function isNestedItem(item: PureRecord): boolean {
+  return isSequence(item) || (item.type === 'group' && Array.isArray(item.children));
+}
+
+export function flattenPureItems(items: PureRecord[]): PureRecord[] {
+  return items.flatMap((item) => {
+    if (isSequence(item)) return flattenPureItems(toRecords(item.sequence));
+    if (Array.isArray(item.children)) return [item, ...flattenPureItems(toRecords(item.children))];
+    return [item];
+  });
+}
+
+const NODE_FIELDS: Record<string, string[]> = {
+  text: ['text'],
+  file: ['file', 'subpath'],
+  link: ['url'],
+  group: ['label', 'background', 'backgroundStyle'],
+};
+
+function rebuildNode(source: PureRecord, x: number, y: number, generateId: () => string): CanvasNode {
+  const type = typeof source.type === 'string' && source.type ? source.type : 'text';
+  const node: CanvasNode = { id: normalizedId(source.id) || generateId(), type };
+
+  for (const key of NODE_FIELDS[type] ?? []) {
+    if (key in source) node[key] = source[key];
+  }
+  if (type === 'text' && !('text' in source) && 'data' in source) node.text = formatStructuredText(source.data);
+
+  node.x = x;
+  node.y = y;
+  node.width = type === 'group' ? LAYOUT.cardWidth : LAYOUT.nodeWidth;
+  node.height =
+    type === 'text' && typeof node.text === 'string' ? estimateNodeHeight(node.text) : LAYOUT.nodeHeight;
+
+  if (typeof source.color === 'string') node.color = canvasColor(source.color);
+
+  return node;
+}
+
+function formatStructuredText(data: unknown): string {
+  if (isPlainObject(data) && Object.keys(data).length > 0) return objectToFields(data).map(formatField).join('\n');
+  if (Array.isArray(data) && data.length > 0 && data.every(isListItem)) {
+    return data.map((item) => `- ${formatValue(item)}`).join('\n');
+  }
+  return `\`\`\`json\n${safeJsonStringify(data)}\n\`\`\``;
+}
+
+function isListItem(value: unknown): boolean {
+  return value === null || (typeof value !== 'object' && !stringifyScalar(value).includes('\n'));
+}
+
+function recordCards(group: PureRecord): PureRecord[] {
+  if (!isPlainObject(group.record)) return [];
+  return objectToFields(group.record).map((field) => ({ type: 'text', text: formatField(field) }));
+}
+
+function rebuildEdges(sourceNodes: PureRecord[], sourceEdges: PureRecord[]): CanvasEdge[] {
+  const edges: CanvasEdge[] = [];
+  const usedIds = new Set(sourceEdges.map((edge) => normalizedId(edge.id)).filter(Boolean));
+  const folded = new Map<string, number>();
+
+  const pushEdge = (fromNode: string, toNode: string, ref: PureRecord) => {
+    const edge: CanvasEdge = {
+      id: stableHashId(`${fromNode}\u0000${toNode}\u0000${safeJsonStringify(ref.label)}`, usedIds),
+      fromNode,
+      toNode,
+    };
+    if (ref.label !== undefined) edge.label = ref.label;
+    if (typeof ref.color === 'string') edge.color = canvasColor(ref.color);
+    edges.push(applyDirection(edge, ref.direction));
+  };
+
+  for (const source of sourceNodes) {
+    const fromNode = normalizedId(source.id);
+    for (const ref of toRecords(source.to)) {
+      const toNode = normalizedId(ref.node);
+      if (!fromNode || !toNode) continue;
+      const key = `${fromNode}\u0000${toNode}\u0000${safeJsonStringify(ref.label)}`;
+      folded.set(key, (folded.get(key) ?? 0) + 1);
+      pushEdge(fromNode, toNode, ref);
+    }
+  }
 
-  for (let i = 0; i < sourceNodes.length; i++) {
-    const node = sourceNodes[i] as Record<string, unknown>;
-    const label =
-      (typeof node.label === 'string' && node.label) ||
-      (node.id !== undefined ? stringifyScalar(node.id) : `Node ${i + 1}`);
-    const fields: CardField[] = [];
-
-    if (node.id !== undefined) fields.push({ key: 'id', value: node.id });
-    if (node.type !== undefined) fields.push({ key: 'type', value: node.type });
-    if (node.label !== undefined) fields.push({ key: 'label', value: node.label });
-    if (node.text !== undefined) fields.push({ key: 'text', value: node.text });
-
-    for (const [key, value] of Object.entries(node)) {
-      if (!['id', 'type', 'label', 'text', 'x', 'y', 'width', 'height', 'color'].includes(key)) {
-        fields.push({ key, value });
+  for (const source of sourceNodes) {
+    const toNode = normalizedId(source.id);
+    for (const ref of toRecords(source.from)) {
+      const fromNode = normalizedId(ref.node);
+      if (!fromNode || !toNode) continue;
+      const key = `${fromNode}\u0000${toNode}\u0000${safeJsonStringify(ref.label)}`;
+      const remaining = folded.get(key) ?? 0;
+      if (remaining > 0) {
+        folded.set(key, remaining - 1);
+        continue;
       }
+      pushEdge(fromNode, toNode, ref);
     }
+  }
 
-    cards.push(createCard(label, fields));
+  for (const source of sourceEdges) {
+    const fromNode = normalizedId(source.fromNode);
+    const toNode = normalizedId(source.toNode);
+    if (!fromNode || !toNode) continue;
+
+    const edge: CanvasEdge = {
+      id: normalizedId(source.id) || stableHashId(`${fromNode}\u0000${toNode}`, usedIds),
+      fromNode,
+      toNode,
+    };
+    for (const [key, value] of Object.entries(source)) {
+      if (['id', 'fromNode', 'toNode', 'direction', 'colorMeaning'].includes(key)) continue;
+      edge[key] = key === 'color' && typeof value === 'string' ? canvasColor(value) : value;
+    }
+    edges.push(applyDirection(edge, source.direction));
   }
 
-  return cards;
+  return edges;
+}
+
+function canvasColor(color: string): string {
+  return getPresetColorIndex(color) ?? color;
+}
+
+function applyDirection(edge: CanvasEdge, direction: unknown): CanvasEdge {
+  if (direction === 'both') edge.fromEnd = 'arrow';
+  if (direction === 'none') edge.toEnd = 'none';
+  return edge;
+}
+
+function toRecords(value: unknown): PureRecord[] {
+  if (!Array.isArray(value)) return [];
+  return (value as unknown[]).filter((item): item is PureRecord => typeof item === 'object' && item !== null);
+}
+
+function isPlainObject(value: unknown): value is PureRecord {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export function rebuildCanvasFromPure(data: unknown): CanvasData {
+  const record = (typeof data === 'object' && data !== null ? data : {}) as PureRecord;
+  const items = toRecords(record.nodes);
+  const sourceEdges = toRecords(record.edges);
+
+  const nested = items.some(isNestedItem);
+  const sourceNodes = nested ? flattenPureItems(items) : items;
+
+  const sourceIds = new Set(sourceNodes.map((source) => normalizedId(source.id)));
+  let idCounter = 0;
+  const generateId = () => {
+    let id: string;
+    do id = `imported-${(idCounter++).toString(16).padStart(16, '0')}`;
+    while (sourceIds.has(id));
+    return id;
+  };
+  const nodes: CanvasNode[] = [];
+  if (nested) {
+    rebuildNestedLayout(items, 0, 0, LAYOUT.cardWidth, generateId, nodes);
+  } else {
+    nodes.push(...rebuildCanvasLayout(sourceNodes, generateId));
+  }
+
+  const adjacency = typeof record.adjacency === 'object' && record.adjacency !== null ? record.adjacency : {};
+  const adjacencyNodes: PureRecord[] = Object.entries(adjacency).map(([id, to]) => ({ id, to }));
+  const edges = rebuildEdges([...sourceNodes, ...adjacencyNodes], sourceEdges);
+
+  return { nodes, edges };
 }
 
 function objectToFields(obj: unknown): CardField[] {
@@ -292,16 +544,17 @@ function extractLabel(obj: unknown, index: number, sectionName: string | null =
   return sectionName ? `${sectionName} ${index + 1}` : `Record ${index + 1}`;
 }
 
-function isPureCanvasExport(data: unknown): boolean {
+export function isPureCanvasExport(data: unknown): boolean {
   if (typeof data !== 'object' || data === null) return false;
   const nodes = (data as { nodes?: unknown[] }).nodes;
   if (!Array.isArray(nodes) || nodes.length === 0) return false;
   const first = nodes[0];
   if (typeof first !== 'object' || first === null) return false;
+  if (Array.isArray((first as { sequence?: unknown }).sequence)) return true;
   return 'id' in (first as { id?: unknown }) && 'type' in (first as { type?: unknown });
 }
 
-export function importDataToCanvas(filePath: string, fileContent: string): CanvasData {
+export function importDataToCanvas(filePath: string, fileContent: string, options: ImportOptions = {}): CanvasData {
   const fileName = filePath.toLowerCase();
   const isPureCanvas = fileName.includes('.pure.json');
 
@@ -313,10 +566,9 @@ export function importDataToCanvas(filePath: string, fileContent: string): Canva
     const data = parseJson(fileContent);
 
     if (isPureCanvas || isPureCanvasExport(data)) {
-      cards = parsePureCanvas(data);
-    } else {
-      cards = parseStructuredJson(data);
+      return rebuildCanvasFromPure(data);
     }
+    cards = parseStructuredJson(data);
   }
 
   if (cards.length === 0) {
@@ -324,29 +576,27 @@ export function importDataToCanvas(filePath: string, fileContent: string): Canva
   }
 
   const rainbowColors = generateRainbowGradient(cards.length);
-  return solitaireLayout(cards, rainbowColors);
+  return solitaireLayout(cards, rainbowColors, options);
 }
 
-export function importJsonToCanvas(data: unknown): CanvasData {
+export function importJsonToCanvas(data: unknown, options: ImportOptions = {}): CanvasData {
   const cards = parseStructuredJson(data);
   const rainbowColors = generateRainbowGradient(cards.length);
-  return solitaireLayout(cards, rainbowColors);
+  return solitaireLayout(cards, rainbowColors, options);
 }
 
-export function importJsonlToCanvas(jsonObjects: unknown[]): CanvasData {
+export function importJsonlToCanvas(jsonObjects: unknown[], options: ImportOptions = {}): CanvasData {
   const cards = jsonObjects.map((obj, i) => {
     const label = extractLabel(obj, i);
     const fields = objectToFields(obj);
     return createCard(label, fields);
   });
   const rainbowColors = generateRainbowGradient(cards.length);
-  return solitaireLayout(cards, rainbowColors);
+  return solitaireLayout(cards, rainbowColors, options);
 }
 
 export function importPureCanvasData(data: unknown): CanvasData {
-  const cards = parsePureCanvas(data);
-  const rainbowColors = generateRainbowGradient(cards.length);
-  return solitaireLayout(cards, rainbowColors);
+  return rebuildCanvasFromPure(data);
 }
 
 function parseJson(value: string): unknown {
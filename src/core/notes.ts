@@ -0,0 +1,146 @@
+import type { CanvasData, CanvasNode, FrontmatterSkipReason, NoteInlineOptions, NoteSkipReason } from './types';
+import { isCanvasFileNode } from './exporter';
+
+type Frontmatter = Record<string, unknown>;
+
+export function parseNote(
+  content: string,
+  parseYaml: (yaml: string) => unknown,
+): { frontmatter: Frontmatter | null; frontmatterSkipped?: FrontmatterSkipReason; body: string } {
+  const text = String(content ?? '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const lines = text.split('\n');
+  if (lines[0]?.trim() !== '---') return { frontmatter: null, body: text };
+
+  const end = lines.findIndex((line, i) => i > 0 && (line.trim() === '---' || line.trim() === '...'));
+  if (end === -1) return { frontmatter: null, body: text };
+
+  const body = lines.slice(end + 1).join('\n');
+  const yaml = lines.slice(1, end).join('\n');
+  if (!yaml.trim()) return { frontmatter: {}, body };
+  let parsed: unknown;
+  try {
+    parsed = parseYaml(yaml);
+  } catch {
+    return { frontmatter: null, frontmatterSkipped: 'invalid-yaml', body };
+  }
+  if (parsed === null || parsed === undefined) return { frontmatter: {}, body };
+  if (!isPlainObject(parsed)) return { frontmatter: null, frontmatterSkipped: 'unsupported-yaml', body };
+  return { frontmatter: parsed, body };
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export function extractNoteSection(body: string, subpath: string): string | null {
+  const lines = String(body ?? '').split('\n');
+  const target = String(subpath ?? '').replace(/^#/, '');
+  if (target.startsWith('^')) return extractBlock(lines, target.slice(1));
+
+  const headings = findHeadings(lines);
+  let range = { start: 0, end: lines.length, level: 0 };
+  for (const segment of target.split('#').map(normalizeHeading).filter(Boolean)) {
+    const heading = headings.find((h) =>
+      h.line >= range.start && h.line < range.end && h.level > range.level && normalizeHeading(h.text) === segment,
+    );
+    if (!heading) return null;
+    const next = headings.find((h) => h.line > heading.line && h.level <= heading.level);
+    range = { start: heading.line, end: next ? next.line : lines.length, level: heading.level };
+  }
+  return lines.slice(range.start, range.end).join('\n').trim();
+}
+
+function findHeadings(lines: string[]): { line: number; level: number; text: string }[] {
+  const headings: { line: number; level: number; text: string }[] = [];
+  let fence: string | null = null;
+  lines.forEach((line, index) => {
+    const marker = /^\s*(```|~~~)/.exec(line)?.[1];
+    if (marker && (!fence || fence === marker)) {
+      fence = fence ? null : marker;
+      return;
+    }
+    if (fence) return;
+    const match = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (match) headings.push({ line: index, level: match[1]?.length ?? 0, text: match[2] ?? '' });
+  });
+  return headings;
+}
+
+function normalizeHeading(text: string): string {
+  return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function extractBlock(lines: string[], id: string): string | null {
+  if (!id) return null;
+  const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const marker = new RegExp(`(^|\\s)\\^${escaped}\\s*$`);
+  const index = lines.findIndex((line) => marker.test(line));
+  if (index === -1) return null;
+
+  const end = (lines[index] ?? '').replace(marker, '').trim() ? index : index - 1;
+  let start = end;
+  while (start > 0 && lines[start - 1]?.trim()) start--;
+  const block = lines.slice(Math.max(start, 0), end + 1);
+  const last = block.pop();
+  if (last === undefined) return null;
+  block.push(last.replace(marker, ''));
+  return block.join('\n').trim() || null;
+}
+
+export function isNoteFileNode(node: CanvasNode): node is CanvasNode & { file: string } {
+  return node?.type === 'file' && typeof node.file === 'string' && /\.md$/i.test(node.file);
+}
+
+export async function inlineNoteFiles(pure: CanvasData, options: NoteInlineOptions): Promise<CanvasData> {
+  if (!Array.isArray(pure?.nodes)) return pure;
+  return { ...pure, nodes: await inlineItems(pure.nodes, options) };
+}
+
+async function inlineItems<T>(items: T[], options: NoteInlineOptions): Promise<T[]> {
+  const out: T[] = [];
+  for (const item of items) {
+    const node = item as CanvasNode;
+    const { sequence, children } = node;
+    if (Array.isArray(sequence) && !('id' in node)) {
+      out.push({ ...(item as CanvasNode), sequence: await inlineItems(sequence, options) } as T);
+    } else if (isNoteFileNode(node)) {
+      out.push((await inlineNode(node, options)) as T);
+    } else if (isCanvasFileNode(node) && isPlainObject(children)) {
+      out.push({ ...(item as CanvasNode), children: await inlineNoteFiles(children as CanvasData, options) } as T);
+    } else if (Array.isArray(children)) {
+      out.push({ ...(item as CanvasNode), children: await inlineItems(children, options) } as T);
+    } else {
+      out.push(item);
+    }
+  }
+  return out;
+}
+
+async function inlineNode(node: CanvasNode & { file: string }, options: NoteInlineOptions): Promise<CanvasNode> {
+  const skip = (reason: NoteSkipReason, placeholder: string): CanvasNode => ({
+    ...node,
+    content: placeholder,
+    contentSkipped: reason,
+  });
+
+  let raw: string | null;
+  try {
+    raw = await options.readNote(options.resolvePath(node.file));
+  } catch {
+    return skip('unreadable', `[unreadable note: ${node.file}]`);
+  }
+  if (raw === null || raw === undefined) return skip('not-found', `[missing note: ${node.file}]`);
+
+  const { frontmatter, frontmatterSkipped, body } = parseNote(raw, options.parseYaml);
+  const subpath = typeof node.subpath === 'string' ? node.subpath : '';
+  const section = subpath && options.sections !== false ? extractNoteSection(body, subpath) : body.trim();
+  const withFrontmatter: CanvasNode = frontmatter && Object.keys(frontmatter).length > 0 ? { ...node, frontmatter } : { ...node };
+  if (frontmatterSkipped) withFrontmatter.frontmatterSkipped = frontmatterSkipped;
+  if (section === null) {
+    return { ...withFrontmatter, content: `[missing section: ${node.file}${subpath}]`, contentSkipped: 'section-not-found' };
+  }
+
+  const limit = options.maxChars !== undefined && options.maxChars > 0 ? options.maxChars : Infinity;
+  if (section.length <= limit) return { ...withFrontmatter, content: section };
+  return { ...withFrontmatter, content: Array.from(section).slice(0, limit).join('').trimEnd(), contentTruncated: true };
+}
@@ -0,0 +1,201 @@
+import type { DataSection, JsonSchema } from './types';
+import { flattenPureItems, isPureCanvasExport, parseJsonlRecords, splitDataRecords } from './importer';
+import { parseSemanticId } from './shared';
+
+const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+const MAX_ENUM_VALUES = 10;
+const MAX_EXAMPLES = 3;
+const TAXONOMY_KEYS = ['color', 'colorMeaning', 'direction'];
+const TYPE_ORDER = ['null', 'boolean', 'integer', 'number', 'string', 'array', 'object'];
+
+type PureRecord = Record<string, unknown>;
+
+const EDGE_REF_LIST: JsonSchema = { type: 'array', items: { $ref: '#/$defs/edgeRef' } };
+
+export function inferJsonSchema(samples: unknown[], forceEnum = false): JsonSchema {
+  const numbers = samples.filter((value): value is number => typeof value === 'number');
+  const numberType = numbers.every(Number.isInteger) ? 'integer' : 'number';
+
+  const groups = new Map<string, unknown[]>();
+  for (const value of samples) {
+    const type = typeof value === 'number' ? numberType : getJsonType(value);
+    const group = groups.get(type) ?? [];
+    group.push(value);
+    groups.set(type, group);
+  }
+
+  const schemas = TYPE_ORDER
+    .filter((type) => groups.has(type))
+    .map((type) => inferTypedSchema(type, groups.get(type) ?? [], forceEnum));
+  if (schemas.length === 0) return {};
+  return combineSchemas(schemas, 'anyOf');
+}
+
+function combineSchemas(schemas: JsonSchema[], keyword: 'anyOf' | 'oneOf'): JsonSchema {
+  const [first] = schemas;
+  return schemas.length === 1 && first ? first : { [keyword]: schemas };
+}
+
+function getJsonType(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function inferTypedSchema(type: string, values: unknown[], forceEnum: boolean): JsonSchema {
+  if (type === 'object') return inferObjectSchema(values as PureRecord[]);
+  if (type === 'array') {
+    const elements = (values as unknown[][]).flat();
+    return elements.length > 0 ? { type, items: inferJsonSchema(elements) } : { type };
+  }
+  if (type === 'null') return { type };
+
+  const distinct = [...new Set(values)];
+  if (type === 'string' && (forceEnum || (distinct.length <= MAX_ENUM_VALUES && distinct.length < values.length))) {
+    return { type, enum: (distinct as string[]).sort() };
+  }
+  if (type === 'boolean') return { type };
+  return { type, examples: distinct.slice(0, MAX_EXAMPLES) };
+}
+
+function inferObjectSchema(objects: PureRecord[], enumKeys: string[] = []): JsonSchema {
+  const values = new Map<string, unknown[]>();
+  for (const object of objects) {
+    for (const [key, value] of Object.entries(object)) {
+      const samples = values.get(key) ?? [];
+      samples.push(value);
+      values.set(key, samples);
+    }
+  }
+
+  const properties: Record<string, JsonSchema> = {};
+  const required: string[] = [];
+  for (const [key, samples] of values) {
+    properties[key] = inferJsonSchema(samples, enumKeys.includes(key));
+    if (samples.length === objects.length) required.push(key);
+  }
+  return { type: 'object', properties, ...(required.length > 0 ? { required } : {}) };
+}
+
+export function inferPureExportSchema(pure: unknown, title?: string): JsonSchema {
+  const source = isRecord(pure) ? pure : {};
+  const items = toRecords(source.nodes);
+  const nodes = flattenPureItems(items);
+  const edges = toRecords(source.edges);
+  const adjacency = isRecord(source.adjacency) ? source.adjacency : null;
+  const edgeRefs = nodes.flatMap((node) => [...toRecords(node.from), ...toRecords(node.to)]);
+  if (adjacency) edgeRefs.push(...Object.values(adjacency).flatMap(toRecords));
+  const hasSequences = containsSequence(items);
+  const itemRef: JsonSchema = hasSequences
+    ? { anyOf: [{ $ref: '#/$defs/node' }, { $ref: '#/$defs/sequence' }] }
+    : { $ref: '#/$defs/node' };
+
+  const byType = new Map<string, PureRecord[]>();
+  for (const node of nodes) {
+    const type = typeof node.type === 'string' ? node.type : '';
+    const group = byType.get(type) ?? [];
+    group.push(node);
+    byType.set(type, group);
+  }
+
+  const defs: Record<string, JsonSchema> = {};
+  const idPattern = getSemanticIdPattern(nodes);
+  for (const type of [...byType.keys()].sort()) {
+    const typed = byType.get(type) ?? [];
+    const schema = inferObjectSchema(typed, TAXONOMY_KEYS);
+    const properties = schema.properties ?? {};
+    properties.type = { const: type };
+    if (idPattern && properties.id) properties.id = { type: 'string', pattern: idPattern };
+    for (const key of ['from', 'to']) {
+      if (properties[key]) properties[key] = EDGE_REF_LIST;
+    }
+    if (properties.children) properties.children = describeChildren(typed, itemRef);
+    defs[`${type || 'untyped'}Node`] = schema;
+  }
+
+  const nodeRefs: JsonSchema[] = Object.keys(defs).map((name) => ({ $ref: `#/$defs/${name}` }));
+  defs.node = combineSchemas(nodeRefs, 'oneOf');
+  if (hasSequences) {
+    defs.sequence = {
+      type: 'object',
+      properties: { sequence: { type: 'array', items: { $ref: '#/$defs/node' } } },
+      required: ['sequence'],
+      additionalProperties: false,
+    };
+  }
+  if (edgeRefs.length > 0) defs.edgeRef = inferObjectSchema(edgeRefs, TAXONOMY_KEYS);
+  if (edges.length > 0) defs.edge = inferObjectSchema(edges, TAXONOMY_KEYS);
+
+  return {
+    $schema: SCHEMA_DIALECT,
+    ...(title ? { title } : {}),
+    type: 'object',
+    properties: {
+      nodes: { type: 'array', items: itemRef },
+      edges: edges.length > 0 ? { type: 'array', items: { $ref: '#/$defs/edge' } } : { type: 'array' },
+      ...(adjacency ? { adjacency: { type: 'object', additionalProperties: edgeRefs.length > 0 ? EDGE_REF_LIST : { type: 'array' } } } : {}),
+    },
+    required: adjacency ? ['nodes', 'edges', 'adjacency'] : ['nodes', 'edges'],
+    $defs: defs,
+  };
+}
+
+function isRecord(value: unknown): value is PureRecord {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function toRecords(value: unknown): PureRecord[] {
+  return Array.isArray(value) ? (value as unknown[]).filter(isRecord) : [];
+}
+
+function containsSequence(items: PureRecord[]): boolean {
+  return items.some((item) => {
+    if (Array.isArray(item.sequence) && !('id' in item)) return true;
+    return Array.isArray(item.children) && containsSequence(toRecords(item.children));
+  });
+}
+
+function describeChildren(nodes: PureRecord[], itemRef: JsonSchema): JsonSchema {
+  const shapes: JsonSchema[] = [];
+  if (nodes.some((node) => Array.isArray(node.children))) shapes.push({ type: 'array', items: itemRef });
+  if (nodes.some((node) => isRecord(node.children))) shapes.push({ $ref: '#' });
+  return combineSchemas(shapes, 'anyOf');
+}
+
+function getSemanticIdPattern(nodes: PureRecord[]): string | null {
+  const types = new Set<string>();
+  for (const node of nodes) {
+    const semantic = typeof node.id === 'string' ? parseSemanticId(node.id) : null;
+    if (!semantic) return null;
+    types.add(semantic.type);
+  }
+  if (types.size === 0) return null;
+  return `^(${[...types].sort().join('|')})(::[a-z0-9][a-z0-9-]*)+$`;
+}
+
+function describeSection({ records, value }: DataSection): JsonSchema {
+  if (!records) return inferJsonSchema([value]);
+  return { type: 'array', ...(records.length > 0 ? { items: inferJsonSchema(records) } : {}) };
+}
+
+export function generateDataSchema(filePath: string, fileContent: string, title?: string): JsonSchema {
+  const header: JsonSchema = { $schema: SCHEMA_DIALECT, ...(title ? { title } : {}) };
+  const fileName = filePath.toLowerCase();
+  if (fileName.endsWith('.jsonl')) {
+    return { ...header, ...describeSection({ name: null, records: parseJsonlRecords(fileContent) }) };
+  }
+
+  const data: unknown = JSON.parse(fileContent);
+  if (fileName.includes('.pure.json') || isPureCanvasExport(data)) {
+    return inferPureExportSchema(data, title);
+  }
+  const sections = splitDataRecords(data);
+  const [only] = sections;
+  if (only && only.name === null) return { ...header, ...describeSection(only) };
+  return {
+    ...header,
+    type: 'object',
+    properties: Object.fromEntries(sections.map((section) => [String(section.name), describeSection(section)])),
+    required: sections.map((section) => String(section.name)),
+  };
+}
@@ -1,4 +1,94 @@
-import type { CanvasEdge, CanvasNode } from './types';
+import type {
+  CanvasData,
+  CanvasEdge,
+  CanvasPoint,
+  CollationSettings,
+  CanvasNode,
+  CompileSettings,
+  ContainmentMode,
+  EdgeSortKey,
+  EdgeSortRule,
+  NodeBounds,
+  NodePosition,
+  NodeSortKey,
+  NodeSortRule,
+  Provenance,
+  ReadingOrder,
+  SortDirection,
+} from './types';
+
+export const NODE_SORT_KEYS: NodeSortKey[] = ['flow', 'position', 'type', 'color', 'content'];
+
+export const DEFAULT_NODE_SORT: NodeSortRule[] = NODE_SORT_KEYS.map((key) => ({ key, direction: 'asc' }));
+
+export const EDGE_SORT_KEYS: EdgeSortKey[] = ['flow', 'position', 'direction', 'label', 'sides', 'color', 'id'];
+
+export const DEFAULT_EDGE_SORT: EdgeSortRule[] = (['flow', 'position', 'color', 'id'] as const).map((key) => ({
+  key,
+  direction: 'asc',
+}));
+
+export const DEFAULT_TYPE_PRIORITY: Record<string, number> = { link: 1 };
+
+export const DEFAULT_COLLATION_LOCALE = 'en';
+
+export const CANVAS_PALETTE: Record<string, string> = {
+  '1': 'red',
+  '2': 'orange',
+  '3': 'yellow',
+  '4': 'green',
+  '5': 'cyan',
+  '6': 'purple',
+};
+
+export const CANVAS_PALETTE_HEX: Record<string, string> = {
+  '1': '#fb464c',
+  '2': '#e9973f',
+  '3': '#e0de71',
+  '4': '#44cf6e',
+  '5': '#53dfdd',
+  '6': '#a882ff',
+};
+
+const comparers = new Map<string, (a: string, b: string) => number>();
+
+export function createTextComparer(collation?: CollationSettings): (a: string, b: string) => number {
+  const requested = collation?.locale?.trim() || DEFAULT_COLLATION_LOCALE;
+  const ignoreCase = collation?.ignoreCase === true;
+  const ignoreDiacritics = collation?.ignoreDiacritics === true;
+  const options: Intl.CollatorOptions = {
+    usage: 'sort',
+    numeric: collation?.numeric === true,
+    sensitivity: ignoreCase ? (ignoreDiacritics ? 'base' : 'accent') : ignoreDiacritics ? 'case' : 'variant',
+  };
+  if (collation?.caseFirst) options.caseFirst = collation.caseFirst;
+
+  const cacheKey = JSON.stringify([requested, options]);
+  let comparer = comparers.get(cacheKey);
+  if (comparer) return comparer;
+
+  const locale = collationLocaleProblem(requested) ? DEFAULT_COLLATION_LOCALE : requested;
+
+  const plain = !options.numeric && !options.caseFirst && options.sensitivity === 'variant';
+  const compare = plain
+    ? (a: string, b: string) => a.localeCompare(b, locale)
+    : new Intl.Collator(locale, options).compare;
+  comparer = (a, b) => compare(a, b) || (a < b ? -1 : a > b ? 1 : 0);
+  comparers.set(cacheKey, comparer);
+  return comparer;
+}
+
+export function collationLocaleProblem(locale: string): string | null {
+  try {
+    return Intl.Collator.supportedLocalesOf(locale).length > 0 ? null : `unsupported collation locale: ${locale}`;
+  } catch {
+    return `invalid collation locale: ${locale}`;
+  }
+}
+
+export function hasCollationOptions(collation?: CollationSettings): boolean {
+  return Boolean(collation?.numeric || collation?.caseFirst || collation?.ignoreCase || collation?.ignoreDiacritics);
+}
 
 export function isFiniteNumber(value: unknown): value is number {
   return typeof value === 'number' && Number.isFinite(value);
@@ -14,49 +104,280 @@ export function normalizedId(value: unknown): string {
   return '';
 }
 
-export function getNodeSortKey(node: CanvasNode): string {
+export const CANONICAL_NODE_KEYS = ['id', 'type', 'text', 'file', 'subpath', 'url', 'label', 'x', 'y', 'width', 'height', 'color'];
+
+export const CANONICAL_EDGE_KEYS = ['id', 'fromNode', 'fromSide', 'fromEnd', 'toNode', 'toSide', 'toEnd', 'label', 'color'];
+
+function orderKeys<T>(item: T, leading: string[]): T {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+  const source = item as Record<string, unknown>;
+  const ordered: Record<string, unknown> = {};
+  for (const key of leading) {
+    if (Object.prototype.hasOwnProperty.call(source, key)) ordered[key] = source[key];
+  }
+  for (const key of Object.keys(source).filter((key) => !leading.includes(key)).sort()) {
+    ordered[key] = source[key];
+  }
+  return ordered as T;
+}
+
+function canonicalizeNode<T>(item: T): T {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+  const source = item as Record<string, unknown>;
+  if (Array.isArray(source.sequence) && !('id' in source)) {
+    return { ...source, sequence: source.sequence.map(canonicalizeNode) } as T;
+  }
+  const node = orderKeys(source, CANONICAL_NODE_KEYS);
+  if (Array.isArray(node.children)) node.children = node.children.map(canonicalizeNode);
+  else if (node.children && typeof node.children === 'object') node.children = canonicalizeKeyOrder(node.children as CanvasData);
+  return node as T;
+}
+
+export function canonicalizeKeyOrder<T extends CanvasData>(data: T): T {
+  return {
+    ...data,
+    ...(Array.isArray(data.nodes) ? { nodes: data.nodes.map(canonicalizeNode) } : {}),
+    ...(Array.isArray(data.edges) ? { edges: data.edges.map((edge) => orderKeys(edge, CANONICAL_EDGE_KEYS)) } : {}),
+  };
+}
+
+export function hashToHex(value: string): string {
+  let a = 0x811c9dc5;
+  let b = 0x050c5d1f;
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    a = Math.imul(a ^ code, 0x01000193) >>> 0;
+    b = Math.imul(b ^ code, 0x01000193) >>> 0;
+  }
+  return a.toString(16).padStart(8, '0') + b.toString(16).padStart(8, '0');
+}
+
+export function stableHashId(seed: string, usedIds: Set<string>): string {
+  let id = hashToHex(seed);
+  for (let n = 1; usedIds.has(id); n++) {
+    id = hashToHex(`${seed}#${n}`);
+  }
+  usedIds.add(id);
+  return id;
+}
+
+export const PROVENANCE_GENERATOR = 'semantic-json';
+
+export function createProvenance(options: {
+  version: string;
+  settings: CompileSettings;
+  source: string;
+  sourceText: string;
+}): Provenance {
+  const recorded = JSON.parse(JSON.stringify(options.settings ?? {})) as Record<string, unknown>;
+  return {
+    generator: PROVENANCE_GENERATOR,
+    version: options.version,
+    source: options.source,
+    sourceHash: hashToHex(options.sourceText),
+    settings: Object.fromEntries(Object.keys(recorded).sort().map((key) => [key, recorded[key]])) as CompileSettings,
+  };
+}
+
+export function readProvenanceSettings(data: unknown): CompileSettings | null {
+  const provenance = typeof data === 'object' && data !== null ? (data as CanvasData).provenance : undefined;
+  const settings = typeof provenance === 'object' && provenance !== null ? (provenance as Provenance).settings : undefined;
+  return typeof settings === 'object' && settings !== null && !Array.isArray(settings) ? settings : null;
+}
+
+export function getNodeSortKey(node: CanvasNode, keepCase = false): string {
   const type = node?.type;
+  const fold = (value: string): string => (keepCase ? value : value.toLowerCase());
 
   if (type === 'text' && typeof node.text === 'string') {
-    return node.text.toLowerCase().trim();
+    return fold(node.text).trim();
   }
 
   if (type === 'file' && typeof node.file === 'string') {
     const filename = node.file.split('/').pop() || node.file;
-    return filename.toLowerCase().trim();
+    return fold(filename).trim();
   }
 
   if (type === 'link' && typeof node.url === 'string') {
-    return node.url.toLowerCase().trim();
+    return fold(node.url).trim();
   }
 
   if (type === 'group' && typeof node.label === 'string') {
-    return node.label.toLowerCase().trim();
+    return fold(node.label).trim();
   }
 
-  return normalizedId(node?.id).toLowerCase();
+  return fold(normalizedId(node?.id));
 }
 
-export function getNodeTypePriority(node: CanvasNode): number {
+export function getNodeTypePriority(node: CanvasNode, table: Record<string, number> = DEFAULT_TYPE_PRIORITY): number {
   const type = node?.type;
-  if (type === 'link') return 1;
-  return 0;
+  if (typeof type !== 'string' || !Object.prototype.hasOwnProperty.call(table, type)) return 0;
+  return table[type] ?? 0;
 }
 
-export function getNodeColor(node: CanvasNode): string {
-  const color = node?.color;
-  if (typeof color === 'string') {
-    return color.toLowerCase();
+function parseSortSpec<K extends string>(
+  spec: string,
+  keys: readonly K[],
+  defaults: Array<{ key: K; direction?: SortDirection }>,
+): Array<{ key: K; direction: SortDirection }> {
+  const entries = spec
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (entries.length === 0) return defaults.map((rule) => ({ key: rule.key, direction: rule.direction ?? 'asc' }));
+
+  const seen = new Set<string>();
+  return entries.map((entry) => {
+    const [key = '', direction = 'asc', ...rest] = entry.split(':').map((part) => part.trim());
+    if (!keys.includes(key as K)) {
+      throw new Error(`unknown sort key "${key}" (expected ${keys.join(', ')})`);
+    }
+    if ((direction !== 'asc' && direction !== 'desc') || rest.length > 0) {
+      throw new Error(`invalid sort direction in "${entry}" (expected asc or desc)`);
+    }
+    if (seen.has(key)) throw new Error(`duplicate sort key "${key}"`);
+    seen.add(key);
+    return { key: key as K, direction };
+  });
+}
+
+export function parseNodeSortSpec(spec: string): NodeSortRule[] {
+  return parseSortSpec(spec, NODE_SORT_KEYS, DEFAULT_NODE_SORT);
+}
+
+export function parseEdgeSortSpec(spec: string): EdgeSortRule[] {
+  return parseSortSpec(spec, EDGE_SORT_KEYS, DEFAULT_EDGE_SORT);
+}
+
+export function parseTypePriority(spec: string): Record<string, number> {
+  const table: Record<string, number> = {};
+  for (const entry of spec.split(',')) {
+    if (!entry.trim()) continue;
+    const [type = '', value = '', ...rest] = entry.split('=').map((part) => part.trim());
+    const priority = Number(value);
+    if (!type || value === '' || !Number.isFinite(priority) || rest.length > 0) {
+      throw new Error(`invalid type priority "${entry.trim()}" (expected type=number)`);
+    }
+    table[type] = priority;
   }
-  return '';
+  return table;
+}
+
+export function getNodeColor(node: CanvasNode): string {
+  return normalizeColor(node?.color);
 }
 
 export function getEdgeColor(edge: CanvasEdge): string {
-  const color = edge?.color;
-  if (typeof color === 'string') {
-    return color.toLowerCase();
+  return normalizeColor(edge?.color);
+}
+
+export function normalizeColor(value: unknown): string {
+  if (typeof value !== 'string') return '';
+  const color = value.trim().toLowerCase();
+  if (/^#[0-9a-f]{3,4}$/.test(color)) {
+    return `#${Array.from(color.slice(1), (digit) => digit + digit).join('')}`;
   }
-  return '';
+  return color;
+}
+
+export function isPresetColor(color: string): boolean {
+  return Object.prototype.hasOwnProperty.call(CANVAS_PALETTE, color);
+}
+
+export function getPresetColorName(value: unknown): string | undefined {
+  const color = normalizeColor(value);
+  return isPresetColor(color) ? CANVAS_PALETTE[color] : undefined;
+}
+
+export function getPresetColorIndex(name: unknown): string | undefined {
+  return Object.keys(CANVAS_PALETTE).find((index) => CANVAS_PALETTE[index] === name);
+}
+
+export function getColorHex(value: unknown): string | undefined {
+  const color = normalizeColor(value);
+  if (isPresetColor(color)) return CANVAS_PALETTE_HEX[color];
+  return /^#[0-9a-f]{6}([0-9a-f]{2})?$/.test(color) ? color : undefined;
+}
+
+function canonicalColor(value: unknown): string {
+  const color = normalizeColor(value);
+  return Object.keys(CANVAS_PALETTE).find((index) => CANVAS_PALETTE[index] === color) ?? color;
+}
+
+function resolveColorToken(token: string): string {
+  const color = canonicalColor(token);
+  if (isPresetColor(color) || /^#[0-9a-f]{6}([0-9a-f]{2})?$/.test(color)) return color;
+  throw new Error(`unknown color "${token.trim()}" (expected 1-6, a palette name or a hex color)`);
+}
+
+export function parseColorOrder(spec: string): string[] {
+  const seen = new Set<string>();
+  const order: string[] = [];
+  for (const entry of spec.split(',')) {
+    const token = entry.trim();
+    if (!token) continue;
+    const color = token.toLowerCase() === 'none' ? '' : resolveColorToken(token);
+    if (seen.has(color)) throw new Error(`duplicate color "${token}"`);
+    seen.add(color);
+    order.push(color);
+  }
+  return order;
+}
+
+export const DEFAULT_BASE_IRI = 'https://example.org/canvas/';
+
+export function parseBaseIri(spec: string): string {
+  const iri = spec.trim();
+  if (!iri) return DEFAULT_BASE_IRI;
+  if (!/^[a-z][a-z0-9+.-]*:[^\s<>"{}|\\^`]*$/i.test(iri)) {
+    throw new Error(`invalid base IRI "${iri}" (expected an absolute IRI such as ${DEFAULT_BASE_IRI})`);
+  }
+  return /[/#:]$/.test(iri) ? iri : `${iri}/`;
+}
+
+export function parseOrigin(spec: string): CanvasPoint {
+  if (!spec.trim()) return { x: 0, y: 0 };
+  const parts = spec.split(',').map((part) => part.trim());
+  const [x = NaN, y = NaN] = parts.map(Number);
+  if (parts.length !== 2 || parts.some((part) => !part) || !Number.isFinite(x) || !Number.isFinite(y)) {
+    throw new Error(`invalid origin "${spec.trim()}" (expected x, y such as 0, 0)`);
+  }
+  return { x, y };
+}
+
+export function parseSemanticId(id: string): { type: string; segments: string[] } | null {
+  if (!/^[a-z][a-z0-9-]*(::[a-z0-9][a-z0-9-]*)+$/.test(id)) return null;
+  const [type = '', ...segments] = id.split('::');
+  return { type, segments };
+}
+
+export function parseColorMeanings(spec: string): Record<string, string> {
+  const meanings: Record<string, string> = {};
+  for (const entry of spec.split(',')) {
+    if (!entry.trim()) continue;
+    const [color = '', meaning = '', ...rest] = entry.split('=').map((part) => part.trim());
+    if (!color || !meaning || rest.length > 0) {
+      throw new Error(`invalid color meaning "${entry.trim()}" (expected color=meaning)`);
+    }
+    meanings[resolveColorToken(color)] = meaning;
+  }
+  return meanings;
+}
+
+export function createColorComparer(
+  order: string[] | undefined,
+  compareText: (a: string, b: string) => number,
+): (a: string, b: string) => number {
+  if (!order || order.length === 0) return compareText;
+  const ranks = new Map<string, number>();
+  for (const color of order) ranks.set(canonicalColor(color), ranks.size);
+  if (!ranks.has('')) ranks.set('', -1);
+  return (a, b) => {
+    const aRank = ranks.get(a) ?? Infinity;
+    const bRank = ranks.get(b) ?? Infinity;
+    if (aRank !== bRank) return aRank < bRank ? -1 : 1;
+    return compareText(a, b);
+  };
 }
 
 export function isDirectionalEdge(edge: CanvasEdge): boolean {
@@ -67,18 +388,102 @@ export function isDirectionalEdge(edge: CanvasEdge): boolean {
   return false;
 }
 
-export function isContainedBy(node: CanvasNode, group: CanvasNode): boolean {
-  const nx = isFiniteNumber(node?.x) ? node.x : 0;
-  const ny = isFiniteNumber(node?.y) ? node.y : 0;
-  const nw = isFiniteNumber(node?.width) ? node.width : 0;
-  const nh = isFiniteNumber(node?.height) ? node.height : 0;
+export function getEdgeLabel(edge: CanvasEdge): string {
+  const label = edge?.label;
+  if (typeof label === 'string') return label;
+  if (typeof label === 'number' || typeof label === 'boolean') return String(label);
+  return '';
+}
+
+export function getEdgeDirectionRank(edge: CanvasEdge): number {
+  const fromArrow = edge?.fromEnd === 'arrow';
+  const toArrow = edge?.toEnd === 'arrow' || edge?.toEnd === undefined;
+  if (fromArrow !== toArrow) return 0;
+  return fromArrow ? 1 : 2;
+}
+
+const SIDE_ORDER = ['top', 'right', 'bottom', 'left'];
+
+export function getSideRank(side: unknown): number {
+  return typeof side === 'string' ? SIDE_ORDER.indexOf(side) : -1;
+}
+
+export function compareReadingOrder(
+  a: NodePosition | undefined,
+  b: NodePosition | undefined,
+  order: ReadingOrder = 'row-ltr',
+): number {
+  const ax = isFiniteNumber(a?.x) ? a.x : 0;
+  const ay = isFiniteNumber(a?.y) ? a.y : 0;
+  const bx = isFiniteNumber(b?.x) ? b.x : 0;
+  const by = isFiniteNumber(b?.y) ? b.y : 0;
+  const columns = order === 'column-ttb' || order === 'column-btt';
+
+  const primary = columns ? ax - bx : ay - by;
+  if (primary !== 0) return primary;
+
+  // Reversed orders read from the trailing edge: right edges right to left, bottom edges bottom to top
+  const extent = (pos: NodePosition | undefined, size: 'width' | 'height') => {
+    const value = pos?.[size];
+    return isFiniteNumber(value) ? value : 0;
+  };
+  if (order === 'row-rtl') return bx + extent(b, 'width') - (ax + extent(a, 'width'));
+  if (order === 'column-btt') return by + extent(b, 'height') - (ay + extent(a, 'height'));
+  return columns ? ay - by : ax - bx;
+}
+
+export function getNodeBounds(node: CanvasNode): NodeBounds {
+  return {
+    x: isFiniteNumber(node?.x) ? node.x : 0,
+    y: isFiniteNumber(node?.y) ? node.y : 0,
+    width: isFiniteNumber(node?.width) ? node.width : 0,
+    height: isFiniteNumber(node?.height) ? node.height : 0,
+  };
+}
 
-  const gx = isFiniteNumber(group?.x) ? group.x : 0;
-  const gy = isFiniteNumber(group?.y) ? group.y : 0;
-  const gw = isFiniteNumber(group?.width) ? group.width : 0;
-  const gh = isFiniteNumber(group?.height) ? group.height : 0;
+export function getOverlapRatio(node: CanvasNode, group: CanvasNode): number {
+  const n = getNodeBounds(node);
+  const g = getNodeBounds(group);
+
+  const area = n.width * n.height;
+  if (area <= 0) {
+    return isCenterInside(n, g) ? 1 : 0;
+  }
+
+  const overlapWidth = Math.min(n.x + n.width, g.x + g.width) - Math.max(n.x, g.x);
+  const overlapHeight = Math.min(n.y + n.height, g.y + g.height) - Math.max(n.y, g.y);
+  if (overlapWidth <= 0 || overlapHeight <= 0) return 0;
+
+  return (overlapWidth * overlapHeight) / area;
+}
+
+export function getCenterDistance(node: CanvasNode, group: CanvasNode): number {
+  const n = getNodeBounds(node);
+  const g = getNodeBounds(group);
+  const dx = n.x + n.width / 2 - (g.x + g.width / 2);
+  const dy = n.y + n.height / 2 - (g.y + g.height / 2);
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+export function isContainedBy(
+  node: CanvasNode,
+  group: CanvasNode,
+  mode: ContainmentMode = 'strict',
+  overlapThreshold = 0.5,
+): boolean {
+  const n = getNodeBounds(node);
+  const g = getNodeBounds(group);
+
+  if (mode === 'center') return isCenterInside(n, g);
+  if (mode === 'overlap') return getOverlapRatio(node, group) >= overlapThreshold;
+
+  return n.x >= g.x && n.y >= g.y && n.x + n.width <= g.x + g.width && n.y + n.height <= g.y + g.height;
+}
 
-  return nx >= gx && ny >= gy && nx + nw <= gx + gw && ny + nh <= gy + gh;
+function isCenterInside(n: NodeBounds, g: NodeBounds): boolean {
+  const cx = n.x + n.width / 2;
+  const cy = n.y + n.height / 2;
+  return cx >= g.x && cy >= g.y && cx <= g.x + g.width && cy <= g.y + g.height;
 }
 
 export function hexToHsl(hex: string): [number, number, number] {
@@ -0,0 +1,92 @@
+import type { NodeBounds } from './types';
+
+export interface SpatialIndex<T> {
+  search(bounds: NodeBounds): T[];
+}
+
+interface IndexNode {
+  bounds: NodeBounds;
+  index: number;
+  children: IndexNode[];
+}
+
+const NODE_CAPACITY = 16;
+
+export function buildSpatialIndex<T>(items: T[], getBounds: (item: T) => NodeBounds): SpatialIndex<T> {
+  let level: IndexNode[] = items.map((item, index) => ({ bounds: getBounds(item), index, children: [] }));
+
+  while (level.length > NODE_CAPACITY) {
+    level = packLevel(level);
+  }
+
+  const root: IndexNode | null = level.length > 0 ? { bounds: unionBounds(level), index: -1, children: level } : null;
+
+  return {
+    search(bounds: NodeBounds): T[] {
+      if (!root) return [];
+
+      const hits: number[] = [];
+      const stack: IndexNode[] = [root];
+
+      while (stack.length > 0) {
+        const node = stack.pop();
+        if (!node || !intersects(node.bounds, bounds)) continue;
+        if (node.index >= 0) {
+          hits.push(node.index);
+        } else {
+          stack.push(...node.children);
+        }
+      }
+
+      hits.sort((a, b) => a - b);
+      return hits.map((index) => items[index] as T);
+    },
+  };
+}
+
+function packLevel(entries: IndexNode[]): IndexNode[] {
+  const leafCount = Math.ceil(entries.length / NODE_CAPACITY);
+  const sliceCount = Math.ceil(Math.sqrt(leafCount));
+  const sliceSize = sliceCount * NODE_CAPACITY;
+
+  const byX = entries.slice().sort((a, b) => centerX(a.bounds) - centerX(b.bounds));
+  const parents: IndexNode[] = [];
+
+  for (let i = 0; i < byX.length; i += sliceSize) {
+    const slice = byX.slice(i, i + sliceSize).sort((a, b) => centerY(a.bounds) - centerY(b.bounds));
+    for (let j = 0; j < slice.length; j += NODE_CAPACITY) {
+      const children = slice.slice(j, j + NODE_CAPACITY);
+      parents.push({ bounds: unionBounds(children), index: -1, children });
+    }
+  }
+
+  return parents;
+}
+
+function unionBounds(nodes: IndexNode[]): NodeBounds {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (const { bounds } of nodes) {
+    minX = Math.min(minX, bounds.x);
+    minY = Math.min(minY, bounds.y);
+    maxX = Math.max(maxX, bounds.x + bounds.width);
+    maxY = Math.max(maxY, bounds.y + bounds.height);
+  }
+
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+function intersects(a: NodeBounds, b: NodeBounds): boolean {
+  return a.x <= b.x + b.width && b.x <= a.x + a.width && a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
+
+function centerX(bounds: NodeBounds): number {
+  return bounds.x + bounds.width / 2;
+}
+
+function centerY(bounds: NodeBounds): number {
+  return bounds.y + bounds.height / 2;
+}
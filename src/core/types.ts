@@ -21,17 +21,176 @@ export interface CanvasData {
   [key: string]: unknown;
 }
 
+export interface CanvasPoint {
+  x: number;
+  y: number;
+}
+
+export interface NodeBounds {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export type ContainmentMode = 'strict' | 'center' | 'overlap';
+
+export type ContainmentTieBreak = 'smallest-area' | 'largest-overlap' | 'nearest-center';
+
+export type ReadingOrder = 'row-ltr' | 'row-rtl' | 'column-ttb' | 'column-btt';
+
+export type NodeSortKey = 'flow' | 'position' | 'type' | 'color' | 'content';
+
+export type SortDirection = 'asc' | 'desc';
+
+export interface NodeSortRule {
+  key: NodeSortKey;
+  direction?: SortDirection;
+}
+
+export type EdgeSortKey = 'flow' | 'position' | 'direction' | 'label' | 'sides' | 'color' | 'id';
+
+export interface EdgeSortRule {
+  key: EdgeSortKey;
+  direction?: SortDirection;
+}
+
+export interface CollationSettings {
+  locale?: string;
+  numeric?: boolean;
+  caseFirst?: 'upper' | 'lower';
+  ignoreCase?: boolean;
+  ignoreDiacritics?: boolean;
+}
+
+export interface CanvasStructure {
+  parentOf: Map<string, string>;
+  flows: Map<string, { flow: number; depth: number }>;
+}
+
+export interface NestOptions {
+  sequences?: boolean;
+}
+
+export type EmbedSkipReason = 'cycle' | 'max-depth' | 'not-found' | 'invalid';
+
+export interface CanvasEmbedOptions {
+  path: string;
+  maxDepth: number;
+  resolvePath: (file: string) => string;
+  readCanvas: (path: string) => Promise<CanvasData | null>;
+  exportCanvas: (canvas: CanvasData) => CanvasData;
+}
+
+export type NoteSkipReason = 'not-found' | 'unreadable' | 'section-not-found';
+
+export type FrontmatterSkipReason = 'invalid-yaml' | 'unsupported-yaml';
+
+export interface NoteInlineOptions {
+  resolvePath: (file: string) => string;
+  readNote: (path: string) => Promise<string | null>;
+  parseYaml: (yaml: string) => unknown;
+  maxChars?: number;
+  sections?: boolean;
+}
+
+export type PresetColorMode = 'drop' | 'name' | 'meaning';
+
+export type EdgeFolding = 'labeled' | 'keep' | 'all' | 'outgoing' | 'adjacency';
+
+export type EdgeDirection = 'both' | 'none';
+
 export interface NodePosition {
   x?: number;
   y?: number;
+  width?: number;
+  height?: number;
+}
+
+export type DiagnosticSeverity = 'error' | 'warning';
+
+export interface CanvasDiagnostic {
+  code: string;
+  severity: DiagnosticSeverity;
+  message: string;
+  index: number;
+  nodeId?: string;
+  edgeId?: string;
+  repair?: string;
+}
+
+export interface JsonSchema {
+  $schema?: string;
+  title?: string;
+  type?: string;
+  const?: unknown;
+  enum?: unknown[];
+  examples?: unknown[];
+  pattern?: string;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  additionalProperties?: boolean | JsonSchema;
+  items?: JsonSchema;
+  anyOf?: JsonSchema[];
+  oneOf?: JsonSchema[];
+  $ref?: string;
+  $defs?: Record<string, JsonSchema>;
+}
+
+export interface Provenance {
+  generator: string;
+  version: string;
+  source: string;
+  sourceHash: string;
+  settings: CompileSettings;
 }
 
 export interface CompileSettings {
   colorSortNodes?: boolean;
   colorSortEdges?: boolean;
   flowSortNodes?: boolean;
+  markFlowCycles?: boolean;
   semanticSortOrphans?: boolean;
   stripEdgesWhenFlowSorted?: boolean;
   flowSort?: boolean;
   stripMetadata?: boolean;
+  repair?: boolean;
+  containment?: ContainmentMode;
+  containmentOverlap?: number;
+  containmentTieBreak?: ContainmentTieBreak;
+  readingOrder?: ReadingOrder;
+  alignmentTolerance?: number;
+  nodeSort?: NodeSortRule[];
+  edgeSort?: EdgeSortRule[];
+  typePriority?: Record<string, number>;
+  collation?: CollationSettings;
+  colorOrder?: string[];
+  presetColors?: PresetColorMode;
+  edgeFolding?: EdgeFolding;
+  colorMeanings?: Record<string, string>;
+  canonicalKeyOrder?: boolean;
+  gridSize?: number;
+  snapSizes?: boolean;
+  rebaseOrigin?: boolean;
+  origin?: CanvasPoint;
+  embedCanvasDepth?: number;
+  inlineNotes?: boolean;
+  noteCharLimit?: number;
+  noteSections?: boolean;
+  structuredText?: boolean;
+  provenance?: boolean;
+  nestedExport?: boolean;
+  groupParents?: boolean;
+  flowSequences?: boolean;
+  baseIri?: string;
+}
+
+export interface ImportOptions {
+  maxDepth?: number;
+}
+
+export interface DataSection {
+  name: string | null;
+  records?: unknown[];
+  value?: unknown;
 }
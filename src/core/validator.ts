@@ -0,0 +1,196 @@
+import type { CanvasData, CanvasDiagnostic, CanvasEdge, CanvasNode } from './types';
+import { isFiniteNumber, normalizedId, stableHashId } from './shared';
+
+export function collectCanvasDiagnostics(input: CanvasData): CanvasDiagnostic[] {
+  return inspectCanvas(input, false).diagnostics;
+}
+
+export function repairCanvas(input: CanvasData): { canvas: CanvasData; diagnostics: CanvasDiagnostic[] } {
+  return inspectCanvas(input, true);
+}
+
+export function isBlockingDiagnostic(diagnostic: CanvasDiagnostic): boolean {
+  return diagnostic.severity === 'error' && diagnostic.repair === undefined;
+}
+
+export function formatDiagnostics(diagnostics: CanvasDiagnostic[]): string {
+  return diagnostics
+    .map((d) => {
+      const repair = d.repair ? ` (repaired: ${d.repair})` : '';
+      return `${d.severity} [${d.code}] ${d.message}${repair}`;
+    })
+    .join('\n');
+}
+
+function inspectCanvas(input: CanvasData, repair: boolean): { canvas: CanvasData; diagnostics: CanvasDiagnostic[] } {
+  const nodes = Array.isArray(input?.nodes) ? input.nodes : [];
+  const edges = Array.isArray(input?.edges) ? input.edges : [];
+  const diagnostics: CanvasDiagnostic[] = [];
+
+  const usedNodeIds = new Set(nodes.map((n) => normalizedId(n?.id)).filter(Boolean));
+  const nodeIds = new Set<string>();
+  const outNodes: CanvasNode[] = [];
+
+  nodes.forEach((node, index) => {
+    let id = normalizedId(node?.id);
+
+    if (!id) {
+      const diagnostic: CanvasDiagnostic = { code: 'node-missing-id', severity: 'error', message: 'node missing id', index };
+      if (repair) {
+        id = stableHashId(safeSeed(node), usedNodeIds);
+        diagnostic.nodeId = id;
+        diagnostic.repair = `generated id ${id}`;
+      }
+      diagnostics.push(diagnostic);
+    } else if (nodeIds.has(id)) {
+      const diagnostic: CanvasDiagnostic = {
+        code: 'duplicate-node-id',
+        severity: 'error',
+        message: `duplicate node id: ${id}`,
+        index,
+        nodeId: id,
+      };
+      if (repair) {
+        id = suffixedId(id, usedNodeIds);
+        diagnostic.repair = `renamed to ${id}`;
+      }
+      diagnostics.push(diagnostic);
+    }
+
+    if (!id || nodeIds.has(id)) return;
+
+    let type = node?.type;
+    if (typeof type !== 'string' || !type.trim()) {
+      const diagnostic: CanvasDiagnostic = {
+        code: 'node-missing-type',
+        severity: 'error',
+        message: `node ${id} missing type`,
+        index,
+        nodeId: id,
+      };
+      if (repair) {
+        type = inferNodeType(node);
+        diagnostic.repair = `set type to ${type}`;
+      }
+      diagnostics.push(diagnostic);
+    }
+
+    if (!['x', 'y', 'width', 'height'].every((key) => isFiniteNumber(node?.[key]))) {
+      diagnostics.push({
+        code: 'node-missing-geometry',
+        severity: 'warning',
+        message: `node ${id} has no finite x/y/width/height`,
+        index,
+        nodeId: id,
+      });
+    }
+
+    nodeIds.add(id);
+    outNodes.push(id === node.id && type === node.type ? node : ({ ...node, id, type } as CanvasNode));
+  });
+
+  const usedEdgeIds = new Set(edges.map((e) => normalizedId(e?.id)).filter(Boolean));
+  const edgeIds = new Set<string>();
+  const outEdges: CanvasEdge[] = [];
+
+  edges.forEach((edge, index) => {
+    let id = normalizedId(edge?.id);
+    let keep = true;
+
+    if (!id) {
+      const diagnostic: CanvasDiagnostic = { code: 'edge-missing-id', severity: 'error', message: 'edge missing id', index };
+      if (repair) {
+        id = stableHashId(safeSeed(edge), usedEdgeIds);
+        diagnostic.edgeId = id;
+        diagnostic.repair = `generated id ${id}`;
+      } else {
+        keep = false;
+      }
+      diagnostics.push(diagnostic);
+    } else if (edgeIds.has(id)) {
+      const diagnostic: CanvasDiagnostic = {
+        code: 'duplicate-edge-id',
+        severity: 'error',
+        message: `duplicate edge id: ${id}`,
+        index,
+        edgeId: id,
+      };
+      if (repair) {
+        id = suffixedId(id, usedEdgeIds);
+        diagnostic.repair = `renamed to ${id}`;
+      } else {
+        keep = false;
+      }
+      diagnostics.push(diagnostic);
+    }
+
+    const ref = id || `#${index}`;
+    const fromNode = normalizedId(edge?.fromNode);
+    const toNode = normalizedId(edge?.toNode);
+    const endpointProblems: CanvasDiagnostic[] = [];
+
+    if (!fromNode || !toNode) {
+      endpointProblems.push({
+        code: 'edge-missing-endpoint',
+        severity: 'error',
+        message: `edge ${ref} missing fromNode/toNode`,
+        index,
+      });
+    } else {
+      if (!nodeIds.has(fromNode)) {
+        endpointProblems.push({
+          code: 'dangling-from-node',
+          severity: 'error',
+          message: `edge ${ref} references missing fromNode: ${fromNode}`,
+          index,
+          nodeId: fromNode,
+        });
+      }
+      if (!nodeIds.has(toNode)) {
+        endpointProblems.push({
+          code: 'dangling-to-node',
+          severity: 'error',
+          message: `edge ${ref} references missing toNode: ${toNode}`,
+          index,
+          nodeId: toNode,
+        });
+      }
+    }
+
+    for (const diagnostic of endpointProblems) {
+      if (id) diagnostic.edgeId = id;
+      if (repair) diagnostic.repair = 'dropped edge';
+      diagnostics.push(diagnostic);
+    }
+
+    if (!keep || endpointProblems.length > 0) return;
+
+    edgeIds.add(id);
+    outEdges.push(id === edge.id ? edge : { ...edge, id });
+  });
+
+  return { canvas: { ...input, nodes: outNodes, edges: outEdges }, diagnostics };
+}
+
+function inferNodeType(node: CanvasNode): string {
+  if (typeof node?.text === 'string') return 'text';
+  if (typeof node?.file === 'string') return 'file';
+  if (typeof node?.url === 'string') return 'link';
+  return typeof node?.label === 'string' ? 'group' : 'text';
+}
+
+function suffixedId(id: string, usedIds: Set<string>): string {
+  let n = 2;
+  while (usedIds.has(`${id}-${n}`)) n++;
+  const next = `${id}-${n}`;
+  usedIds.add(next);
+  return next;
+}
+
+function safeSeed(value: unknown): string {
+  try {
+    return JSON.stringify(value) ?? '';
+  } catch {
+    return '';
+  }
+}
@@ -1,6 +1,43 @@
-import { Notice, Plugin, TFile } from 'obsidian';
-import { compileCanvasAll, stripCanvasMetadata, importDataToCanvas } from './compile';
-import type { CanvasData, CanvasEdge, CanvasNode } from './compile';
+import { Notice, Plugin, TFile, parseYaml } from 'obsidian';
+import {
+  buildCanvasStructure,
+  canonicalizeKeyOrder,
+  compileCanvasAll,
+  compileCanvasWithDiagnostics,
+  createProvenance,
+  embedCanvasFiles,
+  exportDotGraph,
+  exportJsonLd,
+  exportMarkdownOutline,
+  exportMermaidFlowchart,
+  exportNTriples,
+  formatDiagnostics,
+  generateDataSchema,
+  inferPureExportSchema,
+  inlineNoteFiles,
+  isBlockingDiagnostic,
+  nestPureExport,
+  recordGroupParents,
+  stripCanvasMetadata,
+  structureTextFields,
+  importDataToCanvas,
+  parseBaseIri,
+  parseColorMeanings,
+  parseColorOrder,
+  parseEdgeSortSpec,
+  parseNodeSortSpec,
+  parseOrigin,
+  parseTypePriority,
+  readProvenanceSettings,
+} from './compile';
+import type {
+  CanvasData,
+  CanvasDiagnostic,
+  CanvasEdge,
+  CanvasNode,
+  CanvasStructure,
+  CompileSettings,
+} from './compile';
 import {
   DEFAULT_SETTINGS,
   SemanticJsonModernSettingTab,
@@ -9,9 +46,18 @@ import {
 import { LLMService, SemanticAnalysisRequest } from './llm-service';
 import type { SemanticAnalysisResponse } from './llm-service';
 
+function parseOrDefault<T>(parse: (spec: string) => T, spec: string): T | undefined {
+  try {
+    return parse(spec);
+  } catch {
+    return undefined;
+  }
+}
+
 export default class SemanticJsonModernPlugin extends Plugin {
   settings: SemanticJsonModernSettings = { ...DEFAULT_SETTINGS };
   private isCompiling = false;
+  private lastReports = new Map<string, string>();
 
   async onload() {
     await this.loadSettings();
@@ -29,6 +75,59 @@ export default class SemanticJsonModernPlugin extends Plugin {
       callback: () => void this.exportAsPureJson(),
     });
 
+    this.addCommand({
+      id: 'export-as-nested-pure-json',
+      name: 'Export as nested pure JSON',
+      callback: () => void this.exportAsPureJson(true),
+    });
+
+    this.addCommand({
+      id: 'refresh-pure-json',
+      name: 'Re-export pure JSON with its recorded settings',
+      callback: () => void this.refreshPureJson(),
+    });
+
+    this.addCommand({
+      id: 'export-as-markdown',
+      name: 'Export as Markdown',
+      // .outline.md keeps a note that shares the canvas's name from being overwritten
+      callback: () => void this.exportRendered('.outline.md', exportMarkdownOutline),
+    });
+
+    this.addCommand({
+      id: 'export-as-mermaid',
+      name: 'Export as Mermaid flowchart',
+      callback: () => void this.exportRendered('.mmd', exportMermaidFlowchart),
+    });
+
+    this.addCommand({
+      id: 'export-as-dot',
+      name: 'Export as Graphviz DOT',
+      callback: () => void this.exportRendered('.dot', exportDotGraph),
+    });
+
+    this.addCommand({
+      id: 'export-as-json-ld',
+      name: 'Export as JSON-LD',
+      callback: () =>
+        void this.exportRendered(
+          '.jsonld',
+          (compiled, structure, settings) => JSON.stringify(exportJsonLd(compiled, structure, settings), null, 2) + '\n'
+        ),
+    });
+
+    this.addCommand({
+      id: 'export-as-n-triples',
+      name: 'Export as N-Triples',
+      callback: () => void this.exportRendered('.nt', exportNTriples),
+    });
+
+    this.addCommand({
+      id: 'generate-json-schema',
+      name: 'Generate JSON Schema',
+      callback: () => void this.generateJsonSchema(),
+    });
+
     this.addCommand({
       id: 'import-to-canvas',
       name: 'Import to canvas',
@@ -69,7 +168,7 @@ export default class SemanticJsonModernPlugin extends Plugin {
     await this.compileFile(file, true);
   }
 
-  async exportAsPureJson() {
+  async exportAsPureJson(nested = false) {
     const file = this.app.workspace.getActiveFile();
     if (!file || file.extension !== 'canvas') {
       new Notice('No active canvas file');
@@ -78,38 +177,48 @@ export default class SemanticJsonModernPlugin extends Plugin {
 
     try {
       const raw = await this.app.vault.read(file);
-      const parsed = parseCanvasData(raw);
-
-      // Compile first to get semantic ordering
-      const compiled = compileCanvasAll({
-        input: parsed,
-        settings: {
-          colorSortNodes: this.settings.colorSortNodes,
-          colorSortEdges: this.settings.colorSortEdges,
-          flowSortNodes: this.settings.flowSortNodes,
-          semanticSortOrphans: this.settings.semanticSortOrphans,
-        },
-      });
-
-      // Strip Canvas metadata
-      const stripped = stripCanvasMetadata(compiled, {
-        flowSort: this.settings.flowSortNodes,
-        stripEdgesWhenFlowSorted: this.settings.stripEdgesWhenFlowSorted,
-      });
-      const serialized = JSON.stringify(stripped, null, 2) + '\n';
+      const serialized = await this.renderPureJson(file, raw, this.getExportSettings(nested));
 
       // Create .pure.json filename
       const jsonPath = file.path.replace(/\.canvas$/, '.pure.json');
+      await this.writeExport(jsonPath, serialized);
 
-      // Check if file exists
+      new Notice(`Exported to ${jsonPath}`);
+    } catch (error) {
+      console.error(error);
+      new Notice(
+        `Export failed${error instanceof Error ? `: ${error.message}` : ''}`
+      );
+    }
+  }
+
+  // Re-exports with the settings the existing export's provenance records, not the current ones
+  async refreshPureJson() {
+    const file = this.app.workspace.getActiveFile();
+    if (!file || file.extension !== 'canvas') {
+      new Notice('No active canvas file');
+      return;
+    }
+
+    try {
+      const jsonPath = file.path.replace(/\.canvas$/, '.pure.json');
       const existingFile = this.app.vault.getAbstractFileByPath(jsonPath);
-      if (existingFile instanceof TFile) {
-        await this.app.vault.modify(existingFile, serialized);
-      } else {
-        await this.app.vault.create(jsonPath, serialized);
+      const existing = existingFile instanceof TFile ? await this.app.vault.read(existingFile) : null;
+      const recorded = existing === null ? null : readProvenanceSettings(JSON.parse(existing));
+      if (!recorded) {
+        new Notice(`No provenance settings in ${jsonPath}; export it with provenance metadata enabled first`);
+        return;
       }
 
-      new Notice(`Exported to ${jsonPath}`);
+      const raw = await this.app.vault.read(file);
+      const serialized = await this.renderPureJson(file, raw, recorded);
+      if (serialized === existing) {
+        new Notice(`${jsonPath} is up to date`);
+        return;
+      }
+
+      await this.writeExport(jsonPath, serialized);
+      new Notice(`Re-exported to ${jsonPath} with its recorded settings`);
     } catch (error) {
       console.error(error);
       new Notice(
@@ -118,6 +227,109 @@ export default class SemanticJsonModernPlugin extends Plugin {
     }
   }
 
+  private async renderPureJson(file: TFile, raw: string, settings: CompileSettings): Promise<string> {
+    const parsed = parseCanvasData(raw);
+    const embedDepth = settings.embedCanvasDepth ?? 0;
+
+    const embedded = embedDepth > 0
+      ? await embedCanvasFiles(this.toPureJson(parsed, settings), {
+          path: file.path,
+          maxDepth: embedDepth,
+          resolvePath: (target) => target,
+          readCanvas: (target) => this.readCanvasFile(target),
+          exportCanvas: (canvas) => this.toPureJson(canvas, settings),
+        })
+      : this.toPureJson(parsed, settings);
+    const pure = settings.inlineNotes
+      ? await inlineNoteFiles(embedded, {
+          resolvePath: (target) => target,
+          readNote: (target) => this.readNoteFile(target),
+          parseYaml,
+          maxChars: settings.noteCharLimit,
+          sections: settings.noteSections,
+        })
+      : embedded;
+    const canonical = settings.canonicalKeyOrder ? canonicalizeKeyOrder(pure) : pure;
+    // The export sits next to the canvas, so the source path is the canvas's file name
+    const exported = settings.provenance
+      ? {
+          provenance: createProvenance({
+            version: this.manifest.version,
+            settings,
+            source: file.name,
+            sourceText: raw,
+          }),
+          ...canonical,
+        }
+      : canonical;
+    return JSON.stringify(exported, null, 2) + '\n';
+  }
+
+  async exportRendered(
+    extension: string,
+    render: (compiled: CanvasData, structure: CanvasStructure, settings: CompileSettings) => string
+  ) {
+    const file = this.app.workspace.getActiveFile();
+    if (!file || file.extension !== 'canvas') {
+      new Notice('No active canvas file');
+      return;
+    }
+
+    try {
+      const raw = await this.app.vault.read(file);
+      const compileSettings = this.getCompileSettings();
+      const compiled = compileCanvasAll({ input: parseCanvasData(raw), settings: compileSettings });
+      const rendered = render(compiled, buildCanvasStructure(compiled, compileSettings), compileSettings);
+
+      const outPath = file.path.replace(/\.canvas$/, extension);
+      await this.writeExport(outPath, rendered);
+
+      new Notice(`Exported to ${outPath}`);
+    } catch (error) {
+      console.error(error);
+      new Notice(
+        `Export failed${error instanceof Error ? `: ${error.message}` : ''}`
+      );
+    }
+  }
+
+  async generateJsonSchema() {
+    const file = this.app.workspace.getActiveFile();
+    if (!file || !['canvas', 'json', 'jsonl'].includes(file.extension)) {
+      new Notice('No active canvas or data file');
+      return;
+    }
+
+    try {
+      const raw = await this.app.vault.read(file);
+
+      // Canvases are described through their pure export; data files as importDataToCanvas reads them
+      const title = file.name.replace(/\.(canvas|json|jsonl)$/, '');
+      const schema = file.extension === 'canvas'
+        ? inferPureExportSchema(this.toPureJson(parseCanvasData(raw), this.getExportSettings(false)), title)
+        : generateDataSchema(file.path, raw, title);
+
+      const schemaPath = file.path.replace(/\.(canvas|json|jsonl)$/, '.schema.json');
+      await this.writeExport(schemaPath, JSON.stringify(schema, null, 2) + '\n');
+
+      new Notice(`Schema written to ${schemaPath}`);
+    } catch (error) {
+      console.error(error);
+      new Notice(
+        `Schema generation failed${error instanceof Error ? `: ${error.message}` : ''}`
+      );
+    }
+  }
+
+  private async writeExport(path: string, content: string) {
+    const existingFile = this.app.vault.getAbstractFileByPath(path);
+    if (existingFile instanceof TFile) {
+      await this.app.vault.modify(existingFile, content);
+    } else {
+      await this.app.vault.create(path, content);
+    }
+  }
+
   async importToCanvas() {
     const file = this.app.workspace.getActiveFile();
     if (!file || (file.extension !== 'json' && file.extension !== 'jsonl')) {
@@ -129,7 +341,7 @@ export default class SemanticJsonModernPlugin extends Plugin {
       const raw = await this.app.vault.read(file);
       
       // Use unified import with auto-detection
-      const canvas = importDataToCanvas(file.path, raw);
+      const canvas = importDataToCanvas(file.path, raw, { maxDepth: this.settings.importDepth });
       const serialized = JSON.stringify(canvas, null, 2) + '\n';
 
       // Create .canvas filename
@@ -377,6 +589,109 @@ export default class SemanticJsonModernPlugin extends Plugin {
     }
   }
 
+  private toPureJson(canvas: CanvasData, settings: CompileSettings): CanvasData {
+    // Compile first to get semantic ordering, then strip Canvas metadata
+    const compiled = compileCanvasAll({
+      input: canvas,
+      settings,
+    });
+    const stripped = stripCanvasMetadata(compiled, settings);
+    const structure = buildCanvasStructure(compiled, settings);
+    const structured = settings.structuredText ? structureTextFields(stripped, structure) : stripped;
+    if (!settings.nestedExport) return settings.groupParents ? recordGroupParents(structured, structure) : structured;
+    return nestPureExport(structured, structure, {
+      sequences: settings.flowSequences,
+    });
+  }
+
+  private async readNoteFile(path: string): Promise<string | null> {
+    const target = this.app.vault.getAbstractFileByPath(path);
+    if (!(target instanceof TFile)) return null;
+    return this.app.vault.cachedRead(target);
+  }
+
+  private async readCanvasFile(path: string): Promise<CanvasData | null> {
+    const target = this.app.vault.getAbstractFileByPath(path);
+    if (!(target instanceof TFile)) return null;
+    return parseCanvasData(await this.app.vault.cachedRead(target));
+  }
+
+  private getCompileSettings(): CompileSettings {
+    return {
+      colorSortNodes: this.settings.colorSortNodes,
+      colorSortEdges: this.settings.colorSortEdges,
+      flowSortNodes: this.settings.flowSortNodes,
+      markFlowCycles: this.settings.markFlowCycles,
+      semanticSortOrphans: this.settings.semanticSortOrphans,
+      repair: this.settings.repairOnCompile,
+      gridSize: this.settings.gridSize,
+      snapSizes: this.settings.snapSizes,
+      rebaseOrigin: this.settings.rebaseOrigin,
+      origin: parseOrDefault(parseOrigin, this.settings.origin),
+      containment: this.settings.containment,
+      containmentOverlap: this.settings.containmentOverlap,
+      containmentTieBreak: this.settings.containmentTieBreak,
+      readingOrder: this.settings.readingOrder,
+      alignmentTolerance: this.settings.alignmentTolerance,
+      nodeSort: parseOrDefault(parseNodeSortSpec, this.settings.nodeSort),
+      edgeSort: parseOrDefault(parseEdgeSortSpec, this.settings.edgeSort),
+      typePriority: parseOrDefault(parseTypePriority, this.settings.typePriority),
+      collation: {
+        locale: this.settings.collationLocale,
+        numeric: this.settings.naturalSort,
+        caseFirst: this.settings.caseFirst === 'locale' ? undefined : this.settings.caseFirst,
+        ignoreCase: this.settings.ignoreCase,
+        ignoreDiacritics: this.settings.ignoreDiacritics,
+      },
+      colorOrder: parseOrDefault(parseColorOrder, this.settings.colorOrder),
+      baseIri: parseOrDefault(parseBaseIri, this.settings.baseIri),
+    };
+  }
+
+  // Everything a pure JSON export depends on, as the CLI would pass it
+  private getExportSettings(nested: boolean): CompileSettings {
+    return {
+      ...this.getCompileSettings(),
+      stripMetadata: true,
+      flowSort: this.settings.flowSortNodes,
+      stripEdgesWhenFlowSorted: this.settings.stripEdgesWhenFlowSorted,
+      edgeFolding: this.settings.edgeFolding,
+      presetColors: this.settings.presetColors,
+      colorMeanings: parseOrDefault(parseColorMeanings, this.settings.colorMeanings),
+      embedCanvasDepth: this.settings.embedCanvasDepth,
+      inlineNotes: this.settings.inlineNotes,
+      noteCharLimit: this.settings.noteCharLimit,
+      noteSections: this.settings.noteSections,
+      structuredText: this.settings.structuredText,
+      nestedExport: nested,
+      groupParents: this.settings.groupParents,
+      flowSequences: this.settings.flowSequences,
+      canonicalKeyOrder: this.settings.canonicalKeyOrder,
+      provenance: this.settings.provenance,
+    };
+  }
+
+  private reportDiagnostics(file: TFile, diagnostics: CanvasDiagnostic[], showNotice: boolean) {
+    const report = formatDiagnostics(diagnostics);
+    const previous = this.lastReports.get(file.path);
+    this.lastReports.set(file.path, report);
+    if (!report) return;
+
+    console.warn(`Semantic JSON: ${file.path}\n${report}`);
+
+    // Auto-compile runs on every save; only surface a report when it changes.
+    if (!showNotice && report === previous) return;
+
+    const blocking = diagnostics.filter(isBlockingDiagnostic).length;
+    const lines = report.split('\n');
+    const shown = lines.slice(0, 5).join('\n');
+    const more = lines.length > 5 ? `\n…and ${lines.length - 5} more (see console)` : '';
+    const heading = blocking > 0
+      ? `Canvas compilation failed: ${blocking} blocking problem${blocking === 1 ? '' : 's'} in ${file.name}`
+      : `Canvas compiled with ${diagnostics.length} note${diagnostics.length === 1 ? '' : 's'} in ${file.name}`;
+    new Notice(`${heading}\n${shown}${more}`, 10000);
+  }
+
   private async compileFile(file: TFile, showNotice: boolean) {
     if (this.isCompiling) return;
     this.isCompiling = true;
@@ -384,16 +699,15 @@ export default class SemanticJsonModernPlugin extends Plugin {
     try {
       const raw = await this.app.vault.read(file);
       const parsed = parseCanvasData(raw);
-      const output = compileCanvasAll({
+      const { output, diagnostics } = compileCanvasWithDiagnostics({
         input: parsed,
-        settings: {
-          colorSortNodes: this.settings.colorSortNodes,
-          colorSortEdges: this.settings.colorSortEdges,
-          flowSortNodes: this.settings.flowSortNodes,
-          semanticSortOrphans: this.settings.semanticSortOrphans,
-        },
+        settings: this.getCompileSettings(),
       });
-      const serialized = JSON.stringify(output, null, 2) + '\n';
+      this.reportDiagnostics(file, diagnostics, showNotice);
+      if (!output) return;
+
+      const canonical = this.settings.canonicalKeyOrder ? canonicalizeKeyOrder(output) : output;
+      const serialized = JSON.stringify(canonical, null, 2) + '\n';
 
       if (serialized === raw) {
         if (showNotice) {
@@ -435,20 +749,15 @@ function parseCanvasData(raw: string): CanvasData {
   return { ...parsed, nodes, edges };
 }
 
+// Records with missing or malformed ids are kept so the compiler can report (or repair) them
+// instead of silently dropping them from the rewritten file.
 function toCanvasNode(value: unknown): CanvasNode | null {
   if (!isRecord(value)) return null;
-  const id = value.id;
-  const type = value.type;
-  if (typeof id !== 'string' || typeof type !== 'string') return null;
   return value as CanvasNode;
 }
 
 function toCanvasEdge(value: unknown): CanvasEdge | null {
   if (!isRecord(value)) return null;
-  const id = value.id;
-  const fromNode = value.fromNode;
-  const toNode = value.toNode;
-  if (typeof id !== 'string' || typeof fromNode !== 'string' || typeof toNode !== 'string') return null;
   return value as CanvasEdge;
 }
 
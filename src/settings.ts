@@ -1,5 +1,16 @@
 import { App, PluginSettingTab, Setting } from 'obsidian';
 import SemanticJsonModernPlugin from './main';
+import type { ContainmentMode, ContainmentTieBreak, EdgeFolding, PresetColorMode, ReadingOrder } from './core/types';
+import {
+  collationLocaleProblem,
+  parseBaseIri,
+  parseColorMeanings,
+  parseEdgeSortSpec,
+  parseColorOrder,
+  parseNodeSortSpec,
+  parseOrigin,
+  parseTypePriority,
+} from './core/shared';
 
 export interface LLMSettings {
   provider: 'lmstudio' | 'ollama' | 'openrouter' | 'openai' | 'anthropic';
@@ -11,11 +22,45 @@ export interface LLMSettings {
 
 export interface SemanticJsonModernSettings {
   autoCompile: boolean;
+  repairOnCompile: boolean;
+  canonicalKeyOrder: boolean;
+  gridSize: number;
+  snapSizes: boolean;
+  rebaseOrigin: boolean;
+  origin: string;
   colorSortNodes: boolean;
   colorSortEdges: boolean;
   flowSortNodes: boolean;
+  markFlowCycles: boolean;
   semanticSortOrphans: boolean;
   stripEdgesWhenFlowSorted: boolean;
+  edgeFolding: EdgeFolding;
+  embedCanvasDepth: number;
+  inlineNotes: boolean;
+  noteCharLimit: number;
+  noteSections: boolean;
+  structuredText: boolean;
+  importDepth: number;
+  provenance: boolean;
+  flowSequences: boolean;
+  groupParents: boolean;
+  containment: ContainmentMode;
+  containmentOverlap: number;
+  containmentTieBreak: ContainmentTieBreak;
+  readingOrder: ReadingOrder;
+  alignmentTolerance: number;
+  nodeSort: string;
+  edgeSort: string;
+  typePriority: string;
+  collationLocale: string;
+  naturalSort: boolean;
+  caseFirst: 'locale' | 'upper' | 'lower';
+  ignoreCase: boolean;
+  ignoreDiacritics: boolean;
+  colorOrder: string;
+  presetColors: PresetColorMode;
+  colorMeanings: string;
+  baseIri: string;
   llm: LLMSettings;
 }
 
@@ -29,11 +74,45 @@ const DEFAULT_LLM_SETTINGS: LLMSettings = {
 
 export const DEFAULT_SETTINGS: SemanticJsonModernSettings = {
   autoCompile: true,
+  repairOnCompile: false,
+  canonicalKeyOrder: false,
+  gridSize: 0,
+  snapSizes: false,
+  rebaseOrigin: false,
+  origin: '0, 0',
   colorSortNodes: true,
   colorSortEdges: true,
   flowSortNodes: false,
+  markFlowCycles: false,
   semanticSortOrphans: false,
   stripEdgesWhenFlowSorted: true,
+  edgeFolding: 'labeled',
+  embedCanvasDepth: 0,
+  inlineNotes: false,
+  noteCharLimit: 4000,
+  noteSections: true,
+  structuredText: false,
+  importDepth: 3,
+  provenance: false,
+  flowSequences: false,
+  groupParents: false,
+  containment: 'strict',
+  containmentOverlap: 0.5,
+  containmentTieBreak: 'smallest-area',
+  readingOrder: 'row-ltr',
+  alignmentTolerance: 0,
+  nodeSort: 'flow, position, type, color, content',
+  edgeSort: 'flow, position, color, id',
+  typePriority: 'link=1',
+  collationLocale: 'en',
+  naturalSort: false,
+  caseFirst: 'locale',
+  ignoreCase: false,
+  ignoreDiacritics: false,
+  colorOrder: '',
+  presetColors: 'drop',
+  colorMeanings: '',
+  baseIri: '',
   llm: { ...DEFAULT_LLM_SETTINGS },
 };
 
@@ -100,10 +179,257 @@ export class SemanticJsonModernSettingTab extends PluginSettingTab {
           })
       );
 
+    new Setting(containerEl)
+      .setName('Repair invalid canvases')
+      .setDesc('Generate missing IDs, rename duplicate IDs, fill in missing node types from their content and drop edges pointing at missing nodes instead of refusing to compile. Every repair is listed in the compile report.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.repairOnCompile)
+          .onChange(async (value) => {
+            this.plugin.settings.repairOnCompile = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Canonical key order')
+      .setDesc('Write node and edge properties in a fixed order (id, type, content, position, size, color, then the rest alphabetically), so the same node always serializes the same way. Applies to compiled canvases and pure JSON exports.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.canonicalKeyOrder)
+          .onChange(async (value) => {
+            this.plugin.settings.canonicalKeyOrder = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Snap to grid')
+      .setDesc('Round node positions to a grid of this many pixels when compiling, so fractional drags do not show up in diffs. 0 keeps coordinates as they are. Skipped if snapping would move a node into another group.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(0, 100, 1)
+          .setValue(this.plugin.settings.gridSize)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.gridSize = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Snap sizes to grid')
+      .setDesc('Also round node widths and heights to the grid, so every node edge lands on a grid line. Off leaves sizes as they are.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.snapSizes)
+          .onChange(async (value) => {
+            this.plugin.settings.snapSizes = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Rebase to origin')
+      .setDesc('Move the whole canvas so its top-left corner sits at the origin below when compiling. Panning the canvas then no longer rewrites every node.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.rebaseOrigin)
+          .onChange(async (value) => {
+            this.plugin.settings.rebaseOrigin = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    const originDesc = 'Where Rebase to origin puts the top-left corner of the canvas, as "x, y". Blank means 0, 0.';
+    const originSetting = new Setting(containerEl)
+      .setName('Origin')
+      .setDesc(originDesc)
+      .addText((text) =>
+        text
+          .setPlaceholder('0, 0')
+          .setValue(this.plugin.settings.origin)
+          .onChange(async (value) => {
+            try {
+              parseOrigin(value);
+            } catch (error) {
+              originSetting.setDesc(`Not saved: ${error instanceof Error ? error.message : String(error)}`);
+              return;
+            }
+            originSetting.setDesc(originDesc);
+            this.plugin.settings.origin = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
     new Setting(containerEl)
       .setName('Sorting')
       .setHeading();
 
+    new Setting(containerEl)
+      .setName('Reading order')
+      .setDesc('How spatial position is read. Applies to nodes, edges and where flow groups are placed.')
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOption('row-ltr', 'Rows, left to right')
+          .addOption('row-rtl', 'Rows, right to left')
+          .addOption('column-ttb', 'Columns, top to bottom')
+          .addOption('column-btt', 'Columns, bottom to top')
+          .setValue(this.plugin.settings.readingOrder)
+          .onChange(async (value) => {
+            this.plugin.settings.readingOrder = value as ReadingOrder;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Alignment tolerance')
+      .setDesc('Nodes whose top edges (left edges, when reading in columns) are within this many pixels of each other sort as one row. 0 compares exact positions.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(0, 100, 1)
+          .setValue(this.plugin.settings.alignmentTolerance)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.alignmentTolerance = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    const nodeSortDesc = 'Comma-separated sort keys, compared in order: flow, position, type, color, content. Add :desc to reverse a key, e.g. "color, type, content" for color-first taxonomies.';
+    const nodeSortSetting = new Setting(containerEl)
+      .setName('Node sort order')
+      .setDesc(nodeSortDesc)
+      .addText((text) =>
+        text
+          .setPlaceholder(DEFAULT_SETTINGS.nodeSort)
+          .setValue(this.plugin.settings.nodeSort)
+          .onChange(async (value) => {
+            try {
+              parseNodeSortSpec(value);
+            } catch (error) {
+              nodeSortSetting.setDesc(`Not saved: ${error instanceof Error ? error.message : String(error)}`);
+              return;
+            }
+            nodeSortSetting.setDesc(nodeSortDesc);
+            this.plugin.settings.nodeSort = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    const edgeSortDesc = 'Comma-separated edge sort keys: flow, position, direction (one-way, two-way, undirected), label, sides (clockwise from top), color, id. Add :desc to reverse a key; id always breaks remaining ties.';
+    const edgeSortSetting = new Setting(containerEl)
+      .setName('Edge sort order')
+      .setDesc(edgeSortDesc)
+      .addText((text) =>
+        text
+          .setPlaceholder(DEFAULT_SETTINGS.edgeSort)
+          .setValue(this.plugin.settings.edgeSort)
+          .onChange(async (value) => {
+            try {
+              parseEdgeSortSpec(value);
+            } catch (error) {
+              edgeSortSetting.setDesc(`Not saved: ${error instanceof Error ? error.message : String(error)}`);
+              return;
+            }
+            edgeSortSetting.setDesc(edgeSortDesc);
+            this.plugin.settings.edgeSort = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    const typePriorityDesc = 'Order of node types for the "type" sort key, as type=number pairs. Lower sorts first; unlisted types are 0.';
+    const typePrioritySetting = new Setting(containerEl)
+      .setName('Type priority')
+      .setDesc(typePriorityDesc)
+      .addText((text) =>
+        text
+          .setPlaceholder(DEFAULT_SETTINGS.typePriority)
+          .setValue(this.plugin.settings.typePriority)
+          .onChange(async (value) => {
+            try {
+              parseTypePriority(value);
+            } catch (error) {
+              typePrioritySetting.setDesc(`Not saved: ${error instanceof Error ? error.message : String(error)}`);
+              return;
+            }
+            typePrioritySetting.setDesc(typePriorityDesc);
+            this.plugin.settings.typePriority = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    const localeDesc = 'Locale used to compare text, colors and edge ids. Pinned so every machine compiles the same order.';
+    const localeSetting = new Setting(containerEl)
+      .setName('Collation locale')
+      .setDesc(localeDesc)
+      .addText((text) =>
+        text
+          .setPlaceholder(DEFAULT_SETTINGS.collationLocale)
+          .setValue(this.plugin.settings.collationLocale)
+          .onChange(async (value) => {
+            const problem = value.trim() ? collationLocaleProblem(value.trim()) : null;
+            if (problem) {
+              localeSetting.setDesc(`Not saved: ${problem}`);
+              return;
+            }
+            localeSetting.setDesc(localeDesc);
+            this.plugin.settings.collationLocale = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Natural sort')
+      .setDesc('Compare numbers in text by value, so "Step 2" sorts before "Step 10".')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.naturalSort)
+          .onChange(async (value) => {
+            this.plugin.settings.naturalSort = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Case order')
+      .setDesc('Whether uppercase or lowercase sorts first when text otherwise matches.')
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOption('locale', 'Locale default')
+          .addOption('upper', 'Uppercase first')
+          .addOption('lower', 'Lowercase first')
+          .setValue(this.plugin.settings.caseFirst)
+          .onChange(async (value) => {
+            this.plugin.settings.caseFirst = value as SemanticJsonModernSettings['caseFirst'];
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Ignore case')
+      .setDesc('Treat "apple" and "Apple" as equal text; exact code point order only breaks the tie.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.ignoreCase)
+          .onChange(async (value) => {
+            this.plugin.settings.ignoreCase = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Ignore diacritics')
+      .setDesc('Treat "resume" and "résumé" as equal text; exact code point order only breaks the tie.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.ignoreDiacritics)
+          .onChange(async (value) => {
+            this.plugin.settings.ignoreDiacritics = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
     new Setting(containerEl)
       .setName('Color sort nodes')
       .setDesc('Group nodes by color within the same spatial position. Preserves visual taxonomy (e.g., red = urgent, blue = reference).')
@@ -128,6 +454,27 @@ export class SemanticJsonModernSettingTab extends PluginSettingTab {
           })
       );
 
+    const colorOrderDesc = 'Rank colors for color sorting, e.g. "red, orange, yellow, green, cyan, purple". Accepts 1-6, palette names, hex colors and "none" for uncolored. Unlisted colors follow in text order; empty keeps plain text order.';
+    const colorOrderSetting = new Setting(containerEl)
+      .setName('Color order')
+      .setDesc(colorOrderDesc)
+      .addText((text) =>
+        text
+          .setPlaceholder('red, orange, yellow, green, cyan, purple')
+          .setValue(this.plugin.settings.colorOrder)
+          .onChange(async (value) => {
+            try {
+              parseColorOrder(value);
+            } catch (error) {
+              colorOrderSetting.setDesc(`Not saved: ${error instanceof Error ? error.message : String(error)}`);
+              return;
+            }
+            colorOrderSetting.setDesc(colorOrderDesc);
+            this.plugin.settings.colorOrder = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
     new Setting(containerEl)
       .setName('Flow sort nodes')
       .setDesc('Group nodes by directional flow order. Nodes connected by arrows form conceptual groups that sort by flow topology rather than strict spatial position.')
@@ -140,6 +487,18 @@ export class SemanticJsonModernSettingTab extends PluginSettingTab {
           })
       );
 
+    new Setting(containerEl)
+      .setName('Mark flow cycles')
+      .setDesc('When flow sorting, tag nodes that sit in a loop with a flowCycle property naming the node where the loop is entered.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.markFlowCycles)
+          .onChange(async (value) => {
+            this.plugin.settings.markFlowCycles = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
     new Setting(containerEl)
       .setName('Group orphan nodes')
       .setDesc('Group orphan nodes first before sorting spatially. Orphan nodes are nodes that are not connected to any other nodes by groups or edges, and will be sorted to the top as a single group.')
@@ -152,6 +511,53 @@ export class SemanticJsonModernSettingTab extends PluginSettingTab {
           })
       );
 
+    new Setting(containerEl)
+      .setName('Group containment')
+      .setDesc('How a node is assigned to a group. Strict requires the whole node inside the group, center only its center point, overlap a minimum share of its area.')
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOption('strict', 'Strict (fully inside)')
+          .addOption('center', 'Center point')
+          .addOption('overlap', 'Overlap ratio')
+          .setValue(this.plugin.settings.containment)
+          .onChange(async (value) => {
+            this.plugin.settings.containment = value as ContainmentMode;
+            await this.plugin.saveSettings();
+            this.display(); // Refresh to show/hide the overlap threshold
+          })
+      );
+
+    if (this.plugin.settings.containment === 'overlap') {
+      new Setting(containerEl)
+        .setName('Minimum overlap')
+        .setDesc('Share of a node\'s area that must lie inside a group for the node to belong to it.')
+        .addSlider((slider) =>
+          slider
+            .setLimits(0.05, 1, 0.05)
+            .setValue(this.plugin.settings.containmentOverlap)
+            .setDynamicTooltip()
+            .onChange(async (value) => {
+              this.plugin.settings.containmentOverlap = value;
+              await this.plugin.saveSettings();
+            })
+        );
+    }
+
+    new Setting(containerEl)
+      .setName('Overlapping groups')
+      .setDesc('Which group wins when several groups contain the same node.')
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOption('smallest-area', 'Smallest group (innermost)')
+          .addOption('largest-overlap', 'Largest overlap')
+          .addOption('nearest-center', 'Nearest center')
+          .setValue(this.plugin.settings.containmentTieBreak)
+          .onChange(async (value) => {
+            this.plugin.settings.containmentTieBreak = value as ContainmentTieBreak;
+            await this.plugin.saveSettings();
+          })
+      );
+
     new Setting(containerEl)
       .setName('Export')
       .setHeading();
@@ -168,6 +574,194 @@ export class SemanticJsonModernSettingTab extends PluginSettingTab {
           })
       );
 
+    new Setting(containerEl)
+      .setName('Edge folding')
+      .setDesc('Where pure JSON exports put edges: labeled edges into their nodes\' from/to lists, every edge kept in edges, every edge folded into from/to, every edge only in its source\'s to list, or an adjacency map keyed by node id. Arrowheads decide which node is the source.')
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOption('labeled', 'Fold labeled edges')
+          .addOption('keep', 'Keep all edges')
+          .addOption('all', 'Fold all edges')
+          .addOption('outgoing', 'Fold outgoing only')
+          .addOption('adjacency', 'Adjacency map')
+          .setValue(this.plugin.settings.edgeFolding)
+          .onChange(async (value) => {
+            this.plugin.settings.edgeFolding = value as EdgeFolding;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Embed linked canvases')
+      .setDesc('File nodes that point at another canvas get its pure JSON inlined as children, this many levels deep. 0 keeps them as plain file references. Cycles are left unexpanded and marked with embedSkipped.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(0, 10, 1)
+          .setValue(this.plugin.settings.embedCanvasDepth)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.embedCanvasDepth = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Inline note content')
+      .setDesc('File nodes that point at a markdown note get its parsed frontmatter and its text as content in pure JSON exports, so a reader of the export sees what the notes say. Missing notes get a placeholder and contentSkipped; frontmatter that does not parse is left out and marked frontmatterSkipped.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.inlineNotes)
+          .onChange(async (value) => {
+            this.plugin.settings.inlineNotes = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Inline only linked sections')
+      .setDesc('For file nodes that link to a heading (#Heading) or block (#^block-id), inline just that section instead of the whole note.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.noteSections)
+          .onChange(async (value) => {
+            this.plugin.settings.noteSections = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Inlined note size limit')
+      .setDesc('Cut inlined note content after this many characters and mark it contentTruncated. 0 inlines notes in full.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(0, 20000, 500)
+          .setValue(this.plugin.settings.noteCharLimit)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.noteCharLimit = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Structured text fields')
+      .setDesc('Parse text nodes made of **key**: value lines, ```json blocks or markdown lists into data in pure JSON exports. A group holding only key/value cards exports as one record, and importing the export rebuilds the cards.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.structuredText)
+          .onChange(async (value) => {
+            this.plugin.settings.structuredText = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Import nesting depth')
+      .setDesc('When importing JSON to canvas, nested objects become sub-groups inside their card and arrays of objects stacks of child cards, this many levels deep, each level in a lighter shade of the card color. Deeper values, and all nested values at 0, become ```json blocks.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(0, 6, 1)
+          .setValue(this.plugin.settings.importDepth)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.importDepth = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Provenance metadata')
+      .setDesc('Start pure JSON exports with a provenance block: plugin version, the effective compile settings, the source canvas and a hash of its content. The CLI can recompile or --check the export with exactly these settings.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.provenance)
+          .onChange(async (value) => {
+            this.plugin.settings.provenance = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Flow sequences in nested export')
+      .setDesc('When exporting as nested pure JSON, wrap members of the same group that belong to one flow chain in a { sequence: [...] } entry, in flow order.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.flowSequences)
+          .onChange(async (value) => {
+            this.plugin.settings.flowSequences = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Group parents in flat export')
+      .setDesc('When exporting as flat pure JSON, give each group inside another group a parent with that group\'s id, so importing the export can rebuild nested groups inside their parents.')
+      .addToggle((toggle) =>
+        toggle
+          .setValue(this.plugin.settings.groupParents)
+          .onChange(async (value) => {
+            this.plugin.settings.groupParents = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName('Preset colors in pure JSON')
+      .setDesc('Canvas preset colors (1-6) carry no meaning outside Obsidian. Drop them, export palette names (red, orange, ...), or add the color meaning below.')
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOption('drop', 'Drop')
+          .addOption('name', 'Palette name')
+          .addOption('meaning', 'Palette name and meaning')
+          .setValue(this.plugin.settings.presetColors)
+          .onChange(async (value) => {
+            this.plugin.settings.presetColors = value as PresetColorMode;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    const colorMeaningsDesc = 'Color taxonomy for exported colorMeaning fields, as color=meaning pairs, e.g. "red=urgent, green=done, #336699=reference".';
+    const colorMeaningsSetting = new Setting(containerEl)
+      .setName('Color meanings')
+      .setDesc(colorMeaningsDesc)
+      .addText((text) =>
+        text
+          .setPlaceholder('red=urgent, green=done')
+          .setValue(this.plugin.settings.colorMeanings)
+          .onChange(async (value) => {
+            try {
+              parseColorMeanings(value);
+            } catch (error) {
+              colorMeaningsSetting.setDesc(`Not saved: ${error instanceof Error ? error.message : String(error)}`);
+              return;
+            }
+            colorMeaningsSetting.setDesc(colorMeaningsDesc);
+            this.plugin.settings.colorMeanings = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    const baseIriDesc = 'Namespace for JSON-LD and N-Triples exports. Node ids are appended to it; semantic ids (type::variant::hash) become <base>type/variant/hash with one prefix per type. Blank uses https://example.org/canvas/.';
+    const baseIriSetting = new Setting(containerEl)
+      .setName('Base IRI')
+      .setDesc(baseIriDesc)
+      .addText((text) =>
+        text
+          .setPlaceholder('https://example.org/canvas/')
+          .setValue(this.plugin.settings.baseIri)
+          .onChange(async (value) => {
+            try {
+              parseBaseIri(value);
+            } catch (error) {
+              baseIriSetting.setDesc(`Not saved: ${error instanceof Error ? error.message : String(error)}`);
+              return;
+            }
+            baseIriSetting.setDesc(baseIriDesc);
+            this.plugin.settings.baseIri = value;
+            await this.plugin.saveSettings();
+          })
+      );
+
     new Setting(containerEl)
       .setName('Language model integration')
       .setHeading();